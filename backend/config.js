@@ -0,0 +1,89 @@
+const path = require('path');
+
+// Shared by the server and the maintenance scripts in ./scripts
+
+// Uploads directory - use /tmp directory on Render for persistence
+const uploadsDir = process.env.NODE_ENV === 'production' 
+  ? '/tmp/uploads' 
+  : path.join(__dirname, 'uploads');
+
+// SQLite database file
+const dbPath = process.env.NODE_ENV === 'production' 
+  ? '/tmp/database.db'  // Use /tmp directory on Render
+  : path.join(__dirname, 'database.db');
+
+// Where finished recordings, previews and exports are kept: 'local' (uploadsDir) or 's3'.
+// uploadsDir is still used as scratch space for uploads and live recordings in progress.
+const storage = {
+  driver: process.env.STORAGE_DRIVER || 'local',
+  local: {
+    root: process.env.STORAGE_LOCAL_DIR || uploadsDir
+  },
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    // Set for S3-compatible services such as MinIO, e.g. http://localhost:9000
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX || ''
+  }
+};
+
+const positiveNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+const quotaMb = positiveNumber(process.env.STORAGE_QUOTA_MB);
+
+// Scheduled maintenance: retention, quota and storage reconciliation. Each limit is off unless set.
+const maintenance = {
+  // Delete recordings older than this many days
+  retentionDays: positiveNumber(process.env.RETENTION_DAYS),
+  // Keep only each user's newest N recordings
+  keepLast: positiveNumber(process.env.RETENTION_KEEP_LAST),
+  // Total bytes of recordings and exports; uploads are rejected beyond it
+  quotaBytes: quotaMb ? Math.round(quotaMb * 1024 * 1024) : null,
+  intervalHours: positiveNumber(process.env.MAINTENANCE_INTERVAL_HOURS) || 24,
+  // Edited versions that were never confirmed or discarded are deleted after this many hours
+  draftHours: positiveNumber(process.env.DRAFT_TTL_HOURS) || 24,
+  // Without this, reconciliation only reports orphaned files and rows with missing files
+  fixOrphans: process.env.RECONCILE_FIX === 'true'
+};
+
+// Longest recording the app offers and the server accepts, in seconds; unlimited when unset.
+// Clients read it from /api/limits.
+const recording = {
+  maxDurationSeconds: positiveNumber(process.env.MAX_RECORDING_SECONDS)
+};
+
+// Comma-separated emails of users who may use /api/admin
+const adminEmails = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// Draft captions from a local speech-to-text engine; see utils/transcriber.js for the placeholders.
+// e.g. TRANSCRIBE_COMMAND="whisper-cli -m /models/ggml-base.bin -l {lang} -ovtt -of {output} {input}"
+const captions = {
+  transcribeCommand: process.env.TRANSCRIBE_COMMAND || null
+};
+
+// HLS renditions for adaptive streaming. With HLS_ENABLED every new recording is packaged
+// after upload; owners can also package a recording on demand.
+const hlsRenditions = (process.env.HLS_RENDITIONS || '')
+  .split(',')
+  .map(positiveNumber)
+  .filter(Boolean)
+  .map(height => Math.round(height / 2) * 2);
+
+const hls = {
+  enabled: process.env.HLS_ENABLED === 'true',
+  // Rendition heights; ones taller than the source are skipped
+  renditions: hlsRenditions.length > 0 ? hlsRenditions : [1080, 720, 360],
+  segmentSeconds: positiveNumber(process.env.HLS_SEGMENT_SECONDS) || 6
+};
+
+module.exports = { uploadsDir, dbPath, storage, maintenance, recording, adminEmails, captions, hls };
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'sid';
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const parseCookies = (header) => {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (e) {
+      // Ignore cookies we cannot decode
+    }
+  });
+  return cookies;
+};
+
+// Only a hash of the token is stored, so a leaked database does not leak live sessions
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createAuth = ({ db, adminEmails = [] }) => {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      tokenHash TEXT PRIMARY KEY,
+      userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      expiresAt DATETIME NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `).run();
+
+  // The frontend and backend are served from different sites in production,
+  // so the cookie must be allowed on cross-site requests there
+  const cookieOptions = {
+    httpOnly: true,
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_TTL,
+    path: '/'
+  };
+
+  const createSession = (res, userId) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL).toISOString();
+
+    db.prepare('INSERT INTO sessions (tokenHash, userId, expiresAt) VALUES (?, ?, ?)')
+      .run(hashToken(token), userId, expiresAt);
+
+    res.cookie(SESSION_COOKIE, token, cookieOptions);
+    return token;
+  };
+
+  const readToken = (req) => {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) {
+      return header.slice('Bearer '.length).trim();
+    }
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+  };
+
+  const destroySession = (req, res) => {
+    const token = readToken(req);
+    if (token) {
+      db.prepare('DELETE FROM sessions WHERE tokenHash = ?').run(hashToken(token));
+    }
+    const { maxAge, ...clearOptions } = cookieOptions;
+    res.clearCookie(SESSION_COOKIE, clearOptions);
+  };
+
+  // Attach req.user when the request carries a valid session
+  const authenticate = (req, res, next) => {
+    req.user = null;
+    const token = readToken(req);
+    if (!token) return next();
+
+    try {
+      const user = db.prepare(`
+        SELECT users.id, users.email, users.createdAt
+        FROM sessions JOIN users ON users.id = sessions.userId
+        WHERE sessions.tokenHash = ? AND sessions.expiresAt > ?
+      `).get(hashToken(token), new Date().toISOString());
+
+      req.user = user || null;
+      next();
+    } catch (err) {
+      console.error('Error checking session:', err);
+      res.status(500).json({ error: 'Failed to check session' });
+    }
+  };
+
+  const requireAuth = (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    next();
+  };
+
+  // Admins are configured by email (ADMIN_EMAILS) rather than stored on the user
+  const requireAdmin = (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!adminEmails.includes(req.user.email)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  };
+
+  // Drop expired sessions once a day
+  const cleanup = setInterval(() => {
+    try {
+      db.prepare('DELETE FROM sessions WHERE expiresAt <= ?').run(new Date().toISOString());
+    } catch (err) {
+      console.error('Error cleaning up sessions:', err);
+    }
+  }, 24 * 60 * 60 * 1000);
+  cleanup.unref();
+
+  return { authenticate, requireAuth, requireAdmin, createSession, destroySession };
+};
+
+module.exports = createAuth;
+module.exports.parseCookies = parseCookies;
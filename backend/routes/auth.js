@@ -0,0 +1,106 @@
+const express = require('express');
+const { hashPassword, verifyPassword } = require('../utils/passwords');
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const createAuthRouter = ({ db, auth }) => {
+  const router = express.Router();
+
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL UNIQUE,
+      passwordHash TEXT NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `).run();
+
+  const publicUser = (user) => ({ id: user.id, email: user.email, createdAt: user.createdAt });
+
+  const readCredentials = (body) => ({
+    email: typeof body.email === 'string' ? body.email.trim().toLowerCase() : '',
+    password: typeof body.password === 'string' ? body.password : ''
+  });
+
+  router.post('/register', async (req, res) => {
+    const { email, password } = readCredentials(req.body);
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    try {
+      if (db.prepare('SELECT id FROM users WHERE email = ?').get(email)) {
+        return res.status(409).json({ error: 'An account with this email already exists' });
+      }
+
+      const passwordHash = await hashPassword(password);
+
+      const user = db.transaction(() => {
+        const result = db.prepare('INSERT INTO users (email, passwordHash) VALUES (?, ?)').run(email, passwordHash);
+
+        // Recordings made before accounts existed belong to the first user who signs up
+        if (db.prepare('SELECT COUNT(*) AS count FROM users').get().count === 1) {
+          db.prepare('UPDATE recordings SET ownerId = ? WHERE ownerId IS NULL').run(result.lastInsertRowid);
+        }
+
+        return db.prepare('SELECT * FROM users WHERE id = ?').get(result.lastInsertRowid);
+      })();
+
+      auth.createSession(res, user.id);
+      res.status(201).json({ user: publicUser(user) });
+    } catch (err) {
+      // A concurrent sign-up with the same email got in while the password was hashing
+      if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        return res.status(409).json({ error: 'An account with this email already exists' });
+      }
+      console.error('Error registering user:', err);
+      res.status(500).json({ error: 'Failed to create account' });
+    }
+  });
+
+  router.post('/login', async (req, res) => {
+    const { email, password } = readCredentials(req.body);
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    try {
+      const user = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
+
+      if (!user || !(await verifyPassword(password, user.passwordHash))) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      auth.createSession(res, user.id);
+      res.json({ user: publicUser(user) });
+    } catch (err) {
+      console.error('Error logging in:', err);
+      res.status(500).json({ error: 'Failed to log in' });
+    }
+  });
+
+  router.post('/logout', (req, res) => {
+    try {
+      auth.destroySession(req, res);
+      res.json({ message: 'Logged out successfully' });
+    } catch (err) {
+      console.error('Error logging out:', err);
+      res.status(500).json({ error: 'Failed to log out' });
+    }
+  });
+
+  router.get('/me', auth.requireAuth, (req, res) => {
+    res.json({ user: publicUser(req.user) });
+  });
+
+  return router;
+};
+
+module.exports = createAuthRouter;
@@ -0,0 +1,334 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { runFfmpeg, listStreamTypes } = require('../utils/ffmpeg');
+const { parseCaptions, normalizeCues, toWebVtt } = require('../utils/captions');
+
+const MAX_FILE_SIZE = '2mb';
+const MAX_LABEL_LENGTH = 80;
+
+// Each recording has at most one track per language. Draft tracks come from speech-to-text
+// and stop being drafts once someone saves them from the editor.
+const ensureCaptionTables = (db) => {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS caption_tracks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recordingId INTEGER NOT NULL REFERENCES recordings(id),
+      lang TEXT NOT NULL,
+      label TEXT NOT NULL,
+      source TEXT NOT NULL,
+      draft INTEGER NOT NULL DEFAULT 0,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (recordingId, lang)
+    )
+  `).run();
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS caption_cues (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trackId INTEGER NOT NULL REFERENCES caption_tracks(id),
+      start REAL NOT NULL,
+      end REAL NOT NULL,
+      text TEXT NOT NULL
+    )
+  `).run();
+  db.prepare('CREATE INDEX IF NOT EXISTS caption_cues_track ON caption_cues (trackId, start)').run();
+};
+
+// BCP 47 tags such as "en", "pt-BR" or "zh-Hant"
+const normalizeLang = (value) => {
+  if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(value || '')) return null;
+  try {
+    return Intl.getCanonicalLocales(value)[0];
+  } catch (e) {
+    return null;
+  }
+};
+
+const defaultLabel = (lang) => {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(lang) || lang;
+  } catch (e) {
+    return lang;
+  }
+};
+
+const normalizeLabel = (value, lang) => {
+  const label = typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
+  return (label || defaultLabel(lang)).slice(0, MAX_LABEL_LENGTH);
+};
+
+const describeTrack = (row) => ({
+  lang: row.lang,
+  label: row.label,
+  source: row.source,
+  draft: Boolean(row.draft),
+  cueCount: row.cueCount,
+  createdAt: row.createdAt,
+  updatedAt: row.updatedAt
+});
+
+const listTracks = (db, recordingId) => db.prepare(`
+  SELECT caption_tracks.*, (SELECT COUNT(*) FROM caption_cues WHERE trackId = caption_tracks.id) AS cueCount
+  FROM caption_tracks WHERE recordingId = ? ORDER BY lang
+`).all(recordingId).map(describeTrack);
+
+const getTrack = (db, recordingId, lang) => db.prepare(
+  'SELECT * FROM caption_tracks WHERE recordingId = ? AND lang = ?'
+).get(recordingId, lang);
+
+const getCues = (db, trackId) => db.prepare(
+  'SELECT start, end, text FROM caption_cues WHERE trackId = ? ORDER BY start, end, id'
+).all(trackId);
+
+// Create or replace a track and all of its cues
+const saveTrack = (db, { recordingId, lang, label, source, draft, cues }) => db.transaction(() => {
+  const existing = getTrack(db, recordingId, lang);
+  let trackId;
+
+  if (existing) {
+    trackId = existing.id;
+    db.prepare(`
+      UPDATE caption_tracks SET label = ?, source = ?, draft = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(label, source, draft ? 1 : 0, trackId);
+    db.prepare('DELETE FROM caption_cues WHERE trackId = ?').run(trackId);
+  } else {
+    trackId = db.prepare(`
+      INSERT INTO caption_tracks (recordingId, lang, label, source, draft) VALUES (?, ?, ?, ?, ?)
+    `).run(recordingId, lang, label, source, draft ? 1 : 0).lastInsertRowid;
+  }
+
+  const insert = db.prepare('INSERT INTO caption_cues (trackId, start, end, text) VALUES (?, ?, ?, ?)');
+  cues.forEach(cue => insert.run(trackId, cue.start, cue.end, cue.text));
+  return Boolean(existing);
+})();
+
+const deleteCaptionsForRecording = (db, recordingId) => {
+  db.prepare(`
+    DELETE FROM caption_cues WHERE trackId IN (SELECT id FROM caption_tracks WHERE recordingId = ?)
+  `).run(recordingId);
+  db.prepare('DELETE FROM caption_tracks WHERE recordingId = ?').run(recordingId);
+  db.prepare("DELETE FROM jobs WHERE type = 'transcribe' AND recordingId = ?").run(recordingId);
+};
+
+// Draft captions from the configured speech-to-text engine (see utils/transcriber)
+const registerCaptionJobs = ({ db, storage, jobQueue, transcribe }) => {
+  if (!transcribe) return;
+
+  jobQueue.register('transcribe', async (job, { setProgress }) => {
+    const recording = db.prepare('SELECT * FROM recordings WHERE id = ?').get(job.recordingId);
+    const driver = recording && storage.forRecording(recording);
+    if (!recording || !(await driver.stat(recording.filename))) {
+      throw new Error('Recording no longer exists');
+    }
+
+    const { lang, label } = job.params;
+    const input = await driver.localFile(recording.filename);
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'transcribe-'));
+    let content;
+
+    try {
+      const streamTypes = await listStreamTypes(input.path);
+      if (!streamTypes.has('audio')) {
+        throw new Error('Recording has no audio to transcribe');
+      }
+
+      // Speech-to-text engines generally want 16 kHz mono PCM
+      const audio = path.join(workDir, 'audio.wav');
+      await runFfmpeg(['-i', input.path, '-vn', '-ac', '1', '-ar', '16000', '-c:a', 'pcm_s16le', audio]);
+      setProgress(10);
+
+      content = await transcribe({ input: audio, lang, workDir });
+    } finally {
+      await input.release();
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    const cues = parseCaptions(content);
+    if (cues.error) {
+      throw new Error(`Transcriber output could not be read: ${cues.error}`);
+    }
+
+    // The recording may have been deleted while the engine was running
+    if (!db.prepare('SELECT id FROM recordings WHERE id = ?').get(recording.id)) {
+      throw new Error('Recording no longer exists');
+    }
+
+    saveTrack(db, { recordingId: recording.id, lang, label, source: 'transcript', draft: true, cues: cues.value });
+    return { lang, cueCount: cues.value.length };
+  });
+};
+
+// Mounted at /api/recordings/:id/captions behind requireAuth
+const createCaptionsRouter = ({ db, jobQueue, transcriptionAvailable }) => {
+  const router = express.Router({ mergeParams: true });
+
+  const getOwnRecording = (req) => db.prepare(
+    "SELECT * FROM recordings WHERE id = ? AND ownerId = ? AND status != 'draft'"
+  ).get(req.params.id, req.user.id);
+
+  // The latest transcription per language, so the editor can show progress or why it failed
+  const transcriptionJobs = (recordingId) => db.prepare(`
+    SELECT * FROM jobs WHERE id IN (
+      SELECT MAX(id) FROM jobs WHERE type = 'transcribe' AND recordingId = ?
+      GROUP BY json_extract(params, '$.lang')
+    ) ORDER BY id
+  `).all(recordingId).map(job => ({
+    jobId: job.id,
+    lang: JSON.parse(job.params).lang,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    finishedAt: job.finishedAt
+  }));
+
+  // Resolves the recording and the :lang parameter, or sends the error
+  const withRecording = (handler) => (req, res) => {
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      let lang = null;
+      if (req.params.lang !== undefined) {
+        lang = normalizeLang(req.params.lang);
+        if (!lang) {
+          return res.status(400).json({ error: 'Language must be a code such as "en" or "pt-BR"' });
+        }
+      }
+
+      handler(req, res, recording, lang);
+    } catch (err) {
+      console.error('Error handling captions:', err);
+      res.status(500).json({ error: 'Failed to process captions' });
+    }
+  };
+
+  router.get('/', withRecording((req, res, recording) => {
+    res.json({
+      tracks: listTracks(db, recording.id),
+      transcription: {
+        available: transcriptionAvailable,
+        jobs: transcriptionJobs(recording.id)
+      }
+    });
+  }));
+
+  // Normalized WebVTT, for <track> elements and downloads
+  router.get('/:lang', withRecording((req, res, recording, lang) => {
+    const track = getTrack(db, recording.id, lang);
+
+    if (!track) {
+      return res.status(404).json({ error: 'Caption track not found' });
+    }
+
+    res.type('text/vtt; charset=utf-8');
+    if (req.query.download !== undefined) {
+      res.attachment(`recording-${recording.id}.${lang}.vtt`);
+    }
+    res.send(toWebVtt(getCues(db, track.id)));
+  }));
+
+  // Upload an SRT or WebVTT file as the request body; ?label= names the track
+  router.put('/:lang', express.text({ type: () => true, limit: MAX_FILE_SIZE }), withRecording((req, res, recording, lang) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Send the SRT or WebVTT file as the request body' });
+    }
+
+    const cues = parseCaptions(req.body);
+    if (cues.error) {
+      return res.status(400).json({ error: cues.error });
+    }
+
+    const replaced = saveTrack(db, {
+      recordingId: recording.id,
+      lang,
+      label: normalizeLabel(req.query.label, lang),
+      source: 'upload',
+      draft: false,
+      cues: cues.value
+    });
+
+    const track = listTracks(db, recording.id).find(t => t.lang === lang);
+    res.status(replaced ? 200 : 201).json(track);
+  }));
+
+  router.get('/:lang/cues', withRecording((req, res, recording, lang) => {
+    const track = getTrack(db, recording.id, lang);
+
+    if (!track) {
+      return res.status(404).json({ error: 'Caption track not found' });
+    }
+
+    const cues = getCues(db, track.id);
+    res.json({ ...describeTrack({ ...track, cueCount: cues.length }), cues });
+  }));
+
+  // Save from the cue editor: { cues: [{ start, end, text }], label? }
+  router.put('/:lang/cues', withRecording((req, res, recording, lang) => {
+    const cues = normalizeCues(req.body.cues);
+    if (cues.error) {
+      return res.status(400).json({ error: cues.error });
+    }
+
+    const existing = getTrack(db, recording.id, lang);
+    const replaced = saveTrack(db, {
+      recordingId: recording.id,
+      lang,
+      label: req.body.label !== undefined || !existing ? normalizeLabel(req.body.label, lang) : existing.label,
+      source: existing ? existing.source : 'manual',
+      draft: false,
+      cues: cues.value
+    });
+
+    const track = getTrack(db, recording.id, lang);
+    res.status(replaced ? 200 : 201).json({ ...describeTrack({ ...track, cueCount: cues.value.length }), cues: cues.value });
+  }));
+
+  router.delete('/:lang', withRecording((req, res, recording, lang) => {
+    const track = getTrack(db, recording.id, lang);
+
+    if (!track) {
+      return res.status(404).json({ error: 'Caption track not found' });
+    }
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM caption_cues WHERE trackId = ?').run(track.id);
+      db.prepare('DELETE FROM caption_tracks WHERE id = ?').run(track.id);
+    })();
+
+    res.json({ message: 'Caption track deleted' });
+  }));
+
+  // Queue a draft transcript; { replace: true } is needed to overwrite a reviewed track
+  router.post('/:lang/transcribe', withRecording((req, res, recording, lang) => {
+    if (!transcriptionAvailable) {
+      return res.status(503).json({ error: 'Speech-to-text is not configured on this server' });
+    }
+
+    const existing = getTrack(db, recording.id, lang);
+    if (existing && !existing.draft && req.body.replace !== true) {
+      return res.status(409).json({ error: 'This language already has captions. Send { "replace": true } to overwrite them.' });
+    }
+
+    if (transcriptionJobs(recording.id).some(job => job.lang === lang && ['queued', 'running'].includes(job.status))) {
+      return res.status(409).json({ error: 'A transcription for this language is already in progress' });
+    }
+
+    const label = normalizeLabel(req.body.label, lang);
+    const job = jobQueue.enqueue('transcribe', { recordingId: recording.id, ownerId: req.user.id, params: { lang, label } });
+    res.status(202).json({ jobId: job.id, lang, status: job.status });
+  }));
+
+  return router;
+};
+
+module.exports = {
+  ensureCaptionTables,
+  deleteCaptionsForRecording,
+  registerCaptionJobs,
+  createCaptionsRouter
+};
@@ -0,0 +1,276 @@
+const express = require('express');
+
+const MAX_BODY_LENGTH = 2000;
+const MAX_AUTHOR_LENGTH = 80;
+
+// Comments pin feedback to a moment in a recording. Replies point at a top-level comment
+// through parentId and share its timestamp; threads are one level deep.
+const ensureCommentTables = (db) => {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS comments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recordingId INTEGER NOT NULL REFERENCES recordings(id),
+      parentId INTEGER REFERENCES comments(id),
+      authorId INTEGER REFERENCES users(id),
+      authorName TEXT NOT NULL,
+      timestamp REAL NOT NULL,
+      body TEXT NOT NULL,
+      resolved INTEGER NOT NULL DEFAULT 0,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `).run();
+  db.prepare('CREATE INDEX IF NOT EXISTS comments_recording ON comments (recordingId, timestamp)').run();
+};
+
+const normalizeBody = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return { error: 'Comment text is required' };
+  const body = value.trim();
+  if (body.length > MAX_BODY_LENGTH) return { error: `Comments can be at most ${MAX_BODY_LENGTH} characters` };
+  return { value: body };
+};
+
+// Seconds into the recording; must fall inside it when the duration is known
+const normalizeTimestamp = (value, recording) => {
+  const timestamp = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(timestamp) || timestamp < 0) {
+    return { error: 'timestamp must be a non-negative number of seconds' };
+  }
+  const duration = Number(recording.duration);
+  if (duration > 0 && timestamp > duration + 1) {
+    return { error: 'timestamp is past the end of the recording' };
+  }
+  return { value: Math.round(timestamp * 10) / 10 };
+};
+
+// Name shown next to the comment, or `fallback` (the account email) when none is given
+const authorNameFor = (value, fallback) => {
+  const name = typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
+  return (name || fallback || '').slice(0, MAX_AUTHOR_LENGTH);
+};
+
+const describeComment = (row) => ({
+  id: row.id,
+  recordingId: row.recordingId,
+  parentId: row.parentId,
+  authorId: row.authorId,
+  authorName: row.authorName,
+  // Posted through a share link under a name the viewer chose, so the name is not verified
+  guest: row.authorId === null,
+  timestamp: row.timestamp,
+  body: row.body,
+  resolved: Boolean(row.resolved),
+  createdAt: row.createdAt,
+  updatedAt: row.updatedAt
+});
+
+// Top-level comments in timeline order, each with its replies oldest first
+const commentThreads = (db, recordingId) => {
+  const rows = db.prepare(`
+    SELECT * FROM comments WHERE recordingId = ? ORDER BY timestamp, createdAt, id
+  `).all(recordingId);
+
+  const threads = rows.filter(row => !row.parentId).map(row => ({ ...describeComment(row), replies: [] }));
+  const byId = new Map(threads.map(thread => [thread.id, thread]));
+  rows.filter(row => row.parentId).forEach(row => {
+    const thread = byId.get(row.parentId);
+    if (thread) thread.replies.push(describeComment(row));
+  });
+  threads.forEach(thread => thread.replies.sort((a, b) => a.id - b.id));
+  return threads;
+};
+
+const getComment = (db, recordingId, commentId) => db.prepare(
+  'SELECT * FROM comments WHERE id = ? AND recordingId = ?'
+).get(commentId, recordingId);
+
+// Starts a thread at `timestamp`, or replies to `parentId`. `authorId` is null for share link
+// viewers, who are known only by the name they give. Returns { comment } or { status, error }.
+const addComment = (db, recording, { body, timestamp, parentId, authorId, authorName }) => {
+  const text = normalizeBody(body);
+  if (text.error) return { status: 400, error: text.error };
+
+  let parent = null;
+  let at;
+  if (parentId !== undefined && parentId !== null) {
+    parent = getComment(db, recording.id, parentId);
+    if (!parent) return { status: 404, error: 'Comment to reply to not found' };
+    // Replying to a reply continues the same thread
+    if (parent.parentId) {
+      parent = getComment(db, recording.id, parent.parentId);
+    }
+    at = parent.timestamp;
+  } else {
+    const parsed = normalizeTimestamp(timestamp, recording);
+    if (parsed.error) return { status: 400, error: parsed.error };
+    at = parsed.value;
+  }
+
+  const result = db.prepare(`
+    INSERT INTO comments (recordingId, parentId, authorId, authorName, timestamp, body)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(recording.id, parent ? parent.id : null, authorId, authorName, at, text.value);
+
+  return { comment: describeComment(getComment(db, recording.id, result.lastInsertRowid)) };
+};
+
+const deleteCommentsForRecording = (db, recordingId) => {
+  db.prepare('DELETE FROM comments WHERE recordingId = ? AND parentId IS NOT NULL').run(recordingId);
+  db.prepare('DELETE FROM comments WHERE recordingId = ?').run(recordingId);
+};
+
+// Mounted at /api/recordings/:id/comments behind requireAuth
+const createCommentsRouter = ({ db }) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Drafts from the editor are not commentable
+  const getOwnRecording = (req) => db.prepare(
+    "SELECT * FROM recordings WHERE id = ? AND ownerId = ? AND status != 'draft'"
+  ).get(req.params.id, req.user.id);
+
+  const getRecordingComment = (recording, commentId) => getComment(db, recording.id, commentId);
+
+  router.get('/', (req, res) => {
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      res.json(commentThreads(db, recording.id));
+    } catch (err) {
+      console.error('Error fetching comments:', err);
+      res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+  });
+
+  // { body, timestamp, authorName? } starts a thread; { body, parentId } replies to one
+  router.post('/', (req, res) => {
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      const { comment, status, error } = addComment(db, recording, {
+        body: req.body.body,
+        timestamp: req.body.timestamp,
+        parentId: req.body.parentId,
+        authorId: req.user.id,
+        authorName: authorNameFor(req.body.authorName, req.user.email)
+      });
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.status(201).json(comment);
+    } catch (err) {
+      console.error('Error adding comment:', err);
+      res.status(500).json({ error: 'Failed to add comment' });
+    }
+  });
+
+  // { body?, timestamp?, resolved? }; only the author can change the text or the moment
+  router.patch('/:commentId', (req, res) => {
+    const { body, timestamp, resolved } = req.body;
+
+    if (body === undefined && timestamp === undefined && resolved === undefined) {
+      return res.status(400).json({ error: 'Nothing to update: send body, timestamp or resolved' });
+    }
+
+    if (resolved !== undefined && typeof resolved !== 'boolean') {
+      return res.status(400).json({ error: 'resolved must be true or false' });
+    }
+
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      const comment = getRecordingComment(recording, req.params.commentId);
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      if ((body !== undefined || timestamp !== undefined) && comment.authorId !== req.user.id) {
+        return res.status(403).json({ error: 'Only the author can edit a comment' });
+      }
+
+      const updates = {};
+      if (body !== undefined) {
+        const parsed = normalizeBody(body);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        updates.body = parsed.value;
+      }
+      if (timestamp !== undefined) {
+        if (comment.parentId) {
+          return res.status(400).json({ error: 'Replies share the timestamp of their thread' });
+        }
+        const parsed = normalizeTimestamp(timestamp, recording);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        updates.timestamp = parsed.value;
+      }
+      if (resolved !== undefined) {
+        updates.resolved = resolved ? 1 : 0;
+      }
+
+      db.transaction(() => {
+        Object.entries(updates).forEach(([column, value]) => {
+          db.prepare(`UPDATE comments SET ${column} = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`)
+            .run(value, comment.id);
+        });
+        // Replies follow their thread to its new moment
+        if (updates.timestamp !== undefined) {
+          db.prepare('UPDATE comments SET timestamp = ? WHERE parentId = ?').run(updates.timestamp, comment.id);
+        }
+      })();
+
+      res.json(describeComment(getRecordingComment(recording, comment.id)));
+    } catch (err) {
+      console.error('Error updating comment:', err);
+      res.status(500).json({ error: 'Failed to update comment' });
+    }
+  });
+
+  // Deleting a thread removes its replies too
+  router.delete('/:commentId', (req, res) => {
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      const comment = getRecordingComment(recording, req.params.commentId);
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      db.transaction(() => {
+        db.prepare('DELETE FROM comments WHERE parentId = ?').run(comment.id);
+        db.prepare('DELETE FROM comments WHERE id = ?').run(comment.id);
+      })();
+
+      res.json({ message: 'Comment deleted' });
+    } catch (err) {
+      console.error('Error deleting comment:', err);
+      res.status(500).json({ error: 'Failed to delete comment' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  ensureCommentTables,
+  authorNameFor,
+  commentThreads,
+  addComment,
+  deleteCommentsForRecording,
+  createCommentsRouter
+};
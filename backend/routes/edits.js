@@ -0,0 +1,290 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { runFfmpeg, listStreamTypes } = require('../utils/ffmpeg');
+const { probeMedia, mediaDetails } = require('../utils/mediaProbe');
+const { ensureColumn } = require('../utils/schema');
+const { withAudioSources } = require('../utils/audioSources');
+
+const MIN_SEGMENT_LENGTH = 0.1; // seconds
+
+// Turn { in, out, cuts: [{ start, end }] } into the sorted list of segments to keep.
+// Returns an error message instead when the edit list is unusable.
+const keepSegmentsFor = ({ in: inPoint = 0, out, cuts = [] }, duration) => {
+  const start = Number(inPoint);
+  const end = out === undefined || out === null ? duration : Number(out);
+
+  if (!Number.isFinite(start) || start < 0) return 'in must be a non-negative number of seconds';
+  if (!Number.isFinite(end) || end <= start) return 'out must be a number of seconds after in';
+  if (!Array.isArray(cuts)) return 'cuts must be an array';
+
+  const sortedCuts = [];
+  for (const cut of cuts) {
+    const cutStart = Number(cut && cut.start);
+    const cutEnd = Number(cut && cut.end);
+    if (!Number.isFinite(cutStart) || !Number.isFinite(cutEnd) || cutEnd <= cutStart) {
+      return 'each cut needs a start before its end';
+    }
+    sortedCuts.push({ start: cutStart, end: cutEnd });
+  }
+  sortedCuts.sort((a, b) => a.start - b.start);
+
+  const keep = [];
+  let cursor = start;
+  sortedCuts.forEach(cut => {
+    if (cut.end <= cursor || cut.start >= end) return;
+    if (cut.start > cursor) keep.push({ start: cursor, end: Math.min(cut.start, end) });
+    cursor = Math.max(cursor, cut.end);
+  });
+  if (cursor < end) keep.push({ start: cursor, end });
+
+  const segments = keep.filter(segment => segment.end - segment.start >= MIN_SEGMENT_LENGTH);
+  if (segments.length === 0) return 'the edit removes the whole recording';
+  return segments;
+};
+
+const editArgs = (input, output, segments, hasAudio) => {
+  const filters = [];
+  const inputs = [];
+
+  segments.forEach((segment, i) => {
+    filters.push(`[0:v]trim=start=${segment.start}:end=${segment.end},setpts=PTS-STARTPTS[v${i}]`);
+    inputs.push(`[v${i}]`);
+    if (hasAudio) {
+      filters.push(`[0:a]atrim=start=${segment.start}:end=${segment.end},asetpts=PTS-STARTPTS[a${i}]`);
+      inputs.push(`[a${i}]`);
+    }
+  });
+  filters.push(`${inputs.join('')}concat=n=${segments.length}:v=1:a=${hasAudio ? 1 : 0}[v]${hasAudio ? '[a]' : ''}`);
+
+  return [
+    '-i', input,
+    '-filter_complex', filters.join(';'),
+    '-map', '[v]',
+    ...(hasAudio ? ['-map', '[a]', '-c:a', 'libopus'] : []),
+    '-c:v', 'libvpx-vp9', '-deadline', 'realtime', '-cpu-used', '8', '-b:v', '0', '-crf', '32',
+    output
+  ];
+};
+
+const registerEditJobs = ({ db, storage, jobQueue }) => {
+  ensureColumn(db, 'recordings', 'parentId', 'INTEGER REFERENCES recordings(id)');
+
+  jobQueue.register('edit', async (job, { setProgress }) => {
+    const source = db.prepare('SELECT * FROM recordings WHERE id = ?').get(job.recordingId);
+    const driver = source && storage.forRecording(source);
+    if (!source || !(await driver.stat(source.filename))) {
+      throw new Error('Source recording no longer exists');
+    }
+
+    const { segments } = job.params;
+    const duration = segments.reduce((total, segment) => total + (segment.end - segment.start), 0);
+    const filename = `${uuidv4()}-${Date.now()}.webm`;
+    const input = await driver.localFile(source.filename);
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'edit-'));
+    const output = path.join(workDir, filename);
+    let filesize;
+    let mimeType;
+    let media;
+
+    try {
+      const streamTypes = await listStreamTypes(input.path);
+      await runFfmpeg(editArgs(input.path, output, segments, streamTypes.has('audio')), {
+        duration,
+        onProgress: setProgress
+      });
+
+      filesize = fs.statSync(output).size;
+      const hasAudio = streamTypes.has('audio');
+      mimeType = hasAudio ? 'video/webm;codecs=vp9,opus' : 'video/webm;codecs=vp9';
+      // Our own output should always probe; if not, the length of the kept segments is close enough
+      const probe = await probeMedia(output);
+      media = probe.error
+        ? { duration: Math.round(duration), width: null, height: null, frameRate: null, videoCodec: 'vp9', audioCodec: hasAudio ? 'opus' : null }
+        : mediaDetails(probe);
+      await storage.default.put(filename, output, { contentType: 'video/webm', move: true });
+    } finally {
+      await input.release();
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    // The new version stays a draft next to the original until the owner confirms it
+    const result = db.prepare(`
+      INSERT INTO recordings (
+        ownerId, filename, filepath, filesize, duration, status, parentId, storage,
+        mimeType, width, height, frameRate, videoCodec, audioCodec
+      )
+      VALUES (?, ?, ?, ?, ?, 'draft', ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      source.ownerId, filename, filename, filesize, media.duration, source.id, storage.default.name,
+      mimeType, media.width, media.height, media.frameRate, media.videoCodec, media.audioCodec
+    );
+
+    return { versionId: result.lastInsertRowid };
+  });
+};
+
+// Remove drafts and edit jobs that belong to a recording being deleted
+const deleteEditsForRecording = (db, storage, recordingId) => {
+  const drafts = db.prepare("SELECT * FROM recordings WHERE parentId = ? AND status = 'draft'").all(recordingId);
+  drafts.forEach(draft => storage.discard(storage.forRecording(draft).name, draft.filename));
+  db.prepare("DELETE FROM recordings WHERE parentId = ? AND status = 'draft'").run(recordingId);
+  db.prepare("DELETE FROM jobs WHERE type = 'edit' AND recordingId = ?").run(recordingId);
+};
+
+// Drafts nobody confirmed or discarded, e.g. because the editor was closed while the edit ran.
+// Returns the rows that were removed.
+const deleteStaleDrafts = (db, storage, createdBefore) => {
+  const drafts = db.prepare("SELECT * FROM recordings WHERE status = 'draft' AND createdAt < ?").all(createdBefore);
+  drafts.forEach(draft => {
+    db.prepare('DELETE FROM recordings WHERE id = ?').run(draft.id);
+    storage.discard(storage.forRecording(draft).name, draft.filename);
+  });
+  return drafts;
+};
+
+const describeEdit = (job) => ({
+  id: job.id,
+  recordingId: job.recordingId,
+  segments: job.params.segments,
+  status: job.status,
+  progress: job.progress,
+  error: job.error,
+  versionId: job.result ? job.result.versionId : null,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt
+});
+
+// Mounted at /api/recordings/:id behind requireAuth
+const createEditsRouter = ({ db, storage, jobQueue, recordingEvents, onRecordingReplaced }) => {
+  const router = express.Router({ mergeParams: true });
+
+  const getOwnRecording = (req) => db.prepare(
+    'SELECT * FROM recordings WHERE id = ? AND ownerId = ?'
+  ).get(req.params.id, req.user.id);
+
+  const getOwnDraft = (req) => db.prepare(
+    "SELECT * FROM recordings WHERE id = ? AND ownerId = ? AND status = 'draft'"
+  ).get(req.params.id, req.user.id);
+
+  // Apply an edit list; produces a draft version once the job finishes
+  router.post('/edit', (req, res) => {
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording || recording.status === 'draft') {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      if (recording.status === 'recording') {
+        return res.status(409).json({ error: 'Recording is still in progress' });
+      }
+
+      const duration = Number(recording.duration) > 0 ? Number(recording.duration) : undefined;
+      if (duration === undefined && (req.body.out === undefined || req.body.out === null)) {
+        return res.status(400).json({ error: 'out is required because the recording duration is unknown' });
+      }
+
+      const segments = keepSegmentsFor(req.body, duration);
+      if (typeof segments === 'string') {
+        return res.status(400).json({ error: segments });
+      }
+
+      const job = jobQueue.enqueue('edit', {
+        recordingId: recording.id,
+        ownerId: req.user.id,
+        params: { segments }
+      });
+
+      res.status(202).json(describeEdit(job));
+    } catch (err) {
+      console.error('Error requesting edit:', err);
+      res.status(500).json({ error: 'Failed to request edit' });
+    }
+  });
+
+  router.get('/edits', (req, res) => {
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      const jobs = db.prepare(
+        "SELECT * FROM jobs WHERE type = 'edit' AND recordingId = ? ORDER BY id DESC"
+      ).all(recording.id);
+
+      res.json(jobs.map(job => describeEdit(jobQueue.parseJob(job))));
+    } catch (err) {
+      console.error('Error fetching edits:', err);
+      res.status(500).json({ error: 'Failed to fetch edits' });
+    }
+  });
+
+  // Replace the original with a draft version: the original keeps its id, links and history
+  router.post('/confirm', (req, res) => {
+    try {
+      const draft = getOwnDraft(req);
+
+      if (!draft) {
+        return res.status(404).json({ error: 'Draft version not found' });
+      }
+
+      const original = db.prepare('SELECT * FROM recordings WHERE id = ?').get(draft.parentId);
+      if (!original) {
+        return res.status(404).json({ error: 'Original recording not found' });
+      }
+
+      db.transaction(() => {
+        db.prepare(`
+          UPDATE recordings
+          SET filename = ?, filepath = ?, filesize = ?, duration = ?, storage = ?, mimeType = ?,
+            width = ?, height = ?, frameRate = ?, videoCodec = ?, audioCodec = ?
+          WHERE id = ?
+        `).run(
+          draft.filename, draft.filepath, draft.filesize, draft.duration, draft.storage, draft.mimeType,
+          draft.width, draft.height, draft.frameRate, draft.videoCodec, draft.audioCodec, original.id
+        );
+        db.prepare('DELETE FROM recordings WHERE id = ?').run(draft.id);
+      })();
+
+      if (original.filename !== draft.filename) {
+        storage.discard(storage.forRecording(original).name, original.filename);
+      }
+
+      onRecordingReplaced(original);
+      const recording = withAudioSources(db.prepare('SELECT * FROM recordings WHERE id = ?').get(original.id));
+      recordingEvents.emit('updated', recording);
+
+      res.json({ message: 'Edit applied successfully', recording });
+    } catch (err) {
+      console.error('Error confirming edit:', err);
+      res.status(500).json({ error: 'Failed to confirm edit' });
+    }
+  });
+
+  router.post('/discard', (req, res) => {
+    try {
+      const draft = getOwnDraft(req);
+
+      if (!draft) {
+        return res.status(404).json({ error: 'Draft version not found' });
+      }
+
+      db.prepare('DELETE FROM recordings WHERE id = ?').run(draft.id);
+      storage.discard(storage.forRecording(draft).name, draft.filename);
+
+      res.json({ message: 'Draft discarded' });
+    } catch (err) {
+      console.error('Error discarding edit:', err);
+      res.status(500).json({ error: 'Failed to discard edit' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { keepSegmentsFor, registerEditJobs, deleteEditsForRecording, deleteStaleDrafts, createEditsRouter };
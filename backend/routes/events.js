@@ -0,0 +1,93 @@
+const express = require('express');
+
+// Recent events kept for clients that reconnect with Last-Event-ID
+const REPLAY_BUFFER_SIZE = 1000;
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL = 25 * 1000;
+// Tells EventSource how long to wait before reconnecting
+const RETRY_DELAY = 3000;
+
+/**
+ * In-process broadcaster for Server-Sent Events. `publish(ownerId, event, data)` sends an event to
+ * every open stream of that user and keeps it in a ring buffer for replay.
+ *
+ * Event ids are `<boot>-<sequence>`: an id from before a restart, or one that has fallen out of the
+ * buffer, cannot be replayed, and the client is sent a `reset` event to reload instead.
+ */
+const createEventStream = () => {
+  const boot = Date.now().toString(36);
+  const buffer = [];
+  const clients = new Set();
+  let sequence = 0;
+
+  const format = ({ id, event, data }) => `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  const publish = (ownerId, event, data) => {
+    sequence += 1;
+    const entry = { id: `${boot}-${sequence}`, sequence, ownerId, event, data };
+    buffer.push(entry);
+    if (buffer.length > REPLAY_BUFFER_SIZE) buffer.shift();
+
+    clients.forEach(client => {
+      if (client.ownerId === ownerId) client.res.write(format(entry));
+    });
+  };
+
+  // Buffered events after `lastEventId` for a user, or null when they cannot all be replayed
+  const missedEvents = (ownerId, lastEventId) => {
+    const [lastBoot, lastSequence] = String(lastEventId).split('-');
+    const after = parseInt(lastSequence, 10);
+    if (lastBoot !== boot || !Number.isInteger(after) || after > sequence) return null;
+    if (buffer.length > 0 && after < buffer[0].sequence - 1) return null;
+    return buffer.filter(entry => entry.sequence > after && entry.ownerId === ownerId);
+  };
+
+  const connect = (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stops nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+    // EventSource sends the header when it reconnects by itself; a new EventSource can only use the query
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+      const missed = missedEvents(req.user.id, lastEventId);
+      if (missed) {
+        missed.forEach(entry => res.write(format(entry)));
+      } else {
+        res.write(format({ id: `${boot}-${sequence}`, event: 'reset', data: {} }));
+      }
+    } else {
+      // Gives the client an id to resume from even if nothing happens before it disconnects
+      res.write(format({ id: `${boot}-${sequence}`, event: 'ready', data: {} }));
+    }
+
+    const client = { ownerId: req.user.id, res };
+    clients.add(client);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  };
+
+  return { publish, connect };
+};
+
+// Mounted at /api/events behind requireAuth
+const createEventsRouter = ({ eventStream }) => {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    eventStream.connect(req, res);
+  });
+
+  return router;
+};
+
+module.exports = { createEventStream, createEventsRouter };
@@ -0,0 +1,264 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { runFfmpeg } = require('../utils/ffmpeg');
+const { streamVideo } = require('../utils/streaming');
+
+const FORMATS = {
+  mp4: { extension: 'mp4', mimeType: 'video/mp4' },
+  gif: { extension: 'gif', mimeType: 'image/gif' }
+};
+
+const GIF_DEFAULT_LENGTH = 10; // seconds
+const GIF_MAX_LENGTH = 30;
+const GIF_DEFAULT_WIDTH = 480;
+const GIF_MAX_WIDTH = 1280;
+
+// Where a finished export is stored. Results from before storage drivers only have a local filepath.
+const exportLocation = (result) => result.key
+  ? { storage: result.storage, key: result.key }
+  : { storage: 'local', key: `exports/${path.basename(result.filepath)}` };
+
+const describeExport = (job) => ({
+  id: job.id,
+  recordingId: job.recordingId,
+  format: job.params.format,
+  status: job.status,
+  progress: job.progress,
+  error: job.error,
+  filesize: job.result ? job.result.filesize : null,
+  downloadPath: job.status === 'done' ? `/api/exports/${job.id}/download` : null,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt
+});
+
+const ffmpegArgs = (input, output, params) => {
+  if (params.format === 'mp4') {
+    return [
+      '-i', input,
+      '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+      // Odd dimensions are rejected by libx264
+      '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+      '-c:a', 'aac', '-b:a', '128k',
+      '-movflags', '+faststart',
+      output
+    ];
+  }
+
+  // Palette generation keeps GIF colours close to the source
+  return [
+    '-ss', String(params.start), '-t', String(params.length),
+    '-i', input,
+    '-filter_complex',
+    `fps=10,scale=${params.width}:-1:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse`,
+    '-loop', '0',
+    output
+  ];
+};
+
+const registerExportJobs = ({ db, storage, jobQueue }) => {
+  jobQueue.register('export', async (job, { setProgress }) => {
+    const recording = db.prepare('SELECT * FROM recordings WHERE id = ?').get(job.recordingId);
+    const driver = recording && storage.forRecording(recording);
+    if (!recording || !(await driver.stat(recording.filename))) {
+      throw new Error('Source recording no longer exists');
+    }
+
+    const { format } = job.params;
+    const base = path.parse(recording.filename).name;
+    const filename = `${job.id}-${base}.${FORMATS[format].extension}`;
+    const key = `exports/${filename}`;
+    const duration = format === 'gif' ? job.params.length : Number(recording.duration);
+
+    const source = await driver.localFile(recording.filename);
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'export-'));
+    const output = path.join(workDir, filename);
+
+    try {
+      await runFfmpeg(ffmpegArgs(source.path, output, job.params), {
+        duration,
+        onProgress: setProgress
+      });
+
+      const filesize = fs.statSync(output).size;
+      await storage.default.put(key, output, { contentType: FORMATS[format].mimeType, move: true });
+
+      return {
+        storage: storage.default.name,
+        key,
+        filename,
+        filesize,
+        mimeType: FORMATS[format].mimeType
+      };
+    } finally {
+      await source.release();
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  });
+};
+
+// Remove export jobs and their output files for a recording that is being deleted
+const deleteExportsForRecording = (db, storage, recordingId) => {
+  const jobs = db.prepare("SELECT * FROM jobs WHERE type = 'export' AND recordingId = ?").all(recordingId);
+
+  jobs.forEach(job => {
+    const result = job.result ? JSON.parse(job.result) : null;
+    if (result && (result.key || result.filepath)) {
+      const { storage: name, key } = exportLocation(result);
+      storage.discard(name, key);
+    }
+  });
+
+  db.prepare("DELETE FROM jobs WHERE type = 'export' AND recordingId = ?").run(recordingId);
+};
+
+// Mounted at /api/recordings/:id/exports behind requireAuth
+const createRecordingExportsRouter = ({ db, jobQueue }) => {
+  const router = express.Router({ mergeParams: true });
+
+  const getOwnRecording = (req) => db.prepare(
+    'SELECT * FROM recordings WHERE id = ? AND ownerId = ?'
+  ).get(req.params.id, req.user.id);
+
+  router.get('/', (req, res) => {
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      const jobs = db.prepare(
+        "SELECT * FROM jobs WHERE type = 'export' AND recordingId = ? ORDER BY id DESC"
+      ).all(recording.id);
+
+      res.json(jobs.map(job => describeExport(jobQueue.parseJob(job))));
+    } catch (err) {
+      console.error('Error fetching exports:', err);
+      res.status(500).json({ error: 'Failed to fetch exports' });
+    }
+  });
+
+  router.post('/', (req, res) => {
+    const { format } = req.body;
+
+    if (!FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+    }
+
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      if (recording.status === 'recording') {
+        return res.status(409).json({ error: 'Recording is still in progress' });
+      }
+
+      const params = { format };
+
+      if (format === 'gif') {
+        const start = req.body.start === undefined ? 0 : Number(req.body.start);
+        const length = req.body.length === undefined
+          ? Math.min(Number(recording.duration) || GIF_DEFAULT_LENGTH, GIF_DEFAULT_LENGTH)
+          : Number(req.body.length);
+        const width = req.body.width === undefined ? GIF_DEFAULT_WIDTH : Number(req.body.width);
+
+        if (!Number.isFinite(start) || start < 0) {
+          return res.status(400).json({ error: 'start must be a non-negative number of seconds' });
+        }
+        if (!Number.isFinite(length) || length <= 0 || length > GIF_MAX_LENGTH) {
+          return res.status(400).json({ error: `length must be between 0 and ${GIF_MAX_LENGTH} seconds` });
+        }
+        if (!Number.isInteger(width) || width < 16 || width > GIF_MAX_WIDTH) {
+          return res.status(400).json({ error: `width must be a whole number between 16 and ${GIF_MAX_WIDTH}` });
+        }
+
+        Object.assign(params, { start, length, width });
+      }
+
+      const job = jobQueue.enqueue('export', {
+        recordingId: recording.id,
+        ownerId: req.user.id,
+        params
+      });
+
+      res.status(202).json(describeExport(job));
+    } catch (err) {
+      console.error('Error requesting export:', err);
+      res.status(500).json({ error: 'Failed to request export' });
+    }
+  });
+
+  return router;
+};
+
+// Mounted at /api/exports behind requireAuth
+const createExportsRouter = ({ db, storage, jobQueue }) => {
+  const router = express.Router();
+
+  const getOwnExport = (req) => jobQueue.parseJob(db.prepare(
+    "SELECT * FROM jobs WHERE id = ? AND type = 'export' AND ownerId = ?"
+  ).get(req.params.jobId, req.user.id));
+
+  router.get('/:jobId', (req, res) => {
+    try {
+      const job = getOwnExport(req);
+
+      if (!job) {
+        return res.status(404).json({ error: 'Export not found' });
+      }
+
+      res.json(describeExport(job));
+    } catch (err) {
+      console.error('Error fetching export:', err);
+      res.status(500).json({ error: 'Failed to fetch export' });
+    }
+  });
+
+  router.get('/:jobId/download', async (req, res) => {
+    try {
+      const job = getOwnExport(req);
+
+      if (!job) {
+        return res.status(404).json({ error: 'Export not found' });
+      }
+
+      if (job.status !== 'done') {
+        return res.status(409).json({ error: 'Export is not finished yet', status: job.status });
+      }
+
+      const location = exportLocation(job.result);
+      const driver = storage.driver(location.storage);
+      const stat = await driver.stat(location.key);
+      if (!stat) {
+        return res.status(404).json({ error: 'Export file not found' });
+      }
+
+      res.attachment(job.result.filename);
+      await streamVideo(req, res, {
+        driver,
+        key: location.key,
+        size: stat.size,
+        contentType: job.result.mimeType
+      });
+    } catch (err) {
+      console.error('Error downloading export:', err);
+      res.status(500).json({ error: 'Failed to download export' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  describeExport,
+  exportLocation,
+  registerExportJobs,
+  deleteExportsForRecording,
+  createRecordingExportsRouter,
+  createExportsRouter
+};
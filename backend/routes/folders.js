@@ -0,0 +1,262 @@
+const express = require('express');
+const { ensureColumn } = require('../utils/schema');
+
+const MAX_NAME_LENGTH = 60;
+// Most recordings one request can move, delete or download
+const MAX_BULK_RECORDINGS = 500;
+
+// Folders belong to a user; a recording is in at most one of them (recordings.folderId)
+const ensureFolderTables = (db) => {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS folders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ownerId INTEGER NOT NULL REFERENCES users(id),
+      name TEXT NOT NULL COLLATE NOCASE,
+      position INTEGER NOT NULL DEFAULT 0,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (ownerId, name)
+    )
+  `).run();
+
+  ensureColumn(db, 'recordings', 'folderId', 'INTEGER REFERENCES folders(id)');
+};
+
+// Returns the cleaned folder or playlist name, or an error message
+const normalizeCollectionName = (value) => {
+  if (typeof value !== 'string') return { error: 'name must be a string' };
+
+  const name = value.trim().replace(/\s+/g, ' ');
+  if (!name) return { error: 'name cannot be empty' };
+  if (name.length > MAX_NAME_LENGTH) return { error: `name can be at most ${MAX_NAME_LENGTH} characters` };
+  return { name };
+};
+
+// Validates `ids` for a reorder request: every one of `existing`, each exactly once
+const normalizeOrder = (ids, existing) => {
+  if (!Array.isArray(ids)) return { error: 'ids must be an array' };
+
+  const order = ids.map(id => Number(id));
+  const known = new Set(existing);
+  if (order.length !== known.size || new Set(order).size !== order.length || order.some(id => !known.has(id))) {
+    return { error: 'ids must list every item exactly once' };
+  }
+  return { order };
+};
+
+// Validates a list of recording ids for moves and bulk changes
+const normalizeRecordingIds = (ids) => {
+  if (!Array.isArray(ids) || ids.length === 0) return { error: 'recordingIds must be a non-empty array' };
+
+  const recordingIds = [...new Set(ids.map(id => Number(id)))];
+  if (recordingIds.some(id => !Number.isInteger(id))) return { error: 'recordingIds must be recording ids' };
+  if (recordingIds.length > MAX_BULK_RECORDINGS) {
+    return { error: `At most ${MAX_BULK_RECORDINGS} recordings can be changed at once` };
+  }
+  return { recordingIds };
+};
+
+// Mounted at /api/folders behind requireAuth
+const createFoldersRouter = ({ db, recordingEvents }) => {
+  const router = express.Router();
+
+  const getOwnFolder = (req) => db.prepare('SELECT * FROM folders WHERE id = ? AND ownerId = ?')
+    .get(req.params.folderId, req.user.id);
+
+  const listFolders = (ownerId) => db.prepare(`
+    SELECT folders.id, folders.name, folders.position, folders.createdAt,
+      COUNT(recordings.id) AS recordingCount
+    FROM folders LEFT JOIN recordings ON recordings.folderId = folders.id AND recordings.status != 'draft'
+    WHERE folders.ownerId = ?
+    GROUP BY folders.id
+    ORDER BY folders.position, folders.id
+  `).all(ownerId);
+
+  // Move recordings of `ownerId` into a folder, or out of any folder with `folderId` null.
+  // Returns the recordings that were found.
+  const moveRecordings = (ownerId, recordingIds, folderId) => {
+    const recordings = db.prepare(`
+      SELECT * FROM recordings
+      WHERE ownerId = ? AND status != 'draft' AND id IN (${recordingIds.map(() => '?').join(', ')})
+    `).all(ownerId, ...recordingIds);
+
+    db.transaction(() => {
+      recordings.forEach(recording => {
+        db.prepare('UPDATE recordings SET folderId = ? WHERE id = ?').run(folderId, recording.id);
+      });
+    })();
+
+    recordings.forEach(recording => recordingEvents.emit('updated', { ...recording, folderId }));
+    return recordings;
+  };
+
+  // Every folder of the user with the number of recordings in it
+  router.get('/', (req, res) => {
+    try {
+      res.json(listFolders(req.user.id));
+    } catch (err) {
+      console.error('Error fetching folders:', err);
+      res.status(500).json({ error: 'Failed to fetch folders' });
+    }
+  });
+
+  router.post('/', (req, res) => {
+    const { name, error } = normalizeCollectionName(req.body.name);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const existing = db.prepare('SELECT * FROM folders WHERE ownerId = ? AND name = ?').get(req.user.id, name);
+      if (existing) {
+        return res.status(409).json({ error: 'A folder with that name already exists' });
+      }
+
+      // New folders go to the end of the sidebar
+      const { position } = db.prepare('SELECT COALESCE(MAX(position) + 1, 0) AS position FROM folders WHERE ownerId = ?')
+        .get(req.user.id);
+      const result = db.prepare('INSERT INTO folders (ownerId, name, position) VALUES (?, ?, ?)')
+        .run(req.user.id, name, position);
+
+      const folder = listFolders(req.user.id).find(item => item.id === result.lastInsertRowid);
+      res.status(201).json(folder);
+    } catch (err) {
+      console.error('Error creating folder:', err);
+      res.status(500).json({ error: 'Failed to create folder' });
+    }
+  });
+
+  // Sidebar order: { ids: [...] } with every folder id once
+  router.put('/order', (req, res) => {
+    try {
+      const folders = listFolders(req.user.id);
+      const { order, error } = normalizeOrder(req.body.ids, folders.map(folder => folder.id));
+
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      db.transaction(() => {
+        order.forEach((id, position) => {
+          db.prepare('UPDATE folders SET position = ? WHERE id = ?').run(position, id);
+        });
+      })();
+
+      res.json(listFolders(req.user.id));
+    } catch (err) {
+      console.error('Error reordering folders:', err);
+      res.status(500).json({ error: 'Failed to reorder folders' });
+    }
+  });
+
+  router.patch('/:folderId', (req, res) => {
+    const { name, error } = normalizeCollectionName(req.body.name);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const folder = getOwnFolder(req);
+
+      if (!folder) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+
+      const existing = db.prepare('SELECT * FROM folders WHERE ownerId = ? AND name = ? AND id != ?')
+        .get(req.user.id, name, folder.id);
+      if (existing) {
+        return res.status(409).json({ error: 'A folder with that name already exists' });
+      }
+
+      db.prepare('UPDATE folders SET name = ? WHERE id = ?').run(name, folder.id);
+      res.json(listFolders(req.user.id).find(item => item.id === folder.id));
+    } catch (err) {
+      console.error('Error renaming folder:', err);
+      res.status(500).json({ error: 'Failed to rename folder' });
+    }
+  });
+
+  // The recordings in it are kept and become unfiled
+  router.delete('/:folderId', (req, res) => {
+    try {
+      const folder = getOwnFolder(req);
+
+      if (!folder) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+
+      const recordings = db.prepare('SELECT * FROM recordings WHERE folderId = ?').all(folder.id);
+      db.transaction(() => {
+        db.prepare('UPDATE recordings SET folderId = NULL WHERE folderId = ?').run(folder.id);
+        db.prepare('DELETE FROM folders WHERE id = ?').run(folder.id);
+      })();
+      recordings.forEach(recording => recordingEvents.emit('updated', { ...recording, folderId: null }));
+
+      res.json({ message: 'Folder deleted successfully' });
+    } catch (err) {
+      console.error('Error deleting folder:', err);
+      res.status(500).json({ error: 'Failed to delete folder' });
+    }
+  });
+
+  // Move recordings into the folder: { recordingIds: [...] }
+  router.post('/:folderId/recordings', (req, res) => {
+    const { recordingIds, error } = normalizeRecordingIds(req.body.recordingIds);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const folder = getOwnFolder(req);
+
+      if (!folder) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+
+      const moved = moveRecordings(req.user.id, recordingIds, folder.id);
+      if (moved.length === 0) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      res.json({ folder: listFolders(req.user.id).find(item => item.id === folder.id), moved: moved.map(row => row.id) });
+    } catch (err) {
+      console.error('Error moving recordings:', err);
+      res.status(500).json({ error: 'Failed to move recordings' });
+    }
+  });
+
+  // Take a recording out of the folder; it becomes unfiled
+  router.delete('/:folderId/recordings/:recordingId', (req, res) => {
+    try {
+      const folder = getOwnFolder(req);
+
+      if (!folder) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+
+      const recording = db.prepare('SELECT * FROM recordings WHERE id = ? AND folderId = ?')
+        .get(req.params.recordingId, folder.id);
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found in this folder' });
+      }
+
+      moveRecordings(req.user.id, [recording.id], null);
+      res.json(listFolders(req.user.id).find(item => item.id === folder.id));
+    } catch (err) {
+      console.error('Error removing recording from folder:', err);
+      res.status(500).json({ error: 'Failed to remove recording from folder' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  ensureFolderTables,
+  normalizeCollectionName,
+  normalizeOrder,
+  normalizeRecordingIds,
+  createFoldersRouter
+};
@@ -0,0 +1,309 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { runFfmpeg, probeInput } = require('../utils/ffmpeg');
+const { ensureColumn } = require('../utils/schema');
+const { streamVideo, sendNotModified } = require('../utils/streaming');
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t'
+};
+
+// Playlist and segment paths inside a package, e.g. "master.m3u8" or "720p/seg_004.ts"
+const FILE_PATTERN = /^(master\.m3u8|[\w-]+\/(index\.m3u8|seg_\d+\.ts))$/;
+
+// Roughly 5 Mbit/s at 1080p, scaling with the pixel count
+const videoBitrate = (height) => Math.max(300, Math.round(height * height * 0.0043));
+
+// The ladder for a source: every configured height up to the source's own, and at least one
+// rendition so small recordings are packaged too. Heights are kept even for the H.264 encoder.
+const renditionsFor = (heights, sourceHeight) => {
+  const sorted = [...heights].sort((a, b) => b - a);
+  const fitting = sourceHeight ? sorted.filter(height => height <= sourceHeight) : sorted;
+  const chosen = fitting.length > 0
+    ? fitting
+    : [Math.max(2, Math.floor(Math.min(sorted[sorted.length - 1], sourceHeight || Infinity) / 2) * 2)];
+
+  return chosen.map(height => ({
+    name: `${height}p`,
+    height,
+    videoBitrate: videoBitrate(height),
+    audioBitrate: height >= 720 ? 128 : 96
+  }));
+};
+
+const packageArgs = (input, outDir, renditions, hasAudio, segmentSeconds) => {
+  const splits = renditions.map((r, i) => `[s${i}]`).join('');
+  const scales = renditions.map((r, i) => `[s${i}]scale=-2:${r.height}[v${i}]`);
+  const args = ['-i', input, '-filter_complex', [`[0:v]split=${renditions.length}${splits}`, ...scales].join(';')];
+
+  renditions.forEach((r, i) => {
+    args.push('-map', `[v${i}]`);
+    if (hasAudio) args.push('-map', '0:a:0');
+  });
+
+  // Keyframes on segment boundaries so every rendition can switch at any segment
+  args.push(
+    '-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p', '-sc_threshold', '0',
+    '-force_key_frames', `expr:gte(t,n_forced*${segmentSeconds})`
+  );
+  renditions.forEach((r, i) => {
+    args.push(
+      `-b:v:${i}`, `${r.videoBitrate}k`,
+      `-maxrate:v:${i}`, `${Math.round(r.videoBitrate * 1.1)}k`,
+      `-bufsize:v:${i}`, `${r.videoBitrate * 2}k`
+    );
+    if (hasAudio) args.push(`-b:a:${i}`, `${r.audioBitrate}k`);
+  });
+  if (hasAudio) args.push('-c:a', 'aac', '-ac', '2');
+
+  const streamMap = renditions.map((r, i) => (hasAudio ? `v:${i},a:${i},name:${r.name}` : `v:${i},name:${r.name}`));
+  args.push(
+    '-f', 'hls',
+    '-hls_time', String(segmentSeconds),
+    '-hls_playlist_type', 'vod',
+    '-hls_flags', 'independent_segments',
+    '-hls_segment_filename', path.join(outDir, '%v', 'seg_%03d.ts'),
+    '-master_pl_name', 'master.m3u8',
+    '-var_stream_map', streamMap.join(' '),
+    path.join(outDir, '%v', 'index.m3u8')
+  );
+  return args;
+};
+
+// Relative paths of every file under `dir`
+const listFiles = (dir, prefix = '') => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => (
+  entry.isDirectory()
+    ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+    : [`${prefix}${entry.name}`]
+));
+
+const parseHls = (recording) => (recording && recording.hls ? JSON.parse(recording.hls) : null);
+
+// Every file in a package, relative to its prefix. Only segment counts are stored so the
+// column stays small however long the recording is.
+const packageFiles = (hls) => ['master.m3u8', ...hls.renditions.flatMap(r => [
+  `${r.name}/index.m3u8`,
+  ...Array.from({ length: r.segments }, (_, i) => `${r.name}/seg_${String(i).padStart(3, '0')}.ts`)
+])];
+
+// Storage keys of a recording's package
+const hlsKeys = (recording) => {
+  const hls = parseHls(recording);
+  return hls ? packageFiles(hls).map(file => `${hls.prefix}/${file}`) : [];
+};
+
+// What recording listings show: the available rendition names, or null
+const hlsSummary = (recording) => {
+  const hls = parseHls(recording);
+  return hls ? hls.renditions.map(r => r.name) : null;
+};
+
+const discardKeys = (storage, driverName, keys) => keys.forEach(key => storage.discard(driverName, key));
+
+const ensureHlsColumns = (db) => {
+  // { prefix, renditions: [{ name, height, bandwidth, segments }], size }
+  ensureColumn(db, 'recordings', 'hls', 'TEXT');
+};
+
+const registerHlsJobs = ({ db, storage, jobQueue, config }) => {
+  ensureHlsColumns(db);
+
+  jobQueue.register('hls', async (job, { setProgress }) => {
+    const recording = db.prepare('SELECT * FROM recordings WHERE id = ?').get(job.recordingId);
+    const driver = recording && storage.forRecording(recording);
+    if (!recording || !(await driver.stat(recording.filename))) {
+      throw new Error('Recording no longer exists');
+    }
+
+    const duration = Number(recording.duration) > 0 ? Number(recording.duration) : null;
+    // A fresh prefix per run, so a repackaged recording never mixes old and new segments
+    const prefix = `hls/${path.parse(recording.filename).name}-${Date.now()}`;
+    const input = await driver.localFile(recording.filename);
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hls-'));
+    const uploaded = [];
+    let renditions;
+    let files;
+    let size = 0;
+
+    try {
+      const probe = await probeInput(input.path);
+      if (!probe.types.has('video')) {
+        throw new Error('Recording has no video stream');
+      }
+
+      renditions = renditionsFor(config.renditions, probe.height);
+      renditions.forEach(r => fs.mkdirSync(path.join(workDir, r.name)));
+      await runFfmpeg(packageArgs(input.path, workDir, renditions, probe.types.has('audio'), config.segmentSeconds), {
+        duration,
+        onProgress: (progress) => setProgress(progress * 0.9)
+      });
+
+      files = listFiles(workDir);
+      if (!files.includes('master.m3u8')) {
+        throw new Error('ffmpeg did not write a master playlist');
+      }
+
+      for (const file of files) {
+        const key = `${prefix}/${file}`;
+        size += fs.statSync(path.join(workDir, file)).size;
+        await driver.put(key, path.join(workDir, file), {
+          contentType: CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+          move: true
+        });
+        uploaded.push(key);
+      }
+    } catch (err) {
+      discardKeys(storage, driver.name, uploaded);
+      throw err;
+    } finally {
+      await input.release();
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    // The recording may have been deleted or edited while packaging ran
+    const current = db.prepare('SELECT * FROM recordings WHERE id = ?').get(recording.id);
+    if (!current || current.filename !== recording.filename) {
+      discardKeys(storage, driver.name, uploaded);
+      throw new Error('Recording changed while it was being packaged');
+    }
+
+    const hls = {
+      prefix,
+      renditions: renditions.map(r => ({
+        name: r.name,
+        height: r.height,
+        bandwidth: (r.videoBitrate + r.audioBitrate) * 1000,
+        segments: files.filter(file => file.startsWith(`${r.name}/seg_`)).length
+      })),
+      size
+    };
+    db.prepare('UPDATE recordings SET hls = ? WHERE id = ?').run(JSON.stringify(hls), recording.id);
+    discardKeys(storage, storage.forRecording(current).name, hlsKeys(current));
+
+    return { renditions: hls.renditions.map(r => r.name), size };
+  });
+};
+
+// Remove a recording's package, e.g. before deleting it or after its file was replaced
+const deleteHlsForRecording = (db, storage, recording) => {
+  discardKeys(storage, storage.forRecording(recording).name, hlsKeys(recording));
+  db.prepare('UPDATE recordings SET hls = NULL WHERE id = ?').run(recording.id);
+  db.prepare("DELETE FROM jobs WHERE type = 'hls' AND recordingId = ?").run(recording.id);
+};
+
+// Mounted at /api/recordings/:id/hls behind requireAuth
+const createHlsRouter = ({ db, storage, jobQueue }) => {
+  const router = express.Router({ mergeParams: true });
+
+  const getOwnRecording = (req) => db.prepare(
+    "SELECT * FROM recordings WHERE id = ? AND ownerId = ? AND status != 'draft'"
+  ).get(req.params.id, req.user.id);
+
+  const latestJob = (recordingId) => jobQueue.parseJob(db.prepare(
+    "SELECT * FROM jobs WHERE type = 'hls' AND recordingId = ? ORDER BY id DESC LIMIT 1"
+  ).get(recordingId));
+
+  // Packaging status; `ready` means the master playlist can be played
+  router.get('/', (req, res) => {
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      const hls = parseHls(recording);
+      const job = latestJob(recording.id);
+      res.json({
+        ready: Boolean(hls),
+        renditions: hls ? hls.renditions.map(({ name, height, bandwidth }) => ({ name, height, bandwidth })) : [],
+        size: hls ? hls.size : 0,
+        masterPlaylist: hls ? `/api/recordings/${recording.id}/hls/master.m3u8` : null,
+        job: job && {
+          id: job.id,
+          status: job.status,
+          progress: job.progress,
+          error: job.error
+        }
+      });
+    } catch (err) {
+      console.error('Error fetching HLS status:', err);
+      res.status(500).json({ error: 'Failed to fetch HLS status' });
+    }
+  });
+
+  // Package (or repackage) a recording on demand, e.g. one uploaded before HLS was enabled
+  router.post('/', (req, res) => {
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+      if (recording.status === 'recording') {
+        return res.status(409).json({ error: 'Recording is still in progress' });
+      }
+
+      const job = latestJob(recording.id);
+      if (job && ['queued', 'running'].includes(job.status)) {
+        return res.status(409).json({ error: 'Packaging is already in progress', jobId: job.id });
+      }
+
+      const queued = jobQueue.enqueue('hls', { recordingId: recording.id, ownerId: req.user.id });
+      res.status(202).json({ jobId: queued.id, status: queued.status });
+    } catch (err) {
+      console.error('Error queueing HLS packaging:', err);
+      res.status(500).json({ error: 'Failed to queue HLS packaging' });
+    }
+  });
+
+  // Playlists and segments; paths inside playlists are relative, so they resolve back here
+  router.get(['/:file', '/:rendition/:file'], async (req, res) => {
+    const file = req.params.rendition ? `${req.params.rendition}/${req.params.file}` : req.params.file;
+
+    if (!FILE_PATTERN.test(file)) {
+      return res.status(404).json({ error: 'HLS file not found' });
+    }
+
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      const hls = parseHls(recording);
+      if (!hls || !packageFiles(hls).includes(file)) {
+        return res.status(404).json({ error: 'HLS file not found' });
+      }
+
+      const driver = storage.forRecording(recording);
+      const key = `${hls.prefix}/${file}`;
+      const stat = await driver.stat(key);
+      if (!stat) {
+        return res.status(404).json({ error: 'HLS file not found' });
+      }
+
+      // The URL stays the same when a recording is repackaged, but the prefix does not
+      if (sendNotModified(req, res, `${key}:${stat.size}`)) return;
+      await streamVideo(req, res, { driver, key, size: stat.size, contentType: CONTENT_TYPES[path.extname(file)] });
+    } catch (err) {
+      console.error('Error streaming HLS file:', err);
+      res.status(500).json({ error: 'Failed to stream HLS file' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  ensureHlsColumns,
+  hlsKeys,
+  hlsSummary,
+  registerHlsJobs,
+  deleteHlsForRecording,
+  createHlsRouter
+};
@@ -0,0 +1,306 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { normalizeAudioSources, withAudioSources } = require('../utils/audioSources');
+const { titleForNewRecording } = require('../utils/recordingDetails');
+const { resolveVideoFormat, contentTypeFor } = require('../utils/videoFormats');
+const { probeMedia, mediaDetails } = require('../utils/mediaProbe');
+
+const MAX_SEGMENT_SIZE = 50 * 1024 * 1024; // 50MB per MediaRecorder timeslice
+const ABANDON_AFTER = parseInt(process.env.LIVE_ABANDON_AFTER_MS, 10) || 2 * 60 * 1000; // 2 minutes without a segment
+const SWEEP_INTERVAL = 30 * 1000;
+
+// Crash-safe recording: the browser sends each MediaRecorder segment as it is produced.
+//   POST /api/recordings/live                    -> create an in-progress recording row (optional audioSources, title, mimeType)
+//   PUT  /api/recordings/live/:id/segments/:seq  -> append segment `seq` (raw body)
+//   POST /api/recordings/live/:id/keepalive      -> keep the session open while paused
+//   POST /api/recordings/live/:id/finish         -> mark the recording complete
+// Sessions that stop receiving segments are kept as `partial` recordings instead of being dropped.
+// Segments are appended to a working file in the uploads directory, which moves to storage once the session closes.
+const createLiveRecordingsRouter = ({ db, uploadsDir, storage, requireQuota, recordingEvents }) => {
+  const router = express.Router();
+
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS live_sessions (
+      recordingId INTEGER PRIMARY KEY,
+      nextSegment INTEGER NOT NULL DEFAULT 0,
+      lastSegmentAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `).run();
+
+  const getRecording = (id) => withAudioSources(db.prepare('SELECT * FROM recordings WHERE id = ?').get(id));
+  const getOwnRecording = (id, ownerId) => db.prepare(
+    'SELECT * FROM recordings WHERE id = ? AND ownerId = ?'
+  ).get(id, ownerId);
+  const getSession = (id) => db.prepare('SELECT * FROM live_sessions WHERE recordingId = ?').get(id);
+
+  const parseDuration = (value) => {
+    const duration = parseInt(value, 10);
+    return Number.isInteger(duration) && duration >= 0 ? duration : null;
+  };
+
+  const workingPath = (row) => path.join(uploadsDir, row.filename);
+
+  // Recordings whose session is being closed, with the live_sessions row each one had. Claiming
+  // one also drops that row in the same synchronous step, so segments are refused from then on
+  // and a second finish or sweep is turned away while the first probes and moves the working file.
+  const closing = new Map();
+
+  const claimSession = (recordingId) => {
+    if (closing.has(recordingId)) return false;
+    closing.set(recordingId, getSession(recordingId));
+    db.prepare('DELETE FROM live_sessions WHERE recordingId = ?').run(recordingId);
+    return true;
+  };
+
+  const storeSession = async (recordingId, status, duration) => {
+    const row = getRecording(recordingId);
+    const working = workingPath(row);
+    // A partial recording finished late has already been moved to storage
+    const hasWorkingFile = fs.existsSync(working);
+    const filesize = hasWorkingFile ? fs.statSync(working).size : row.filesize;
+
+    // The file's own duration wins over the client's. A file that does not probe is still kept,
+    // since a partial recording is better than none.
+    let media = null;
+    if (hasWorkingFile) {
+      const probe = await probeMedia(working).catch(err => ({ error: err.message }));
+      if (probe.error) {
+        console.error(`Could not probe live recording ${recordingId}: ${probe.error}`);
+      } else {
+        media = mediaDetails(probe);
+      }
+    }
+
+    // The row only changes once the file is stored, so a failed move leaves it 'recording'
+    if (hasWorkingFile) {
+      await storage.default.put(row.filename, working, { contentType: contentTypeFor(row), move: true });
+    }
+
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE recordings SET status = ?, filesize = ?, duration = COALESCE(?, duration) WHERE id = ?
+      `).run(status, filesize, media ? media.duration : duration, recordingId);
+      if (media) {
+        db.prepare(`
+          UPDATE recordings SET width = ?, height = ?, frameRate = ?, videoCodec = ?, audioCodec = ? WHERE id = ?
+        `).run(media.width, media.height, media.frameRate, media.videoCodec, media.audioCodec, recordingId);
+      }
+      if (hasWorkingFile) {
+        db.prepare('UPDATE recordings SET storage = ? WHERE id = ?').run(storage.default.name, recordingId);
+      }
+    })();
+
+    const recording = getRecording(recordingId);
+    // A partial recording finished late was already announced when it was recovered
+    if (row.status === 'recording') {
+      recordingEvents.emit('created', recording);
+    }
+    return recording;
+  };
+
+  // Call with the session claimed; it is released once the recording is stored. If storing fails
+  // the session row is put back, so the recording can still be finished or recovered by the sweep.
+  const closeSession = async (recordingId, status, duration) => {
+    try {
+      return await storeSession(recordingId, status, duration);
+    } catch (err) {
+      const session = closing.get(recordingId);
+      if (session) {
+        db.prepare(`
+          INSERT OR IGNORE INTO live_sessions (recordingId, nextSegment, lastSegmentAt) VALUES (?, ?, ?)
+        `).run(session.recordingId, session.nextSegment, session.lastSegmentAt);
+      }
+      throw err;
+    } finally {
+      closing.delete(recordingId);
+    }
+  };
+
+  // Over quota, new recordings cannot start; ones already running may finish
+  router.post('/', requireQuota(), (req, res) => {
+    const format = resolveVideoFormat(req.body.mimeType);
+    if (format.error) {
+      return res.status(415).json({ error: format.error });
+    }
+
+    try {
+      const filename = `${uuidv4()}-${Date.now()}${format.extension}`;
+      fs.writeFileSync(path.join(uploadsDir, filename), Buffer.alloc(0));
+
+      const recordingId = db.transaction(() => {
+        const result = db.prepare(`
+          INSERT INTO recordings (ownerId, filename, filepath, filesize, duration, status, audioSources, title, mimeType)
+          VALUES (?, ?, ?, 0, 0, 'recording', ?, ?, ?)
+        `).run(
+          req.user.id, filename, filename,
+          normalizeAudioSources(req.body.audioSources), titleForNewRecording(req.body.title), format.mimeType
+        );
+        db.prepare('INSERT INTO live_sessions (recordingId) VALUES (?)').run(result.lastInsertRowid);
+        return result.lastInsertRowid;
+      })();
+
+      res.status(201).json({
+        message: 'Live recording started',
+        recording: getRecording(recordingId),
+        nextSegment: 0
+      });
+    } catch (err) {
+      console.error('Error starting live recording:', err);
+      res.status(500).json({ error: 'Failed to start live recording' });
+    }
+  });
+
+  router.put(
+    '/:id/segments/:seq',
+    express.raw({ type: () => true, limit: MAX_SEGMENT_SIZE }),
+    (req, res) => {
+      const { id } = req.params;
+      const seq = parseInt(req.params.seq, 10);
+
+      try {
+        const row = getOwnRecording(id, req.user.id);
+
+        if (!row) {
+          return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        const session = getSession(id);
+        if (!session) {
+          return res.status(409).json({ error: 'Recording is no longer accepting segments', status: row.status });
+        }
+
+        if (!Number.isInteger(seq) || seq < 0) {
+          return res.status(400).json({ error: 'Invalid segment number' });
+        }
+
+        // A retried segment that already made it is acknowledged without appending it twice
+        if (seq < session.nextSegment) {
+          return res.json({ nextSegment: session.nextSegment, duplicate: true });
+        }
+
+        if (seq > session.nextSegment) {
+          return res.status(409).json({ error: `Expected segment ${session.nextSegment}`, nextSegment: session.nextSegment });
+        }
+
+        const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        fs.appendFileSync(workingPath(row), body);
+
+        const duration = parseDuration(req.get('X-Recording-Duration'));
+        db.transaction(() => {
+          db.prepare(`
+            UPDATE live_sessions SET nextSegment = nextSegment + 1, lastSegmentAt = CURRENT_TIMESTAMP
+            WHERE recordingId = ?
+          `).run(id);
+          db.prepare(`
+            UPDATE recordings SET filesize = filesize + ?, duration = COALESCE(?, duration) WHERE id = ?
+          `).run(body.length, duration, id);
+        })();
+
+        res.json({ nextSegment: session.nextSegment + 1 });
+      } catch (err) {
+        console.error('Error appending recording segment:', err);
+        res.status(500).json({ error: 'Failed to store segment' });
+      }
+    }
+  );
+
+  // A paused recorder sends no segments, so it checks in instead to not be taken for abandoned
+  router.post('/:id/keepalive', (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const row = getOwnRecording(id, req.user.id);
+
+      if (!row) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      const session = getSession(id);
+      if (!session) {
+        return res.status(409).json({ error: 'Recording is no longer accepting segments', status: row.status });
+      }
+
+      db.prepare('UPDATE live_sessions SET lastSegmentAt = CURRENT_TIMESTAMP WHERE recordingId = ?').run(id);
+      res.json({ nextSegment: session.nextSegment });
+    } catch (err) {
+      console.error('Error keeping live recording open:', err);
+      res.status(500).json({ error: 'Failed to keep recording open' });
+    }
+  });
+
+  router.post('/:id/finish', async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const row = getOwnRecording(id, req.user.id);
+
+      if (!row) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      // Partial recordings can still be finished if the browser comes back late
+      if (row.status !== 'recording' && row.status !== 'partial') {
+        return res.status(409).json({ error: 'Recording is already complete' });
+      }
+
+      // Gains may have changed while recording
+      const audioSources = normalizeAudioSources(req.body.audioSources);
+      if (audioSources) {
+        db.prepare('UPDATE recordings SET audioSources = ? WHERE id = ?').run(audioSources, row.id);
+      }
+
+      const title = titleForNewRecording(req.body.title);
+      if (title && !row.title) {
+        db.prepare('UPDATE recordings SET title = ? WHERE id = ?').run(title, row.id);
+      }
+
+      if (!claimSession(row.id)) {
+        return res.status(409).json({ error: 'Recording is already being finished' });
+      }
+      const recording = await closeSession(row.id, 'complete', parseDuration(req.body.duration));
+
+      res.json({
+        message: 'Recording saved successfully',
+        recording
+      });
+    } catch (err) {
+      console.error('Error finishing live recording:', err);
+      res.status(500).json({ error: 'Failed to finish recording' });
+    }
+  });
+
+  // Keep abandoned sessions (closed tab, crashed browser) as partial recordings
+  const recoverAbandoned = async (olderThan) => {
+    try {
+      const cutoff = new Date(Date.now() - olderThan).toISOString().replace('T', ' ').slice(0, 19);
+      const stale = db.prepare('SELECT recordingId FROM live_sessions WHERE lastSegmentAt < ?').all(cutoff);
+
+      for (const { recordingId } of stale) {
+        if (!getRecording(recordingId)) {
+          db.prepare('DELETE FROM live_sessions WHERE recordingId = ?').run(recordingId);
+          continue;
+        }
+        // Finished by the browser in the meantime
+        if (!claimSession(recordingId)) continue;
+        // One that fails keeps its session for the next sweep and does not hold up the rest
+        try {
+          await closeSession(recordingId, 'partial', null);
+          console.log(`Recovered abandoned live recording ${recordingId} as partial`);
+        } catch (err) {
+          console.error(`Error recovering live recording ${recordingId}:`, err);
+        }
+      }
+    } catch (err) {
+      console.error('Error recovering abandoned recordings:', err);
+    }
+  };
+
+  const sweep = setInterval(() => recoverAbandoned(ABANDON_AFTER), SWEEP_INTERVAL);
+  sweep.unref();
+
+  return router;
+};
+
+module.exports = createLiveRecordingsRouter;
@@ -0,0 +1,333 @@
+const express = require('express');
+const { previewKey } = require('./thumbnails');
+const { exportLocation } = require('./exports');
+const { hlsKeys } = require('./hls');
+const { deleteStaleDrafts } = require('./edits');
+
+const ORPHAN_GRACE = 60 * 60 * 1000; // Newer files and rows may belong to an upload that is still being saved
+const REPORT_LIMIT = 200; // Entries listed per report section; counts always cover everything
+const KEEP_RUNS = 30;
+
+const ensureMaintenanceTables = (db) => {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS maintenance_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trigger TEXT NOT NULL,
+      report TEXT NOT NULL,
+      startedAt DATETIME NOT NULL,
+      finishedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `).run();
+};
+
+// SQLite's CURRENT_TIMESTAMP format, so dates compare with createdAt as plain strings
+const toSqlDate = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+const exportBytesSql = `
+  SELECT COALESCE(SUM(json_extract(result, '$.filesize')), 0) AS bytes
+  FROM jobs WHERE type = 'export' AND status = 'done'
+`;
+
+const hlsBytesSql = "SELECT COALESCE(SUM(json_extract(hls, '$.size')), 0) AS bytes FROM recordings";
+
+// Bytes counted against the quota: every recording (drafts included), HLS packages and finished exports
+const usedBytes = (db) => {
+  const recordings = db.prepare('SELECT COALESCE(SUM(filesize), 0) AS bytes FROM recordings').get();
+  return recordings.bytes + db.prepare(hlsBytesSql).get().bytes + db.prepare(exportBytesSql).get().bytes;
+};
+
+const storageUsage = (db, quotaBytes) => {
+  const recordings = db.prepare('SELECT COUNT(*) AS count, COALESCE(SUM(filesize), 0) AS bytes FROM recordings').get();
+  const hlsBytes = db.prepare(hlsBytesSql).get().bytes;
+  const exportBytes = db.prepare(exportBytesSql).get().bytes;
+  const totalBytes = recordings.bytes + hlsBytes + exportBytes;
+
+  return {
+    recordings: recordings.count,
+    recordingBytes: recordings.bytes,
+    hlsBytes,
+    exportBytes,
+    totalBytes,
+    quotaBytes: quotaBytes || null,
+    quotaUsed: quotaBytes ? totalBytes / quotaBytes : null,
+    byStorage: db.prepare(`
+      SELECT storage, COUNT(*) AS recordings, COALESCE(SUM(filesize), 0) AS bytes
+      FROM recordings GROUP BY storage ORDER BY bytes DESC
+    `).all(),
+    topUsers: db.prepare(`
+      SELECT users.id, users.email, COUNT(recordings.id) AS recordings, COALESCE(SUM(recordings.filesize), 0) AS bytes
+      FROM users JOIN recordings ON recordings.ownerId = users.id
+      GROUP BY users.id ORDER BY bytes DESC LIMIT 10
+    `).all()
+  };
+};
+
+// Middleware factory rejecting uploads once the quota is used up. `sizeOf(req)` is the
+// number of bytes the request is about to add, when it is known up front.
+const createQuotaGuard = ({ db, quotaBytes }) => (sizeOf = () => 0) => (req, res, next) => {
+  if (!quotaBytes) return next();
+
+  try {
+    const used = usedBytes(db);
+    const incoming = Number(sizeOf(req)) || 0;
+
+    if (used + incoming > quotaBytes || used >= quotaBytes) {
+      return res.status(507).json({ error: 'Storage quota exceeded', usedBytes: used, quotaBytes });
+    }
+    next();
+  } catch (err) {
+    console.error('Error checking storage quota:', err);
+    res.status(500).json({ error: 'Failed to check storage quota' });
+  }
+};
+
+// Recordings that fall outside the retention policy
+const expiredRecordings = (db, { retentionDays, keepLast }) => {
+  const expired = new Map();
+  // Recordings still being captured or edited are never expired
+  const settled = "status IN ('complete', 'partial')";
+
+  if (retentionDays) {
+    const cutoff = toSqlDate(new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000));
+    db.prepare(`SELECT * FROM recordings WHERE ${settled} AND createdAt < ?`).all(cutoff)
+      .forEach(row => expired.set(row.id, { row, reason: `older than ${retentionDays} days` }));
+  }
+
+  if (keepLast) {
+    db.prepare(`
+      SELECT * FROM (
+        SELECT recordings.*, ROW_NUMBER() OVER (
+          PARTITION BY ownerId ORDER BY createdAt DESC, id DESC
+        ) AS position
+        FROM recordings WHERE ${settled}
+      ) WHERE position > ?
+    `).all(keepLast).forEach(({ position, ...row }) => {
+      if (!expired.has(row.id)) expired.set(row.id, { row, reason: `beyond the newest ${keepLast}` });
+    });
+  }
+
+  return [...expired.values()];
+};
+
+// Every storage key the database knows about, per driver
+const referencedKeys = (db) => {
+  const keys = {};
+  const add = (storage, key) => {
+    if (!keys[storage]) keys[storage] = new Set();
+    keys[storage].add(key);
+  };
+
+  db.prepare('SELECT storage, filename, thumbnailPath, spritePath, hls FROM recordings').all().forEach(row => {
+    add(row.storage, row.filename);
+    if (row.thumbnailPath) add(row.storage, previewKey(row.thumbnailPath));
+    if (row.spritePath) add(row.storage, previewKey(row.spritePath));
+    hlsKeys(row).forEach(key => add(row.storage, key));
+  });
+
+  db.prepare("SELECT result FROM jobs WHERE type = 'export' AND result IS NOT NULL").all().forEach(job => {
+    const result = JSON.parse(job.result);
+    if (result.key || result.filepath) {
+      const { storage, key } = exportLocation(result);
+      add(storage, key);
+    }
+  });
+
+  return keys;
+};
+
+const limited = (list) => list.slice(0, REPORT_LIMIT);
+
+/**
+ * One maintenance pass: apply the retention policy, then reconcile storage with the database
+ * in both directions. With `fix`, orphaned files are deleted and recordings whose file is gone
+ * are removed; otherwise both are only reported.
+ */
+const runMaintenance = async ({ db, storage, removeRecording, config, fix, trigger }) => {
+  const startedAt = new Date();
+  const settledBefore = new Date(startedAt.getTime() - ORPHAN_GRACE);
+  const report = {
+    trigger,
+    fix,
+    startedAt: startedAt.toISOString(),
+    retention: { deleted: 0, recordings: [] },
+    drafts: { deleted: 0, bytes: 0 },
+    orphanFiles: { count: 0, bytes: 0, removed: 0, files: [] },
+    missingFiles: { count: 0, removed: 0, recordings: [] },
+    errors: []
+  };
+
+  for (const { row, reason } of expiredRecordings(db, config)) {
+    try {
+      removeRecording(row);
+      report.retention.deleted += 1;
+      report.retention.recordings.push({ id: row.id, ownerId: row.ownerId, title: row.title, createdAt: row.createdAt, reason });
+    } catch (err) {
+      report.errors.push(`Retention: recording ${row.id}: ${err.message}`);
+    }
+  }
+  report.retention.recordings = limited(report.retention.recordings);
+
+  // Edited versions left unconfirmed still count against the quota
+  try {
+    const cutoff = toSqlDate(new Date(startedAt.getTime() - config.draftHours * 60 * 60 * 1000));
+    deleteStaleDrafts(db, storage, cutoff).forEach(draft => {
+      report.drafts.deleted += 1;
+      report.drafts.bytes += draft.filesize || 0;
+    });
+  } catch (err) {
+    report.errors.push(`Drafts: ${err.message}`);
+  }
+
+  // Files without a row: list each driver in use, then compare with what the database references
+  const driverNames = new Set([
+    storage.default.name,
+    ...db.prepare('SELECT DISTINCT storage FROM recordings').all().map(row => row.storage)
+  ]);
+  const references = referencedKeys(db);
+  const listed = {};
+
+  for (const name of driverNames) {
+    try {
+      const driver = storage.driver(name);
+      listed[name] = new Set();
+      for await (const file of driver.list()) {
+        listed[name].add(file.key);
+        if (file.modifiedAt > settledBefore) continue;
+        if (references[name] && references[name].has(file.key)) continue;
+
+        report.orphanFiles.count += 1;
+        report.orphanFiles.bytes += file.size;
+        report.orphanFiles.files.push({ storage: name, key: file.key, size: file.size });
+        if (fix) {
+          await driver.delete(file.key);
+          report.orphanFiles.removed += 1;
+        }
+      }
+    } catch (err) {
+      delete listed[name];
+      report.errors.push(`Listing ${name} storage: ${err.message}`);
+    }
+  }
+  report.orphanFiles.files = limited(report.orphanFiles.files);
+
+  // Rows without a file; live recordings keep their file in the uploads directory until they finish
+  const rows = db.prepare("SELECT * FROM recordings WHERE status != 'recording' AND createdAt < ?")
+    .all(toSqlDate(settledBefore));
+
+  for (const row of rows) {
+    const name = row.storage || 'local';
+    if (!listed[name] || listed[name].has(row.filename)) continue;
+
+    try {
+      // The file may have moved since the listing (e.g. a migration), so check it directly
+      if (await storage.driver(name).stat(row.filename)) continue;
+
+      report.missingFiles.count += 1;
+      report.missingFiles.recordings.push({ id: row.id, ownerId: row.ownerId, storage: name, filename: row.filename });
+      if (fix) {
+        removeRecording(row);
+        report.missingFiles.removed += 1;
+      }
+    } catch (err) {
+      report.errors.push(`Checking recording ${row.id}: ${err.message}`);
+    }
+  }
+  report.missingFiles.recordings = limited(report.missingFiles.recordings);
+
+  report.finishedAt = new Date().toISOString();
+  report.usage = storageUsage(db, config.quotaBytes);
+
+  db.prepare('INSERT INTO maintenance_runs (trigger, report, startedAt) VALUES (?, ?, ?)')
+    .run(trigger, JSON.stringify(report), toSqlDate(startedAt));
+  db.prepare(`
+    DELETE FROM maintenance_runs WHERE id NOT IN (SELECT id FROM maintenance_runs ORDER BY id DESC LIMIT ?)
+  `).run(KEEP_RUNS);
+
+  return report;
+};
+
+// Runs maintenance on a schedule and on demand, never two passes at once
+const createMaintenance = ({ db, storage, removeRecording, config }) => {
+  ensureMaintenanceTables(db);
+  let running = null;
+
+  const run = ({ fix = config.fixOrphans, trigger = 'manual' } = {}) => {
+    if (running) return null;
+
+    running = runMaintenance({ db, storage, removeRecording, config, fix, trigger })
+      .finally(() => {
+        running = null;
+      });
+    return running;
+  };
+
+  const scheduled = () => {
+    const pass = run({ trigger: 'schedule' });
+    if (pass) {
+      pass.catch(err => console.error('Error running maintenance:', err));
+    }
+  };
+
+  const start = () => {
+    // First pass shortly after startup, then every intervalHours
+    setTimeout(scheduled, 60 * 1000).unref();
+    setInterval(scheduled, config.intervalHours * 60 * 60 * 1000).unref();
+  };
+
+  const lastRun = () => {
+    const row = db.prepare('SELECT * FROM maintenance_runs ORDER BY id DESC LIMIT 1').get();
+    return row ? { ...JSON.parse(row.report), id: row.id } : null;
+  };
+
+  return { run, start, lastRun, isRunning: () => Boolean(running) };
+};
+
+// Mounted at /api/admin behind requireAdmin
+const createAdminRouter = ({ db, maintenance, config }) => {
+  const router = express.Router();
+
+  router.get('/storage', (req, res) => {
+    try {
+      res.json({
+        usage: storageUsage(db, config.quotaBytes),
+        policy: {
+          retentionDays: config.retentionDays,
+          keepLast: config.keepLast,
+          quotaBytes: config.quotaBytes,
+          intervalHours: config.intervalHours,
+          fixOrphans: config.fixOrphans
+        },
+        running: maintenance.isRunning(),
+        lastRun: maintenance.lastRun()
+      });
+    } catch (err) {
+      console.error('Error fetching storage usage:', err);
+      res.status(500).json({ error: 'Failed to fetch storage usage' });
+    }
+  });
+
+  // Run a pass now; { fix: true } deletes orphans even when RECONCILE_FIX is off
+  router.post('/maintenance', async (req, res) => {
+    try {
+      const fix = req.body.fix === undefined ? undefined : req.body.fix === true;
+      const pass = maintenance.run({ fix, trigger: `manual by ${req.user.email}` });
+
+      if (!pass) {
+        return res.status(409).json({ error: 'Maintenance is already running' });
+      }
+
+      res.json(await pass);
+    } catch (err) {
+      console.error('Error running maintenance:', err);
+      res.status(500).json({ error: 'Failed to run maintenance' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createQuotaGuard,
+  createMaintenance,
+  createAdminRouter
+};
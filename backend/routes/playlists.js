@@ -0,0 +1,335 @@
+const express = require('express');
+const { normalizeCollectionName, normalizeOrder } = require('./folders');
+
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_ITEMS_PER_PLAYLIST = 500;
+
+// Playlists belong to a user. Items are ordered by position and may repeat a recording.
+const ensurePlaylistTables = (db) => {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS playlists (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ownerId INTEGER NOT NULL REFERENCES users(id),
+      name TEXT NOT NULL,
+      description TEXT,
+      position INTEGER NOT NULL DEFAULT 0,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `).run();
+
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS playlist_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      playlistId INTEGER NOT NULL REFERENCES playlists(id),
+      recordingId INTEGER NOT NULL REFERENCES recordings(id),
+      position INTEGER NOT NULL,
+      addedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `).run();
+  db.prepare('CREATE INDEX IF NOT EXISTS playlist_items_playlist ON playlist_items (playlistId, position)').run();
+  db.prepare('CREATE INDEX IF NOT EXISTS playlist_items_recording ON playlist_items (recordingId)').run();
+};
+
+// Numbers a playlist's items 0..n-1 in their current order, closing gaps left by removals
+const renumberPlaylist = (db, playlistId) => {
+  const items = db.prepare('SELECT id FROM playlist_items WHERE playlistId = ? ORDER BY position, id').all(playlistId);
+  items.forEach((item, position) => {
+    db.prepare('UPDATE playlist_items SET position = ? WHERE id = ?').run(position, item.id);
+  });
+};
+
+// Takes a recording out of every playlist it appears in
+const deletePlaylistItemsForRecording = (db, recordingId) => {
+  const playlists = db.prepare('SELECT DISTINCT playlistId FROM playlist_items WHERE recordingId = ?').all(recordingId);
+  db.transaction(() => {
+    db.prepare('DELETE FROM playlist_items WHERE recordingId = ?').run(recordingId);
+    playlists.forEach(({ playlistId }) => renumberPlaylist(db, playlistId));
+  })();
+};
+
+const normalizeDescription = (value) => {
+  if (value === undefined) return { skip: true };
+  if (value === null || value === '') return { value: null };
+  if (typeof value !== 'string') return { error: 'description must be a string' };
+  if (value.length > MAX_DESCRIPTION_LENGTH) {
+    return { error: `description can be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+  return { value: value.trim() || null };
+};
+
+// Mounted at /api/playlists behind requireAuth. `describeRecordings(rows)` gives the API shape
+// of the recordings in a playlist.
+const createPlaylistsRouter = ({ db, describeRecordings }) => {
+  const router = express.Router();
+
+  const getOwnPlaylist = (req) => db.prepare('SELECT * FROM playlists WHERE id = ? AND ownerId = ?')
+    .get(req.params.playlistId, req.user.id);
+
+  const listPlaylists = (ownerId) => db.prepare(`
+    SELECT playlists.id, playlists.name, playlists.description, playlists.position, playlists.createdAt,
+      COUNT(playlist_items.id) AS itemCount,
+      COALESCE(SUM(recordings.duration), 0) AS totalDuration
+    FROM playlists
+    LEFT JOIN playlist_items ON playlist_items.playlistId = playlists.id
+    LEFT JOIN recordings ON recordings.id = playlist_items.recordingId
+    WHERE playlists.ownerId = ?
+    GROUP BY playlists.id
+    ORDER BY playlists.position, playlists.id
+  `).all(ownerId);
+
+  // A playlist with its items in order, each with the recording it plays
+  const describePlaylist = (playlist) => {
+    const items = db.prepare(`
+      SELECT id, recordingId, position, addedAt FROM playlist_items WHERE playlistId = ? ORDER BY position, id
+    `).all(playlist.id);
+
+    const ids = [...new Set(items.map(item => item.recordingId))];
+    const rows = ids.length === 0 ? [] : db.prepare(`
+      SELECT * FROM recordings WHERE id IN (${ids.map(() => '?').join(', ')})
+    `).all(...ids);
+    const recordings = {};
+    describeRecordings(rows).forEach(recording => { recordings[recording.id] = recording; });
+
+    const summary = listPlaylists(playlist.ownerId).find(item => item.id === playlist.id);
+    return {
+      ...summary,
+      items: items.map(item => ({
+        id: item.id,
+        position: item.position,
+        addedAt: item.addedAt,
+        recording: recordings[item.recordingId]
+      }))
+    };
+  };
+
+  router.get('/', (req, res) => {
+    try {
+      res.json(listPlaylists(req.user.id));
+    } catch (err) {
+      console.error('Error fetching playlists:', err);
+      res.status(500).json({ error: 'Failed to fetch playlists' });
+    }
+  });
+
+  router.post('/', (req, res) => {
+    const { name, error } = normalizeCollectionName(req.body.name);
+    const description = normalizeDescription(req.body.description);
+
+    if (error || description.error) {
+      return res.status(400).json({ error: error || description.error });
+    }
+
+    try {
+      const { position } = db.prepare('SELECT COALESCE(MAX(position) + 1, 0) AS position FROM playlists WHERE ownerId = ?')
+        .get(req.user.id);
+      const result = db.prepare('INSERT INTO playlists (ownerId, name, description, position) VALUES (?, ?, ?, ?)')
+        .run(req.user.id, name, description.skip ? null : description.value, position);
+
+      const playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(result.lastInsertRowid);
+      res.status(201).json(describePlaylist(playlist));
+    } catch (err) {
+      console.error('Error creating playlist:', err);
+      res.status(500).json({ error: 'Failed to create playlist' });
+    }
+  });
+
+  // Sidebar order: { ids: [...] } with every playlist id once
+  router.put('/order', (req, res) => {
+    try {
+      const playlists = listPlaylists(req.user.id);
+      const { order, error } = normalizeOrder(req.body.ids, playlists.map(playlist => playlist.id));
+
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      db.transaction(() => {
+        order.forEach((id, position) => {
+          db.prepare('UPDATE playlists SET position = ? WHERE id = ?').run(position, id);
+        });
+      })();
+
+      res.json(listPlaylists(req.user.id));
+    } catch (err) {
+      console.error('Error reordering playlists:', err);
+      res.status(500).json({ error: 'Failed to reorder playlists' });
+    }
+  });
+
+  router.get('/:playlistId', (req, res) => {
+    try {
+      const playlist = getOwnPlaylist(req);
+
+      if (!playlist) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+
+      res.json(describePlaylist(playlist));
+    } catch (err) {
+      console.error('Error fetching playlist:', err);
+      res.status(500).json({ error: 'Failed to fetch playlist' });
+    }
+  });
+
+  // Rename and/or change the description
+  router.patch('/:playlistId', (req, res) => {
+    const name = req.body.name === undefined ? { skip: true } : normalizeCollectionName(req.body.name);
+    const description = normalizeDescription(req.body.description);
+
+    if (name.error || description.error) {
+      return res.status(400).json({ error: name.error || description.error });
+    }
+    if (name.skip && description.skip) {
+      return res.status(400).json({ error: 'Nothing to update: send name or description' });
+    }
+
+    try {
+      const playlist = getOwnPlaylist(req);
+
+      if (!playlist) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+
+      db.prepare('UPDATE playlists SET name = ?, description = ? WHERE id = ?').run(
+        name.skip ? playlist.name : name.name,
+        description.skip ? playlist.description : description.value,
+        playlist.id
+      );
+
+      res.json(describePlaylist(playlist));
+    } catch (err) {
+      console.error('Error updating playlist:', err);
+      res.status(500).json({ error: 'Failed to update playlist' });
+    }
+  });
+
+  // The recordings in it are kept
+  router.delete('/:playlistId', (req, res) => {
+    try {
+      const playlist = getOwnPlaylist(req);
+
+      if (!playlist) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+
+      db.transaction(() => {
+        db.prepare('DELETE FROM playlist_items WHERE playlistId = ?').run(playlist.id);
+        db.prepare('DELETE FROM playlists WHERE id = ?').run(playlist.id);
+      })();
+
+      res.json({ message: 'Playlist deleted successfully' });
+    } catch (err) {
+      console.error('Error deleting playlist:', err);
+      res.status(500).json({ error: 'Failed to delete playlist' });
+    }
+  });
+
+  // Add a recording: { recordingId, position? }. Without a position it goes at the end.
+  router.post('/:playlistId/items', (req, res) => {
+    const recordingId = Number(req.body.recordingId);
+    const position = req.body.position === undefined || req.body.position === null ? null : Number(req.body.position);
+
+    if (!Number.isInteger(recordingId)) {
+      return res.status(400).json({ error: 'recordingId must be a recording id' });
+    }
+    if (position !== null && (!Number.isInteger(position) || position < 0)) {
+      return res.status(400).json({ error: 'position must be a non-negative integer' });
+    }
+
+    try {
+      const playlist = getOwnPlaylist(req);
+
+      if (!playlist) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+
+      const recording = db.prepare(`
+        SELECT * FROM recordings WHERE id = ? AND ownerId = ? AND status != 'draft'
+      `).get(recordingId, req.user.id);
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      const { count } = db.prepare('SELECT COUNT(*) AS count FROM playlist_items WHERE playlistId = ?').get(playlist.id);
+      if (count >= MAX_ITEMS_PER_PLAYLIST) {
+        return res.status(400).json({ error: `A playlist can have at most ${MAX_ITEMS_PER_PLAYLIST} items` });
+      }
+
+      const at = position === null ? count : Math.min(position, count);
+      db.transaction(() => {
+        db.prepare('UPDATE playlist_items SET position = position + 1 WHERE playlistId = ? AND position >= ?')
+          .run(playlist.id, at);
+        db.prepare('INSERT INTO playlist_items (playlistId, recordingId, position) VALUES (?, ?, ?)')
+          .run(playlist.id, recording.id, at);
+      })();
+
+      res.status(201).json(describePlaylist(playlist));
+    } catch (err) {
+      console.error('Error adding to playlist:', err);
+      res.status(500).json({ error: 'Failed to add to playlist' });
+    }
+  });
+
+  // Play order: { ids: [...] } with every item id once
+  router.put('/:playlistId/items/order', (req, res) => {
+    try {
+      const playlist = getOwnPlaylist(req);
+
+      if (!playlist) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+
+      const items = db.prepare('SELECT id FROM playlist_items WHERE playlistId = ?').all(playlist.id);
+      const { order, error } = normalizeOrder(req.body.ids, items.map(item => item.id));
+
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      db.transaction(() => {
+        order.forEach((id, position) => {
+          db.prepare('UPDATE playlist_items SET position = ? WHERE id = ?').run(position, id);
+        });
+      })();
+
+      res.json(describePlaylist(playlist));
+    } catch (err) {
+      console.error('Error reordering playlist:', err);
+      res.status(500).json({ error: 'Failed to reorder playlist' });
+    }
+  });
+
+  router.delete('/:playlistId/items/:itemId', (req, res) => {
+    try {
+      const playlist = getOwnPlaylist(req);
+
+      if (!playlist) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+
+      const item = db.prepare('SELECT * FROM playlist_items WHERE id = ? AND playlistId = ?')
+        .get(req.params.itemId, playlist.id);
+      if (!item) {
+        return res.status(404).json({ error: 'Playlist item not found' });
+      }
+
+      db.transaction(() => {
+        db.prepare('DELETE FROM playlist_items WHERE id = ?').run(item.id);
+        renumberPlaylist(db, playlist.id);
+      })();
+
+      res.json(describePlaylist(playlist));
+    } catch (err) {
+      console.error('Error removing from playlist:', err);
+      res.status(500).json({ error: 'Failed to remove from playlist' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  ensurePlaylistTables,
+  deletePlaylistItemsForRecording,
+  createPlaylistsRouter
+};
@@ -0,0 +1,507 @@
+const express = require('express');
+const crypto = require('crypto');
+const { hashPassword, verifyPassword } = require('../utils/passwords');
+const { streamVideo } = require('../utils/streaming');
+const { contentTypeFor } = require('../utils/videoFormats');
+const { parseCookies } = require('../middleware/auth');
+const { authorNameFor, commentThreads, addComment } = require('./comments');
+
+const ACCESS_KEY_TTL = 6 * 60 * 60 * 1000; // Unlocked password links stay playable for 6 hours
+const VIEWER_COOKIE = 'share_view';
+
+// Keys handed out after a correct password are signed, so no server-side state is needed.
+// Without SHARE_SECRET they stop working when the server restarts.
+const accessSecret = process.env.SHARE_SECRET || crypto.randomBytes(32).toString('hex');
+
+const signAccessKey = (token, expires) =>
+  crypto.createHmac('sha256', accessSecret).update(`${token}.${expires}`).digest('hex');
+
+const createAccessKey = (token) => {
+  const expires = Date.now() + ACCESS_KEY_TTL;
+  return `${expires}.${signAccessKey(token, expires)}`;
+};
+
+const isValidAccessKey = (token, key) => {
+  const [expires, signature] = String(key || '').split('.');
+  if (!expires || !signature || Number(expires) < Date.now()) return false;
+
+  const expected = Buffer.from(signAccessKey(token, expires), 'hex');
+  const actual = Buffer.from(signature, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const describeLink = (link) => ({
+  id: link.id,
+  recordingId: link.recordingId,
+  token: link.token,
+  path: `/s/${link.token}`,
+  hasPassword: Boolean(link.passwordHash),
+  expiresAt: link.expiresAt,
+  maxViews: link.maxViews,
+  views: link.views,
+  createdAt: link.createdAt
+});
+
+// Why a link can no longer be used, or null while it is still valid. A viewer whose view was
+// already counted may carry on watching after the limit is reached.
+const linkUnavailableReason = (link, { counted = false } = {}) => {
+  if (link.expiresAt && new Date(link.expiresAt) <= new Date()) return 'This share link has expired';
+  if (!counted && link.maxViews !== null && link.views >= link.maxViews) return 'This share link has reached its view limit';
+  return null;
+};
+
+// A view is counted once per viewer: the first request sets a signed cookie scoped to the link,
+// and the range requests a player makes while buffering and seeking carry it
+const viewerCookieOptions = (token) => ({
+  httpOnly: true,
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  maxAge: ACCESS_KEY_TTL,
+  path: `/s/${token}`
+});
+
+const hasCountedView = (req, token) => isValidAccessKey(`view:${token}`, parseCookies(req.headers.cookie)[VIEWER_COOKIE]);
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, ch => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
+// Browser view of a share link: the player with its comment threads, behind the password
+// form for protected links
+const viewerPage = (token, { locked }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Shared Recording</title>
+  <style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: linear-gradient(135deg, #0f0c29, #302b63, #24243e); color: #f8f9fa; min-height: 100vh; margin: 0; display: flex; align-items: center; justify-content: center; }
+    main { background: rgba(255, 255, 255, 0.05); border: 1px solid rgba(255, 255, 255, 0.1); border-radius: 16px; padding: 32px; width: min(90vw, 960px); }
+    input, textarea, button { font: inherit; font-size: 16px; padding: 10px 14px; border-radius: 8px; border: 1px solid #374151; }
+    input, textarea { background: #1f2937; color: #f8f9fa; }
+    textarea { width: 100%; box-sizing: border-box; margin: 8px 0; resize: vertical; }
+    button { background: #4f46e5; color: #fff; border: none; cursor: pointer; }
+    button.link { background: none; color: #a5b4fc; padding: 0; font-size: 14px; }
+    video { width: 100%; margin-top: 16px; border-radius: 12px; background: #000; }
+    ul { list-style: none; padding: 0; }
+    li.thread { border-top: 1px solid rgba(255, 255, 255, 0.1); padding: 12px 0; }
+    li.thread.resolved { opacity: 0.6; }
+    li.thread ul { margin: 8px 0 0 24px; }
+    .meta { color: #9ca3af; font-size: 14px; }
+    .guest { margin-left: 6px; padding: 1px 6px; border-radius: 4px; background: #374151; font-size: 12px; }
+    .error { color: #fca5a5; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>Shared Recording</h1>
+    <form id="unlock" hidden>
+      <p>This recording is password protected.</p>
+      <input type="password" id="password" placeholder="Password" required autofocus />
+      <button type="submit">View</button>
+      <p id="unlock-error" class="error"></p>
+    </form>
+    <video id="player" controls hidden></video>
+    <section id="review" hidden>
+      <h2>Comments</h2>
+      <ul id="threads"></ul>
+      <form id="comment">
+        <p id="comment-target" class="meta"></p>
+        <input id="author" placeholder="Your name" maxlength="80" required />
+        <textarea id="body" rows="3" placeholder="Leave feedback at the current moment" maxlength="2000" required></textarea>
+        <button type="submit">Comment</button>
+        <button type="button" class="link" id="cancel-reply" hidden>Cancel reply</button>
+        <p id="comment-error" class="error"></p>
+      </form>
+    </section>
+  </main>
+  <script>
+    const token = ${JSON.stringify(escapeHtml(token))};
+    const player = document.getElementById('player');
+    const author = document.getElementById('author');
+    let key = '';
+    let replyTo = null;
+
+    const query = () => (key ? '?key=' + encodeURIComponent(key) : '');
+    const formatTime = (seconds) => {
+      const total = Math.floor(seconds);
+      return Math.floor(total / 60) + ':' + String(total % 60).padStart(2, '0');
+    };
+    const element = (tag, text, className) => {
+      const node = document.createElement(tag);
+      if (text) node.textContent = text;
+      if (className) node.className = className;
+      return node;
+    };
+
+    const setReplyTo = (thread) => {
+      replyTo = thread;
+      document.getElementById('comment-target').textContent = thread
+        ? 'Replying to ' + thread.authorName + ' at ' + formatTime(thread.timestamp)
+        : '';
+      document.getElementById('cancel-reply').hidden = !thread;
+    };
+
+    const renderComment = (comment) => {
+      const item = element('li');
+      const meta = element('div', comment.authorName, 'meta');
+      // Guests sign with any name they like, so their comments are marked
+      if (comment.guest) {
+        const badge = element('span', 'Guest', 'guest');
+        badge.title = 'Posted through a share link; the name is not verified';
+        meta.append(badge);
+      }
+      meta.append(' · ' + formatTime(comment.timestamp));
+      item.append(meta);
+      item.append(element('p', comment.body));
+      return item;
+    };
+
+    const loadComments = async () => {
+      const response = await fetch('/s/' + token + '/comments' + query());
+      const data = await response.json();
+      if (!response.ok) {
+        document.getElementById('comment-error').textContent = data.error;
+        return;
+      }
+      const list = document.getElementById('threads');
+      list.replaceChildren(...data.map((thread) => {
+        const item = renderComment(thread);
+        item.className = thread.resolved ? 'thread resolved' : 'thread';
+        const seek = element('button', 'Jump to ' + formatTime(thread.timestamp), 'link');
+        seek.type = 'button';
+        seek.addEventListener('click', () => { player.currentTime = thread.timestamp; });
+        const reply = element('button', 'Reply', 'link');
+        reply.type = 'button';
+        reply.style.marginLeft = '16px';
+        reply.addEventListener('click', () => setReplyTo(thread));
+        item.append(seek, reply);
+        if (thread.replies.length) {
+          const replies = element('ul');
+          replies.append(...thread.replies.map(renderComment));
+          item.append(replies);
+        }
+        return item;
+      }));
+    };
+
+    const show = () => {
+      player.src = '/s/' + token + query();
+      player.hidden = false;
+      document.getElementById('review').hidden = false;
+      author.value = localStorage.getItem('commentAuthorName') || '';
+      loadComments();
+    };
+
+    document.getElementById('cancel-reply').addEventListener('click', () => setReplyTo(null));
+
+    document.getElementById('comment').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const payload = { body: document.getElementById('body').value, authorName: author.value };
+      if (replyTo) {
+        payload.parentId = replyTo.id;
+      } else {
+        payload.timestamp = player.currentTime;
+      }
+      const response = await fetch('/s/' + token + '/comments' + query(), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        document.getElementById('comment-error').textContent = data.error;
+        return;
+      }
+      localStorage.setItem('commentAuthorName', author.value.trim());
+      document.getElementById('body').value = '';
+      document.getElementById('comment-error').textContent = '';
+      setReplyTo(null);
+      loadComments();
+    });
+
+    document.getElementById('unlock').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const response = await fetch('/s/' + token + '/unlock', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: document.getElementById('password').value })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        document.getElementById('unlock-error').textContent = data.error;
+        return;
+      }
+      key = data.accessKey;
+      document.getElementById('unlock').hidden = true;
+      show();
+      player.play();
+    });
+
+    if (${locked ? 'true' : 'false'}) {
+      document.getElementById('unlock').hidden = false;
+    } else {
+      show();
+    }
+  </script>
+</body>
+</html>`;
+
+// Owner routes, mounted at /api/recordings/:id/shares behind requireAuth
+const createSharesRouter = ({ db }) => {
+  const router = express.Router({ mergeParams: true });
+
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS share_links (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token TEXT NOT NULL UNIQUE,
+      recordingId INTEGER NOT NULL REFERENCES recordings(id) ON DELETE CASCADE,
+      passwordHash TEXT,
+      expiresAt DATETIME,
+      maxViews INTEGER,
+      views INTEGER NOT NULL DEFAULT 0,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `).run();
+
+  const getOwnRecording = (req) => db.prepare(
+    'SELECT * FROM recordings WHERE id = ? AND ownerId = ?'
+  ).get(req.params.id, req.user.id);
+
+  router.get('/', (req, res) => {
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      const links = db.prepare(
+        'SELECT * FROM share_links WHERE recordingId = ? ORDER BY createdAt DESC, id DESC'
+      ).all(recording.id);
+
+      res.json(links.map(describeLink));
+    } catch (err) {
+      console.error('Error fetching share links:', err);
+      res.status(500).json({ error: 'Failed to fetch share links' });
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    const { expiresInHours, password, maxViews } = req.body;
+
+    let expiresAt = null;
+    if (expiresInHours !== undefined && expiresInHours !== null && expiresInHours !== '') {
+      const hours = Number(expiresInHours);
+      if (!Number.isFinite(hours) || hours <= 0) {
+        return res.status(400).json({ error: 'expiresInHours must be a positive number' });
+      }
+      expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+    }
+
+    let viewLimit = null;
+    if (maxViews !== undefined && maxViews !== null && maxViews !== '') {
+      viewLimit = Number(maxViews);
+      if (!Number.isInteger(viewLimit) || viewLimit <= 0) {
+        return res.status(400).json({ error: 'maxViews must be a positive whole number' });
+      }
+    }
+
+    if (password !== undefined && password !== null && typeof password !== 'string') {
+      return res.status(400).json({ error: 'password must be a string' });
+    }
+
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      const token = crypto.randomBytes(18).toString('base64url');
+      const passwordHash = password ? await hashPassword(password) : null;
+
+      const result = db.prepare(`
+        INSERT INTO share_links (token, recordingId, passwordHash, expiresAt, maxViews)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(token, recording.id, passwordHash, expiresAt, viewLimit);
+
+      const link = db.prepare('SELECT * FROM share_links WHERE id = ?').get(result.lastInsertRowid);
+      res.status(201).json(describeLink(link));
+    } catch (err) {
+      console.error('Error creating share link:', err);
+      res.status(500).json({ error: 'Failed to create share link' });
+    }
+  });
+
+  router.delete('/:shareId', (req, res) => {
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      const result = db.prepare('DELETE FROM share_links WHERE id = ? AND recordingId = ?')
+        .run(req.params.shareId, recording.id);
+
+      if (result.changes === 0) {
+        return res.status(404).json({ error: 'Share link not found' });
+      }
+
+      res.json({ message: 'Share link revoked' });
+    } catch (err) {
+      console.error('Error revoking share link:', err);
+      res.status(500).json({ error: 'Failed to revoke share link' });
+    }
+  });
+
+  return router;
+};
+
+// Public routes, mounted at /s
+const createShareViewerRouter = ({ db, storage }) => {
+  const router = express.Router();
+
+  const getLink = (token) => db.prepare(`
+    SELECT share_links.*, recordings.filename, recordings.storage, recordings.mimeType, recordings.duration
+    FROM share_links JOIN recordings ON recordings.id = share_links.recordingId
+    WHERE share_links.token = ?
+  `).get(token);
+
+  // Comments are open to anyone who can watch the link: it must still be usable, and
+  // password links need the access key from /unlock
+  const getCommentableLink = (req, res) => {
+    const link = getLink(req.params.token);
+
+    if (!link) {
+      res.status(404).json({ error: 'Share link not found' });
+      return null;
+    }
+
+    const reason = linkUnavailableReason(link, { counted: hasCountedView(req, link.token) });
+    if (reason) {
+      res.status(410).json({ error: reason });
+      return null;
+    }
+
+    if (link.passwordHash && !isValidAccessKey(link.token, req.query.key)) {
+      res.status(401).json({ error: 'Password required' });
+      return null;
+    }
+
+    return link;
+  };
+
+  router.post('/:token/unlock', async (req, res) => {
+    try {
+      const link = getLink(req.params.token);
+
+      if (!link) {
+        return res.status(404).json({ error: 'Share link not found' });
+      }
+
+      const reason = linkUnavailableReason(link);
+      if (reason) {
+        return res.status(410).json({ error: reason });
+      }
+
+      if (link.passwordHash && !(await verifyPassword(String(req.body.password || ''), link.passwordHash))) {
+        return res.status(401).json({ error: 'Incorrect password' });
+      }
+
+      res.json({ accessKey: createAccessKey(link.token) });
+    } catch (err) {
+      console.error('Error unlocking share link:', err);
+      res.status(500).json({ error: 'Failed to unlock share link' });
+    }
+  });
+
+  router.get('/:token', async (req, res) => {
+    try {
+      const link = getLink(req.params.token);
+
+      if (!link) {
+        return res.status(404).json({ error: 'Share link not found' });
+      }
+
+      const counted = hasCountedView(req, link.token);
+      const reason = linkUnavailableReason(link, { counted });
+      if (reason) {
+        return res.status(410).json({ error: reason });
+      }
+
+      const locked = link.passwordHash && !isValidAccessKey(link.token, req.query.key);
+      if (req.accepts(['json', 'html']) === 'html') {
+        return res.type('html').send(viewerPage(link.token, { locked }));
+      }
+      if (locked) {
+        return res.status(401).json({ error: 'Password required' });
+      }
+
+      const driver = storage.forRecording(link);
+      const stat = await driver.stat(link.filename);
+      if (!stat) {
+        return res.status(404).json({ error: 'Video file not found' });
+      }
+
+      // HEAD requests only look, so they neither count nor start a view
+      if (!counted && req.method === 'GET') {
+        db.prepare('UPDATE share_links SET views = views + 1 WHERE id = ?').run(link.id);
+        res.cookie(VIEWER_COOKIE, createAccessKey(`view:${link.token}`), viewerCookieOptions(link.token));
+      }
+
+      await streamVideo(req, res, { driver, key: link.filename, size: stat.size, contentType: contentTypeFor(link) });
+    } catch (err) {
+      console.error('Error streaming shared recording:', err);
+      res.status(500).json({ error: 'Failed to fetch recording' });
+    }
+  });
+
+  router.get('/:token/comments', (req, res) => {
+    try {
+      const link = getCommentableLink(req, res);
+      if (!link) return;
+
+      res.json(commentThreads(db, link.recordingId));
+    } catch (err) {
+      console.error('Error fetching shared recording comments:', err);
+      res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+  });
+
+  // Viewers have no account, so they sign comments with a name instead
+  router.post('/:token/comments', (req, res) => {
+    const authorName = authorNameFor(req.body.authorName, null);
+
+    if (!authorName) {
+      return res.status(400).json({ error: 'authorName is required' });
+    }
+
+    try {
+      const link = getCommentableLink(req, res);
+      if (!link) return;
+
+      const { comment, status, error } = addComment(db, { id: link.recordingId, duration: link.duration }, {
+        body: req.body.body,
+        timestamp: req.body.timestamp,
+        parentId: req.body.parentId,
+        authorId: null,
+        authorName
+      });
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.status(201).json(comment);
+    } catch (err) {
+      console.error('Error adding shared recording comment:', err);
+      res.status(500).json({ error: 'Failed to add comment' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createSharesRouter, createShareViewerRouter };
@@ -0,0 +1,260 @@
+const express = require('express');
+
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS_PER_RECORDING = 20;
+
+// Tags belong to a user; recording_tags links them to that user's recordings
+const ensureTagTables = (db) => {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ownerId INTEGER NOT NULL REFERENCES users(id),
+      name TEXT NOT NULL COLLATE NOCASE,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (ownerId, name)
+    )
+  `).run();
+
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS recording_tags (
+      recordingId INTEGER NOT NULL REFERENCES recordings(id),
+      tagId INTEGER NOT NULL REFERENCES tags(id),
+      PRIMARY KEY (recordingId, tagId)
+    )
+  `).run();
+};
+
+// Returns the cleaned tag name, or an error message
+const normalizeTagName = (value) => {
+  if (typeof value !== 'string') return { error: 'Tag names must be strings' };
+
+  const name = value.trim().replace(/\s+/g, ' ');
+  if (!name) return { error: 'Tag names cannot be empty' };
+  if (name.length > MAX_TAG_LENGTH) return { error: `Tag names can be at most ${MAX_TAG_LENGTH} characters` };
+  return { name };
+};
+
+// Validates a list of tag names for PATCH /api/recordings/:id
+const normalizeTagNames = (values) => {
+  if (!Array.isArray(values)) return { error: 'tags must be an array of names' };
+  if (values.length > MAX_TAGS_PER_RECORDING) {
+    return { error: `A recording can have at most ${MAX_TAGS_PER_RECORDING} tags` };
+  }
+
+  const names = [];
+  for (const value of values) {
+    const { name, error } = normalizeTagName(value);
+    if (error) return { error };
+    if (!names.some(existing => existing.toLowerCase() === name.toLowerCase())) names.push(name);
+  }
+  return { names };
+};
+
+const findOrCreateTag = (db, ownerId, name) => {
+  db.prepare('INSERT OR IGNORE INTO tags (ownerId, name) VALUES (?, ?)').run(ownerId, name);
+  return db.prepare('SELECT * FROM tags WHERE ownerId = ? AND name = ?').get(ownerId, name);
+};
+
+// Replace the tags on a recording; call inside a transaction with other detail changes
+const setRecordingTags = (db, ownerId, recordingId, names) => {
+  db.prepare('DELETE FROM recording_tags WHERE recordingId = ?').run(recordingId);
+  names.forEach(name => {
+    const tag = findOrCreateTag(db, ownerId, name);
+    db.prepare('INSERT OR IGNORE INTO recording_tags (recordingId, tagId) VALUES (?, ?)').run(recordingId, tag.id);
+  });
+};
+
+// Map of recordingId -> [{ id, name }] for the given recordings
+const tagsForRecordings = (db, recordingIds) => {
+  const byRecording = {};
+  recordingIds.forEach(id => { byRecording[id] = []; });
+  if (recordingIds.length === 0) return byRecording;
+
+  const rows = db.prepare(`
+    SELECT recording_tags.recordingId, tags.id, tags.name
+    FROM recording_tags JOIN tags ON tags.id = recording_tags.tagId
+    WHERE recording_tags.recordingId IN (${recordingIds.map(() => '?').join(', ')})
+    ORDER BY tags.name
+  `).all(...recordingIds);
+
+  rows.forEach(row => {
+    byRecording[row.recordingId].push({ id: row.id, name: row.name });
+  });
+  return byRecording;
+};
+
+const deleteTagsForRecording = (db, recordingId) => {
+  db.prepare('DELETE FROM recording_tags WHERE recordingId = ?').run(recordingId);
+};
+
+// Mounted at /api/recordings/:id/tags behind requireAuth
+const createRecordingTagsRouter = ({ db, recordingEvents }) => {
+  const router = express.Router({ mergeParams: true });
+
+  const getOwnRecording = (req) => db.prepare(
+    'SELECT * FROM recordings WHERE id = ? AND ownerId = ?'
+  ).get(req.params.id, req.user.id);
+
+  const recordingTags = (recording) => tagsForRecordings(db, [recording.id])[recording.id];
+
+  router.get('/', (req, res) => {
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      res.json(recordingTags(recording));
+    } catch (err) {
+      console.error('Error fetching recording tags:', err);
+      res.status(500).json({ error: 'Failed to fetch tags' });
+    }
+  });
+
+  router.post('/', (req, res) => {
+    const { name, error } = normalizeTagName(req.body.name);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      const { count } = db.prepare('SELECT COUNT(*) AS count FROM recording_tags WHERE recordingId = ?')
+        .get(recording.id);
+      if (count >= MAX_TAGS_PER_RECORDING) {
+        return res.status(400).json({ error: `A recording can have at most ${MAX_TAGS_PER_RECORDING} tags` });
+      }
+
+      const tag = findOrCreateTag(db, req.user.id, name);
+      db.prepare('INSERT OR IGNORE INTO recording_tags (recordingId, tagId) VALUES (?, ?)').run(recording.id, tag.id);
+      recordingEvents.emit('updated', recording);
+
+      res.status(201).json(recordingTags(recording));
+    } catch (err) {
+      console.error('Error adding tag:', err);
+      res.status(500).json({ error: 'Failed to add tag' });
+    }
+  });
+
+  router.delete('/:tagId', (req, res) => {
+    try {
+      const recording = getOwnRecording(req);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      db.prepare('DELETE FROM recording_tags WHERE recordingId = ? AND tagId = ?').run(recording.id, req.params.tagId);
+      recordingEvents.emit('updated', recording);
+
+      res.json(recordingTags(recording));
+    } catch (err) {
+      console.error('Error removing tag:', err);
+      res.status(500).json({ error: 'Failed to remove tag' });
+    }
+  });
+
+  return router;
+};
+
+// Mounted at /api/tags behind requireAuth
+const createTagsRouter = ({ db, recordingEvents }) => {
+  const router = express.Router();
+
+  const taggedRecordings = (tag) => db.prepare(`
+    SELECT recordings.* FROM recordings JOIN recording_tags ON recording_tags.recordingId = recordings.id
+    WHERE recording_tags.tagId = ?
+  `).all(tag.id);
+
+  const getOwnTag = (req) => db.prepare('SELECT * FROM tags WHERE id = ? AND ownerId = ?')
+    .get(req.params.tagId, req.user.id);
+
+  // Every tag of the user with the number of recordings carrying it
+  router.get('/', (req, res) => {
+    try {
+      const tags = db.prepare(`
+        SELECT tags.id, tags.name, COUNT(recording_tags.recordingId) AS recordingCount
+        FROM tags LEFT JOIN recording_tags ON recording_tags.tagId = tags.id
+        WHERE tags.ownerId = ?
+        GROUP BY tags.id
+        ORDER BY tags.name
+      `).all(req.user.id);
+
+      res.json(tags);
+    } catch (err) {
+      console.error('Error fetching tags:', err);
+      res.status(500).json({ error: 'Failed to fetch tags' });
+    }
+  });
+
+  router.patch('/:tagId', (req, res) => {
+    const { name, error } = normalizeTagName(req.body.name);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const tag = getOwnTag(req);
+
+      if (!tag) {
+        return res.status(404).json({ error: 'Tag not found' });
+      }
+
+      const existing = db.prepare('SELECT * FROM tags WHERE ownerId = ? AND name = ? AND id != ?')
+        .get(req.user.id, name, tag.id);
+      if (existing) {
+        return res.status(409).json({ error: 'A tag with that name already exists' });
+      }
+
+      db.prepare('UPDATE tags SET name = ? WHERE id = ?').run(name, tag.id);
+      taggedRecordings(tag).forEach(recording => recordingEvents.emit('updated', recording));
+
+      res.json({ id: tag.id, name });
+    } catch (err) {
+      console.error('Error renaming tag:', err);
+      res.status(500).json({ error: 'Failed to rename tag' });
+    }
+  });
+
+  router.delete('/:tagId', (req, res) => {
+    try {
+      const tag = getOwnTag(req);
+
+      if (!tag) {
+        return res.status(404).json({ error: 'Tag not found' });
+      }
+
+      const recordings = taggedRecordings(tag);
+      db.transaction(() => {
+        db.prepare('DELETE FROM recording_tags WHERE tagId = ?').run(tag.id);
+        db.prepare('DELETE FROM tags WHERE id = ?').run(tag.id);
+      })();
+      recordings.forEach(recording => recordingEvents.emit('updated', recording));
+
+      res.json({ message: 'Tag deleted successfully' });
+    } catch (err) {
+      console.error('Error deleting tag:', err);
+      res.status(500).json({ error: 'Failed to delete tag' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  ensureTagTables,
+  normalizeTagNames,
+  setRecordingTags,
+  tagsForRecordings,
+  deleteTagsForRecording,
+  createRecordingTagsRouter,
+  createTagsRouter
+};
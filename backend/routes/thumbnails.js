@@ -0,0 +1,161 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream');
+const os = require('os');
+const { runFfmpeg } = require('../utils/ffmpeg');
+const { ensureColumn } = require('../utils/schema');
+const { sendNotModified } = require('../utils/streaming');
+
+const THUMBNAIL_WIDTH = 480;
+const SPRITE_FRAME_WIDTH = 160;
+const SPRITE_FRAMES = 20;
+const SPRITE_COLUMNS = 5;
+
+const ensureThumbnailColumns = (db) => {
+  ensureColumn(db, 'recordings', 'thumbnailPath', 'TEXT');
+  ensureColumn(db, 'recordings', 'spritePath', 'TEXT');
+  ensureColumn(db, 'recordings', 'spriteFrames', 'INTEGER');
+  ensureColumn(db, 'recordings', 'spriteColumns', 'INTEGER');
+  ensureColumn(db, 'recordings', 'spriteInterval', 'REAL');
+};
+
+// Poster and sprite are stored next to the video: <name>.thumb.jpg and <name>.sprite.jpg
+const previewKeys = (recording) => {
+  const { name } = path.parse(recording.filename);
+  return {
+    thumbnailPath: `${name}.thumb.jpg`,
+    spritePath: `${name}.sprite.jpg`
+  };
+};
+
+// Rows from before storage drivers hold absolute paths in the uploads directory
+const previewKey = (value) => path.isAbsolute(value) ? path.basename(value) : value;
+
+// Render the poster frame and a sprite sheet of evenly spaced frames, then record them on the row
+const generateThumbnails = async (db, storage, recording, onProgress = () => {}) => {
+  const driver = storage.forRecording(recording);
+  if (!(await driver.stat(recording.filename))) {
+    throw new Error('Video file not found');
+  }
+
+  const { thumbnailPath, spritePath } = previewKeys(recording);
+  const duration = Number(recording.duration) > 0 ? Number(recording.duration) : null;
+  const source = await driver.localFile(recording.filename);
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'previews-'));
+  const thumbnailFile = path.join(workDir, thumbnailPath);
+  const spriteFile = path.join(workDir, spritePath);
+
+  let interval;
+  try {
+    // Skip the first moment, which is usually the screen-picker dialog fading out
+    const posterAt = duration ? Math.min(1, duration / 2) : 0;
+    await runFfmpeg([
+      '-ss', String(posterAt),
+      '-i', source.path,
+      '-frames:v', '1',
+      '-vf', `scale=${THUMBNAIL_WIDTH}:-2`,
+      thumbnailFile
+    ]);
+    onProgress(30);
+
+    // Without a known duration, take one frame per second
+    interval = duration ? duration / SPRITE_FRAMES : 1;
+    const rows = Math.ceil(SPRITE_FRAMES / SPRITE_COLUMNS);
+    await runFfmpeg([
+      '-i', source.path,
+      '-frames:v', '1',
+      '-vf', `fps=1/${interval},scale=${SPRITE_FRAME_WIDTH}:-2,tile=${SPRITE_COLUMNS}x${rows}`,
+      spriteFile
+    ], {
+      duration,
+      onProgress: (progress) => onProgress(30 + progress * 0.7)
+    });
+
+    await driver.put(thumbnailPath, thumbnailFile, { contentType: 'image/jpeg', move: true });
+    await driver.put(spritePath, spriteFile, { contentType: 'image/jpeg', move: true });
+  } finally {
+    await source.release();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  db.prepare(`
+    UPDATE recordings
+    SET thumbnailPath = ?, spritePath = ?, spriteFrames = ?, spriteColumns = ?, spriteInterval = ?
+    WHERE id = ?
+  `).run(thumbnailPath, spritePath, SPRITE_FRAMES, SPRITE_COLUMNS, interval, recording.id);
+};
+
+const registerThumbnailJobs = ({ db, storage, jobQueue }) => {
+  ensureThumbnailColumns(db);
+
+  jobQueue.register('thumbnails', async (job, { setProgress }) => {
+    const recording = db.prepare('SELECT * FROM recordings WHERE id = ?').get(job.recordingId);
+    if (!recording) {
+      throw new Error('Recording no longer exists');
+    }
+
+    await generateThumbnails(db, storage, recording, setProgress);
+    return {};
+  });
+};
+
+const deleteThumbnailsForRecording = (db, storage, recording) => {
+  [recording.thumbnailPath, recording.spritePath].forEach(file => {
+    if (file) storage.discard(storage.forRecording(recording).name, previewKey(file));
+  });
+  db.prepare("DELETE FROM jobs WHERE type = 'thumbnails' AND recordingId = ?").run(recording.id);
+};
+
+// Mounted at /api/recordings/:id behind requireAuth
+const createThumbnailsRouter = ({ db, storage }) => {
+  const router = express.Router({ mergeParams: true });
+
+  const sendPreview = (column) => async (req, res) => {
+    try {
+      const row = db.prepare('SELECT * FROM recordings WHERE id = ? AND ownerId = ?')
+        .get(req.params.id, req.user.id);
+
+      if (!row) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      const driver = storage.forRecording(row);
+      const key = row[column] && previewKey(row[column]);
+      const stat = key && await driver.stat(key);
+      if (!stat) {
+        return res.status(404).json({ error: 'Preview not available yet' });
+      }
+
+      // Previews are regenerated under the same URL after an edit is confirmed
+      if (sendNotModified(req, res, `${key}:${stat.size}`)) return;
+      res.set({
+        'Content-Type': 'image/jpeg',
+        'Content-Length': stat.size
+      });
+      const stream = await driver.createReadStream(key);
+      pipeline(stream, res, (err) => {
+        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          console.error('Error streaming preview:', err);
+        }
+      });
+    } catch (err) {
+      console.error('Error fetching preview:', err);
+      res.status(500).json({ error: 'Failed to fetch preview' });
+    }
+  };
+
+  router.get('/thumbnail', sendPreview('thumbnailPath'));
+  router.get('/sprite', sendPreview('spritePath'));
+
+  return router;
+};
+
+module.exports = {
+  ensureThumbnailColumns,
+  previewKey,
+  generateThumbnails,
+  registerThumbnailJobs,
+  deleteThumbnailsForRecording,
+  createThumbnailsRouter
+};
@@ -0,0 +1,330 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { ensureColumn } = require('../utils/schema');
+const { normalizeAudioSources } = require('../utils/audioSources');
+const { titleForNewRecording, durationLimitError } = require('../utils/recordingDetails');
+const { DEFAULT_MIME_TYPE, resolveVideoFormat } = require('../utils/videoFormats');
+const { checkUploadedVideo } = require('../utils/mediaProbe');
+
+const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB per chunk
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE, 10) || 2 * 1024 * 1024 * 1024; // 2GB
+const SESSION_TTL = 24 * 60 * 60 * 1000; // Abandoned sessions are removed after a day
+
+// Resumable upload protocol:
+//   POST   /api/uploads                    -> create a session (size, duration, mimeType, ...),
+//                                             returns { id, chunkSize, totalChunks }
+//   PUT    /api/uploads/:id/chunks/:index  -> store one numbered chunk (raw body)
+//   GET    /api/uploads/:id                -> received chunks and contiguous byte offset
+//   POST   /api/uploads/:id/complete       -> assemble chunks, probe the file and create the recording
+//                                             (415/422 when it is not a usable video)
+//   DELETE /api/uploads/:id                -> cancel and discard received chunks
+const createUploadsRouter = ({ db, uploadsDir, saveRecording, requireQuota, maxDurationSeconds }) => {
+  const router = express.Router();
+  const chunksRoot = path.join(uploadsDir, '.chunks');
+
+  if (!fs.existsSync(chunksRoot)) {
+    fs.mkdirSync(chunksRoot, { recursive: true });
+  }
+
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS upload_sessions (
+      id TEXT PRIMARY KEY,
+      totalSize INTEGER NOT NULL,
+      chunkSize INTEGER NOT NULL,
+      totalChunks INTEGER NOT NULL,
+      duration INTEGER,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `).run();
+
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS upload_chunks (
+      uploadId TEXT NOT NULL,
+      chunkIndex INTEGER NOT NULL,
+      size INTEGER NOT NULL,
+      PRIMARY KEY (uploadId, chunkIndex)
+    )
+  `).run();
+
+  ensureColumn(db, 'upload_sessions', 'ownerId', 'INTEGER REFERENCES users(id)');
+  ensureColumn(db, 'upload_sessions', 'audioSources', 'TEXT');
+  ensureColumn(db, 'upload_sessions', 'title', 'TEXT');
+  ensureColumn(db, 'upload_sessions', 'mimeType', `TEXT NOT NULL DEFAULT '${DEFAULT_MIME_TYPE}'`);
+  // 'open' while chunks arrive, 'assembling' while one /complete puts the file together
+  ensureColumn(db, 'upload_sessions', 'status', "TEXT NOT NULL DEFAULT 'open'");
+
+  // An assembly cut short by a restart can be completed again
+  db.prepare("UPDATE upload_sessions SET status = 'open' WHERE status = 'assembling'").run();
+
+  const chunkDir = (uploadId) => path.join(chunksRoot, uploadId);
+  const chunkPath = (uploadId, index) => path.join(chunkDir(uploadId), `${index}.part`);
+
+  const getSession = (id, ownerId) => db.prepare(
+    'SELECT * FROM upload_sessions WHERE id = ? AND ownerId = ?'
+  ).get(id, ownerId);
+
+  const expectedChunkSize = (session, index) => {
+    if (index < session.totalChunks - 1) return session.chunkSize;
+    return session.totalSize - session.chunkSize * (session.totalChunks - 1);
+  };
+
+  const describeSession = (session) => {
+    const chunks = db.prepare(
+      'SELECT chunkIndex, size FROM upload_chunks WHERE uploadId = ? ORDER BY chunkIndex'
+    ).all(session.id);
+
+    // The offset is the number of bytes received without gaps from the start
+    let offset = 0;
+    for (let i = 0; i < chunks.length && chunks[i].chunkIndex === i; i++) {
+      offset += chunks[i].size;
+    }
+
+    return {
+      id: session.id,
+      totalSize: session.totalSize,
+      chunkSize: session.chunkSize,
+      totalChunks: session.totalChunks,
+      receivedChunks: chunks.map(chunk => chunk.chunkIndex),
+      offset
+    };
+  };
+
+  const discardSession = (id) => {
+    fs.rmSync(chunkDir(id), { recursive: true, force: true });
+    db.prepare('DELETE FROM upload_chunks WHERE uploadId = ?').run(id);
+    db.prepare('DELETE FROM upload_sessions WHERE id = ?').run(id);
+  };
+
+  // Concatenate a session's chunks into `outputPath`; a failed read or write rejects
+  const assembleChunks = (id, totalChunks, outputPath) => pipeline(
+    async function* () {
+      for (let i = 0; i < totalChunks; i++) {
+        yield* fs.createReadStream(chunkPath(id, i));
+      }
+    },
+    fs.createWriteStream(outputPath)
+  );
+
+  router.post('/', requireQuota((req) => req.body.size), (req, res) => {
+    const totalSize = parseInt(req.body.size, 10);
+    const { duration, audioSources, title } = req.body;
+    const format = resolveVideoFormat(req.body.mimeType);
+
+    if (!Number.isInteger(totalSize) || totalSize <= 0) {
+      return res.status(400).json({ error: 'A positive file size is required' });
+    }
+
+    if (totalSize > MAX_UPLOAD_SIZE) {
+      return res.status(413).json({ error: 'Recording exceeds the maximum upload size' });
+    }
+
+    if (format.error) {
+      return res.status(415).json({ error: format.error });
+    }
+
+    const durationError = durationLimitError(duration, maxDurationSeconds);
+    if (durationError) {
+      return res.status(422).json({ error: durationError });
+    }
+
+    try {
+      const id = uuidv4();
+      const totalChunks = Math.ceil(totalSize / CHUNK_SIZE);
+
+      db.prepare(`
+        INSERT INTO upload_sessions (id, ownerId, totalSize, chunkSize, totalChunks, duration, audioSources, title, mimeType)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id, req.user.id, totalSize, CHUNK_SIZE, totalChunks, duration,
+        normalizeAudioSources(audioSources), titleForNewRecording(title), format.mimeType
+      );
+
+      fs.mkdirSync(chunkDir(id), { recursive: true });
+
+      res.status(201).json(describeSession(getSession(id, req.user.id)));
+    } catch (err) {
+      console.error('Error creating upload session:', err);
+      res.status(500).json({ error: 'Failed to create upload session' });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    try {
+      const session = getSession(req.params.id, req.user.id);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Upload session not found' });
+      }
+
+      res.json(describeSession(session));
+    } catch (err) {
+      console.error('Error fetching upload session:', err);
+      res.status(500).json({ error: 'Failed to fetch upload session' });
+    }
+  });
+
+  router.put(
+    '/:id/chunks/:index',
+    express.raw({ type: () => true, limit: CHUNK_SIZE }),
+    (req, res) => {
+      const { id } = req.params;
+      const index = parseInt(req.params.index, 10);
+
+      try {
+        const session = getSession(id, req.user.id);
+
+        if (!session) {
+          return res.status(404).json({ error: 'Upload session not found' });
+        }
+
+        if (session.status !== 'open') {
+          return res.status(409).json({ error: 'Upload is already being completed' });
+        }
+
+        if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+          return res.status(400).json({ error: 'Chunk index out of range' });
+        }
+
+        const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        if (body.length !== expectedChunkSize(session, index)) {
+          return res.status(400).json({ error: `Chunk ${index} must be ${expectedChunkSize(session, index)} bytes` });
+        }
+
+        // Write to a temp file first so a dropped connection never leaves a partial chunk behind
+        const target = chunkPath(id, index);
+        fs.mkdirSync(chunkDir(id), { recursive: true });
+        fs.writeFileSync(`${target}.tmp`, body);
+        fs.renameSync(`${target}.tmp`, target);
+
+        db.prepare(`
+          INSERT OR REPLACE INTO upload_chunks (uploadId, chunkIndex, size) VALUES (?, ?, ?)
+        `).run(id, index, body.length);
+        db.prepare('UPDATE upload_sessions SET updatedAt = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+
+        res.json(describeSession(session));
+      } catch (err) {
+        console.error('Error storing upload chunk:', err);
+        res.status(500).json({ error: 'Failed to store chunk' });
+      }
+    }
+  );
+
+  // Checked again on completion, since other uploads may have used up the quota in the meantime
+  const sessionSize = (req) => {
+    const session = getSession(req.params.id, req.user.id);
+    return session ? session.totalSize : 0;
+  };
+
+  router.post('/:id/complete', requireQuota(sessionSize), async (req, res) => {
+    const { id } = req.params;
+    let outputPath = null;
+    let claimed = false;
+
+    try {
+      const session = getSession(id, req.user.id);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Upload session not found' });
+      }
+
+      const status = describeSession(session);
+      if (status.offset !== session.totalSize) {
+        return res.status(409).json({ error: 'Upload is incomplete', ...status });
+      }
+
+      // Only one request assembles the file; a retried or doubled complete is turned away meanwhile
+      claimed = db.prepare("UPDATE upload_sessions SET status = 'assembling' WHERE id = ? AND status = 'open'")
+        .run(id).changes > 0;
+      if (!claimed) {
+        return res.status(409).json({ error: 'Upload is already being completed' });
+      }
+
+      // Put the chunks back together in the uploads directory, then hand the file to storage
+      const { extension } = resolveVideoFormat(session.mimeType);
+      const filename = `${uuidv4()}-${Date.now()}${extension}`;
+      outputPath = path.join(uploadsDir, filename);
+      await assembleChunks(id, session.totalChunks, outputPath);
+
+      const { size } = fs.statSync(outputPath);
+      if (size !== session.totalSize) {
+        throw new Error(`Assembled file is ${size} bytes, expected ${session.totalSize}`);
+      }
+
+      // The session's duration was only what the client claimed; the file has the real one
+      const checked = await checkUploadedVideo(outputPath, { mimeType: session.mimeType, maxDurationSeconds });
+      if (checked.error) {
+        fs.rmSync(outputPath, { force: true });
+        discardSession(id);
+        return res.status(checked.status).json({ error: checked.error });
+      }
+      outputPath = checked.localPath;
+
+      const recording = await saveRecording({
+        ownerId: req.user.id,
+        filename: checked.filename,
+        localPath: outputPath,
+        filesize: size,
+        audioSources: session.audioSources,
+        title: session.title,
+        media: checked.media
+      });
+
+      discardSession(id);
+
+      res.status(201).json({
+        message: 'Recording uploaded successfully',
+        recording
+      });
+    } catch (err) {
+      console.error('Error completing upload:', err);
+      if (outputPath && fs.existsSync(outputPath)) {
+        fs.unlinkSync(outputPath);
+      }
+      // Let the client try again
+      if (claimed) {
+        db.prepare("UPDATE upload_sessions SET status = 'open' WHERE id = ?").run(id);
+      }
+      res.status(500).json({ error: 'Failed to complete upload' });
+    }
+  });
+
+  router.delete('/:id', (req, res) => {
+    try {
+      const session = getSession(req.params.id, req.user.id);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Upload session not found' });
+      }
+
+      if (session.status !== 'open') {
+        return res.status(409).json({ error: 'Upload is already being completed' });
+      }
+
+      discardSession(session.id);
+      res.json({ message: 'Upload cancelled' });
+    } catch (err) {
+      console.error('Error cancelling upload:', err);
+      res.status(500).json({ error: 'Failed to cancel upload' });
+    }
+  });
+
+  // Periodically remove sessions nobody has touched for a while
+  const cleanup = setInterval(() => {
+    try {
+      const cutoff = new Date(Date.now() - SESSION_TTL).toISOString().replace('T', ' ').slice(0, 19);
+      const stale = db.prepare("SELECT id FROM upload_sessions WHERE updatedAt < ? AND status = 'open'").all(cutoff);
+      stale.forEach(session => discardSession(session.id));
+    } catch (err) {
+      console.error('Error cleaning up upload sessions:', err);
+    }
+  }, 60 * 60 * 1000);
+  cleanup.unref();
+
+  return router;
+};
+
+module.exports = createUploadsRouter;
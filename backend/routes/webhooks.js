@@ -0,0 +1,511 @@
+const express = require('express');
+const crypto = require('crypto');
+
+// Events a subscription can choose from
+const WEBHOOK_EVENTS = [
+  'recording.created',
+  'recording.updated',
+  'recording.deleted',
+  'export.completed',
+  'export.failed'
+];
+// Sent by "Send test" to a single subscription, whatever it is subscribed to
+const PING_EVENT = 'webhook.ping';
+
+const MAX_ATTEMPTS = 6;
+// First retry after this long, doubling each time: 30s, 1m, 2m, 4m, 8m by default
+const RETRY_BASE_DELAY = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000;
+const REQUEST_TIMEOUT = 10 * 1000;
+const POLL_INTERVAL = 5 * 1000;
+const BATCH_SIZE = 10;
+const LOG_RETENTION_DAYS = 30;
+const MAX_RESPONSE_LENGTH = 1000;
+const MAX_URL_LENGTH = 2000;
+
+// SQLite's CURRENT_TIMESTAMP format, so times compare as text
+const sqlTime = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+
+const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+// `X-Webhook-Signature` for a body sent at `timestamp` (unix seconds)
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const parseEvents = (value) => {
+  try {
+    return JSON.parse(value || '[]');
+  } catch (e) {
+    return [];
+  }
+};
+
+// Fields of a recording included in webhook payloads
+const webhookRecording = (recording) => ({
+  id: recording.id,
+  title: recording.title || null,
+  description: recording.description || null,
+  filename: recording.filename,
+  filesize: recording.filesize,
+  duration: recording.duration,
+  mimeType: recording.mimeType,
+  width: recording.width || null,
+  height: recording.height || null,
+  status: recording.status || 'complete',
+  tags: (recording.tags || []).map(tag => tag.name),
+  createdAt: recording.createdAt
+});
+
+const describeWebhook = (webhook, lastDelivery) => ({
+  id: webhook.id,
+  url: webhook.url,
+  description: webhook.description,
+  events: parseEvents(webhook.events),
+  active: Boolean(webhook.active),
+  // The full secret is only returned when it is created or rotated
+  secretHint: `…${webhook.secret.slice(-4)}`,
+  lastDelivery: lastDelivery ? {
+    id: lastDelivery.id,
+    event: lastDelivery.event,
+    status: lastDelivery.status,
+    responseStatus: lastDelivery.responseStatus,
+    createdAt: lastDelivery.createdAt
+  } : null,
+  createdAt: webhook.createdAt
+});
+
+const describeDelivery = (delivery) => ({
+  id: delivery.id,
+  webhookId: delivery.webhookId,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  responseStatus: delivery.responseStatus,
+  responseBody: delivery.responseBody,
+  error: delivery.error,
+  payload: JSON.parse(delivery.payload),
+  replayOf: delivery.replayOf,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+  lastAttemptAt: delivery.lastAttemptAt,
+  deliveredAt: delivery.deliveredAt,
+  createdAt: delivery.createdAt
+});
+
+const ensureWebhookTables = (db) => {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ownerId INTEGER NOT NULL REFERENCES users(id),
+      url TEXT NOT NULL,
+      description TEXT,
+      events TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      active INTEGER NOT NULL DEFAULT 1,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `).run();
+
+  // status: pending (waiting for its next attempt), delivered or failed (out of attempts)
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhookId INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      nextAttemptAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      responseStatus INTEGER,
+      responseBody TEXT,
+      error TEXT,
+      replayOf INTEGER,
+      lastAttemptAt DATETIME,
+      deliveredAt DATETIME,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `).run();
+  db.prepare(`
+    CREATE INDEX IF NOT EXISTS webhook_deliveries_due ON webhook_deliveries (status, nextAttemptAt)
+  `).run();
+};
+
+/**
+ * Persists webhook deliveries and sends them in the background. `dispatch(ownerId, event, data)`
+ * queues one delivery per active subscription of that user to `event`; deliveries that fail are
+ * retried with exponential backoff until MAX_ATTEMPTS, and survive restarts.
+ */
+const createWebhooks = ({ db }) => {
+  ensureWebhookTables(db);
+
+  let sending = false;
+  let timer = null;
+  let lastPrune = 0;
+
+  const queueDelivery = (webhookId, event, payload, replayOf = null) => {
+    const result = db.prepare(`
+      INSERT INTO webhook_deliveries (webhookId, event, payload, replayOf) VALUES (?, ?, ?, ?)
+    `).run(webhookId, event, payload, replayOf);
+    setImmediate(tick);
+    return result.lastInsertRowid;
+  };
+
+  // Called from request handlers and event listeners, so it never throws
+  const dispatch = (ownerId, event, data) => {
+    try {
+      const subscribed = db.prepare('SELECT * FROM webhooks WHERE ownerId = ? AND active = 1').all(ownerId)
+        .filter(webhook => parseEvents(webhook.events).includes(event));
+      if (subscribed.length === 0) return;
+
+      // One event id for every subscriber, and for replays, so receivers can spot duplicates
+      const payload = JSON.stringify({ id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data });
+      subscribed.forEach(webhook => queueDelivery(webhook.id, event, payload));
+    } catch (err) {
+      console.error(`Error queueing ${event} webhooks:`, err);
+    }
+  };
+
+  const ping = (webhook) => queueDelivery(webhook.id, PING_EVENT, JSON.stringify({
+    id: crypto.randomUUID(),
+    event: PING_EVENT,
+    createdAt: new Date().toISOString(),
+    data: { webhook: { id: webhook.id, url: webhook.url } }
+  }));
+
+  const replay = (delivery) => queueDelivery(delivery.webhookId, delivery.event, delivery.payload, delivery.id);
+
+  const send = async (delivery) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ScreenRecorder-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(delivery.secret, timestamp, delivery.payload)
+        },
+        body: delivery.payload,
+        // A redirect is reported as a failure rather than followed with the signed body
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+      });
+      responseStatus = response.status;
+      responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_LENGTH);
+      if (!response.ok) error = `Receiver answered HTTP ${response.status}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT / 1000}s` : err.message;
+      if (err.cause && err.cause.code) error = `${error} (${err.cause.code})`;
+    }
+
+    if (!error) {
+      db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = 'delivered', attempts = ?, responseStatus = ?, responseBody = ?, error = NULL,
+          lastAttemptAt = CURRENT_TIMESTAMP, deliveredAt = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(attempts, responseStatus, responseBody, delivery.id);
+      return;
+    }
+
+    const retry = attempts < MAX_ATTEMPTS;
+    db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, responseStatus = ?, responseBody = ?, error = ?,
+        lastAttemptAt = CURRENT_TIMESTAMP, nextAttemptAt = ?
+      WHERE id = ?
+    `).run(
+      retry ? 'pending' : 'failed', attempts, responseStatus, responseBody, error,
+      retry ? sqlTime(Date.now() + RETRY_BASE_DELAY * 2 ** (attempts - 1)) : null, delivery.id
+    );
+  };
+
+  const prune = () => {
+    if (Date.now() - lastPrune < 60 * 60 * 1000) return;
+    lastPrune = Date.now();
+    db.prepare(`
+      DELETE FROM webhook_deliveries WHERE status != 'pending' AND createdAt < ?
+    `).run(sqlTime(Date.now() - LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  };
+
+  const sendDue = async () => {
+    if (sending) return;
+    sending = true;
+    try {
+      prune();
+      // Deliveries of paused subscriptions wait until they are active again
+      for (;;) {
+        const due = db.prepare(`
+          SELECT webhook_deliveries.*, webhooks.url, webhooks.secret
+          FROM webhook_deliveries JOIN webhooks ON webhooks.id = webhook_deliveries.webhookId
+          WHERE webhook_deliveries.status = 'pending' AND webhook_deliveries.nextAttemptAt <= ? AND webhooks.active = 1
+          ORDER BY webhook_deliveries.id LIMIT ?
+        `).all(sqlTime(Date.now()), BATCH_SIZE);
+        if (due.length === 0) break;
+        await Promise.all(due.map(send));
+      }
+    } finally {
+      sending = false;
+    }
+  };
+
+  const tick = () => {
+    sendDue().catch(err => console.error('Error sending webhooks:', err));
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(tick, POLL_INTERVAL);
+    timer.unref();
+    setImmediate(tick);
+  };
+
+  return { dispatch, ping, replay, flush: tick, start };
+};
+
+// Subscription fields from a request body; `partial` leaves out what is not sent
+const normalizeWebhook = (body, { partial = false } = {}) => {
+  const values = {};
+
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(String(body.url || ''));
+    } catch (e) {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || String(body.url).length > MAX_URL_LENGTH) {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    values.url = url.toString();
+  }
+
+  if (body.events !== undefined || !partial) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+    if (events.length === 0) return { error: `events must list at least one of ${WEBHOOK_EVENTS.join(', ')}` };
+    const unknown = events.find(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown) return { error: `Unknown event ${unknown}` };
+    values.events = JSON.stringify(events);
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      return { error: 'description must be a string' };
+    }
+    values.description = body.description ? body.description.trim().slice(0, 200) || null : null;
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') return { error: 'active must be true or false' };
+    values.active = body.active ? 1 : 0;
+  }
+
+  if (body.secret !== undefined && !partial) {
+    if (typeof body.secret !== 'string' || body.secret.length < 16 || body.secret.length > 200) {
+      return { error: 'secret must be between 16 and 200 characters' };
+    }
+    values.secret = body.secret;
+  }
+
+  return { values };
+};
+
+// Mounted at /api/webhooks behind requireAuth; users only see their own subscriptions
+const createWebhooksRouter = ({ db, webhooks }) => {
+  const router = express.Router();
+
+  const getOwnWebhook = (req) => db.prepare(
+    'SELECT * FROM webhooks WHERE id = ? AND ownerId = ?'
+  ).get(req.params.id, req.user.id);
+
+  const lastDeliveryFor = (webhookId) => db.prepare(
+    'SELECT * FROM webhook_deliveries WHERE webhookId = ? ORDER BY id DESC LIMIT 1'
+  ).get(webhookId);
+
+  router.get('/', (req, res) => {
+    try {
+      const rows = db.prepare('SELECT * FROM webhooks WHERE ownerId = ? ORDER BY id').all(req.user.id);
+      res.json({
+        webhooks: rows.map(row => describeWebhook(row, lastDeliveryFor(row.id))),
+        events: WEBHOOK_EVENTS
+      });
+    } catch (err) {
+      console.error('Error fetching webhooks:', err);
+      res.status(500).json({ error: 'Failed to fetch webhooks' });
+    }
+  });
+
+  router.post('/', (req, res) => {
+    const { values, error } = normalizeWebhook(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const secret = values.secret || generateSecret();
+      const result = db.prepare(`
+        INSERT INTO webhooks (ownerId, url, description, events, secret, active) VALUES (?, ?, ?, ?, ?, ?)
+      `).run(
+        req.user.id, values.url, values.description || null, values.events, secret,
+        values.active === undefined ? 1 : values.active
+      );
+
+      const webhook = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(result.lastInsertRowid);
+      res.status(201).json({ ...describeWebhook(webhook, null), secret });
+    } catch (err) {
+      console.error('Error creating webhook:', err);
+      res.status(500).json({ error: 'Failed to create webhook' });
+    }
+  });
+
+  // Change the url, events, description or active flag
+  router.patch('/:id', (req, res) => {
+    const { values, error } = normalizeWebhook(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update: send url, events, description or active' });
+    }
+
+    try {
+      const webhook = getOwnWebhook(req);
+
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const columns = Object.keys(values);
+      db.prepare(`UPDATE webhooks SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`)
+        .run(...columns.map(column => values[column]), webhook.id);
+
+      // Deliveries held back while it was paused go out now
+      if (values.active) webhooks.flush();
+
+      const updated = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(webhook.id);
+      res.json(describeWebhook(updated, lastDeliveryFor(webhook.id)));
+    } catch (err) {
+      console.error('Error updating webhook:', err);
+      res.status(500).json({ error: 'Failed to update webhook' });
+    }
+  });
+
+  router.delete('/:id', (req, res) => {
+    try {
+      const webhook = getOwnWebhook(req);
+
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      db.transaction(() => {
+        db.prepare('DELETE FROM webhook_deliveries WHERE webhookId = ?').run(webhook.id);
+        db.prepare('DELETE FROM webhooks WHERE id = ?').run(webhook.id);
+      })();
+
+      res.json({ message: 'Webhook deleted' });
+    } catch (err) {
+      console.error('Error deleting webhook:', err);
+      res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+  });
+
+  // Replace the signing secret; the new one is returned once
+  router.post('/:id/secret', (req, res) => {
+    try {
+      const webhook = getOwnWebhook(req);
+
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const secret = generateSecret();
+      db.prepare('UPDATE webhooks SET secret = ? WHERE id = ?').run(secret, webhook.id);
+
+      const updated = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(webhook.id);
+      res.json({ ...describeWebhook(updated, lastDeliveryFor(webhook.id)), secret });
+    } catch (err) {
+      console.error('Error rotating webhook secret:', err);
+      res.status(500).json({ error: 'Failed to rotate webhook secret' });
+    }
+  });
+
+  router.post('/:id/ping', (req, res) => {
+    try {
+      const webhook = getOwnWebhook(req);
+
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const deliveryId = webhooks.ping(webhook);
+      const delivery = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(deliveryId);
+      res.status(202).json(describeDelivery(delivery));
+    } catch (err) {
+      console.error('Error sending test webhook:', err);
+      res.status(500).json({ error: 'Failed to send test webhook' });
+    }
+  });
+
+  // Delivery log, newest first. Query: status (pending|delivered|failed), limit
+  router.get('/:id/deliveries', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const { status } = req.query;
+    if (status !== undefined && !['pending', 'delivered', 'failed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be pending, delivered or failed' });
+    }
+
+    try {
+      const webhook = getOwnWebhook(req);
+
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const deliveries = db.prepare(`
+        SELECT * FROM webhook_deliveries
+        WHERE webhookId = ? ${status ? 'AND status = ?' : ''}
+        ORDER BY id DESC LIMIT ?
+      `).all(...[webhook.id, status, limit].filter(value => value !== undefined));
+
+      res.json({ deliveries: deliveries.map(describeDelivery) });
+    } catch (err) {
+      console.error('Error fetching webhook deliveries:', err);
+      res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+    }
+  });
+
+  // Send a logged delivery again, as a new delivery with the same payload
+  router.post('/:id/deliveries/:deliveryId/replay', (req, res) => {
+    try {
+      const webhook = getOwnWebhook(req);
+
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const original = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ? AND webhookId = ?')
+        .get(req.params.deliveryId, webhook.id);
+
+      if (!original) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+
+      const deliveryId = webhooks.replay(original);
+      const delivery = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(deliveryId);
+      res.status(202).json(describeDelivery(delivery));
+    } catch (err) {
+      console.error('Error replaying webhook delivery:', err);
+      res.status(500).json({ error: 'Failed to replay webhook delivery' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { WEBHOOK_EVENTS, webhookRecording, createWebhooks, createWebhooksRouter };
@@ -0,0 +1,62 @@
+// Probe recordings that have no media details yet and store their duration, frame size,
+// frame rate and codecs. Recordings whose file does not probe are reported and left as they are.
+// Usage: npm run backfill:media [-- --force]
+const Database = require('better-sqlite3');
+const { dbPath, storage: storageConfig } = require('../config');
+const { createStorage } = require('../storage');
+const { ensureColumn } = require('../utils/schema');
+const { DEFAULT_MIME_TYPE } = require('../utils/videoFormats');
+const { ensureMediaColumns, probeMedia, mediaDetails } = require('../utils/mediaProbe');
+
+const force = process.argv.includes('--force');
+
+const run = async () => {
+  const db = new Database(dbPath);
+  const storage = createStorage(storageConfig);
+  ensureColumn(db, 'recordings', 'mimeType', `TEXT NOT NULL DEFAULT '${DEFAULT_MIME_TYPE}'`);
+  ensureMediaColumns(db);
+
+  const rows = db.prepare(`
+    SELECT * FROM recordings
+    WHERE status != 'recording' ${force ? '' : 'AND videoCodec IS NULL'}
+    ORDER BY id
+  `).all();
+
+  console.log(`Probing ${rows.length} recording(s)`);
+  let failed = 0;
+
+  for (const recording of rows) {
+    let file = null;
+    try {
+      file = await storage.forRecording(recording).localFile(recording.filename);
+      const probe = await probeMedia(file.path);
+      if (probe.error) throw new Error(probe.error);
+
+      const media = mediaDetails(probe);
+      // The stored type is only kept when the file really is the container it claims
+      const mimeType = recording.mimeType.split(';')[0] === probe.container ? recording.mimeType : probe.container;
+      db.prepare(`
+        UPDATE recordings
+        SET duration = ?, width = ?, height = ?, frameRate = ?, videoCodec = ?, audioCodec = ?, mimeType = ?
+        WHERE id = ?
+      `).run(
+        media.duration, media.width, media.height, media.frameRate, media.videoCodec, media.audioCodec,
+        mimeType, recording.id
+      );
+
+      const size = media.width ? `${media.width}x${media.height}` : 'unknown size';
+      console.log(`  #${recording.id} ${recording.filename}: ${media.duration}s, ${size}, ${media.videoCodec}`);
+    } catch (err) {
+      failed += 1;
+      console.error(`  #${recording.id} ${recording.filename}: ${err.message}`);
+    } finally {
+      if (file) await file.release();
+    }
+  }
+
+  db.close();
+  console.log(`Finished with ${failed} failure(s)`);
+  process.exitCode = failed > 0 ? 1 : 0;
+};
+
+run();
@@ -0,0 +1,39 @@
+// Generate thumbnails and sprites for recordings that do not have them yet.
+// Usage: npm run backfill:thumbnails [-- --force]
+const Database = require('better-sqlite3');
+const { dbPath, storage: storageConfig } = require('../config');
+const { createStorage } = require('../storage');
+const { ensureThumbnailColumns, generateThumbnails } = require('../routes/thumbnails');
+
+const force = process.argv.includes('--force');
+
+const run = async () => {
+  const db = new Database(dbPath);
+  const storage = createStorage(storageConfig);
+  ensureThumbnailColumns(db);
+
+  const rows = db.prepare(`
+    SELECT * FROM recordings
+    WHERE status != 'recording' ${force ? '' : 'AND (thumbnailPath IS NULL OR spritePath IS NULL)'}
+    ORDER BY id
+  `).all();
+
+  console.log(`Generating previews for ${rows.length} recording(s)`);
+  let failed = 0;
+
+  for (const recording of rows) {
+    try {
+      await generateThumbnails(db, storage, recording);
+      console.log(`  #${recording.id} ${recording.filename}: done`);
+    } catch (err) {
+      failed += 1;
+      console.error(`  #${recording.id} ${recording.filename}: ${err.message}`);
+    }
+  }
+
+  db.close();
+  console.log(`Finished with ${failed} failure(s)`);
+  process.exitCode = failed > 0 ? 1 : 0;
+};
+
+run();
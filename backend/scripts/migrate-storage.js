@@ -0,0 +1,134 @@
+// Move recordings, their previews, HLS packages and finished exports from one storage driver to another.
+// Usage: npm run migrate:storage -- --from local --to s3 [--keep]
+//   --keep  leave the source copies in place instead of deleting them after the move
+// Safe to re-run: files already present with the same size are not copied again.
+const Database = require('better-sqlite3');
+const { dbPath, storage: storageConfig } = require('../config');
+const { createStorage, DRIVER_NAMES } = require('../storage');
+const { ensureColumn } = require('../utils/schema');
+const { ensureThumbnailColumns, previewKey } = require('../routes/thumbnails');
+const { exportLocation } = require('../routes/exports');
+const { ensureHlsColumns, hlsKeys } = require('../routes/hls');
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const from = argValue('from');
+const to = argValue('to');
+const keep = process.argv.includes('--keep');
+
+// Copy one object between drivers; returns false when the source does not have it
+const copy = async (source, target, key) => {
+  const stat = await source.stat(key);
+  if (!stat) return false;
+
+  const existing = await target.stat(key);
+  if (existing && existing.size === stat.size) return true;
+
+  const file = await source.localFile(key);
+  try {
+    await target.put(key, file.path);
+  } finally {
+    await file.release();
+  }
+  return true;
+};
+
+const run = async () => {
+  if (!DRIVER_NAMES.includes(from) || !DRIVER_NAMES.includes(to) || from === to) {
+    console.error(`Usage: npm run migrate:storage -- --from <${DRIVER_NAMES.join('|')}> --to <${DRIVER_NAMES.join('|')}> [--keep]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const db = new Database(dbPath);
+  ensureColumn(db, 'recordings', 'storage', "TEXT NOT NULL DEFAULT 'local'");
+  ensureThumbnailColumns(db);
+  ensureHlsColumns(db);
+
+  const storage = createStorage(storageConfig);
+  const source = storage.driver(from);
+  const target = storage.driver(to);
+  let failed = 0;
+
+  // Live recordings still being written are left alone; their working file moves when they finish
+  const recordings = db.prepare(`
+    SELECT * FROM recordings WHERE storage = ? AND status != 'recording' ORDER BY id
+  `).all(from);
+  console.log(`Moving ${recordings.length} recording(s) from ${from} to ${to}`);
+
+  for (const recording of recordings) {
+    try {
+      if (!(await copy(source, target, recording.filename))) {
+        throw new Error('Video file not found');
+      }
+
+      // Previews are optional: a missing one is regenerated by backfill:thumbnails
+      const previews = {};
+      for (const column of ['thumbnailPath', 'spritePath']) {
+        const key = recording[column] && previewKey(recording[column]);
+        previews[column] = key && (await copy(source, target, key)) ? key : null;
+      }
+
+      // So is an HLS package, but only as a whole; an incomplete one is dropped and can be repackaged
+      const packageKeys = hlsKeys(recording);
+      let hls = recording.hls;
+      for (const key of packageKeys) {
+        if (!(await copy(source, target, key))) {
+          hls = null;
+          break;
+        }
+      }
+
+      db.prepare(`
+        UPDATE recordings SET storage = ?, filepath = filename, thumbnailPath = ?, spritePath = ?, hls = ? WHERE id = ?
+      `).run(to, previews.thumbnailPath, previews.spritePath, hls, recording.id);
+
+      if (!keep) {
+        await source.delete(recording.filename);
+        for (const key of Object.values(previews)) {
+          if (key) await source.delete(key);
+        }
+        for (const key of packageKeys) {
+          await source.delete(key);
+        }
+      }
+      console.log(`  #${recording.id} ${recording.filename}: done`);
+    } catch (err) {
+      failed += 1;
+      console.error(`  #${recording.id} ${recording.filename}: ${err.message}`);
+    }
+  }
+
+  const exports = db.prepare("SELECT * FROM jobs WHERE type = 'export' AND status = 'done'").all()
+    .map(job => ({ ...job, result: JSON.parse(job.result) }))
+    .filter(job => (job.result.key || job.result.filepath) && exportLocation(job.result).storage === from);
+  console.log(`Moving ${exports.length} export(s) from ${from} to ${to}`);
+
+  for (const job of exports) {
+    const { key } = exportLocation(job.result);
+    try {
+      if (!(await copy(source, target, key))) {
+        throw new Error('Export file not found');
+      }
+
+      const { filepath, ...result } = job.result;
+      db.prepare('UPDATE jobs SET result = ? WHERE id = ?')
+        .run(JSON.stringify({ ...result, storage: to, key }), job.id);
+
+      if (!keep) await source.delete(key);
+      console.log(`  export ${job.id} ${job.result.filename}: done`);
+    } catch (err) {
+      failed += 1;
+      console.error(`  export ${job.id} ${job.result.filename}: ${err.message}`);
+    }
+  }
+
+  db.close();
+  console.log(`Finished with ${failed} failure(s)`);
+  process.exitCode = failed > 0 ? 1 : 0;
+};
+
+run();
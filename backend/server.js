@@ -2,9 +2,80 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const EventEmitter = require('events');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const Database = require('better-sqlite3');
+const {
+  uploadsDir,
+  dbPath,
+  storage: storageConfig,
+  maintenance: maintenanceConfig,
+  recording: recordingConfig,
+  adminEmails,
+  captions: captionsConfig,
+  hls: hlsConfig
+} = require('./config');
+const { createStorage } = require('./storage');
+const createUploadsRouter = require('./routes/uploads');
+const createLiveRecordingsRouter = require('./routes/liveRecordings');
+const createAuthRouter = require('./routes/auth');
+const { createSharesRouter, createShareViewerRouter } = require('./routes/shares');
+const {
+  describeExport,
+  registerExportJobs,
+  deleteExportsForRecording,
+  createRecordingExportsRouter,
+  createExportsRouter
+} = require('./routes/exports');
+const {
+  registerThumbnailJobs,
+  deleteThumbnailsForRecording,
+  createThumbnailsRouter
+} = require('./routes/thumbnails');
+const { registerEditJobs, deleteEditsForRecording, createEditsRouter } = require('./routes/edits');
+const {
+  ensureTagTables,
+  normalizeTagNames,
+  setRecordingTags,
+  tagsForRecordings,
+  deleteTagsForRecording,
+  createRecordingTagsRouter,
+  createTagsRouter
+} = require('./routes/tags');
+const {
+  ensureCommentTables,
+  deleteCommentsForRecording,
+  createCommentsRouter
+} = require('./routes/comments');
+const {
+  ensureCaptionTables,
+  deleteCaptionsForRecording,
+  registerCaptionJobs,
+  createCaptionsRouter
+} = require('./routes/captions');
+const { hlsSummary, registerHlsJobs, deleteHlsForRecording, createHlsRouter } = require('./routes/hls');
+const { createQuotaGuard, createMaintenance, createAdminRouter } = require('./routes/maintenance');
+const { webhookRecording, createWebhooks, createWebhooksRouter } = require('./routes/webhooks');
+const { createEventStream, createEventsRouter } = require('./routes/events');
+const { ensureFolderTables, normalizeRecordingIds, createFoldersRouter } = require('./routes/folders');
+const { ensurePlaylistTables, deletePlaylistItemsForRecording, createPlaylistsRouter } = require('./routes/playlists');
+const createAuth = require('./middleware/auth');
+const createJobQueue = require('./utils/jobQueue');
+const { ensureColumn } = require('./utils/schema');
+const { streamVideo } = require('./utils/streaming');
+const { ensureSearchIndex, parseListQuery, listRecordings } = require('./utils/recordingSearch');
+const { normalizeAudioSources, withAudioSources } = require('./utils/audioSources');
+const { createTranscriber } = require('./utils/transcriber');
+const {
+  normalizeTitle,
+  normalizeDescription,
+  titleForNewRecording,
+  downloadName
+} = require('./utils/recordingDetails');
+const { ensureMediaColumns, checkUploadedVideo } = require('./utils/mediaProbe');
+const { DEFAULT_MIME_TYPE, resolveVideoFormat, contentTypeFor } = require('./utils/videoFormats');
+const { createZipWriter } = require('./utils/zipStream');
 
 const app = express();
 const port = process.env.PORT || 5000;
@@ -18,11 +89,7 @@ app.use(cors({
 }));
 app.use(express.json());
 
-// Ensure uploads directory exists - use /tmp directory on Render for persistence
-const uploadsDir = process.env.NODE_ENV === 'production' 
-  ? '/tmp/uploads' 
-  : path.join(__dirname, 'uploads');
-
+// Ensure uploads directory exists
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
@@ -33,23 +100,33 @@ const storage = multer.diskStorage({
     cb(null, uploadsDir);
   },
   filename: (req, file, cb) => {
-    const uniqueName = `${uuidv4()}-${Date.now()}.webm`;
+    const uniqueName = `${uuidv4()}-${Date.now()}${file.videoFormat.extension}`;
     cb(null, uniqueName);
   }
 });
 
 const upload = multer({ 
   storage: storage,
+  // Files in a container we do not accept are skipped; the route answers 415
+  fileFilter: (req, file, cb) => {
+    const format = resolveVideoFormat(file.mimetype);
+    if (format.error) {
+      req.videoFormatError = format.error;
+      return cb(null, false);
+    }
+    file.videoFormat = format;
+    cb(null, true);
+  },
   limits: {
     fileSize: 100 * 1024 * 1024 // 100MB limit
   }
 });
 
-// Initialize SQLite database with better-sqlite3
-const dbPath = process.env.NODE_ENV === 'production' 
-  ? '/tmp/database.db'  // Use /tmp directory on Render
-  : path.join(__dirname, 'database.db');
+// Where recordings and derived files are kept (local disk or S3-compatible object storage).
+// The uploads directory stays the scratch space for uploads in progress.
+const fileStorage = createStorage(storageConfig);
 
+// Initialize SQLite database with better-sqlite3
 // Ensure directory exists
 const dbDir = path.dirname(dbPath);
 if (!fs.existsSync(dbDir)) {
@@ -71,147 +148,422 @@ db.prepare(`
   )
 `).run();
 
+// Columns added after the first release
+ensureColumn(db, 'recordings', 'duration', 'INTEGER');
+ensureColumn(db, 'recordings', 'status', "TEXT NOT NULL DEFAULT 'complete'");
+ensureColumn(db, 'recordings', 'ownerId', 'INTEGER REFERENCES users(id)');
+ensureColumn(db, 'recordings', 'audioSources', 'TEXT');
+ensureColumn(db, 'recordings', 'title', 'TEXT');
+ensureColumn(db, 'recordings', 'description', 'TEXT');
+// Driver holding the file; `filename` is its key there. `filepath` is kept for older rows only.
+ensureColumn(db, 'recordings', 'storage', "TEXT NOT NULL DEFAULT 'local'");
+// MIME type the browser recorded in, codecs included; every recording before this was WebM
+ensureColumn(db, 'recordings', 'mimeType', `TEXT NOT NULL DEFAULT '${DEFAULT_MIME_TYPE}'`);
+// Duration, frame size, frame rate and codecs as probed from the file (npm run backfill:media for older rows)
+ensureMediaColumns(db);
+ensureTagTables(db);
+ensureFolderTables(db);
+ensurePlaylistTables(db);
+ensureCommentTables(db);
+ensureCaptionTables(db);
+ensureSearchIndex(db);
+
+// Authentication - every request gets req.user when it carries a valid session
+const auth = createAuth({ db, adminEmails });
+app.use(auth.authenticate);
+const { requireAuth, requireAdmin } = auth;
+
+// Rejects new uploads once recordings and exports use up STORAGE_QUOTA_MB
+const requireQuota = createQuotaGuard({ db, quotaBytes: maintenanceConfig.quotaBytes });
+
+// Recording lifecycle events: 'created' once a recording is available, 'updated' when its
+// file or details change, 'deleted' after removal
+const recordingEvents = new EventEmitter();
+
+// Background jobs (exports, thumbnails, edits, transcriptions, HLS packaging) run one at a time in this process
+const jobQueue = createJobQueue({ db });
+const transcribe = createTranscriber(captionsConfig.transcribeCommand);
+registerExportJobs({ db, storage: fileStorage, jobQueue });
+registerThumbnailJobs({ db, storage: fileStorage, jobQueue });
+registerEditJobs({ db, storage: fileStorage, jobQueue });
+registerCaptionJobs({ db, storage: fileStorage, jobQueue, transcribe });
+registerHlsJobs({ db, storage: fileStorage, jobQueue, config: hlsConfig });
+jobQueue.start();
+
+// Outgoing webhooks: signed deliveries to each user's subscriptions, retried in the background
+const webhooks = createWebhooks({ db });
+webhooks.start();
+
+// Payloads are built from the row as it is now, since emitted objects may lack tags. Deleted
+// recordings are described by removeRecordings before their rows go.
+['created', 'updated'].forEach((name) => {
+  recordingEvents.on(name, (recording) => {
+    const row = db.prepare('SELECT * FROM recordings WHERE id = ?').get(recording.id);
+    if (!row) return;
+    webhooks.dispatch(row.ownerId, `recording.${name}`, { recording: webhookRecording(describeRecordings([row])[0]) });
+  });
+});
+recordingEvents.on('deleted', (recording) => {
+  webhooks.dispatch(recording.ownerId, 'recording.deleted', { recording: webhookRecording(recording) });
+});
+
+// Live updates for open recording lists over Server-Sent Events at /api/events
+const eventStream = createEventStream();
+
+// Events carry the recording as GET /api/recordings lists it, read back after the change
+const publishRecording = (name, recordingId) => {
+  const row = db.prepare('SELECT * FROM recordings WHERE id = ?').get(recordingId);
+  if (row) eventStream.publish(row.ownerId, `recording.${name}`, { recording: describeRecordings([row])[0] });
+};
+
+recordingEvents.on('created', (recording) => publishRecording('created', recording.id));
+recordingEvents.on('updated', (recording) => publishRecording('updated', recording.id));
+recordingEvents.on('deleted', (recording) => {
+  eventStream.publish(recording.ownerId, 'recording.deleted', { id: recording.id });
+});
+
+jobQueue.events.on('finished', (job) => {
+  if (!job) return;
+  
+  // New thumbnails and HLS renditions change how a recording is listed
+  if (['thumbnails', 'hls'].includes(job.type) && job.status === 'done') {
+    publishRecording('updated', job.recordingId);
+  }
+
+  if (job.type !== 'export') return;
+  webhooks.dispatch(job.ownerId, job.status === 'done' ? 'export.completed' : 'export.failed', {
+    export: describeExport(job)
+  });
+});
+
+// Every new recording gets a poster thumbnail and a hover-scrub sprite, and HLS renditions
+// when HLS_ENABLED is set
+recordingEvents.on('created', (recording) => {
+  jobQueue.enqueue('thumbnails', { recordingId: recording.id, ownerId: recording.ownerId });
+  if (hlsConfig.enabled) {
+    jobQueue.enqueue('hls', { recordingId: recording.id, ownerId: recording.ownerId });
+  }
+});
+
+// A confirmed edit swaps the file under an existing recording, so its previews and HLS
+// renditions are stale. The package is rebuilt if the recording had one or HLS is on.
+const refreshPreviews = (recording) => {
+  const hadHls = Boolean(recording.hls);
+  deleteThumbnailsForRecording(db, fileStorage, recording);
+  deleteHlsForRecording(db, fileStorage, recording);
+  db.prepare(`
+    UPDATE recordings SET thumbnailPath = NULL, spritePath = NULL, spriteFrames = NULL WHERE id = ?
+  `).run(recording.id);
+  jobQueue.enqueue('thumbnails', { recordingId: recording.id, ownerId: recording.ownerId });
+  if (hadHls || hlsConfig.enabled) {
+    jobQueue.enqueue('hls', { recordingId: recording.id, ownerId: recording.ownerId });
+  }
+};
+
+// Move a finished file from the uploads directory into storage and insert its recording row.
+// `media` holds what checkUploadedVideo probed: mimeType, duration, width, height, frameRate and codecs.
+const saveRecording = async ({ ownerId, filename, localPath, filesize, audioSources, title, media }) => {
+  await fileStorage.default.put(filename, localPath, { contentType: contentTypeFor(media), move: true });
+  
+  const stmt = db.prepare(`
+    INSERT INTO recordings (
+      ownerId, filename, filepath, filesize, duration, audioSources, title, storage,
+      mimeType, width, height, frameRate, videoCodec, audioCodec
+    ) 
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  
+  const storedAudioSources = normalizeAudioSources(audioSources);
+  const storedTitle = titleForNewRecording(title);
+  const result = stmt.run(
+    ownerId, filename, filename, filesize, media.duration, storedAudioSources, storedTitle, fileStorage.default.name,
+    media.mimeType, media.width, media.height, media.frameRate, media.videoCodec, media.audioCodec
+  );
+  
+  const recording = withAudioSources({
+    id: result.lastInsertRowid,
+    ownerId,
+    filename,
+    filepath: filename,
+    storage: fileStorage.default.name,
+    ...media,
+    filesize,
+    audioSources: storedAudioSources,
+    title: storedTitle,
+    description: null,
+    tags: [],
+    createdAt: new Date().toISOString()
+  });
+  
+  recordingEvents.emit('created', recording);
+  return recording;
+};
+
+// Delete the rows of a recording and everything that references them, and its file through `storage`
+const deleteRecordingRows = (row, storage) => {
+  db.prepare('DELETE FROM live_sessions WHERE recordingId = ?').run(row.id);
+  db.prepare('DELETE FROM share_links WHERE recordingId = ?').run(row.id);
+  deleteExportsForRecording(db, storage, row.id);
+  deleteThumbnailsForRecording(db, storage, row);
+  deleteEditsForRecording(db, storage, row.id);
+  deleteTagsForRecording(db, row.id);
+  deletePlaylistItemsForRecording(db, row.id);
+  deleteCommentsForRecording(db, row.id);
+  deleteCaptionsForRecording(db, row.id);
+  deleteHlsForRecording(db, storage, row);
+  db.prepare('DELETE FROM recordings WHERE id = ?').run(row.id);
+  
+  storage.discard(storage.forRecording(row).name, row.filename);
+};
+
+// Delete recordings in one transaction. Files are only discarded once it commits, so a
+// failure part way leaves every recording and file in place.
+const removeRecordings = (rows) => {
+  const discarded = [];
+  const deferredStorage = { ...fileStorage, discard: (name, key) => discarded.push([name, key]) };
+  const described = describeRecordings(rows);
+  
+  db.transaction(() => rows.forEach(row => deleteRecordingRows(row, deferredStorage)))();
+  
+  discarded.forEach(([name, key]) => fileStorage.discard(name, key));
+  described.forEach(recording => recordingEvents.emit('deleted', recording));
+};
+
+const removeRecording = (row) => removeRecordings([row]);
+
+// Retention, quota reporting and storage reconciliation, on a schedule and from /api/admin
+const maintenance = createMaintenance({ db, storage: fileStorage, removeRecording, config: maintenanceConfig });
+maintenance.start();
+
+// API shape of recording rows: parsed audio configuration plus tags
+const describeRecordings = (rows) => {
+  const tags = tagsForRecordings(db, rows.map(row => row.id));
+  return rows.map(row => ({ ...withAudioSources(row), tags: tags[row.id], hls: hlsSummary(row) }));
+};
+
 // Routes
-app.post('/api/recordings', upload.single('video'), (req, res) => {
+app.use('/api/auth', createAuthRouter({ db, auth }));
+app.use('/api/uploads', requireAuth, createUploadsRouter({
+  db,
+  uploadsDir,
+  saveRecording,
+  requireQuota,
+  maxDurationSeconds: recordingConfig.maxDurationSeconds
+}));
+app.use('/api/recordings/live', requireAuth, createLiveRecordingsRouter({
+  db,
+  uploadsDir,
+  storage: fileStorage,
+  requireQuota,
+  recordingEvents
+}));
+app.use('/api/recordings/:id/shares', requireAuth, createSharesRouter({ db }));
+app.use('/api/recordings/:id/exports', requireAuth, createRecordingExportsRouter({ db, jobQueue }));
+app.use('/api/exports', requireAuth, createExportsRouter({ db, storage: fileStorage, jobQueue }));
+app.use('/api/recordings/:id', requireAuth, createThumbnailsRouter({ db, storage: fileStorage }));
+app.use('/api/recordings/:id', requireAuth, createEditsRouter({
+  db,
+  storage: fileStorage,
+  jobQueue,
+  recordingEvents,
+  onRecordingReplaced: refreshPreviews
+}));
+app.use('/api/recordings/:id/tags', requireAuth, createRecordingTagsRouter({ db, recordingEvents }));
+app.use('/api/tags', requireAuth, createTagsRouter({ db, recordingEvents }));
+app.use('/api/folders', requireAuth, createFoldersRouter({ db, recordingEvents }));
+app.use('/api/playlists', requireAuth, createPlaylistsRouter({ db, describeRecordings }));
+app.use('/api/recordings/:id/comments', requireAuth, createCommentsRouter({ db }));
+app.use('/api/recordings/:id/captions', requireAuth, createCaptionsRouter({
+  db,
+  jobQueue,
+  transcriptionAvailable: Boolean(transcribe)
+}));
+app.use('/api/recordings/:id/hls', requireAuth, createHlsRouter({ db, storage: fileStorage, jobQueue }));
+app.use('/s', createShareViewerRouter({ db, storage: fileStorage }));
+app.use('/api/events', requireAuth, createEventsRouter({ eventStream }));
+app.use('/api/webhooks', requireAuth, createWebhooksRouter({ db, webhooks }));
+app.use('/api/admin', requireAdmin, createAdminRouter({ db, maintenance, config: maintenanceConfig }));
+
+// Content-Length slightly overstates the video (multipart framing), which errs on the safe side
+const requestSize = (req) => req.get('Content-Length');
+
+app.post('/api/recordings', requireAuth, requireQuota(requestSize), upload.single('video'), async (req, res) => {
   if (!req.file) {
+    if (req.videoFormatError) {
+      return res.status(415).json({ error: req.videoFormatError });
+    }
     return res.status(400).json({ error: 'No video file provided' });
   }
 
-  const { filename, path: filepath, size } = req.file;
-  const { duration } = req.body;
+  const { size, videoFormat } = req.file;
+  const { audioSources, title } = req.body;
+  let localPath = req.file.path;
   
   try {
-    // Save to database
-    const stmt = db.prepare(`
-      INSERT INTO recordings (filename, filepath, filesize, duration) 
-      VALUES (?, ?, ?, ?)
-    `);
+    // The duration and format come from the file itself, not from what the client says
+    const checked = await checkUploadedVideo(localPath, {
+      mimeType: videoFormat.mimeType,
+      maxDurationSeconds: recordingConfig.maxDurationSeconds
+    });
+    if (checked.error) {
+      fs.rmSync(localPath, { force: true });
+      return res.status(checked.status).json({ error: checked.error });
+    }
+    localPath = checked.localPath;
     
-    const result = stmt.run(filename, filepath, size, duration);
+    // Save to database
+    const recording = await saveRecording({
+      ownerId: req.user.id,
+      filename: checked.filename,
+      localPath,
+      filesize: size,
+      audioSources,
+      title,
+      media: checked.media
+    });
     
     res.status(201).json({
       message: 'Recording uploaded successfully',
-      recording: {
-        id: result.lastInsertRowid,
-        filename,
-        filepath,
-        filesize: size,
-        duration,
-        createdAt: new Date().toISOString()
-      }
+      recording
     });
   } catch (err) {
     console.error('Error saving recording to database:', err);
+    fs.rmSync(localPath, { force: true });
     res.status(500).json({ error: 'Failed to save recording' });
   }
 });
 
-app.get('/api/recordings', (req, res) => {
+// Query: q (full-text), sort (date|size|duration), order (asc|desc), from/to, min/maxDuration,
+// min/maxSize, tag, limit and cursor (the nextCursor of the previous page)
+app.get('/api/recordings', requireAuth, (req, res) => {
   try {
-    const stmt = db.prepare('SELECT * FROM recordings ORDER BY createdAt DESC');
-    const rows = stmt.all();
-    res.json(rows);
+    const query = parseListQuery(req.query, req.user.id);
+    
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+    
+    const { rows, total, nextCursor } = listRecordings(db, query);
+    res.json({ recordings: describeRecordings(rows), total, nextCursor });
   } catch (err) {
     console.error('Error fetching recordings:', err);
     res.status(500).json({ error: 'Failed to fetch recordings' });
   }
 });
 
-app.get('/api/recordings/:id', (req, res) => {
+app.get('/api/recordings/:id', requireAuth, async (req, res) => {
   const { id } = req.params;
   
   try {
-    const stmt = db.prepare('SELECT * FROM recordings WHERE id = ?');
-    const row = stmt.get(id);
+    // Recordings owned by someone else are reported as missing
+    const stmt = db.prepare('SELECT * FROM recordings WHERE id = ? AND ownerId = ?');
+    const row = stmt.get(id, req.user.id);
     
     if (!row) {
       return res.status(404).json({ error: 'Recording not found' });
     }
     
-    const filePath = row.filepath;
+    const driver = fileStorage.forRecording(row);
+    const stat = await driver.stat(row.filename);
     
-    if (!fs.existsSync(filePath)) {
+    if (!stat) {
       return res.status(404).json({ error: 'Video file not found' });
     }
     
     // Stream the video file
-    const stat = fs.statSync(filePath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
-    
-    if (range) {
-      const parts = range.replace(/bytes=/, "").split("-");
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-      const chunksize = (end - start) + 1;
-      const file = fs.createReadStream(filePath, { start, end });
-      const head = {
-        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunksize,
-        'Content-Type': 'video/webm',
-      };
-      res.writeHead(206, head);
-      file.pipe(res);
-    } else {
-      const head = {
-        'Content-Length': fileSize,
-        'Content-Type': 'video/webm',
-      };
-      res.writeHead(200, head);
-      fs.createReadStream(filePath).pipe(res);
-    }
+    await streamVideo(req, res, { driver, key: row.filename, size: stat.size, contentType: contentTypeFor(row) });
   } catch (err) {
     console.error('Error fetching recording:', err);
     res.status(500).json({ error: 'Failed to fetch recording' });
   }
 });
 
-app.get('/api/recordings/:id/download', (req, res) => {
+app.get('/api/recordings/:id/download', requireAuth, async (req, res) => {
   const { id } = req.params;
   
   try {
-    const stmt = db.prepare('SELECT * FROM recordings WHERE id = ?');
-    const row = stmt.get(id);
+    // Recordings owned by someone else are reported as missing
+    const stmt = db.prepare('SELECT * FROM recordings WHERE id = ? AND ownerId = ?');
+    const row = stmt.get(id, req.user.id);
     
     if (!row) {
       return res.status(404).json({ error: 'Recording not found' });
     }
     
-    const filePath = row.filepath;
+    const driver = fileStorage.forRecording(row);
+    const stat = await driver.stat(row.filename);
     
-    if (!fs.existsSync(filePath)) {
+    if (!stat) {
       return res.status(404).json({ error: 'Video file not found' });
     }
     
-    res.download(filePath, row.filename);
+    res.attachment(downloadName(row));
+    await streamVideo(req, res, { driver, key: row.filename, size: stat.size, contentType: contentTypeFor(row) });
   } catch (err) {
     console.error('Error fetching recording:', err);
     res.status(500).json({ error: 'Failed to fetch recording' });
   }
 });
 
-app.delete('/api/recordings/:id', (req, res) => {
+// Update title, description and/or tags; fields that are left out stay as they are
+app.patch('/api/recordings/:id', requireAuth, (req, res) => {
   const { id } = req.params;
+  const title = normalizeTitle(req.body.title);
+  const description = normalizeDescription(req.body.description);
+  const tags = req.body.tags === undefined ? { skip: true } : normalizeTagNames(req.body.tags);
+  
+  const error = title.error || description.error || tags.error;
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  if (title.skip && description.skip && tags.skip) {
+    return res.status(400).json({ error: 'Nothing to update: send title, description or tags' });
+  }
   
   try {
-    const stmt = db.prepare('SELECT * FROM recordings WHERE id = ?');
-    const row = stmt.get(id);
+    // Recordings owned by someone else are reported as missing
+    const row = db.prepare('SELECT * FROM recordings WHERE id = ? AND ownerId = ?').get(id, req.user.id);
     
-    if (!row) {
+    if (!row || row.status === 'draft') {
       return res.status(404).json({ error: 'Recording not found' });
     }
     
-    const filePath = row.filepath;
+    db.transaction(() => {
+      if (!title.skip) {
+        db.prepare('UPDATE recordings SET title = ? WHERE id = ?').run(title.value, row.id);
+      }
+      if (!description.skip) {
+        db.prepare('UPDATE recordings SET description = ? WHERE id = ?').run(description.value, row.id);
+      }
+      if (!tags.skip) {
+        setRecordingTags(db, req.user.id, row.id, tags.names);
+      }
+    })();
+    
+    const [recording] = describeRecordings([db.prepare('SELECT * FROM recordings WHERE id = ?').get(row.id)]);
+    recordingEvents.emit('updated', recording);
+    
+    res.json({ message: 'Recording updated successfully', recording });
+  } catch (err) {
+    console.error('Error updating recording:', err);
+    res.status(500).json({ error: 'Failed to update recording' });
+  }
+});
+
+app.delete('/api/recordings/:id', requireAuth, (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    // Recordings owned by someone else are reported as missing
+    const stmt = db.prepare('SELECT * FROM recordings WHERE id = ? AND ownerId = ?');
+    const row = stmt.get(id, req.user.id);
     
-    // Delete file from filesystem
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
+    if (!row) {
+      return res.status(404).json({ error: 'Recording not found' });
     }
     
-    // Delete from database
-    const deleteStmt = db.prepare('DELETE FROM recordings WHERE id = ?');
-    deleteStmt.run(id);
+    removeRecording(row);
     
     res.json({ message: 'Recording deleted successfully' });
   } catch (err) {
@@ -220,6 +572,154 @@ app.delete('/api/recordings/:id', (req, res) => {
   }
 });
 
+// The caller's finished recordings among `ids`, in that order, and the ids that matched none
+const findOwnRecordings = (ownerId, ids) => {
+  const rows = db.prepare(`
+    SELECT * FROM recordings
+    WHERE ownerId = ? AND status != 'draft' AND id IN (${ids.map(() => '?').join(', ')})
+  `).all(ownerId, ...ids);
+  
+  const byId = new Map(rows.map(row => [row.id, row]));
+  return {
+    rows: ids.filter(id => byId.has(id)).map(id => byId.get(id)),
+    missing: ids.filter(id => !byId.has(id))
+  };
+};
+
+// Delete several recordings at once: { recordingIds: [...] }. All of them go, or none do.
+app.post('/api/recordings/bulk-delete', requireAuth, (req, res) => {
+  const { recordingIds, error } = normalizeRecordingIds(req.body.recordingIds);
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const { rows, missing } = findOwnRecordings(req.user.id, recordingIds);
+    
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Some recordings were not found; nothing was deleted', missing });
+    }
+    
+    removeRecordings(rows);
+    
+    res.json({
+      message: `${rows.length} recording${rows.length === 1 ? '' : 's'} deleted successfully`,
+      deleted: rows.map(row => row.id),
+      filesize: rows.reduce((total, row) => total + (row.filesize || 0), 0)
+    });
+  } catch (err) {
+    console.error('Error deleting recordings:', err);
+    res.status(500).json({ error: 'Failed to delete recordings' });
+  }
+});
+
+// Names for the files in an archive, with " (2)", " (3)"... added to repeats
+const archiveNames = (rows) => {
+  const used = new Set();
+  return rows.map(row => {
+    const name = downloadName(row);
+    const extension = path.extname(name);
+    const base = name.slice(0, name.length - extension.length);
+    let unique = name;
+    for (let n = 2; used.has(unique.toLowerCase()); n += 1) unique = `${base} (${n})${extension}`;
+    used.add(unique.toLowerCase());
+    return unique;
+  });
+};
+
+// SQLite timestamps are UTC without a zone
+const parseCreatedAt = (value) => {
+  const date = new Date(String(value).includes('T') ? value : `${String(value).replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+};
+
+// Download several recordings as one ZIP with a manifest.json of their details. Takes
+// { recordingIds: [...] } as JSON or, so a plain form post can start the download,
+// recordingIds=1,2,3 form-encoded. The files are streamed into the archive one at a time.
+app.post('/api/recordings/archive', requireAuth, express.urlencoded({ extended: false }), async (req, res) => {
+  const ids = typeof req.body.recordingIds === 'string'
+    ? req.body.recordingIds.split(',').filter(id => id.trim() !== '')
+    : req.body.recordingIds;
+  const { recordingIds, error } = normalizeRecordingIds(ids);
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const { rows, missing } = findOwnRecordings(req.user.id, recordingIds);
+    
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Some recordings were not found', missing });
+    }
+    
+    // Check every file before the download starts; one that is gone is listed in the manifest only
+    const stats = await Promise.all(rows.map(row => fileStorage.forRecording(row).stat(row.filename)));
+    const names = archiveNames(rows);
+    const recordings = describeRecordings(rows);
+    
+    const manifest = {
+      createdAt: new Date().toISOString(),
+      recordings: recordings.map((recording, index) => ({
+        id: recording.id,
+        file: stats[index] ? names[index] : null,
+        ...(stats[index] ? {} : { error: 'Video file not found' }),
+        title: recording.title,
+        description: recording.description,
+        filename: recording.filename,
+        filesize: stats[index] ? stats[index].size : recording.filesize,
+        duration: recording.duration,
+        mimeType: recording.mimeType,
+        width: recording.width,
+        height: recording.height,
+        frameRate: recording.frameRate,
+        videoCodec: recording.videoCodec,
+        audioCodec: recording.audioCodec,
+        tags: recording.tags.map(tag => tag.name),
+        folderId: recording.folderId,
+        createdAt: recording.createdAt
+      }))
+    };
+    
+    res.set('Content-Type', 'application/zip');
+    res.attachment(`recordings-${new Date().toISOString().slice(0, 10)}.zip`);
+    
+    const zip = createZipWriter(res);
+    await zip.addFile('manifest.json', Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`));
+    
+    for (let index = 0; index < rows.length; index += 1) {
+      const row = rows[index];
+      if (stats[index]) {
+        const source = await fileStorage.forRecording(row).createReadStream(row.filename);
+        try {
+          await zip.addFile(names[index], source, { date: parseCreatedAt(row.createdAt) });
+        } finally {
+          source.destroy();
+        }
+      }
+    }
+    
+    await zip.finish();
+    res.end();
+  } catch (err) {
+    // Closing the tab or cancelling the download is not an error
+    if (res.destroyed) return;
+    
+    console.error('Error creating archive:', err);
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      res.status(500).json({ error: 'Failed to create archive' });
+    }
+  }
+});
+
+// Limits the recorder applies before capturing; null means unlimited
+app.get('/api/limits', requireAuth, (req, res) => {
+  res.json({ maxDurationSeconds: recordingConfig.maxDurationSeconds });
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'OK', timestamp: new Date().toISOString() });
@@ -229,5 +729,6 @@ app.get('/health', (req, res) => {
 app.listen(port, () => {
   console.log(`Server running on port ${port} in ${process.env.NODE_ENV || 'development'} mode`);
   console.log(`Uploads directory: ${uploadsDir}`);
+  console.log(`Storage driver: ${fileStorage.default.name}`);
   console.log(`Database path: ${dbPath}`);
 });
@@ -0,0 +1,48 @@
+const createLocalDriver = require('./local');
+const createS3Driver = require('./s3');
+
+const DRIVERS = {
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+/**
+ * Storage backends for recordings and their derived files.
+ *
+ * Every driver implements:
+ *   put(key, sourcePath, { contentType, move })  store a local file under `key`
+ *   createReadStream(key, { start, end })         Promise<Readable> over an inclusive byte range
+ *   stat(key)                                      Promise<{ size } | null>
+ *   delete(key)
+ *   localFile(key)                                 Promise<{ path, release() }> for tools that need a file
+ *   list()                                         async iterable of { key, size, modifiedAt }
+ *
+ * `storage.default` receives new files. Rows remember the driver they were written to
+ * (`recordings.storage`), so existing files keep working after the default changes.
+ */
+const createStorage = (config) => {
+  const drivers = {};
+
+  const driver = (name) => {
+    if (!DRIVERS[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    if (!drivers[name]) {
+      drivers[name] = DRIVERS[name](config[name]);
+    }
+    return drivers[name];
+  };
+
+  // Best-effort removal for cleanup paths; failures are logged rather than thrown
+  const discard = (name, key) => driver(name).delete(key)
+    .catch(err => console.error(`Error removing ${key} from ${name} storage:`, err));
+
+  return {
+    driver,
+    default: driver(config.driver),
+    forRecording: (recording) => driver(recording.storage || 'local'),
+    discard
+  };
+};
+
+module.exports = { createStorage, DRIVER_NAMES: Object.keys(DRIVERS) };
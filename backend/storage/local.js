@@ -0,0 +1,96 @@
+const path = require('path');
+const fs = require('fs');
+
+// Files live under `root`, named by their key
+const createLocalDriver = ({ root }) => {
+  if (!fs.existsSync(root)) {
+    fs.mkdirSync(root, { recursive: true });
+  }
+
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, sourcePath, { move = false } = {}) {
+      const target = resolve(key);
+      if (path.resolve(sourcePath) === target) return;
+
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      if (move) {
+        try {
+          fs.renameSync(sourcePath, target);
+          return;
+        } catch (err) {
+          // Scratch space on another filesystem; fall back to copy and remove
+          if (err.code !== 'EXDEV') throw err;
+        }
+      }
+      await fs.promises.copyFile(sourcePath, target);
+      if (move) fs.rmSync(sourcePath, { force: true });
+    },
+
+    async createReadStream(key, { start, end } = {}) {
+      return fs.createReadStream(resolve(key), { start, end });
+    },
+
+    async stat(key) {
+      try {
+        const stat = await fs.promises.stat(resolve(key));
+        return { size: stat.size };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      const filePath = resolve(key);
+      fs.rmSync(filePath, { force: true });
+
+      // Prune directories left empty, as object stores have none to leave behind
+      for (let dir = path.dirname(filePath); dir !== path.resolve(root); dir = path.dirname(dir)) {
+        try {
+          fs.rmdirSync(dir);
+        } catch (err) {
+          break;
+        }
+      }
+    },
+
+    // Every stored file as { key, size, modifiedAt }. Dot-directories (upload chunks) are scratch space, not storage.
+    async *list() {
+      const walk = async function* (dir) {
+        const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        for (const entry of entries) {
+          if (entry.name.startsWith('.')) continue;
+          const filePath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            yield* walk(filePath);
+          } else if (entry.isFile()) {
+            const stat = await fs.promises.stat(filePath);
+            yield {
+              key: path.relative(root, filePath).split(path.sep).join('/'),
+              size: stat.size,
+              modifiedAt: stat.mtime
+            };
+          }
+        }
+      };
+      yield* walk(root);
+    },
+
+    // Files are already on disk, so there is nothing to clean up afterwards
+    async localFile(key) {
+      return { path: resolve(key), release: async () => {} };
+    }
+  };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,104 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { pipeline } = require('stream/promises');
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+// Objects live in `bucket` under `prefix` + key. Works with AWS S3 and S3-compatible
+// services (MinIO, R2, ...) through `endpoint` and `forcePathStyle`.
+const createS3Driver = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix }) => {
+  if (!bucket) {
+    throw new Error('S3 storage needs S3_BUCKET to be set');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+  const isNotFound = (err) => err.name === 'NotFound' || err.name === 'NoSuchKey' ||
+    (err.$metadata && err.$metadata.httpStatusCode === 404);
+
+  return {
+    name: 's3',
+
+    async put(key, sourcePath, { contentType, move = false } = {}) {
+      // Multipart upload, so multi-gigabyte recordings never sit in memory
+      await new Upload({
+        client,
+        params: {
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: fs.createReadStream(sourcePath),
+          ContentType: contentType
+        }
+      }).done();
+
+      if (move) fs.rmSync(sourcePath, { force: true });
+    },
+
+    async createReadStream(key, { start, end } = {}) {
+      const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+      const { Body } = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Range: range
+      }));
+      return Body;
+    },
+
+    async stat(key) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return { size: head.ContentLength };
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+
+    async *list() {
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken
+        }));
+        for (const object of page.Contents || []) {
+          yield { key: object.Key.slice(prefix.length), size: object.Size, modifiedAt: object.LastModified };
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    },
+
+    // ffmpeg needs a seekable file, so objects are downloaded to a temporary copy
+    async localFile(key) {
+      const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'recording-'));
+      const filePath = path.join(dir, path.basename(key));
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      await pipeline(Body, fs.createWriteStream(filePath));
+
+      return {
+        path: filePath,
+        release: async () => fs.rmSync(dir, { recursive: true, force: true })
+      };
+    }
+  };
+};
+
+module.exports = createS3Driver;
@@ -0,0 +1,49 @@
+// Audio capture configuration stored with each recording as JSON:
+// { system: { enabled, captured, gain }, microphone: { enabled, captured, gain } }
+const SOURCES = ['system', 'microphone'];
+const MAX_GAIN = 2;
+
+// Accepts the object (or its JSON text, as sent in multipart forms) and returns
+// the JSON to store, or null when nothing usable was sent
+const normalizeAudioSources = (value) => {
+  let input = value;
+
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  if (!input || typeof input !== 'object') return null;
+
+  const config = {};
+  SOURCES.forEach(source => {
+    const entry = input[source] || {};
+    const gain = Number(entry.gain);
+    config[source] = {
+      enabled: Boolean(entry.enabled),
+      captured: Boolean(entry.captured),
+      gain: Number.isFinite(gain) ? Math.min(MAX_GAIN, Math.max(0, gain)) : 1
+    };
+  });
+
+  return JSON.stringify(config);
+};
+
+// Recording rows keep the JSON text; API responses carry the parsed object
+const withAudioSources = (recording) => {
+  if (!recording) return recording;
+
+  let audioSources = null;
+  try {
+    audioSources = recording.audioSources ? JSON.parse(recording.audioSources) : null;
+  } catch (e) {
+    audioSources = null;
+  }
+
+  return { ...recording, audioSources };
+};
+
+module.exports = { normalizeAudioSources, withAudioSources };
@@ -0,0 +1,104 @@
+// SRT / WebVTT parsing and WebVTT output. Cues are { start, end, text } with times in seconds.
+
+const MAX_CUES = 5000;
+const MAX_CUE_TEXT = 1000;
+
+// "01:02:03.456", "02:03,456" or "02:03" (SRT uses a comma, WebVTT a dot)
+const parseTime = (value) => {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/.exec(value.trim());
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const formatTime = (seconds) => {
+  const totalMs = Math.round(seconds * 1000);
+  const ms = totalMs % 1000;
+  const totalSeconds = Math.floor(totalMs / 1000);
+  return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}.${pad(ms, 3)}`;
+};
+
+// Keep the markup both formats share (<b>, <i>, <u>) and drop SRT-only styling such as
+// <font> tags and {\an8} positioning. Blank lines and "-->" would end a WebVTT cue early.
+const cleanText = (text) => text
+  .replace(/\{\\[^}]*\}/g, '')
+  .replace(/<\/?font[^>]*>/gi, '')
+  .replace(/-->/g, '->')
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .join('\n');
+
+// Validate editor input: a list of { start, end, text }
+const normalizeCues = (list) => {
+  if (!Array.isArray(list)) return { error: 'cues must be an array' };
+  if (list.length > MAX_CUES) return { error: `A track can have at most ${MAX_CUES} cues` };
+
+  const cues = [];
+  for (let i = 0; i < list.length; i += 1) {
+    const cue = list[i] || {};
+    const start = Number(cue.start);
+    const end = Number(cue.end);
+    const text = typeof cue.text === 'string' ? cleanText(cue.text.replace(/\r\n?/g, '\n')) : '';
+
+    if (!Number.isFinite(start) || start < 0) return { error: `Cue ${i + 1}: start must be a non-negative number of seconds` };
+    if (!Number.isFinite(end) || end <= start) return { error: `Cue ${i + 1}: end must come after start` };
+    if (!text) return { error: `Cue ${i + 1}: text is required` };
+    if (text.length > MAX_CUE_TEXT) return { error: `Cue ${i + 1}: text can be at most ${MAX_CUE_TEXT} characters` };
+
+    cues.push({ start: Math.round(start * 1000) / 1000, end: Math.round(end * 1000) / 1000, text });
+  }
+
+  cues.sort((a, b) => a.start - b.start || a.end - b.end);
+  return { value: cues };
+};
+
+/**
+ * Parse an SRT or WebVTT file. The format is detected from the WEBVTT header.
+ * Returns `{ value: cues }` or `{ error }` naming the offending cue.
+ */
+const parseCaptions = (content) => {
+  const text = String(content).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const isVtt = /^WEBVTT(?:[ \t].*)?(?:\n|$)/.test(text);
+  const blocks = text.split(/\n{2,}/);
+  const cues = [];
+
+  for (let i = isVtt ? 1 : 0; i < blocks.length; i += 1) {
+    const lines = blocks[i].split('\n').filter(line => line.trim());
+    if (lines.length === 0) continue;
+    // WebVTT metadata blocks carry no cue text
+    if (isVtt && /^(NOTE|STYLE|REGION)(\s|$)/.test(lines[0])) continue;
+
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || timingIndex > 1) {
+      return { error: `Cue ${cues.length + 1}: missing a "start --> end" timing line` };
+    }
+
+    // WebVTT cue settings after the end time (position, align...) are dropped
+    const [startText, rest] = lines[timingIndex].split('-->');
+    const start = parseTime(startText);
+    const end = parseTime(rest.trim().split(/\s+/)[0] || '');
+    if (start === null || end === null) {
+      return { error: `Cue ${cues.length + 1}: invalid timing "${lines[timingIndex].trim()}"` };
+    }
+
+    // Cues without text show nothing, so they are skipped rather than rejected
+    const cueText = cleanText(lines.slice(timingIndex + 1).join('\n'));
+    if (cueText) cues.push({ start, end, text: cueText });
+  }
+
+  if (cues.length === 0) {
+    return { error: 'No cues found; expected an SRT or WebVTT file' };
+  }
+  return normalizeCues(cues);
+};
+
+const toWebVtt = (cues) => [
+  'WEBVTT',
+  '',
+  ...cues.map((cue, index) => `${index + 1}\n${formatTime(cue.start)} --> ${formatTime(cue.end)}\n${cue.text}\n`)
+].join('\n');
+
+module.exports = { parseCaptions, normalizeCues, toWebVtt };
@@ -0,0 +1,86 @@
+const { spawn } = require('child_process');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Run ffmpeg with the given arguments. When `duration` (seconds) is known,
+// `onProgress` receives a 0-100 percentage parsed from ffmpeg's progress output.
+const runFfmpeg = (args, { duration, onProgress } = {}) => new Promise((resolve, reject) => {
+  const child = spawn(FFMPEG_PATH, ['-hide_banner', '-nostats', '-y', '-progress', 'pipe:1', ...args]);
+  let stderr = '';
+  let buffered = '';
+
+  child.stdout.on('data', (data) => {
+    buffered += data.toString();
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+
+    lines.forEach(line => {
+      const [key, value] = line.trim().split('=');
+      // out_time_us and out_time_ms are both in microseconds
+      if ((key === 'out_time_us' || key === 'out_time_ms') && duration > 0 && onProgress) {
+        const seconds = parseInt(value, 10) / 1000000;
+        if (Number.isFinite(seconds)) onProgress((seconds / duration) * 100);
+      }
+    });
+  });
+
+  child.stderr.on('data', (data) => {
+    // Only the tail is useful for error messages
+    stderr = (stderr + data.toString()).slice(-4000);
+  });
+
+  child.on('error', (err) => {
+    if (err.code === 'ENOENT') {
+      reject(new Error(`ffmpeg was not found at "${FFMPEG_PATH}". Install it or set FFMPEG_PATH.`));
+    } else {
+      reject(err);
+    }
+  });
+
+  child.on('close', (code) => {
+    if (code === 0) {
+      resolve();
+    } else {
+      const lastLines = stderr.trim().split('\n').slice(-3).join(' ');
+      reject(new Error(`ffmpeg exited with code ${code}: ${lastLines}`));
+    }
+  });
+});
+
+// ffmpeg's summary of an input file, printed to stderr when no output is given
+const readInputSummary = (input) => new Promise((resolve, reject) => {
+  const child = spawn(FFMPEG_PATH, ['-hide_banner', '-i', input]);
+  let stderr = '';
+
+  child.stderr.on('data', (data) => {
+    stderr += data.toString();
+  });
+  child.on('error', (err) => {
+    reject(err.code === 'ENOENT'
+      ? new Error(`ffmpeg was not found at "${FFMPEG_PATH}". Install it or set FFMPEG_PATH.`)
+      : err);
+  });
+  // ffmpeg exits non-zero here because no output was given; the summary is still printed
+  child.on('close', () => resolve(stderr));
+});
+
+// Stream types ('video', 'audio', 'subtitle') and the first video stream's frame size
+const probeInput = async (input) => {
+  const summary = await readInputSummary(input);
+  const types = new Set();
+  (summary.match(/Stream #\d+:\d+.*?: (Video|Audio|Subtitle):/g) || []).forEach(line => {
+    types.add(line.match(/(Video|Audio|Subtitle):$/)[1].toLowerCase());
+  });
+
+  const size = /Stream #\d+:\d+.*?: Video:.*?\b(\d{2,5})x(\d{2,5})\b/.exec(summary);
+  return {
+    types,
+    width: size ? parseInt(size[1], 10) : null,
+    height: size ? parseInt(size[2], 10) : null
+  };
+};
+
+// List the stream types in a file by reading ffmpeg's input summary
+const listStreamTypes = async (input) => (await probeInput(input)).types;
+
+module.exports = { runFfmpeg, listStreamTypes, probeInput, FFMPEG_PATH };
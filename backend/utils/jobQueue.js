@@ -0,0 +1,119 @@
+// Background job queue persisted in SQLite. Jobs run one at a time so heavy
+// ffmpeg work never competes for the CPU, and survive server restarts.
+// `events` emits 'finished' with the job once it is done or has failed.
+const EventEmitter = require('events');
+
+const POLL_INTERVAL = 2000;
+
+const createJobQueue = ({ db }) => {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      recordingId INTEGER,
+      ownerId INTEGER,
+      params TEXT NOT NULL DEFAULT '{}',
+      status TEXT NOT NULL DEFAULT 'queued',
+      progress REAL NOT NULL DEFAULT 0,
+      result TEXT,
+      error TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      startedAt DATETIME,
+      finishedAt DATETIME
+    )
+  `).run();
+
+  // Anything that was running when the server stopped gets another go
+  db.prepare("UPDATE jobs SET status = 'queued', progress = 0 WHERE status = 'running'").run();
+
+  const handlers = {};
+  const events = new EventEmitter();
+  let running = false;
+  let timer = null;
+
+  const parseJob = (row) => row && {
+    ...row,
+    params: JSON.parse(row.params || '{}'),
+    result: row.result ? JSON.parse(row.result) : null
+  };
+
+  const getJob = (id) => parseJob(db.prepare('SELECT * FROM jobs WHERE id = ?').get(id));
+
+  const register = (type, handler) => {
+    handlers[type] = handler;
+  };
+
+  const setProgress = (id, progress) => {
+    db.prepare('UPDATE jobs SET progress = ? WHERE id = ?')
+      .run(Math.max(0, Math.min(100, progress)), id);
+  };
+
+  const runNext = async () => {
+    if (running) return;
+
+    const types = Object.keys(handlers);
+    if (types.length === 0) return;
+
+    const row = db.prepare(`
+      SELECT * FROM jobs WHERE status = 'queued' AND type IN (${types.map(() => '?').join(', ')})
+      ORDER BY id LIMIT 1
+    `).get(...types);
+    if (!row) return;
+
+    running = true;
+    const job = parseJob(row);
+    db.prepare("UPDATE jobs SET status = 'running', startedAt = CURRENT_TIMESTAMP WHERE id = ?").run(job.id);
+
+    try {
+      const result = await handlers[job.type](job, {
+        setProgress: (progress) => setProgress(job.id, progress)
+      });
+      db.prepare(`
+        UPDATE jobs SET status = 'done', progress = 100, result = ?, finishedAt = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(JSON.stringify(result || {}), job.id);
+    } catch (err) {
+      console.error(`Job ${job.id} (${job.type}) failed:`, err);
+      db.prepare(`
+        UPDATE jobs SET status = 'failed', error = ?, finishedAt = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(err.message, job.id);
+    } finally {
+      running = false;
+    }
+
+    // Keep draining the queue, whatever the listeners do
+    setImmediate(tick);
+
+    // The row is gone when its recording was deleted while the job ran
+    const finished = getJob(job.id);
+    if (!finished) return;
+    try {
+      events.emit('finished', finished);
+    } catch (err) {
+      console.error(`Error handling finished job ${job.id}:`, err);
+    }
+  };
+
+  const tick = () => {
+    runNext().catch(err => console.error('Error running job queue:', err));
+  };
+
+  const enqueue = (type, { recordingId = null, ownerId = null, params = {} } = {}) => {
+    const result = db.prepare(`
+      INSERT INTO jobs (type, recordingId, ownerId, params) VALUES (?, ?, ?, ?)
+    `).run(type, recordingId, ownerId, JSON.stringify(params));
+
+    setImmediate(tick);
+    return getJob(result.lastInsertRowid);
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(tick, POLL_INTERVAL);
+    timer.unref();
+    setImmediate(tick);
+  };
+
+  return { register, enqueue, getJob, parseJob, start, events };
+};
+
+module.exports = createJobQueue;
@@ -0,0 +1,526 @@
+const fs = require('fs');
+const path = require('path');
+const { ensureColumn } = require('./schema');
+const { durationLimitError } = require('./recordingDetails');
+const { VIDEO_FORMATS, resolveVideoFormat } = require('./videoFormats');
+
+// Reads the container itself (WebM/Matroska or MP4) to find out what an uploaded file really is:
+// its duration, frame size, frame rate and codecs. Only headers and block/sample tables are read,
+// so no ffmpeg is needed.
+
+const READ_AHEAD = 1024 * 1024;
+// Header boxes bigger than this are not worth loading into memory
+const MAX_BOX_SIZE = 64 * 1024 * 1024;
+
+const ensureMediaColumns = (db) => {
+  ensureColumn(db, 'recordings', 'width', 'INTEGER');
+  ensureColumn(db, 'recordings', 'height', 'INTEGER');
+  ensureColumn(db, 'recordings', 'frameRate', 'REAL');
+  ensureColumn(db, 'recordings', 'videoCodec', 'TEXT');
+  ensureColumn(db, 'recordings', 'audioCodec', 'TEXT');
+};
+
+// Random-access reads through a read-ahead buffer, since both formats are walked front to back.
+// Near the end of the file `read` returns fewer bytes than asked for.
+const openFile = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  const { size } = await handle.stat();
+  let buffer = Buffer.alloc(0);
+  let bufferStart = 0;
+
+  const read = async (position, length) => {
+    if (position >= bufferStart && position + length <= bufferStart + buffer.length) {
+      return buffer.subarray(position - bufferStart, position - bufferStart + length);
+    }
+    const chunk = Buffer.alloc(Math.max(0, Math.min(Math.max(length, READ_AHEAD), size - position)));
+    const { bytesRead } = await handle.read(chunk, 0, chunk.length, position);
+    buffer = chunk.subarray(0, bytesRead);
+    bufferStart = position;
+    return buffer.subarray(0, Math.min(length, bytesRead));
+  };
+
+  return { size, read, close: () => handle.close() };
+};
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// --- WebM / Matroska (EBML) ---
+
+const EBML = {
+  header: 0x1A45DFA3,
+  docType: 0x4282,
+  segment: 0x18538067,
+  info: 0x1549A966,
+  timecodeScale: 0x2AD7B1,
+  duration: 0x4489,
+  tracks: 0x1654AE6B,
+  trackEntry: 0xAE,
+  trackNumber: 0xD7,
+  trackType: 0x83,
+  codecId: 0x86,
+  defaultDuration: 0x23E383,
+  video: 0xE0,
+  pixelWidth: 0xB0,
+  pixelHeight: 0xBA,
+  cluster: 0x1F43B675,
+  timecode: 0xE7,
+  blockGroup: 0xA0,
+  block: 0xA1,
+  simpleBlock: 0xA3
+};
+
+// Elements whose children we need. They are walked in place, which also copes with the
+// unknown sizes MediaRecorder writes for the segment and its clusters.
+const EBML_MASTERS = new Set([
+  EBML.segment, EBML.info, EBML.tracks, EBML.trackEntry, EBML.video, EBML.cluster, EBML.blockGroup
+]);
+
+const MATROSKA_CODECS = {
+  V_VP8: 'vp8',
+  V_VP9: 'vp9',
+  V_AV1: 'av1',
+  'V_MPEG4/ISO/AVC': 'h264',
+  'V_MPEGH/ISO/HEVC': 'hevc',
+  A_OPUS: 'opus',
+  A_VORBIS: 'vorbis',
+  A_AAC: 'aac',
+  'A_MPEG/L3': 'mp3',
+  A_FLAC: 'flac',
+  A_PCM_INT_LIT: 'pcm'
+};
+
+// Variable-length integer at `offset`: { value, length }, or null when `buf` ends first.
+// IDs keep their length marker; sizes drop it, and an all-ones size means "unknown".
+const readVint = (buf, offset, keepMarker) => {
+  if (offset >= buf.length) return null;
+  const first = buf[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length += 1;
+  if (length > 8 || offset + length > buf.length) return null;
+
+  let value = keepMarker ? first : first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buf[offset + i];
+    if (buf[offset + i] !== 0xFF) allOnes = false;
+  }
+  return { value: !keepMarker && allOnes ? null : value, length };
+};
+
+const readElementHeader = (buf, offset) => {
+  const id = readVint(buf, offset, true);
+  const size = id && readVint(buf, offset + id.length, false);
+  if (!size) return null;
+  return { id: id.value, size: size.value, headerLength: id.length + size.length };
+};
+
+const readUnsigned = (buf) => buf.reduce((value, byte) => value * 256 + byte, 0);
+const readFloat = (buf) => (buf.length === 4 ? buf.readFloatBE(0) : buf.length === 8 ? buf.readDoubleBE(0) : 0);
+
+const probeMatroska = async (file) => {
+  const head = await file.read(0, 64);
+  const header = readElementHeader(head, 0);
+  if (!header || header.size === null || header.size > 1024) {
+    return { error: 'The file has an invalid WebM header', status: 422 };
+  }
+
+  // The EBML header says which flavour of Matroska this is
+  const headerData = await file.read(header.headerLength, header.size);
+  let docType = null;
+  for (let offset = 0; offset < headerData.length;) {
+    const child = readElementHeader(headerData, offset);
+    if (!child || child.size === null) break;
+    const start = offset + child.headerLength;
+    if (child.id === EBML.docType) docType = headerData.subarray(start, start + child.size).toString('latin1').replace(/\0+$/, '');
+    offset = start + child.size;
+  }
+  if (docType !== 'webm' && docType !== 'matroska') {
+    return { error: `Unsupported EBML document type ${docType || '(none)'}`, status: 415 };
+  }
+
+  const tracks = [];
+  let timecodeScale = 1000000;
+  let infoDuration = null;
+  let clusterTimecode = 0;
+  let firstBlock = null;
+  let lastBlock = null;
+  let videoBlocks = 0;
+  let firstVideoBlock = null;
+  let lastVideoBlock = null;
+  let sawSegment = false;
+
+  let position = header.headerLength + header.size;
+  let end = file.size;
+
+  while (position < end) {
+    const buf = await file.read(position, 16);
+    const element = readElementHeader(buf, 0);
+    if (!element) break;
+    const dataStart = position + element.headerLength;
+
+    if (element.id === EBML.segment) {
+      sawSegment = true;
+      if (element.size !== null) end = Math.min(end, dataStart + element.size);
+    }
+    if (EBML_MASTERS.has(element.id)) {
+      if (element.id === EBML.trackEntry) tracks.push({});
+      position = dataStart;
+      continue;
+    }
+    // Anything else has to be skipped, which needs its size
+    if (element.size === null) break;
+
+    const track = tracks[tracks.length - 1];
+    if (element.id === EBML.block || element.id === EBML.simpleBlock) {
+      const blockHead = await file.read(dataStart, 12);
+      const trackNumber = readVint(blockHead, 0, false);
+      if (!trackNumber || blockHead.length < trackNumber.length + 2) break;
+      const time = clusterTimecode + blockHead.readInt16BE(trackNumber.length);
+
+      if (firstBlock === null || time < firstBlock) firstBlock = time;
+      if (lastBlock === null || time > lastBlock) lastBlock = time;
+      const blockTrack = tracks.find(item => item.number === trackNumber.value);
+      if (blockTrack && blockTrack.type === 1) {
+        videoBlocks += 1;
+        if (firstVideoBlock === null || time < firstVideoBlock) firstVideoBlock = time;
+        if (lastVideoBlock === null || time > lastVideoBlock) lastVideoBlock = time;
+      }
+    } else if (element.size <= 64) {
+      const data = await file.read(dataStart, element.size);
+      if (data.length < element.size) break;
+
+      if (element.id === EBML.timecodeScale) timecodeScale = readUnsigned(data) || timecodeScale;
+      else if (element.id === EBML.duration) infoDuration = readFloat(data);
+      else if (element.id === EBML.timecode) clusterTimecode = readUnsigned(data);
+      else if (track && element.id === EBML.trackNumber) track.number = readUnsigned(data);
+      else if (track && element.id === EBML.trackType) track.type = readUnsigned(data);
+      else if (track && element.id === EBML.codecId) track.codec = data.toString('latin1').replace(/\0+$/, '');
+      else if (track && element.id === EBML.defaultDuration) track.defaultDuration = readUnsigned(data);
+      else if (track && element.id === EBML.pixelWidth) track.width = readUnsigned(data);
+      else if (track && element.id === EBML.pixelHeight) track.height = readUnsigned(data);
+    }
+    position = dataStart + element.size;
+  }
+
+  if (!sawSegment) {
+    return { error: 'The file has no WebM segment', status: 422 };
+  }
+
+  const video = tracks.find(track => track.type === 1);
+  const audio = tracks.find(track => track.type === 2);
+  if (!video) {
+    return { error: 'The file has no video track', status: 422 };
+  }
+
+  const seconds = (ticks) => (ticks * timecodeScale) / 1e9;
+  let frameRate = video.defaultDuration ? 1e9 / video.defaultDuration : null;
+  if (!frameRate && videoBlocks > 1 && lastVideoBlock > firstVideoBlock) {
+    frameRate = (videoBlocks - 1) / seconds(lastVideoBlock - firstVideoBlock);
+  }
+
+  // MediaRecorder leaves the duration out, so it is measured from the block timestamps,
+  // counting the last frame as well
+  let duration = infoDuration > 0 ? seconds(infoDuration) : null;
+  if (duration === null && firstBlock !== null) {
+    duration = seconds(lastBlock - firstBlock) + (frameRate ? 1 / frameRate : 0);
+  }
+
+  return {
+    container: docType === 'webm' ? 'video/webm' : 'video/x-matroska',
+    duration,
+    width: video.width || null,
+    height: video.height || null,
+    frameRate,
+    videoCodec: video.codec ? MATROSKA_CODECS[video.codec] || video.codec.toLowerCase() : null,
+    audioCodec: audio && audio.codec ? MATROSKA_CODECS[audio.codec] || audio.codec.toLowerCase() : null
+  };
+};
+
+// --- MP4 (ISO base media) ---
+
+const MP4_TOP_LEVEL = new Set(['ftyp', 'styp', 'moov', 'moof', 'mdat', 'free', 'skip', 'wide', 'pdin', 'sidx', 'mfra', 'uuid', 'meta']);
+
+const MP4_CODECS = {
+  avc1: 'h264',
+  avc3: 'h264',
+  hvc1: 'hevc',
+  hev1: 'hevc',
+  vp08: 'vp8',
+  vp09: 'vp9',
+  av01: 'av1',
+  mp4v: 'mpeg4',
+  mp4a: 'aac',
+  Opus: 'opus',
+  fLaC: 'flac',
+  'ac-3': 'ac3',
+  'ec-3': 'eac3'
+};
+
+const readUInt64 = (buf, offset) => Number(buf.readBigUInt64BE(offset));
+
+// Child boxes of `buf` as { type, data }; stops at the first box that does not fit
+const childBoxes = (buf) => {
+  const boxes = [];
+  for (let offset = 0; offset + 8 <= buf.length;) {
+    let size = buf.readUInt32BE(offset);
+    const type = buf.toString('latin1', offset + 4, offset + 8);
+    let headerLength = 8;
+    if (size === 1) {
+      if (offset + 16 > buf.length) break;
+      size = readUInt64(buf, offset + 8);
+      headerLength = 16;
+    } else if (size === 0) {
+      size = buf.length - offset;
+    }
+    if (size < headerLength || offset + size > buf.length) break;
+    boxes.push({ type, data: buf.subarray(offset + headerLength, offset + size) });
+    offset += size;
+  }
+  return boxes;
+};
+
+const findBox = (buf, ...types) => types.reduce((data, type) => {
+  if (!data) return null;
+  const box = childBoxes(data).find(item => item.type === type);
+  return box ? box.data : null;
+}, buf);
+
+// Timescale and duration of an mvhd or mdhd box
+const readTimes = (data) => (data[0] === 1
+  ? { timescale: data.readUInt32BE(20), duration: readUInt64(data, 24) }
+  : { timescale: data.readUInt32BE(12), duration: data.readUInt32BE(16) });
+
+const parseTrack = (trak) => {
+  const tkhd = findBox(trak, 'tkhd');
+  const mdhd = findBox(trak, 'mdia', 'mdhd');
+  const hdlr = findBox(trak, 'mdia', 'hdlr');
+  const stbl = findBox(trak, 'mdia', 'minf', 'stbl');
+  if (!tkhd || !mdhd || !hdlr) return null;
+
+  const track = {
+    id: tkhd.readUInt32BE(tkhd[0] === 1 ? 20 : 12),
+    handler: hdlr.toString('latin1', 8, 12),
+    ...readTimes(mdhd),
+    samples: 0,
+    fragmentEnd: 0,
+    fragmentDuration: 0
+  };
+
+  const sizeOffset = tkhd[0] === 1 ? 88 : 76;
+  if (tkhd.length >= sizeOffset + 8) {
+    track.width = Math.round(tkhd.readUInt32BE(sizeOffset) / 65536);
+    track.height = Math.round(tkhd.readUInt32BE(sizeOffset + 4) / 65536);
+  }
+
+  const stsd = stbl && findBox(stbl, 'stsd');
+  if (stsd && stsd.length >= 16) {
+    const format = stsd.toString('latin1', 12, 16);
+    track.codec = MP4_CODECS[format] || format.trim().toLowerCase();
+    // The visual sample entry has the coded frame size
+    if (track.handler === 'vide' && stsd.length >= 44) {
+      track.width = stsd.readUInt16BE(40) || track.width;
+      track.height = stsd.readUInt16BE(42) || track.height;
+    }
+  }
+
+  const stts = stbl && findBox(stbl, 'stts');
+  if (stts && stts.length >= 8) {
+    const entries = stts.readUInt32BE(4);
+    for (let i = 0; i < entries && 16 + i * 8 <= stts.length; i++) {
+      track.samples += stts.readUInt32BE(8 + i * 8);
+    }
+  }
+  return track;
+};
+
+// Adds up the samples of one movie fragment (fragmented MP4, as written by MediaRecorder)
+const addFragment = (moof, tracks, defaultDurations) => {
+  childBoxes(moof).filter(box => box.type === 'traf').forEach(({ data: traf }) => {
+    const tfhd = findBox(traf, 'tfhd');
+    if (!tfhd || tfhd.length < 8) return;
+    const track = tracks.find(item => item.id === tfhd.readUInt32BE(4));
+    if (!track) return;
+
+    const tfhdFlags = tfhd.readUInt32BE(0) & 0xFFFFFF;
+    let offset = 8;
+    if (tfhdFlags & 0x01) offset += 8;
+    if (tfhdFlags & 0x02) offset += 4;
+    const defaultDuration = tfhdFlags & 0x08 ? tfhd.readUInt32BE(offset) : defaultDurations[track.id] || 0;
+
+    const tfdt = findBox(traf, 'tfdt');
+    let time = tfdt ? (tfdt[0] === 1 ? readUInt64(tfdt, 4) : tfdt.readUInt32BE(4)) : track.fragmentEnd;
+
+    childBoxes(traf).filter(box => box.type === 'trun').forEach(({ data: trun }) => {
+      const flags = trun.readUInt32BE(0) & 0xFFFFFF;
+      const count = trun.readUInt32BE(4);
+      let cursor = 8 + (flags & 0x01 ? 4 : 0) + (flags & 0x04 ? 4 : 0);
+      const fieldsPerSample = [0x100, 0x200, 0x400, 0x800].filter(flag => flags & flag).length;
+
+      for (let i = 0; i < count; i++) {
+        let sampleDuration = defaultDuration;
+        if (flags & 0x100) {
+          if (cursor + 4 > trun.length) break;
+          sampleDuration = trun.readUInt32BE(cursor);
+        }
+        cursor += fieldsPerSample * 4;
+        time += sampleDuration;
+        track.fragmentDuration += sampleDuration;
+      }
+      track.samples += count;
+    });
+    track.fragmentEnd = Math.max(track.fragmentEnd, time);
+  });
+};
+
+const probeMp4 = async (file) => {
+  let moov = null;
+  let fragmented = false;
+  const moofs = [];
+
+  for (let position = 0; position + 8 <= file.size;) {
+    const head = await file.read(position, 16);
+    let size = head.readUInt32BE(0);
+    const type = head.toString('latin1', 4, 8);
+    let headerLength = 8;
+    if (size === 1 && head.length >= 16) {
+      size = readUInt64(head, 8);
+      headerLength = 16;
+    } else if (size === 0) {
+      size = file.size - position;
+    }
+    if (size < headerLength) break;
+
+    if (type === 'moov' || type === 'moof') {
+      if (size > MAX_BOX_SIZE) {
+        return { error: `The MP4 ${type} box is too large`, status: 422 };
+      }
+      const data = await file.read(position + headerLength, size - headerLength);
+      // A box cut off at the end of the file is ignored
+      if (data.length === size - headerLength) {
+        if (type === 'moov') moov = data;
+        else moofs.push(data);
+      }
+    }
+    position += size;
+  }
+
+  if (!moov) {
+    return { error: 'The MP4 file has no movie header (moov box); it may be incomplete', status: 422 };
+  }
+
+  const tracks = childBoxes(moov).filter(box => box.type === 'trak').map(box => parseTrack(box.data)).filter(Boolean);
+  const video = tracks.find(track => track.handler === 'vide');
+  const audio = tracks.find(track => track.handler === 'soun');
+  if (!video) {
+    return { error: 'The file has no video track', status: 422 };
+  }
+
+  const mvex = findBox(moov, 'mvex');
+  if (mvex) {
+    fragmented = true;
+    const defaultDurations = {};
+    childBoxes(mvex).filter(box => box.type === 'trex' && box.data.length >= 16).forEach(({ data }) => {
+      defaultDurations[data.readUInt32BE(4)] = data.readUInt32BE(12);
+    });
+    moofs.forEach(moof => addFragment(moof, tracks, defaultDurations));
+  }
+
+  const mediaSeconds = (track) => {
+    if (!track.timescale) return null;
+    const units = fragmented ? Math.max(track.duration, track.fragmentEnd) : track.duration;
+    return units > 0 ? units / track.timescale : null;
+  };
+
+  const mvhd = findBox(moov, 'mvhd');
+  const movie = mvhd ? readTimes(mvhd) : null;
+  let duration = mediaSeconds(video);
+  if (duration === null && movie && movie.timescale && movie.duration > 0) {
+    duration = movie.duration / movie.timescale;
+  }
+
+  const activeSeconds = fragmented && video.fragmentDuration ? video.fragmentDuration / video.timescale : duration;
+  return {
+    container: 'video/mp4',
+    duration,
+    width: video.width || null,
+    height: video.height || null,
+    frameRate: video.samples > 0 && activeSeconds > 0 ? video.samples / activeSeconds : null,
+    videoCodec: video.codec || null,
+    audioCodec: audio ? audio.codec || null : null
+  };
+};
+
+/**
+ * Probes a video file. Resolves { container, duration, width, height, frameRate, videoCodec, audioCodec }
+ * (container is a MIME type, duration and frameRate are in seconds and frames per second), or
+ * { error, status } when the file is not a video we accept: 415 for an unknown format, 422 for
+ * a damaged one or one without video. Read errors reject.
+ */
+const probeMedia = async (filePath) => {
+  const file = await openFile(filePath);
+  try {
+    const head = await file.read(0, 8);
+    let probe;
+    if (head.length >= 4 && head.readUInt32BE(0) === EBML.header) {
+      probe = await probeMatroska(file);
+    } else if (head.length === 8 && MP4_TOP_LEVEL.has(head.toString('latin1', 4, 8))) {
+      probe = await probeMp4(file);
+    } else {
+      return { error: 'The file is not a WebM, Matroska or MP4 video', status: 415 };
+    }
+
+    if (probe.error) return probe;
+    if (!probe.duration || !Number.isFinite(probe.duration)) {
+      return { error: 'The video contains no frames', status: 422 };
+    }
+    return {
+      ...probe,
+      duration: round(probe.duration, 3),
+      frameRate: probe.frameRate && Number.isFinite(probe.frameRate) ? round(probe.frameRate, 2) : null
+    };
+  } finally {
+    await file.close();
+  }
+};
+
+// Recording columns filled in from a probe
+const mediaDetails = (probe) => ({
+  duration: Math.round(probe.duration),
+  width: probe.width,
+  height: probe.height,
+  frameRate: probe.frameRate,
+  videoCodec: probe.videoCodec,
+  audioCodec: probe.audioCodec
+});
+
+/**
+ * Checks an upload waiting in the uploads directory before it becomes a recording: it has to
+ * probe as a video within the duration limit. The file is renamed when its extension does not
+ * match its real container, and the declared `mimeType` is only kept when the container matches.
+ * Resolves { error, status } or { localPath, filename, media } with the columns for the recording.
+ */
+const checkUploadedVideo = async (localPath, { mimeType, maxDurationSeconds }) => {
+  const probe = await probeMedia(localPath);
+  if (probe.error) return probe;
+
+  const limitError = durationLimitError(probe.duration, maxDurationSeconds);
+  if (limitError) return { error: limitError, status: 422 };
+
+  const declared = resolveVideoFormat(mimeType);
+  const matches = !declared.error && declared.mimeType.split(';')[0] === probe.container;
+
+  const extension = VIDEO_FORMATS[probe.container];
+  let finalPath = localPath;
+  if (path.extname(localPath) !== extension) {
+    finalPath = `${localPath.slice(0, localPath.length - path.extname(localPath).length)}${extension}`;
+    await fs.promises.rename(localPath, finalPath);
+  }
+
+  return {
+    localPath: finalPath,
+    filename: path.basename(finalPath),
+    media: { ...mediaDetails(probe), mimeType: matches ? declared.mimeType : probe.container }
+  };
+};
+
+module.exports = { ensureMediaColumns, probeMedia, mediaDetails, checkUploadedVideo };
@@ -0,0 +1,57 @@
+const path = require('path');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+// Timers in the browser drift a little, so uploads may run this far past the limit
+const DURATION_GRACE_SECONDS = 5;
+
+// Titles are trimmed single lines; an empty title clears it back to the filename
+const normalizeTitle = (value) => {
+  if (value === undefined) return { skip: true };
+  if (value === null) return { value: null };
+  if (typeof value !== 'string') return { error: 'title must be a string' };
+
+  const title = value.trim().replace(/\s+/g, ' ');
+  if (title.length > MAX_TITLE_LENGTH) return { error: `title can be at most ${MAX_TITLE_LENGTH} characters` };
+  return { value: title || null };
+};
+
+const normalizeDescription = (value) => {
+  if (value === undefined) return { skip: true };
+  if (value === null) return { value: null };
+  if (typeof value !== 'string') return { error: 'description must be a string' };
+
+  const description = value.trim();
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    return { error: `description can be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+  return { value: description || null };
+};
+
+// Title for a recording that is being created; invalid input is dropped rather than rejected
+const titleForNewRecording = (value) => {
+  const { value: title, error } = normalizeTitle(value);
+  return error ? null : title || null;
+};
+
+// Error message for a recording longer than `maxSeconds` (null means unlimited), or null
+const durationLimitError = (duration, maxSeconds) => {
+  const seconds = Number(duration);
+  if (!maxSeconds || !Number.isFinite(seconds) || seconds <= maxSeconds + DURATION_GRACE_SECONDS) return null;
+  return `Recordings can be at most ${maxSeconds} seconds long`;
+};
+
+// Filename offered to browsers when downloading: the title when there is one
+const downloadName = (recording) => {
+  const extension = path.extname(recording.filename) || '.webm';
+  if (!recording.title) return recording.filename;
+
+  const base = recording.title
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+    .replace(/^\.+/, '')
+    .trim()
+    .slice(0, 150);
+  return base ? `${base}${extension}` : recording.filename;
+};
+
+module.exports = { normalizeTitle, normalizeDescription, titleForNewRecording, durationLimitError, downloadName };
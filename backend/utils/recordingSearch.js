@@ -0,0 +1,233 @@
+// Search, filters, sorting and cursor pagination for GET /api/recordings.
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+// Sort keys accepted in ?sort= and the column expression they order by
+const SORT_COLUMNS = {
+  date: 'recordings.createdAt',
+  size: 'recordings.filesize',
+  duration: 'COALESCE(recordings.duration, 0)'
+};
+// Repeating one of these (?order=asc&order=desc) makes Express hand over an array
+const SINGLE_VALUE_PARAMS = [
+  'q', 'sort', 'order', 'limit', 'cursor', 'from', 'to',
+  'minDuration', 'maxDuration', 'minSize', 'maxSize', 'tag', 'folder'
+];
+
+// Rebuilds the search document of the recordings matched by `where` (SQL over `recordings`)
+const refreshFts = (where) => `
+  DELETE FROM recordings_fts WHERE rowid IN (SELECT id FROM recordings WHERE ${where});
+  INSERT INTO recordings_fts (rowid, title, description, tags, filename)
+  SELECT id, title, description,
+    (SELECT group_concat(tags.name, ' ') FROM recording_tags JOIN tags ON tags.id = recording_tags.tagId
+     WHERE recording_tags.recordingId = recordings.id),
+    filename
+  FROM recordings WHERE ${where};
+`;
+
+// Full-text index over title, description, tag names and filename, kept current by triggers.
+// Call after the tag tables exist.
+const ensureSearchIndex = (db) => {
+  const exists = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'recordings_fts'").get();
+
+  db.prepare(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS recordings_fts USING fts5(
+      title, description, tags, filename, tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `).run();
+
+  db.exec(`
+    CREATE TRIGGER IF NOT EXISTS recordings_fts_insert AFTER INSERT ON recordings BEGIN
+      ${refreshFts('id = new.id')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS recordings_fts_update AFTER UPDATE OF title, description, filename ON recordings BEGIN
+      ${refreshFts('id = new.id')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS recordings_fts_delete AFTER DELETE ON recordings BEGIN
+      DELETE FROM recordings_fts WHERE rowid = old.id;
+    END;
+    CREATE TRIGGER IF NOT EXISTS recordings_fts_tag_added AFTER INSERT ON recording_tags BEGIN
+      ${refreshFts('id = new.recordingId')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS recordings_fts_tag_removed AFTER DELETE ON recording_tags BEGIN
+      ${refreshFts('id = old.recordingId')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS recordings_fts_tag_renamed AFTER UPDATE OF name ON tags BEGIN
+      ${refreshFts('id IN (SELECT recordingId FROM recording_tags WHERE tagId = new.id)')}
+    END;
+  `);
+
+  // Index recordings that existed before the search index did
+  if (!exists) {
+    db.exec(refreshFts('1 = 1'));
+  }
+};
+
+// Each word must match as a prefix; quoting keeps FTS5 operators in user input literal
+const ftsQuery = (text) => String(text)
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(word => `"${word.replace(/"/g, '""')}"*`)
+  .join(' ');
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return Number.isInteger(id) ? { value, id } : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// SQLite's CURRENT_TIMESTAMP format, so date filters compare as plain strings
+const toSqlDate = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+const parseDate = (value, name, endOfDay) => {
+  // A bare YYYY-MM-DD in `to` should include that whole day
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(date.getTime())) return { error: `${name} must be a date` };
+  if (dateOnly && endOfDay) date.setUTCDate(date.getUTCDate() + 1);
+  return { value: toSqlDate(date), exclusive: dateOnly && endOfDay };
+};
+
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number) || number < 0) {
+    return { error: `${name} must be a non-negative number` };
+  }
+  return { value: number };
+};
+
+/**
+ * Turns the query string into SQL pieces for the recordings list.
+ * Returns `{ error }` or `{ where, params, filterWhere, filterParams, orderBy, cursorColumn, limit }`.
+ */
+const parseListQuery = (query, ownerId) => {
+  // Draft versions from the editor only show up once they are confirmed
+  const where = ['recordings.ownerId = ?', "recordings.status != 'draft'"];
+  const params = [ownerId];
+
+  const repeated = SINGLE_VALUE_PARAMS.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  if (repeated) {
+    return { error: `${repeated} must be a single value` };
+  }
+
+  const sort = query.sort || 'date';
+  if (!Object.prototype.hasOwnProperty.call(SORT_COLUMNS, sort)) {
+    return { error: `sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}` };
+  }
+  const order = (query.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  if (query.q && String(query.q).trim()) {
+    where.push('recordings.id IN (SELECT rowid FROM recordings_fts WHERE recordings_fts MATCH ?)');
+    params.push(ftsQuery(query.q));
+  }
+
+  if (query.from) {
+    const from = parseDate(query.from, 'from', false);
+    if (from.error) return { error: from.error };
+    where.push('recordings.createdAt >= ?');
+    params.push(from.value);
+  }
+
+  if (query.to) {
+    const to = parseDate(query.to, 'to', true);
+    if (to.error) return { error: to.error };
+    where.push(`recordings.createdAt ${to.exclusive ? '<' : '<='} ?`);
+    params.push(to.value);
+  }
+
+  const ranges = [
+    ['minDuration', 'COALESCE(recordings.duration, 0) >= ?'],
+    ['maxDuration', 'COALESCE(recordings.duration, 0) <= ?'],
+    ['minSize', 'recordings.filesize >= ?'],
+    ['maxSize', 'recordings.filesize <= ?']
+  ];
+  for (const [name, condition] of ranges) {
+    if (query[name] === undefined) continue;
+    const { value, error } = parseNumber(query[name], name);
+    if (error) return { error };
+    where.push(condition);
+    params.push(value);
+  }
+
+  if (query.tag !== undefined) {
+    where.push('recordings.id IN (SELECT recordingId FROM recording_tags WHERE tagId = ?)');
+    params.push(query.tag);
+  }
+
+  // ?folder=<id> lists one folder, ?folder=none the recordings that are in no folder
+  if (query.folder !== undefined) {
+    if (query.folder === 'none') {
+      where.push('recordings.folderId IS NULL');
+    } else {
+      const folderId = Number(query.folder);
+      if (!Number.isInteger(folderId)) return { error: 'folder must be a folder id or none' };
+      where.push('recordings.folderId = ?');
+      params.push(folderId);
+    }
+  }
+
+  // Filters without the cursor, so the total stays the same across pages
+  const filterWhere = [...where];
+  const filterParams = [...params];
+
+  // Keyset pagination: continue strictly after the last row of the previous page
+  const column = SORT_COLUMNS[sort];
+  const comparison = order === 'desc' ? '<' : '>';
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: 'cursor is invalid' };
+    where.push(`(${column} ${comparison} ? OR (${column} = ? AND recordings.id ${comparison} ?))`);
+    params.push(cursor.value, cursor.value, cursor.id);
+  }
+
+  return {
+    where: where.join(' AND '),
+    params,
+    filterWhere: filterWhere.join(' AND '),
+    filterParams,
+    orderBy: `${column} ${order.toUpperCase()}, recordings.id ${order.toUpperCase()}`,
+    cursorColumn: column,
+    limit
+  };
+};
+
+/**
+ * Runs a parsed list query. Returns `{ rows, total, nextCursor }`.
+ */
+const listRecordings = (db, parsed) => {
+  const rows = db.prepare(`
+    SELECT recordings.*, ${parsed.cursorColumn} AS sortValue FROM recordings
+    WHERE ${parsed.where}
+    ORDER BY ${parsed.orderBy}
+    LIMIT ?
+  `).all(...parsed.params, parsed.limit + 1);
+
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM recordings WHERE ${parsed.filterWhere}`)
+    .get(...parsed.filterParams);
+
+  const hasMore = rows.length > parsed.limit;
+  const page = rows.slice(0, parsed.limit);
+  const last = page[page.length - 1];
+
+  return {
+    rows: page.map(({ sortValue, ...row }) => row),
+    total,
+    nextCursor: hasMore ? encodeCursor(last.sortValue, last.id) : null
+  };
+};
+
+module.exports = { ensureSearchIndex, parseListQuery, listRecordings };
@@ -0,0 +1,10 @@
+// Add a column to an existing table if an older database was created without it
+const ensureColumn = (db, table, column, definition) => {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  
+  if (!columns.some(col => col.name === column)) {
+    db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+  }
+};
+
+module.exports = { ensureColumn };
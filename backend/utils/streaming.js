@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+
+// Parse a single "bytes=" range against a file of `size` bytes (RFC 9110 section 14.1.2).
+// Returns { start, end } (inclusive), 'unsatisfiable', or null when the header should be
+// ignored: malformed, another unit, or several ranges, which are answered with the whole file.
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return 'unsatisfiable';
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    if (match[2] !== '' && parseInt(match[2], 10) < start) return null;
+  }
+
+  if (start >= size || size === 0) return 'unsatisfiable';
+  return { start, end };
+};
+
+// Files served at fixed URLs whose content can be replaced (previews and HLS packages are
+// rebuilt after an edit) must be revalidated. `version` is whatever changes with the content,
+// such as its storage key. Returns true once a 304 has been sent.
+const sendNotModified = (req, res, version) => {
+  const etag = `"${crypto.createHash('sha1').update(String(version)).digest('hex')}"`;
+  res.set({ 'Cache-Control': 'private, no-cache', ETag: etag });
+  if (!req.fresh) return false;
+  res.status(304).end();
+  return true;
+};
+
+// Stream a stored file, honouring HTTP Range requests so players can seek.
+// `size` comes from driver.stat(), which callers use to answer 404s first.
+const streamVideo = async (req, res, { driver, key, size, contentType = 'video/webm' }) => {
+  const range = req.headers.range ? parseRange(req.headers.range, size) : null;
+  let stream;
+
+  if (range === 'unsatisfiable') {
+    res.writeHead(416, { 'Content-Range': `bytes */${size}`, 'Accept-Ranges': 'bytes' });
+    return res.end();
+  }
+
+  // HEAD gets the same headers without opening the file
+  const open = (options) => (req.method === 'HEAD' ? null : driver.createReadStream(key, options));
+
+  if (range) {
+    const { start, end } = range;
+    stream = await open({ start, end });
+    res.writeHead(206, {
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Accept-Ranges': 'bytes',
+      'Content-Length': end - start + 1,
+      'Content-Type': contentType
+    });
+  } else {
+    stream = await open();
+    res.writeHead(200, {
+      'Accept-Ranges': 'bytes',
+      'Content-Length': size,
+      'Content-Type': contentType
+    });
+  }
+
+  if (!stream) {
+    return res.end();
+  }
+
+  // pipeline destroys the source when the client goes away (players abort ranges when seeking),
+  // which releases S3 sockets. Headers are already out, so a failing backend can only cut the
+  // response short.
+  pipeline(stream, res, (err) => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error(`Error streaming ${key}:`, err);
+    }
+  });
+};
+
+module.exports = { streamVideo, parseRange, sendNotModified };
@@ -0,0 +1,63 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const TIMEOUT = 30 * 60 * 1000;
+
+// Split a command line into arguments, honouring single and double quotes
+const splitCommand = (command) => (command.match(/"[^"]*"|'[^']*'|\S+/g) || [])
+  .map(part => (/^(["']).*\1$/.test(part) ? part.slice(1, -1) : part));
+
+/**
+ * Speech-to-text hook for draft captions. `command` is any local engine (whisper.cpp, Vosk, ...)
+ * with these placeholders:
+ *   {input}   16 kHz mono WAV of the recording's audio
+ *   {lang}    language code the track is for
+ *   {output}  optional path to write the transcript to; a .srt or .vtt extension may be added
+ * Without {output} the transcript is read from stdout. Either way it must be SRT or WebVTT.
+ * Returns null when no command is configured.
+ */
+const createTranscriber = (command) => {
+  if (!command) return null;
+  const template = splitCommand(command);
+
+  return ({ input, lang, workDir }) => new Promise((resolve, reject) => {
+    const output = path.join(workDir, 'transcript');
+    const args = template.map(part => part
+      .replace(/\{input\}/g, input)
+      .replace(/\{lang\}/g, lang)
+      .replace(/\{output\}/g, output));
+    const writesFile = template.some(part => part.includes('{output}'));
+
+    const child = spawn(args[0], args.slice(1), { cwd: workDir });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), TIMEOUT);
+
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    child.stderr.on('data', (data) => {
+      stderr = (stderr + data.toString()).slice(-4000);
+    });
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err.code === 'ENOENT' ? new Error(`Transcriber "${args[0]}" was not found`) : err);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        const reason = signal ? `was stopped (${signal})` : `exited with code ${code}`;
+        const lastLines = stderr.trim().split('\n').slice(-3).join(' ');
+        return reject(new Error(`Transcriber ${reason}: ${lastLines}`));
+      }
+      if (!writesFile) return resolve(stdout);
+
+      const written = [output, `${output}.vtt`, `${output}.srt`].find(file => fs.existsSync(file));
+      if (!written) return reject(new Error('Transcriber did not write a transcript file'));
+      resolve(fs.readFileSync(written, 'utf8'));
+    });
+  });
+};
+
+module.exports = { createTranscriber };
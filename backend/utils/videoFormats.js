@@ -0,0 +1,52 @@
+const path = require('path');
+
+// Containers recordings can be uploaded in, with the extension their files get
+const VIDEO_FORMATS = {
+  'video/webm': '.webm',
+  'video/mp4': '.mp4',
+  'video/x-matroska': '.mkv'
+};
+
+// Clients from before format negotiation send no type, or a generic one, and always record WebM
+const LEGACY_TYPES = ['', 'application/octet-stream'];
+const DEFAULT_MIME_TYPE = 'video/webm';
+
+/**
+ * Normalizes a MIME type declared by the client, e.g. `video/webm; codecs="vp9, opus"` becomes
+ * `video/webm;codecs=vp9,opus`. Returns { mimeType, extension }, or { error } when the container
+ * is not one we accept.
+ */
+const resolveVideoFormat = (value) => {
+  if (value !== undefined && value !== null && typeof value !== 'string') {
+    return { error: 'mimeType must be a string' };
+  }
+
+  const [base, ...params] = String(value || '').split(';');
+  const container = base.trim().toLowerCase();
+  if (LEGACY_TYPES.includes(container)) {
+    return { mimeType: DEFAULT_MIME_TYPE, extension: VIDEO_FORMATS[DEFAULT_MIME_TYPE] };
+  }
+
+  const extension = VIDEO_FORMATS[container];
+  if (!extension) {
+    return { error: `Unsupported video format ${container}; use ${Object.keys(VIDEO_FORMATS).join(', ')}` };
+  }
+
+  // Only the codecs parameter is kept, and only when it looks like a codec list
+  const codecsParam = params.map(param => param.trim()).find(param => /^codecs=/i.test(param));
+  const codecs = codecsParam ? codecsParam.slice('codecs='.length).replace(/["'\s]/g, '') : '';
+  const mimeType = /^[\w.+-]+(,[\w.+-]+)*$/.test(codecs) && codecs.length <= 100
+    ? `${container};codecs=${codecs}`
+    : container;
+  return { mimeType, extension };
+};
+
+// Content-Type to serve a recording's file with: its container, without codec parameters
+const contentTypeFor = (recording) => {
+  if (recording.mimeType) return recording.mimeType.split(';')[0];
+  const extension = path.extname(recording.filename).toLowerCase();
+  const container = Object.keys(VIDEO_FORMATS).find(type => VIDEO_FORMATS[type] === extension);
+  return container || DEFAULT_MIME_TYPE;
+};
+
+module.exports = { VIDEO_FORMATS, DEFAULT_MIME_TYPE, resolveVideoFormat, contentTypeFor };
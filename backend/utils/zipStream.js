@@ -0,0 +1,178 @@
+// Streaming ZIP writer. Entries are stored without compression (recordings are already
+// compressed video) and written straight to the output as they are read, so an archive of
+// any size needs only one chunk in memory. Each entry's CRC and size follow its data in a
+// data descriptor; ZIP64 records are added once sizes or offsets pass 4 GiB.
+const zlib = require('zlib');
+
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+// General purpose flags: sizes in a data descriptor (bit 3), UTF-8 names (bit 11)
+const FLAGS = 0x0808;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+// Running CRC-32; start with 0 and feed every chunk in order. zlib has a native one from Node 20.15.
+const crc32 = zlib.crc32
+  ? (crc, chunk) => zlib.crc32(chunk, crc)
+  : (crc, chunk) => {
+    let c = crc ^ MAX_32;
+    for (let i = 0; i < chunk.length; i += 1) c = CRC_TABLE[(c ^ chunk[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ MAX_32) >>> 0;
+  };
+
+// MS-DOS date and time fields, in local time as archivers expect
+const dosDateTime = (date) => {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+};
+
+/**
+ * Writes a ZIP archive to a writable stream (an HTTP response, say), waiting for it to drain.
+ * Call `addFile(name, source, { date })` for each entry in turn, where `source` is a Buffer or a
+ * readable stream, then `finish()`. Both reject if the output is closed early.
+ */
+const createZipWriter = (output) => {
+  const entries = [];
+  let offset = 0;
+
+  const write = async (chunk) => {
+    if (output.destroyed) throw new Error('The archive download was closed');
+    offset += chunk.length;
+    if (output.write(chunk)) return;
+    await new Promise((resolve) => {
+      const done = () => {
+        output.off('drain', done);
+        output.off('close', done);
+        resolve();
+      };
+      output.on('drain', done);
+      output.on('close', done);
+    });
+  };
+
+  const addFile = async (name, source, { date = new Date() } = {}) => {
+    const fileName = Buffer.from(name, 'utf8');
+    const { time, date: day } = dosDateTime(date);
+    const headerOffset = offset;
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(0, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(day, 12);
+    // CRC and sizes (14-25) stay zero; they come in the data descriptor
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(0, 28);
+    await write(Buffer.concat([header, fileName]));
+
+    let crc = 0;
+    let size = 0;
+    if (Buffer.isBuffer(source)) {
+      crc = crc32(crc, source);
+      size = source.length;
+      await write(source);
+    } else {
+      for await (const chunk of source) {
+        crc = crc32(crc, chunk);
+        size += chunk.length;
+        await write(chunk);
+      }
+    }
+
+    const zip64 = size >= MAX_32;
+    const descriptor = Buffer.alloc(zip64 ? 24 : 16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    if (zip64) {
+      descriptor.writeBigUInt64LE(BigInt(size), 8);
+      descriptor.writeBigUInt64LE(BigInt(size), 16);
+    } else {
+      descriptor.writeUInt32LE(size, 8);
+      descriptor.writeUInt32LE(size, 12);
+    }
+    await write(descriptor);
+
+    entries.push({ fileName, time, day, crc, size, headerOffset });
+  };
+
+  const centralDirectoryEntry = (entry) => {
+    const zip64 = entry.size >= MAX_32 || entry.headerOffset >= MAX_32;
+    const extra = zip64 ? Buffer.alloc(28) : Buffer.alloc(0);
+    if (zip64) {
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(24, 2);
+      extra.writeBigUInt64LE(BigInt(entry.size), 4);
+      extra.writeBigUInt64LE(BigInt(entry.size), 12);
+      extra.writeBigUInt64LE(BigInt(entry.headerOffset), 20);
+    }
+
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(0x02014b50, 0);
+    // Made by: Unix, spec 4.5, so the permissions in the external attributes are used
+    record.writeUInt16LE((3 << 8) | 45, 4);
+    record.writeUInt16LE(zip64 ? 45 : 20, 6);
+    record.writeUInt16LE(FLAGS, 8);
+    record.writeUInt16LE(0, 10);
+    record.writeUInt16LE(entry.time, 12);
+    record.writeUInt16LE(entry.day, 14);
+    record.writeUInt32LE(entry.crc, 16);
+    record.writeUInt32LE(zip64 ? MAX_32 : entry.size, 20);
+    record.writeUInt32LE(zip64 ? MAX_32 : entry.size, 24);
+    record.writeUInt16LE(entry.fileName.length, 28);
+    record.writeUInt16LE(extra.length, 30);
+    // Comment length, disk number and internal attributes (32-37) stay zero
+    record.writeUInt32LE((0o100644 << 16) >>> 0, 38);
+    record.writeUInt32LE(zip64 ? MAX_32 : entry.headerOffset, 42);
+    return Buffer.concat([record, entry.fileName, extra]);
+  };
+
+  const finish = async () => {
+    const directoryOffset = offset;
+    for (const entry of entries) {
+      await write(centralDirectoryEntry(entry));
+    }
+    const directorySize = offset - directoryOffset;
+
+    const zip64 = entries.length >= MAX_16 || directoryOffset >= MAX_32 || directorySize >= MAX_32;
+    if (zip64) {
+      const recordOffset = offset;
+      const record = Buffer.alloc(56);
+      record.writeUInt32LE(0x06064b50, 0);
+      record.writeBigUInt64LE(44n, 4);
+      record.writeUInt16LE((3 << 8) | 45, 12);
+      record.writeUInt16LE(45, 14);
+      // Disk numbers (16-23) stay zero
+      record.writeBigUInt64LE(BigInt(entries.length), 24);
+      record.writeBigUInt64LE(BigInt(entries.length), 32);
+      record.writeBigUInt64LE(BigInt(directorySize), 40);
+      record.writeBigUInt64LE(BigInt(directoryOffset), 48);
+
+      const locator = Buffer.alloc(20);
+      locator.writeUInt32LE(0x07064b50, 0);
+      locator.writeBigUInt64LE(BigInt(recordOffset), 8);
+      locator.writeUInt32LE(1, 16);
+      await write(Buffer.concat([record, locator]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Math.min(entries.length, MAX_16), 8);
+    end.writeUInt16LE(Math.min(entries.length, MAX_16), 10);
+    end.writeUInt32LE(Math.min(directorySize, MAX_32), 12);
+    end.writeUInt32LE(Math.min(directoryOffset, MAX_32), 16);
+    await write(end);
+  };
+
+  return { addFile, finish };
+};
+
+module.exports = { createZipWriter };
@@ -0,0 +1,83 @@
+/* eslint-disable no-restricted-globals */
+// Keeps the app shell available offline. The build's own files are listed in
+// asset-manifest.json and cached on install; pages are served network-first so a new
+// deploy shows up as soon as the network does. API requests are never cached.
+
+const CACHE = 'app-shell-v1';
+// Stylesheet and script CDNs the shell loads from index.html
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdnjs.cloudflare.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    const manifest = await fetch('asset-manifest.json', { cache: 'no-store' }).then(res => res.json());
+    const files = Object.values(manifest.files).filter(file => !file.endsWith('.map'));
+    await cache.addAll(['./', 'index.html', 'manifest.json', 'favicon.ico', ...files]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Serve from the network and refresh the cache, or fall back to the cached copy
+const networkFirst = async (request, fallbackUrl) => {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(fallbackUrl || request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+// Serve the cached copy when there is one; built files are content-hashed so they never go stale
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+// Serve the cached copy straight away and refresh it in the background, for the unversioned CDN
+// files. Their responses are opaque (status 0) but still usable from the cache.
+const staleWhileRevalidate = async (request) => {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  const refresh = fetch(request).then((response) => {
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    refresh.catch(() => {});
+    return cached;
+  }
+  return refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request, new URL('index.html', self.registration.scope).href));
+  } else if (url.origin === self.location.origin && url.pathname.includes('/static/')) {
+    event.respondWith(cacheFirst(request));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    // Font Awesome's webfonts are fetched relative to its stylesheet on the same CDN
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
@@ -1,6 +1,9 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import RecordScreen from './components/RecordScreen';
 import RecordingsList from './components/RecordingsList';
+import AuthScreen from './components/AuthScreen';
+import WebhooksPanel from './components/WebhooksPanel';
+import { startUploadQueue } from './utils/uploadQueue';
 import './App.css';
 
 // Determine API URL based on environment
@@ -8,8 +11,87 @@ const API_URL = process.env.NODE_ENV === 'production'
   ? 'https://mern-screen-recorder-backend-6cgg.onrender.com' 
   : 'http://localhost:5000';
 
+// The last signed-in user, so the local library stays usable while the server is unreachable
+const SESSION_USER_KEY = 'sessionUser';
+
+const loadSessionUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_USER_KEY));
+  } catch (e) {
+    return null;
+  }
+};
+
 function App() {
   const [activeTab, setActiveTab] = useState('record');
+  const [user, setUserState] = useState(null);
+  const [offline, setOffline] = useState(false);
+  const [checkingSession, setCheckingSession] = useState(true);
+
+  const setUser = useCallback((next) => {
+    setUserState(next);
+    if (next) {
+      localStorage.setItem(SESSION_USER_KEY, JSON.stringify(next));
+    } else {
+      localStorage.removeItem(SESSION_USER_KEY);
+    }
+  }, []);
+
+  useEffect(() => {
+    const checkSession = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/auth/me`, { credentials: 'include' });
+        if (response.ok) {
+          const data = await response.json();
+          setUser(data.user);
+        } else {
+          setUser(null);
+        }
+      } catch (error) {
+        // No answer is not a rejected session: carry on offline as the last user
+        console.error('Error checking session:', error);
+        const cached = loadSessionUser();
+        if (cached) {
+          setUserState(cached);
+          setOffline(true);
+        }
+      } finally {
+        setCheckingSession(false);
+      }
+    };
+    checkSession();
+  }, [setUser]);
+
+  useEffect(() => {
+    const handleOnline = () => setOffline(false);
+    const handleOffline = () => setOffline(true);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  const logout = async () => {
+    try {
+      await fetch(`${API_URL}/api/auth/logout`, { method: 'POST', credentials: 'include' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    setUser(null);
+    setActiveTab('record');
+  };
+
+  // Called by child components when the server rejects the session
+  const handleUnauthorized = useCallback(() => setUser(null), [setUser]);
+
+  // Upload queued recordings from the local library in the background while signed in
+  useEffect(() => {
+    if (!user) return undefined;
+    const queue = startUploadQueue({ apiUrl: API_URL, ownerId: user.id, onUnauthorized: handleUnauthorized });
+    return () => queue.stop();
+  }, [user, handleUnauthorized]);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-gray-900 text-white">
@@ -20,32 +102,77 @@ function App() {
             MERN Screen Recorder
           </h1>
           <p className="text-xl text-gray-300">Record, preview, and manage your screen recordings</p>
+          {user && (
+            <div className="mt-4 flex items-center justify-center text-gray-300">
+              <i className="fas fa-user-circle mr-2"></i>
+              <span>{user.email}</span>
+              {offline && (
+                <span
+                  className="ml-3 px-2 py-0.5 text-xs rounded-full bg-yellow-900 text-yellow-200"
+                  title="Recordings are kept on this device and upload when the connection is back"
+                >
+                  <i className="fas fa-plane mr-1"></i> Offline
+                </span>
+              )}
+              <button 
+                onClick={logout}
+                className="ml-4 px-3 py-1 rounded-lg text-sm bg-gray-800 hover:bg-gray-700 transition-colors"
+              >
+                <i className="fas fa-sign-out-alt mr-1"></i> Log Out
+              </button>
+            </div>
+          )}
         </header>
 
-        {/* Navigation Tabs */}
-        <div className="flex justify-center mb-8">
-          <div className="glass-effect rounded-xl p-1 flex">
-            <button 
-              className={`px-6 py-3 rounded-xl transition-all ${activeTab === 'record' ? 'bg-indigo-600' : 'hover:bg-indigo-800'}`}
-              onClick={() => setActiveTab('record')}
-            >
-              <i className={`fas ${activeTab === 'record' ? 'fa-record-vinyl' : 'fa-video'} mr-2`}></i>
-              Record Screen
-            </button>
-            <button 
-              className={`px-6 py-3 rounded-xl transition-all ${activeTab === 'recordings' ? 'bg-indigo-600' : 'hover:bg-indigo-800'}`}
-              onClick={() => setActiveTab('recordings')}
-            >
-              <i className="fas fa-history mr-2"></i>
-              My Recordings
-            </button>
+        {checkingSession ? (
+          <div className="flex justify-center items-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-purple-500"></div>
+          </div>
+        ) : !user ? (
+          <AuthScreen apiUrl={API_URL} onAuthenticated={setUser} />
+        ) : (
+        <>
+          {/* Navigation Tabs */}
+          <div className="flex justify-center mb-8">
+            <div className="glass-effect rounded-xl p-1 flex">
+              <button 
+                className={`px-6 py-3 rounded-xl transition-all ${activeTab === 'record' ? 'bg-indigo-600' : 'hover:bg-indigo-800'}`}
+                onClick={() => setActiveTab('record')}
+              >
+                <i className={`fas ${activeTab === 'record' ? 'fa-record-vinyl' : 'fa-video'} mr-2`}></i>
+                Record Screen
+              </button>
+              <button 
+                className={`px-6 py-3 rounded-xl transition-all ${activeTab === 'recordings' ? 'bg-indigo-600' : 'hover:bg-indigo-800'}`}
+                onClick={() => setActiveTab('recordings')}
+              >
+                <i className="fas fa-history mr-2"></i>
+                My Recordings
+              </button>
+              <button 
+                className={`px-6 py-3 rounded-xl transition-all ${activeTab === 'webhooks' ? 'bg-indigo-600' : 'hover:bg-indigo-800'}`}
+                onClick={() => setActiveTab('webhooks')}
+              >
+                <i className="fas fa-plug mr-2"></i>
+                Webhooks
+              </button>
+            </div>
           </div>
-        </div>
 
-        {/* Main Content */}
-        <main>
-          {activeTab === 'record' ? <RecordScreen apiUrl={API_URL} /> : <RecordingsList apiUrl={API_URL} />}
-        </main>
+          {/* Main Content */}
+          <main>
+            {activeTab === 'record' && (
+              <RecordScreen apiUrl={API_URL} user={user} onUnauthorized={handleUnauthorized} />
+            )}
+            {activeTab === 'recordings' && (
+              <RecordingsList apiUrl={API_URL} user={user} onUnauthorized={handleUnauthorized} />
+            )}
+            {activeTab === 'webhooks' && (
+              <WebhooksPanel apiUrl={API_URL} onUnauthorized={handleUnauthorized} />
+            )}
+          </main>
+        </>
+        )}
 
         {/* Footer */}
         <footer className="text-center mt-16 pt-8 border-t border-gray-800">
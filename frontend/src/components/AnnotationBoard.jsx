@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ANNOTATION_TOOLS, ANNOTATION_COLORS, ANNOTATION_WIDTHS } from '../utils/annotations';
+
+// Drags shorter than this (as a share of the frame) are treated as a click, not a shape
+const MIN_DRAG = 0.005;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const isTyping = (target) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+
+const SURFACE_CURSORS = { pointer: 'cursor-default', text: 'cursor-text' };
+
+// Live preview of the composited recording; drawing on it adds to the annotation layer
+const AnnotationBoard = ({ stream, layer, settings, onChange }) => {
+  const [textAt, setTextAt] = useState(null);
+  const [text, setText] = useState('');
+  const [, setVersion] = useState(0);
+  const videoRef = useRef(null);
+  const surfaceRef = useRef(null);
+  const dragRef = useRef(null);
+  // Mirrors the open text box so committing it twice (Enter, then blur) adds it once
+  const textRef = useRef(null);
+
+  useEffect(() => layer.subscribe(() => setVersion(version => version + 1)), [layer]);
+
+  useEffect(() => {
+    videoRef.current.srcObject = stream;
+  }, [stream]);
+
+  const set = (changes) => onChange({ ...settings, ...changes });
+
+  // Shortcuts work anywhere on the page except while typing
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isTyping(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      if ((e.ctrlKey || e.metaKey) && key === 'z') {
+        e.preventDefault();
+        layer.undo();
+        return;
+      }
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+      const tool = ANNOTATION_TOOLS.find(t => t.key === key);
+      if (tool) {
+        onChange({ ...settings, tool: tool.id });
+      } else if (key === 'c') {
+        layer.clear();
+      } else if (key === 'h') {
+        onChange({ ...settings, clickHighlight: !settings.clickHighlight });
+      } else if (key === 's') {
+        onChange({ ...settings, spotlight: !settings.spotlight });
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [layer, settings, onChange]);
+
+  const positionOf = (e) => {
+    const rect = surfaceRef.current.getBoundingClientRect();
+    return {
+      x: clamp((e.clientX - rect.left) / rect.width),
+      y: clamp((e.clientY - rect.top) / rect.height)
+    };
+  };
+
+  const commitText = () => {
+    const pending = textRef.current;
+    textRef.current = null;
+    if (pending && pending.text.trim()) {
+      layer.add({ type: 'text', at: pending.at, text: pending.text.trim(), color: settings.color, width: ANNOTATION_WIDTHS[settings.width] });
+    }
+    setTextAt(null);
+    setText('');
+  };
+
+  const cancelText = () => {
+    textRef.current = null;
+    setTextAt(null);
+    setText('');
+  };
+
+  const handlePointerDown = (e) => {
+    const position = positionOf(e);
+    layer.click(position, settings.color);
+
+    if (settings.tool === 'text') {
+      // Keep focus where it is; a click with a text box open places that text
+      e.preventDefault();
+      if (textRef.current) {
+        commitText();
+      } else {
+        textRef.current = { at: position, text: '' };
+        setTextAt(position);
+      }
+      return;
+    }
+    if (settings.tool === 'pointer') return;
+
+    const style = { color: settings.color, width: ANNOTATION_WIDTHS[settings.width] };
+    dragRef.current = settings.tool === 'pen'
+      ? { type: 'pen', points: [position], ...style }
+      : { type: settings.tool, from: position, to: position, ...style };
+    layer.setDraft(dragRef.current);
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const position = positionOf(e);
+    layer.setPointer(position);
+
+    const shape = dragRef.current;
+    if (!shape) return;
+    if (shape.type === 'pen') {
+      shape.points.push(position);
+    } else {
+      shape.to = position;
+    }
+  };
+
+  const handlePointerUp = () => {
+    const shape = dragRef.current;
+    if (!shape) return;
+    dragRef.current = null;
+
+    const moved = shape.type === 'pen' || Math.hypot(shape.to.x - shape.from.x, shape.to.y - shape.from.y) > MIN_DRAG;
+    if (moved) {
+      layer.add(shape);
+    } else {
+      layer.setDraft(null);
+    }
+  };
+
+  const buttonClass = (selected) => `w-9 h-9 rounded-lg text-sm transition-colors ${
+    selected ? 'bg-purple-600' : 'bg-gray-700 hover:bg-gray-600'
+  }`;
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        {ANNOTATION_TOOLS.map(tool => (
+          <button
+            key={tool.id}
+            onClick={() => set({ tool: tool.id })}
+            className={buttonClass(settings.tool === tool.id)}
+            title={`${tool.label} (${tool.key.toUpperCase()})`}
+          >
+            <i className={`fas ${tool.icon}`}></i>
+          </button>
+        ))}
+        <span className="w-px h-6 bg-gray-700 mx-1"></span>
+        {ANNOTATION_COLORS.map(color => (
+          <button
+            key={color}
+            onClick={() => set({ color })}
+            className={`w-6 h-6 rounded-full border-2 ${settings.color === color ? 'border-white' : 'border-gray-700'}`}
+            style={{ backgroundColor: color }}
+            title={color}
+          ></button>
+        ))}
+        <span className="w-px h-6 bg-gray-700 mx-1"></span>
+        {Object.keys(ANNOTATION_WIDTHS).map(width => (
+          <button
+            key={width}
+            onClick={() => set({ width })}
+            className={buttonClass(settings.width === width)}
+            title={`${width.charAt(0).toUpperCase()}${width.slice(1)} line`}
+          >
+            <span
+              className="inline-block rounded-full bg-white align-middle"
+              style={{ width: ANNOTATION_WIDTHS[width] + 2, height: ANNOTATION_WIDTHS[width] + 2 }}
+            ></span>
+          </button>
+        ))}
+      </div>
+
+      <div className="relative rounded-xl overflow-hidden border border-gray-700 bg-black">
+        <video ref={videoRef} autoPlay muted playsInline className="w-full block" />
+        <div
+          ref={surfaceRef}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onPointerLeave={() => layer.setPointer(null)}
+          className={`absolute inset-0 touch-none ${SURFACE_CURSORS[settings.tool] || 'cursor-crosshair'}`}
+        ></div>
+        {textAt && (
+          <input
+            autoFocus
+            value={text}
+            onChange={(e) => {
+              setText(e.target.value);
+              if (textRef.current) textRef.current.text = e.target.value;
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') commitText();
+              if (e.key === 'Escape') cancelText();
+            }}
+            onBlur={commitText}
+            maxLength={200}
+            placeholder="Type and press Enter"
+            className="absolute px-2 py-1 rounded bg-gray-900 bg-opacity-80 border border-gray-600 text-sm"
+            style={{ left: `${textAt.x * 100}%`, top: `${textAt.y * 100}%`, color: settings.color }}
+          />
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-3">
+        <button
+          onClick={() => layer.undo()}
+          disabled={!layer.canUndo}
+          className="py-1 px-3 rounded-lg text-sm bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+          title="Undo (Ctrl+Z)"
+        >
+          <i className="fas fa-undo mr-1"></i> Undo
+        </button>
+        <button
+          onClick={() => layer.clear()}
+          disabled={layer.shapes.length === 0}
+          className="py-1 px-3 rounded-lg text-sm bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+          title="Clear (C)"
+        >
+          <i className="fas fa-eraser mr-1"></i> Clear
+        </button>
+        <button
+          onClick={() => set({ clickHighlight: !settings.clickHighlight })}
+          className={`py-1 px-3 rounded-lg text-sm ${settings.clickHighlight ? 'bg-purple-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+          title="Highlight clicks (H)"
+        >
+          <i className="fas fa-bullseye mr-1"></i> Clicks
+        </button>
+        <button
+          onClick={() => set({ spotlight: !settings.spotlight })}
+          className={`py-1 px-3 rounded-lg text-sm ${settings.spotlight ? 'bg-purple-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+          title="Spotlight (S)"
+        >
+          <i className="fas fa-lightbulb mr-1"></i> Spotlight
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        Everything drawn here is recorded. Shortcuts: V P A R T switch tools, Ctrl+Z undo, C clear, H clicks, S spotlight.
+      </p>
+    </div>
+  );
+};
+
+export default AnnotationBoard;
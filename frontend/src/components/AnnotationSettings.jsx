@@ -0,0 +1,52 @@
+import React from 'react';
+
+const AnnotationSettings = ({ settings, onChange, recording }) => {
+  const set = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="mb-6">
+      <label className="flex items-center cursor-pointer">
+        <div className="relative">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={() => set({ enabled: !settings.enabled })}
+            disabled={recording}
+            className="sr-only"
+          />
+          <div className={`block w-14 h-8 rounded-full transition-colors ${settings.enabled ? 'bg-blue-500' : 'bg-gray-600'}`}></div>
+          <div className={`dot absolute left-1 top-1 bg-white w-6 h-6 rounded-full transition-transform ${settings.enabled ? 'translate-x-6' : ''}`}></div>
+        </div>
+        <div className="ml-3">
+          <div className="text-lg">Annotations</div>
+          <div className="text-sm text-gray-400">Draw on a live preview while recording; drawings are burned into the video</div>
+        </div>
+      </label>
+
+      {settings.enabled && (
+        <div className="mt-4 ml-2 space-y-2 text-sm">
+          <label className="flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.clickHighlight}
+              onChange={() => set({ clickHighlight: !settings.clickHighlight })}
+              className="mr-2"
+            />
+            Highlight clicks
+          </label>
+          <label className="flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.spotlight}
+              onChange={() => set({ spotlight: !settings.spotlight })}
+              className="mr-2"
+            />
+            Spotlight around the pointer
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnnotationSettings;
@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { AUDIO_SOURCES, MAX_GAIN } from '../utils/audioMixer';
+
+const LABELS = {
+  system: { title: 'System Audio', hint: 'Tab or screen sound, if shared in the picker', icon: 'fa-volume-up' },
+  microphone: { title: 'Microphone', hint: 'Your voice', icon: 'fa-microphone' }
+};
+
+// Peak level bar, polled from the mixer while recording
+const LevelMeter = ({ mixerRef, source, active }) => {
+  const [level, setLevel] = useState(0);
+
+  useEffect(() => {
+    if (!active) {
+      setLevel(0);
+      return undefined;
+    }
+
+    let frame;
+    const poll = () => {
+      setLevel(mixerRef.current ? mixerRef.current.getLevel(source) : 0);
+      frame = requestAnimationFrame(poll);
+    };
+    poll();
+    return () => cancelAnimationFrame(frame);
+  }, [mixerRef, source, active]);
+
+  return (
+    <div className="relative h-2 bg-gray-700 rounded-full overflow-hidden">
+      <div
+        className={`h-full ${level > 0.9 ? 'bg-red-500' : level > 0.6 ? 'bg-yellow-400' : 'bg-green-500'}`}
+        style={{ width: `${level * 100}%` }}
+      ></div>
+    </div>
+  );
+};
+
+const AudioSettings = ({ settings, onChange, recording, capturedSources, mutedSources, onToggleMute, mixerRef }) => {
+  const update = (source, changes) => onChange({
+    ...settings,
+    [source]: { ...settings[source], ...changes }
+  });
+
+  return (
+    <div className="mb-6 space-y-4">
+      {AUDIO_SOURCES.map(source => {
+        const { enabled, gain } = settings[source];
+        const captured = recording && capturedSources.includes(source);
+        const muted = mutedSources[source];
+
+        return (
+          <div key={source}>
+            <label className="flex items-center cursor-pointer">
+              <div className="relative">
+                <input
+                  type="checkbox"
+                  checked={enabled}
+                  onChange={() => update(source, { enabled: !enabled })}
+                  disabled={recording}
+                  className="sr-only"
+                />
+                <div className={`block w-14 h-8 rounded-full transition-colors ${enabled ? 'bg-blue-500' : 'bg-gray-600'}`}></div>
+                <div className={`dot absolute left-1 top-1 bg-white w-6 h-6 rounded-full transition-transform ${enabled ? 'translate-x-6' : ''}`}></div>
+              </div>
+              <div className="ml-3">
+                <div className="text-lg">
+                  <i className={`fas ${LABELS[source].icon} mr-2 text-gray-400`}></i>
+                  {LABELS[source].title}
+                </div>
+                <div className="text-sm text-gray-400">
+                  {recording && enabled && !captured ? 'Not captured in this recording' : LABELS[source].hint}
+                </div>
+              </div>
+            </label>
+
+            {enabled && (
+              <div className="flex items-center mt-2 ml-2 space-x-3">
+                <input
+                  type="range"
+                  min="0"
+                  max={MAX_GAIN * 100}
+                  value={Math.round(gain * 100)}
+                  onChange={(e) => update(source, { gain: parseInt(e.target.value, 10) / 100 })}
+                  className="w-32 h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-purple-500"
+                  title="Gain"
+                />
+                <span className="w-12 text-sm font-mono text-gray-400">{Math.round(gain * 100)}%</span>
+                <div className="flex-1">
+                  <LevelMeter mixerRef={mixerRef} source={source} active={captured && !muted} />
+                </div>
+                {captured && (
+                  <button
+                    onClick={() => onToggleMute(source)}
+                    className={`p-2 rounded-lg transition-colors ${muted ? 'bg-red-600 hover:bg-red-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+                    title={muted ? 'Unmute' : 'Mute'}
+                  >
+                    <i className={`fas ${muted ? 'fa-volume-mute' : LABELS[source].icon}`}></i>
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AudioSettings;
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+
+const AuthScreen = ({ apiUrl, onAuthenticated }) => {
+  const [mode, setMode] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = await fetch(`${apiUrl}/api/auth/${isRegister ? 'register' : 'login'}`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        onAuthenticated(data.user);
+      } else {
+        setError(data.error || 'Please try again.');
+      }
+    } catch (error) {
+      console.error('Error authenticating:', error);
+      setError('Error connecting to server');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setError('');
+  };
+
+  return (
+    <div className="max-w-md mx-auto glass-effect p-8 rounded-2xl">
+      <h2 className="text-2xl font-semibold mb-6 flex items-center">
+        <i className={`fas ${isRegister ? 'fa-user-plus' : 'fa-sign-in-alt'} mr-3 text-purple-400`}></i>
+        {isRegister ? 'Create Account' : 'Log In'}
+      </h2>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="block text-sm text-gray-400 mb-1" htmlFor="auth-email">Email</label>
+          <input
+            id="auth-email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            autoComplete="email"
+            required
+            className="w-full px-4 py-3 rounded-lg bg-gray-800 border border-gray-700 focus:border-purple-500 focus:outline-none"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-400 mb-1" htmlFor="auth-password">Password</label>
+          <input
+            id="auth-password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            minLength={isRegister ? 8 : undefined}
+            required
+            className="w-full px-4 py-3 rounded-lg bg-gray-800 border border-gray-700 focus:border-purple-500 focus:outline-none"
+          />
+        </div>
+
+        {error && (
+          <div className="py-2 px-4 rounded-lg bg-red-900 text-red-200 text-sm">{error}</div>
+        )}
+
+        <button
+          type="submit"
+          disabled={submitting}
+          className={`w-full py-3 px-6 rounded-lg flex items-center justify-center transition-all ${
+            submitting
+              ? 'bg-gray-600 opacity-50 cursor-not-allowed'
+              : 'bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 shadow-lg'
+          }`}
+        >
+          {submitting ? 'Please wait...' : isRegister ? 'Create Account' : 'Log In'}
+        </button>
+      </form>
+
+      <p className="text-center text-gray-400 mt-6">
+        {isRegister ? 'Already have an account?' : "Don't have an account?"}
+        <button onClick={switchMode} className="ml-2 text-purple-400 hover:text-purple-300">
+          {isRegister ? 'Log in' : 'Sign up'}
+        </button>
+      </p>
+    </div>
+  );
+};
+
+export default AuthScreen;
@@ -0,0 +1,399 @@
+import React, { useState, useEffect } from 'react';
+import { formatTimestamp } from './CommentsPanel';
+
+// Seconds moved by each timing nudge
+const NUDGE = 0.1;
+const NEW_CUE_LENGTH = 2;
+
+const round = (value) => Math.max(0, Math.round(value * 1000) / 1000);
+
+const inputClass = 'px-2 py-1 rounded bg-gray-800 border border-gray-700 text-sm';
+
+const withKeys = (cues) => cues.map((cue, index) => ({ ...cue, key: `${Date.now()}-${index}` }));
+
+// Caption tracks for the player: upload SRT/WebVTT, request a draft transcript and edit cues
+const CaptionsPanel = ({ captionsUrl, captions, currentTime, onSeek, onChanged, onUnauthorized }) => {
+  const { tracks, transcription } = captions;
+  const [selected, setSelected] = useState(null);
+  const [cues, setCues] = useState([]);
+  const [label, setLabel] = useState('');
+  const [dirty, setDirty] = useState(false);
+  const [newLang, setNewLang] = useState('');
+  const [newLabel, setNewLabel] = useState('');
+  const [file, setFile] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Start on the first track, and move off a track once it is deleted
+  useEffect(() => {
+    if (!tracks.some(track => track.lang === selected)) {
+      setSelected(tracks.length > 0 ? tracks[0].lang : null);
+    }
+  }, [tracks, selected]);
+
+  const selectedTrack = tracks.find(track => track.lang === selected);
+  const trackVersion = selectedTrack && selectedTrack.updatedAt;
+
+  useEffect(() => {
+    if (!selected) {
+      setCues([]);
+      return;
+    }
+
+    let cancelled = false;
+    const loadCues = async () => {
+      try {
+        const response = await fetch(`${captionsUrl}/${selected}/cues`, { credentials: 'include' });
+        const data = await response.json();
+        if (cancelled) return;
+
+        if (response.status === 401) {
+          onUnauthorized();
+        } else if (response.ok) {
+          setCues(withKeys(data.cues));
+          setLabel(data.label);
+          setDirty(false);
+        }
+      } catch (error) {
+        console.error('Error fetching captions:', error);
+      }
+    };
+    loadCues();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [captionsUrl, selected, trackVersion, onUnauthorized]);
+
+  const request = async (url, options, failure) => {
+    setBusy(true);
+    try {
+      const response = await fetch(url, { credentials: 'include', ...options });
+      const data = await response.json();
+
+      if (response.status === 401) {
+        onUnauthorized();
+      } else if (response.ok) {
+        await onChanged();
+        return data;
+      } else {
+        alert(data.error || failure);
+      }
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      alert(failure);
+    } finally {
+      setBusy(false);
+    }
+    return null;
+  };
+
+  const selectTrack = (lang) => {
+    if (dirty && !window.confirm('Discard unsaved caption changes?')) return;
+    setDirty(false);
+    setSelected(lang);
+  };
+
+  const uploadTrack = async (e) => {
+    e.preventDefault();
+    const lang = newLang.trim();
+    if (!lang || !file) return;
+
+    const content = await file.text();
+    const query = newLabel.trim() ? `?label=${encodeURIComponent(newLabel.trim())}` : '';
+    const track = await request(`${captionsUrl}/${encodeURIComponent(lang)}${query}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'text/plain' },
+      body: content
+    }, 'Failed to upload captions');
+
+    if (track) {
+      setFile(null);
+      setNewLang('');
+      setNewLabel('');
+      e.target.reset();
+      setDirty(false);
+      setSelected(track.lang);
+    }
+  };
+
+  const transcribe = async () => {
+    const lang = newLang.trim();
+    if (!lang) {
+      alert('Enter the language spoken in the recording, e.g. "en"');
+      return;
+    }
+
+    const existing = tracks.find(track => track.lang.toLowerCase() === lang.toLowerCase());
+    const replace = Boolean(existing && !existing.draft);
+    if (replace && !window.confirm(`Replace the reviewed ${existing.label} captions with a new draft transcript?`)) {
+      return;
+    }
+
+    await request(`${captionsUrl}/${encodeURIComponent(lang)}/transcribe`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ label: newLabel.trim() || undefined, replace })
+    }, 'Failed to start transcription');
+  };
+
+  const updateCue = (key, changes) => {
+    setCues(list => list.map(cue => (cue.key === key ? { ...cue, ...changes } : cue)));
+    setDirty(true);
+  };
+
+  // Time fields can be empty while being typed into
+  const nudge = (cue, field, delta) => {
+    const start = Number(cue.start) || 0;
+    const end = Number(cue.end) || 0;
+    if (field === 'both') {
+      const shift = Math.max(-start, delta);
+      updateCue(cue.key, { start: round(start + shift), end: round(end + shift) });
+    } else {
+      updateCue(cue.key, { [field]: round((field === 'start' ? start : end) + delta) });
+    }
+  };
+
+  const shiftAll = (delta) => {
+    const shift = Math.max(delta, -Math.min(...cues.map(cue => Number(cue.start) || 0)));
+    setCues(list => list.map(cue => ({
+      ...cue,
+      start: round((Number(cue.start) || 0) + shift),
+      end: round((Number(cue.end) || 0) + shift)
+    })));
+    setDirty(true);
+  };
+
+  const addCue = () => {
+    const start = round(currentTime);
+    const cue = { key: `${Date.now()}-new`, start, end: round(start + NEW_CUE_LENGTH), text: '' };
+    setCues(list => [...list, cue].sort((a, b) => a.start - b.start));
+    setDirty(true);
+  };
+
+  const removeCue = (key) => {
+    setCues(list => list.filter(cue => cue.key !== key));
+    setDirty(true);
+  };
+
+  const saveCues = async () => {
+    const track = await request(`${captionsUrl}/${selected}/cues`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        label,
+        cues: cues.map(({ start, end, text }) => ({ start: Number(start), end: Number(end), text }))
+      })
+    }, 'Failed to save captions');
+
+    if (track) {
+      setCues(withKeys(track.cues));
+      setDirty(false);
+    }
+  };
+
+  const deleteTrack = async () => {
+    if (!window.confirm(`Delete the ${selectedTrack.label} captions?`)) return;
+    await request(`${captionsUrl}/${selected}`, { method: 'DELETE' }, 'Failed to delete captions');
+  };
+
+  const pending = transcription.jobs.filter(job => ['queued', 'running'].includes(job.status));
+  const failed = transcription.jobs.filter(job => job.status === 'failed');
+
+  const nudgeButton = (cue, field, delta, icon, title) => (
+    <button
+      onClick={() => nudge(cue, field, delta)}
+      className="px-1.5 py-1 rounded bg-gray-700 hover:bg-gray-600 text-xs"
+      title={title}
+    >
+      <i className={`fas ${icon}`}></i>
+    </button>
+  );
+
+  return (
+    <div className="flex flex-col min-h-0">
+      <div className="flex flex-wrap gap-2 mb-3">
+        {tracks.map(track => (
+          <button
+            key={track.lang}
+            onClick={() => selectTrack(track.lang)}
+            className={`py-1 px-3 rounded-lg text-sm transition-colors ${
+              track.lang === selected ? 'bg-purple-600' : 'bg-gray-700 hover:bg-gray-600'
+            }`}
+          >
+            {track.label}
+            {track.draft && <span className="ml-2 text-xs text-yellow-300">draft</span>}
+          </button>
+        ))}
+        {tracks.length === 0 && (
+          <p className="text-sm text-gray-500">No captions yet. Upload an SRT or WebVTT file below.</p>
+        )}
+      </div>
+
+      {pending.map(job => (
+        <div key={job.jobId} className="mb-3 py-2 px-4 rounded-lg bg-blue-900 text-blue-200 text-sm">
+          <i className="fas fa-spinner fa-spin mr-2"></i>
+          Transcribing {job.lang}{job.status === 'running' ? ` (${Math.round(job.progress)}%)` : '... waiting in the queue'}
+        </div>
+      ))}
+      {failed.map(job => (
+        <div key={job.jobId} className="mb-3 py-2 px-4 rounded-lg bg-red-900 text-red-200 text-sm">
+          Transcribing {job.lang} failed: {job.error}
+        </div>
+      ))}
+
+      {selectedTrack && (
+        <div className="mb-4">
+          <div className="flex gap-2 mb-2">
+            <input
+              value={label}
+              onChange={(e) => {
+                setLabel(e.target.value);
+                setDirty(true);
+              }}
+              maxLength={80}
+              className={`${inputClass} flex-1`}
+              title="Track name shown in the player"
+            />
+            <a
+              href={`${captionsUrl}/${selected}?download`}
+              className="p-2 text-green-400 hover:text-green-300"
+              title="Download WebVTT"
+            >
+              <i className="fas fa-download"></i>
+            </a>
+            <button onClick={deleteTrack} disabled={busy} className="p-2 text-red-400 hover:text-red-300" title="Delete track">
+              <i className="fas fa-trash"></i>
+            </button>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 mb-2 text-xs">
+            <button onClick={addCue} className="py-1 px-2 rounded bg-gray-700 hover:bg-gray-600">
+              <i className="fas fa-plus mr-1"></i> Cue at {formatTimestamp(currentTime)}
+            </button>
+            <span className="text-gray-400 ml-1">Shift all</span>
+            <button onClick={() => shiftAll(-NUDGE)} disabled={cues.length === 0} className="py-1 px-2 rounded bg-gray-700 hover:bg-gray-600">
+              -{NUDGE}s
+            </button>
+            <button onClick={() => shiftAll(NUDGE)} disabled={cues.length === 0} className="py-1 px-2 rounded bg-gray-700 hover:bg-gray-600">
+              +{NUDGE}s
+            </button>
+            <button
+              onClick={saveCues}
+              disabled={busy || !dirty}
+              className="ml-auto py-1 px-3 rounded bg-purple-600 hover:bg-purple-700 disabled:opacity-50"
+            >
+              <i className="fas fa-save mr-1"></i> Save
+            </button>
+          </div>
+
+          <ul className="space-y-2 overflow-y-auto lg:max-h-80 pr-1">
+            {cues.map(cue => {
+              const active = currentTime >= cue.start && currentTime < cue.end;
+              return (
+                <li
+                  key={cue.key}
+                  className={`rounded-lg p-2 bg-gray-800 bg-opacity-60 border ${active ? 'border-purple-500' : 'border-transparent'}`}
+                >
+                  <div className="flex flex-wrap items-center gap-1 mb-1">
+                    <button
+                      onClick={() => onSeek(cue.start)}
+                      className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-xs font-mono text-blue-300"
+                      title="Play from here"
+                    >
+                      {formatTimestamp(cue.start)}
+                    </button>
+                    {nudgeButton(cue, 'start', -NUDGE, 'fa-chevron-left', 'Start earlier')}
+                    <input
+                      type="number"
+                      step={NUDGE}
+                      min="0"
+                      value={cue.start}
+                      onChange={(e) => updateCue(cue.key, { start: e.target.value === '' ? '' : Number(e.target.value) })}
+                      className={`${inputClass} w-20`}
+                      title="Start (seconds)"
+                    />
+                    {nudgeButton(cue, 'start', NUDGE, 'fa-chevron-right', 'Start later')}
+                    <span className="text-gray-500">–</span>
+                    {nudgeButton(cue, 'end', -NUDGE, 'fa-chevron-left', 'End earlier')}
+                    <input
+                      type="number"
+                      step={NUDGE}
+                      min="0"
+                      value={cue.end}
+                      onChange={(e) => updateCue(cue.key, { end: e.target.value === '' ? '' : Number(e.target.value) })}
+                      className={`${inputClass} w-20`}
+                      title="End (seconds)"
+                    />
+                    {nudgeButton(cue, 'end', NUDGE, 'fa-chevron-right', 'End later')}
+                    {nudgeButton(cue, 'both', -NUDGE, 'fa-angle-double-left', 'Move earlier')}
+                    {nudgeButton(cue, 'both', NUDGE, 'fa-angle-double-right', 'Move later')}
+                    <button
+                      onClick={() => removeCue(cue.key)}
+                      className="ml-auto p-1 text-gray-500 hover:text-red-400"
+                      title="Delete cue"
+                    >
+                      <i className="fas fa-times"></i>
+                    </button>
+                  </div>
+                  <textarea
+                    value={cue.text}
+                    onChange={(e) => updateCue(cue.key, { text: e.target.value })}
+                    rows={Math.min(3, cue.text.split('\n').length)}
+                    maxLength={1000}
+                    className={`${inputClass} w-full`}
+                  />
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
+      <form onSubmit={uploadTrack} className="pt-3 border-t border-gray-700 space-y-2">
+        <div className="flex gap-2">
+          <input
+            value={newLang}
+            onChange={(e) => setNewLang(e.target.value)}
+            placeholder="Language (en)"
+            maxLength={35}
+            className={`${inputClass} w-32`}
+          />
+          <input
+            value={newLabel}
+            onChange={(e) => setNewLabel(e.target.value)}
+            placeholder="Name (optional)"
+            maxLength={80}
+            className={`${inputClass} flex-1`}
+          />
+        </div>
+        <div className="flex gap-2 items-center">
+          <input
+            type="file"
+            accept=".srt,.vtt,text/vtt"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            className="text-xs text-gray-400 flex-1 min-w-0"
+          />
+          <button
+            type="submit"
+            disabled={busy || !file || !newLang.trim()}
+            className="py-1 px-3 rounded bg-purple-600 hover:bg-purple-700 text-sm disabled:opacity-50"
+          >
+            <i className="fas fa-upload mr-1"></i> Upload
+          </button>
+        </div>
+        {transcription.available && (
+          <button
+            type="button"
+            onClick={transcribe}
+            disabled={busy || !newLang.trim()}
+            className="w-full py-1 px-3 rounded bg-gray-700 hover:bg-gray-600 text-sm disabled:opacity-50"
+          >
+            <i className="fas fa-microphone-alt mr-1"></i> Draft captions from speech
+          </button>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default CaptionsPanel;
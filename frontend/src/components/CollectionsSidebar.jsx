@@ -0,0 +1,312 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+// Drag data for a recording card: JSON { id, folderId }
+export const RECORDING_DRAG_TYPE = 'application/x-recording';
+// Drag data for reordering the sidebar itself: JSON { kind: 'folder' | 'playlist', id }
+const COLLECTION_DRAG_TYPE = 'application/x-collection';
+
+export const ALL_RECORDINGS = { type: 'all', name: 'All recordings' };
+export const UNFILED = { type: 'unfiled', name: 'Unfiled' };
+
+// Moves `id` in front of `beforeId` in a list of ids
+const moveBefore = (ids, id, beforeId) => {
+  const rest = ids.filter(item => item !== id);
+  const index = rest.indexOf(beforeId);
+  return [...rest.slice(0, index), id, ...rest.slice(index)];
+};
+
+const readDrag = (e, type) => {
+  try {
+    return JSON.parse(e.dataTransfer.getData(type));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Folders and playlists for the uploaded recordings. Drop a recording on a folder to move it
+// there, on Unfiled to take it out of its folder, or on a playlist to add it at the end.
+// Folders and playlists are reordered by dragging them onto each other. `onMoved({ recordingId, folderId })`
+// reports a recording moved between folders, and `onMoved(null)` a change to many (a deleted folder).
+const CollectionsSidebar = ({ apiUrl, selected, onSelect, onMoved, version, onUnauthorized }) => {
+  const [folders, setFolders] = useState([]);
+  const [playlists, setPlaylists] = useState([]);
+  const [creating, setCreating] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [dropTarget, setDropTarget] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchCollections = useCallback(async () => {
+    try {
+      const [foldersResponse, playlistsResponse] = await Promise.all([
+        fetch(`${apiUrl}/api/folders`, { credentials: 'include' }),
+        fetch(`${apiUrl}/api/playlists`, { credentials: 'include' })
+      ]);
+
+      if (foldersResponse.status === 401 || playlistsResponse.status === 401) {
+        onUnauthorized();
+      } else if (foldersResponse.ok && playlistsResponse.ok) {
+        setFolders(await foldersResponse.json());
+        setPlaylists(await playlistsResponse.json());
+        setLoaded(true);
+        setError('');
+      } else {
+        setError('Failed to fetch folders and playlists');
+      }
+    } catch (error) {
+      console.error('Error fetching collections:', error);
+      setError('Error connecting to server');
+    }
+  }, [apiUrl, onUnauthorized]);
+
+  useEffect(() => {
+    fetchCollections();
+  }, [fetchCollections, version]);
+
+  // The selected folder or playlist is gone, for example deleted from another tab
+  useEffect(() => {
+    if (!loaded) return;
+    const items = { folder: folders, playlist: playlists }[selected.type];
+    if (items && !items.some(item => item.id === selected.id)) onSelect(ALL_RECORDINGS);
+  }, [loaded, folders, playlists, selected, onSelect]);
+
+  const request = async (path, options, failure) => {
+    try {
+      const response = await fetch(`${apiUrl}${path}`, {
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        ...options
+      });
+
+      if (response.status === 401) {
+        onUnauthorized();
+        return null;
+      }
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        alert(data.error || failure);
+        return null;
+      }
+      return data;
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      alert(failure);
+      return null;
+    }
+  };
+
+  const createCollection = async (e) => {
+    e.preventDefault();
+    const kind = creating;
+    const created = await request(`/api/${kind}s`, {
+      method: 'POST',
+      body: JSON.stringify({ name: newName })
+    }, `Failed to create ${kind}`);
+
+    if (created) {
+      setCreating(null);
+      setNewName('');
+      await fetchCollections();
+      onSelect({ type: kind, id: created.id, name: created.name });
+    }
+  };
+
+  const renameCollection = async (kind, item) => {
+    const name = window.prompt(`Rename ${kind}`, item.name);
+    if (!name || name === item.name) return;
+
+    const updated = await request(`/api/${kind}s/${item.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ name })
+    }, `Failed to rename ${kind}`);
+
+    if (updated) {
+      fetchCollections();
+      if (selected.type === kind && selected.id === item.id) onSelect({ type: kind, id: item.id, name: updated.name });
+    }
+  };
+
+  const deleteCollection = async (kind, item) => {
+    const kept = kind === 'folder' ? 'Its recordings become unfiled.' : 'Its recordings are kept.';
+    if (!window.confirm(`Delete the ${kind} "${item.name}"? ${kept}`)) return;
+
+    const deleted = await request(`/api/${kind}s/${item.id}`, { method: 'DELETE' }, `Failed to delete ${kind}`);
+    if (deleted) {
+      fetchCollections();
+      if (selected.type === kind && selected.id === item.id) onSelect(ALL_RECORDINGS);
+      if (kind === 'folder') onMoved(null);
+    }
+  };
+
+  const dropRecording = async (target, recording) => {
+    if (target.type === 'playlist') {
+      const added = await request(`/api/playlists/${target.id}/items`, {
+        method: 'POST',
+        body: JSON.stringify({ recordingId: recording.id })
+      }, 'Failed to add to playlist');
+      if (added) fetchCollections();
+      return;
+    }
+
+    const folderId = target.type === 'folder' ? target.id : null;
+    if (recording.folderId === folderId) return;
+
+    const moved = folderId
+      ? await request(`/api/folders/${folderId}/recordings`, {
+        method: 'POST',
+        body: JSON.stringify({ recordingIds: [recording.id] })
+      }, 'Failed to move recording')
+      : await request(`/api/folders/${recording.folderId}/recordings/${recording.id}`, {
+        method: 'DELETE'
+      }, 'Failed to move recording');
+
+    if (moved) {
+      fetchCollections();
+      onMoved({ recordingId: recording.id, folderId });
+    }
+  };
+
+  const reorder = async (kind, id, beforeId) => {
+    const items = kind === 'folder' ? folders : playlists;
+    const setItems = kind === 'folder' ? setFolders : setPlaylists;
+    const ids = moveBefore(items.map(item => item.id), id, beforeId);
+
+    // Show the new order straight away; the server's answer replaces it
+    setItems(ids.map(itemId => items.find(item => item.id === itemId)));
+    const updated = await request(`/api/${kind}s/order`, {
+      method: 'PUT',
+      body: JSON.stringify({ ids })
+    }, `Failed to reorder ${kind}s`);
+    if (updated) setItems(updated); else fetchCollections();
+  };
+
+  const targetKey = (target) => `${target.type}-${target.id || ''}`;
+
+  // Drag and drop handlers for one sidebar entry; `kind` is set for entries that can be reordered
+  const dropHandlers = (target, kind) => ({
+    onDragOver: (e) => {
+      const types = Array.from(e.dataTransfer.types);
+      const accepts = types.includes(RECORDING_DRAG_TYPE) || (kind && types.includes(COLLECTION_DRAG_TYPE));
+      if (!accepts || target.type === 'all') return;
+      e.preventDefault();
+      setDropTarget(targetKey(target));
+    },
+    onDragLeave: () => setDropTarget(current => (current === targetKey(target) ? null : current)),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTarget(null);
+      const recording = readDrag(e, RECORDING_DRAG_TYPE);
+      if (recording) {
+        dropRecording(target, recording);
+        return;
+      }
+      const collection = readDrag(e, COLLECTION_DRAG_TYPE);
+      if (collection && kind && collection.kind === kind && collection.id !== target.id) {
+        reorder(kind, collection.id, target.id);
+      }
+    }
+  });
+
+  const entryClass = (target) => {
+    const active = selected.type === target.type && selected.id === target.id;
+    const dropping = dropTarget === targetKey(target);
+    return `group flex items-center rounded-lg px-3 py-2 text-sm cursor-pointer transition-colors ${
+      dropping ? 'bg-purple-700 ring-2 ring-purple-400' : active ? 'bg-indigo-600' : 'hover:bg-gray-800'
+    }`;
+  };
+
+  const renderEntry = (target, icon, { count, kind, item } = {}) => (
+    <li
+      key={targetKey(target)}
+      className={entryClass(target)}
+      onClick={() => onSelect(target)}
+      draggable={Boolean(kind)}
+      onDragStart={kind ? (e) => {
+        e.dataTransfer.setData(COLLECTION_DRAG_TYPE, JSON.stringify({ kind, id: target.id }));
+        e.dataTransfer.effectAllowed = 'move';
+      } : undefined}
+      {...dropHandlers(target, kind)}
+    >
+      <i className={`fas ${icon} mr-2 w-4 text-center text-gray-400`}></i>
+      <span className="truncate flex-1" title={target.name}>{target.name}</span>
+      {count !== undefined && <span className="ml-2 text-xs text-gray-500">{count}</span>}
+      {item && (
+        <span className="hidden group-hover:flex ml-2">
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              renameCollection(kind, item);
+            }}
+            className="px-1 text-gray-400 hover:text-white"
+            title="Rename"
+          >
+            <i className="fas fa-pen text-xs"></i>
+          </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              deleteCollection(kind, item);
+            }}
+            className="px-1 text-gray-400 hover:text-red-300"
+            title="Delete"
+          >
+            <i className="fas fa-trash text-xs"></i>
+          </button>
+        </span>
+      )}
+    </li>
+  );
+
+  const renderSection = (kind, title, icon, items) => (
+    <div className="mt-5">
+      <div className="flex justify-between items-center px-3 mb-1">
+        <h3 className="text-xs uppercase tracking-wide text-gray-500">{title}</h3>
+        <button
+          onClick={() => {
+            setCreating(creating === kind ? null : kind);
+            setNewName('');
+          }}
+          className="text-gray-400 hover:text-white"
+          title={`New ${kind}`}
+        >
+          <i className={`fas ${creating === kind ? 'fa-times' : 'fa-plus'} text-xs`}></i>
+        </button>
+      </div>
+      {creating === kind && (
+        <form onSubmit={createCollection} className="px-1 mb-2">
+          <input
+            autoFocus
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder={`${kind === 'folder' ? 'Folder' : 'Playlist'} name`}
+            className="w-full px-3 py-1.5 rounded-lg bg-gray-800 border border-gray-700 text-sm"
+          />
+        </form>
+      )}
+      <ul className="space-y-1">
+        {items.map(item => renderEntry(
+          { type: kind, id: item.id, name: item.name },
+          icon,
+          { count: kind === 'folder' ? item.recordingCount : item.itemCount, kind, item }
+        ))}
+      </ul>
+      {items.length === 0 && creating !== kind && (
+        <p className="px-3 text-xs text-gray-600">{kind === 'folder' ? 'No folders yet' : 'No playlists yet'}</p>
+      )}
+    </div>
+  );
+
+  return (
+    <aside className="lg:w-60 flex-shrink-0">
+      <ul className="space-y-1">
+        {renderEntry(ALL_RECORDINGS, 'fa-layer-group')}
+        {renderEntry(UNFILED, 'fa-inbox')}
+      </ul>
+      {renderSection('folder', 'Folders', 'fa-folder', folders)}
+      {renderSection('playlist', 'Playlists', 'fa-list-ol', playlists)}
+      {error && <p className="mt-4 px-3 text-xs text-red-400">{error}</p>}
+    </aside>
+  );
+};
+
+export default CollectionsSidebar;
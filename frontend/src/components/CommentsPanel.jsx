@@ -0,0 +1,270 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+export const formatTimestamp = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const mins = Math.floor(total / 60);
+  const secs = total % 60;
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+const loadAuthorName = () => {
+  try {
+    return localStorage.getItem('commentAuthorName') || '';
+  } catch (e) {
+    return '';
+  }
+};
+
+const inputClass = 'w-full px-3 py-2 rounded-lg bg-gray-800 border border-gray-700 text-sm';
+
+// Comment threads for the player; every change is sent to the server and the list is refetched
+const CommentsPanel = ({ commentsUrl, comments, error, currentTime, activeId, onJump, onChanged, onUnauthorized }) => {
+  const [body, setBody] = useState('');
+  const [authorName, setAuthorName] = useState(loadAuthorName);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [reply, setReply] = useState('');
+  const [showResolved, setShowResolved] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const itemRefs = useRef({});
+
+  // Bring the thread picked on the timeline into view
+  useEffect(() => {
+    const item = itemRefs.current[activeId];
+    if (item) item.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [activeId]);
+
+  const request = async (url, options, failure) => {
+    setSaving(true);
+    try {
+      const response = await fetch(url, { credentials: 'include', ...options });
+      const data = await response.json();
+
+      if (response.status === 401) {
+        onUnauthorized();
+      } else if (response.ok) {
+        await onChanged();
+        return true;
+      } else {
+        alert(data.error || failure);
+      }
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      alert(failure);
+    } finally {
+      setSaving(false);
+    }
+    return false;
+  };
+
+  const send = (url, method, payload, failure) => request(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  }, failure);
+
+  const addComment = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    try {
+      localStorage.setItem('commentAuthorName', authorName.trim());
+    } catch (err) {
+      // Storage may be unavailable (private mode); the name is still sent
+    }
+
+    const added = await send(commentsUrl, 'POST', {
+      body,
+      timestamp: Math.round(currentTime * 10) / 10,
+      authorName
+    }, 'Failed to add comment');
+    if (added) setBody('');
+  };
+
+  const addReply = async (e, thread) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+
+    const added = await send(commentsUrl, 'POST', { body: reply, parentId: thread.id, authorName }, 'Failed to add reply');
+    if (added) {
+      setReply('');
+      setReplyingTo(null);
+    }
+  };
+
+  const toggleResolved = (thread) => send(
+    `${commentsUrl}/${thread.id}`, 'PATCH', { resolved: !thread.resolved }, 'Failed to update comment'
+  );
+
+  const deleteComment = (comment) => {
+    const replies = comment.replies ? comment.replies.length : 0;
+    if (!window.confirm(replies > 0 ? `Delete this comment and its ${replies} repl${replies === 1 ? 'y' : 'ies'}?` : 'Delete this comment?')) {
+      return;
+    }
+    request(`${commentsUrl}/${comment.id}`, { method: 'DELETE' }, 'Failed to delete comment');
+  };
+
+  const visible = showResolved ? comments : comments.filter(comment => !comment.resolved);
+  const openCount = comments.filter(comment => !comment.resolved).length;
+
+  const renderMeta = (comment) => (
+    <div className="flex items-center justify-between text-xs text-gray-400 mb-1">
+      <span className="font-medium text-gray-300 truncate">
+        {comment.authorName}
+        {comment.guest && (
+          <span
+            className="ml-2 px-1.5 py-0.5 rounded bg-gray-700 text-gray-400 font-normal"
+            title="Posted through a share link; the name is not verified"
+          >
+            Guest
+          </span>
+        )}
+      </span>
+      <button
+        onClick={() => deleteComment(comment)}
+        className="ml-2 text-gray-500 hover:text-red-400 transition-colors"
+        title="Delete"
+      >
+        <i className="fas fa-trash"></i>
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="flex flex-col min-h-0">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-semibold">
+          <i className="fas fa-comments mr-2 text-purple-400"></i>
+          Comments
+          <span className="ml-2 text-sm font-normal text-gray-400">{openCount} open</span>
+        </h3>
+        <label className="flex items-center text-xs text-gray-400 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={showResolved}
+            onChange={(e) => setShowResolved(e.target.checked)}
+            className="mr-1"
+          />
+          Show resolved
+        </label>
+      </div>
+
+      <form onSubmit={addComment} className="mb-4 space-y-2">
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          maxLength={2000}
+          rows={2}
+          placeholder="Leave feedback at the current moment"
+          className={inputClass}
+        />
+        <div className="flex gap-2">
+          <input
+            value={authorName}
+            onChange={(e) => setAuthorName(e.target.value)}
+            maxLength={80}
+            placeholder="Your name"
+            className={inputClass}
+          />
+          <button
+            type="submit"
+            disabled={saving || !body.trim()}
+            className="px-3 py-2 rounded-lg bg-purple-600 hover:bg-purple-700 text-sm whitespace-nowrap disabled:opacity-50"
+          >
+            <i className="fas fa-comment mr-1"></i> at {formatTimestamp(currentTime)}
+          </button>
+        </div>
+      </form>
+
+      {error && (
+        <div className="mb-3 py-2 px-4 rounded-lg bg-red-900 text-red-200 text-sm">{error}</div>
+      )}
+
+      {visible.length > 0 ? (
+        <ul className="space-y-3 overflow-y-auto lg:max-h-96 pr-1">
+          {visible.map(thread => (
+            <li
+              key={thread.id}
+              ref={(el) => { itemRefs.current[thread.id] = el; }}
+              className={`rounded-lg p-3 bg-gray-800 bg-opacity-60 border ${
+                thread.id === activeId ? 'border-purple-500' : 'border-transparent'
+              } ${thread.resolved ? 'opacity-60' : ''}`}
+            >
+              <div className="flex items-start gap-2">
+                <button
+                  onClick={() => onJump(thread)}
+                  className="px-2 py-0.5 rounded bg-gray-700 hover:bg-gray-600 text-xs font-mono text-blue-300 flex-shrink-0"
+                  title="Jump to this moment"
+                >
+                  {formatTimestamp(thread.timestamp)}
+                </button>
+                <div className="flex-1 min-w-0">
+                  {renderMeta(thread)}
+                  <p className="text-sm whitespace-pre-wrap break-words">{thread.body}</p>
+                </div>
+              </div>
+
+              {thread.replies.length > 0 && (
+                <ul className="mt-2 ml-6 pl-3 border-l border-gray-700 space-y-2">
+                  {thread.replies.map(replyItem => (
+                    <li key={replyItem.id}>
+                      {renderMeta(replyItem)}
+                      <p className="text-sm whitespace-pre-wrap break-words">{replyItem.body}</p>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {replyingTo === thread.id ? (
+                <form onSubmit={(e) => addReply(e, thread)} className="mt-2 ml-6 flex gap-2">
+                  <input
+                    autoFocus
+                    value={reply}
+                    onChange={(e) => setReply(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Escape') setReplyingTo(null);
+                    }}
+                    maxLength={2000}
+                    placeholder="Reply"
+                    className={inputClass}
+                  />
+                  <button
+                    type="submit"
+                    disabled={saving || !reply.trim()}
+                    className="px-3 py-2 rounded-lg bg-purple-600 hover:bg-purple-700 text-sm disabled:opacity-50"
+                  >
+                    <i className="fas fa-reply"></i>
+                  </button>
+                </form>
+              ) : (
+                <div className="flex gap-3 mt-2 ml-6 text-xs">
+                  <button
+                    onClick={() => {
+                      setReplyingTo(thread.id);
+                      setReply('');
+                    }}
+                    className="text-gray-400 hover:text-gray-300"
+                  >
+                    <i className="fas fa-reply mr-1"></i> Reply
+                  </button>
+                  <button
+                    onClick={() => toggleResolved(thread)}
+                    className={thread.resolved ? 'text-gray-400 hover:text-gray-300' : 'text-green-400 hover:text-green-300'}
+                  >
+                    <i className={`fas ${thread.resolved ? 'fa-undo' : 'fa-check'} mr-1`}></i>
+                    {thread.resolved ? 'Reopen' : 'Resolve'}
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-center text-gray-500 py-6 text-sm">
+          {comments.length > 0 ? 'All comments are resolved' : 'No comments yet'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CommentsPanel;
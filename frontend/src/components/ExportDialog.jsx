@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const POLL_INTERVAL = 1500;
+
+const ExportDialog = ({ apiUrl, recording, onClose }) => {
+  const [jobs, setJobs] = useState([]);
+  const [error, setError] = useState('');
+
+  const exportsUrl = `${apiUrl}/api/recordings/${recording.id}/exports`;
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const response = await fetch(exportsUrl, { credentials: 'include' });
+      if (response.ok) {
+        setJobs(await response.json());
+        setError('');
+      } else {
+        setError('Failed to fetch exports');
+      }
+    } catch (error) {
+      console.error('Error fetching exports:', error);
+      setError('Error connecting to server');
+    }
+  }, [exportsUrl]);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  // Poll while anything is still queued or running
+  const pending = jobs.some(job => job.status === 'queued' || job.status === 'running');
+  useEffect(() => {
+    if (!pending) return undefined;
+    const interval = setInterval(fetchJobs, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [pending, fetchJobs]);
+
+  const requestExport = async (format) => {
+    try {
+      const response = await fetch(exportsUrl, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ format })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setJobs([data, ...jobs]);
+        setError('');
+      } else {
+        setError(data.error || 'Failed to start export');
+      }
+    } catch (error) {
+      console.error('Error requesting export:', error);
+      setError('Error connecting to server');
+    }
+  };
+
+  const statusLabel = (job) => {
+    if (job.status === 'running') return `${Math.round(job.progress)}%`;
+    if (job.status === 'queued') return 'Queued';
+    if (job.status === 'failed') return 'Failed';
+    return 'Ready';
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="glass-effect bg-gray-900 p-6 rounded-2xl w-full max-w-lg max-h-full overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-semibold flex items-center">
+            <i className="fas fa-file-export mr-3 text-yellow-400"></i>
+            Export Recording
+          </h2>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-300">
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4 mb-6">
+          <button
+            onClick={() => requestExport('mp4')}
+            className="py-3 px-4 rounded-lg flex items-center justify-center transition-all bg-gradient-to-r from-indigo-500 to-blue-600 hover:from-indigo-600 hover:to-blue-700 shadow-lg"
+          >
+            <i className="fas fa-film mr-2"></i> Export MP4
+          </button>
+          <button
+            onClick={() => requestExport('gif')}
+            className="py-3 px-4 rounded-lg flex items-center justify-center transition-all bg-gradient-to-r from-purple-500 to-pink-600 hover:from-purple-600 hover:to-pink-700 shadow-lg"
+          >
+            <i className="fas fa-image mr-2"></i> Export GIF
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 py-2 px-4 rounded-lg bg-red-900 text-red-200">{error}</div>
+        )}
+
+        {jobs.length > 0 ? (
+          <ul className="space-y-3">
+            {jobs.map(job => (
+              <li key={job.id} className="bg-gray-800 bg-opacity-60 rounded-lg p-3">
+                <div className="flex justify-between items-center">
+                  <span className="uppercase font-mono">{job.format}</span>
+                  {job.status === 'done' ? (
+                    <a
+                      href={`${apiUrl}${job.downloadPath}`}
+                      className="text-green-400 hover:text-green-300 transition-colors"
+                    >
+                      <i className="fas fa-download mr-1"></i> Download
+                    </a>
+                  ) : (
+                    <span className={job.status === 'failed' ? 'text-red-400' : 'text-gray-400'} title={job.error || ''}>
+                      {statusLabel(job)}
+                    </span>
+                  )}
+                </div>
+                {(job.status === 'queued' || job.status === 'running') && (
+                  <div className="relative h-2 bg-gray-700 rounded-full overflow-hidden mt-2">
+                    <div
+                      className="h-full bg-gradient-to-r from-yellow-500 to-orange-500 transition-all duration-300"
+                      style={{ width: `${job.progress}%` }}
+                    ></div>
+                  </div>
+                )}
+                {job.status === 'failed' && job.error && (
+                  <p className="text-xs text-red-300 mt-1 truncate">{job.error}</p>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-center text-gray-500 py-6">No exports yet</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { deleteLocalRecording, describeLocalStorage } from '../utils/localLibrary';
+import { queueLocalRecording, unqueueLocalRecording } from '../utils/uploadQueue';
+import { extensionFor } from '../utils/captureFormat';
+
+const SYNC_BADGES = {
+  local: { icon: 'fa-hdd', text: 'On this device', className: 'bg-gray-700 text-gray-200' },
+  queued: { icon: 'fa-clock', text: 'Waiting to upload', className: 'bg-yellow-900 text-yellow-200' },
+  uploading: { icon: 'fa-cloud-upload-alt', text: 'Uploading', className: 'bg-blue-900 text-blue-200' },
+  synced: { icon: 'fa-check', text: 'Uploaded', className: 'bg-green-900 text-green-200' },
+  failed: { icon: 'fa-exclamation-triangle', text: 'Upload failed', className: 'bg-red-900 text-red-200' }
+};
+
+export const SyncBadge = ({ sync }) => {
+  const badge = SYNC_BADGES[sync.state] || SYNC_BADGES.local;
+  const retryAt = sync.state === 'queued' && sync.nextAttemptAt > Date.now()
+    ? new Date(sync.nextAttemptAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+    : null;
+
+  return (
+    <span
+      className={`px-2 py-0.5 text-xs rounded-full flex-shrink-0 ${badge.className}`}
+      title={sync.error || undefined}
+    >
+      <i className={`fas ${badge.icon} mr-1`}></i>
+      {badge.text}
+      {sync.state === 'uploading' && ` ${sync.progress}%`}
+      {retryAt && ` (retry at ${retryAt})`}
+    </span>
+  );
+};
+
+// Object URLs are tied to the card, so the blob is only held in memory while it is shown
+const LocalRecordingCard = ({ entry, formatFileSize, formatDate, formatDuration }) => {
+  const [url, setUrl] = useState(null);
+  // Every library refresh reads a new Blob object for the same file, which must not reload the video
+  const blobRef = useRef(entry.blob);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(blobRef.current);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [entry.id]);
+
+  const download = () => {
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${entry.title.replace(/[\\/:*?"<>|]/g, '_')}.${extensionFor(entry.blob.type)}`;
+    a.click();
+  };
+
+  const remove = async () => {
+    if (entry.sync.state !== 'synced'
+      && !window.confirm('This recording has not been uploaded yet. Delete it from this device anyway?')) {
+      return;
+    }
+    try {
+      await deleteLocalRecording(entry.id);
+    } catch (error) {
+      console.error('Error deleting local recording:', error);
+      alert('Error deleting recording');
+    }
+  };
+
+  const { state } = entry.sync;
+
+  return (
+    <div className="bg-gray-900 bg-opacity-60 rounded-xl border border-gray-800 hover:border-purple-700 transition-colors">
+      <div className="relative aspect-video bg-black bg-opacity-50 rounded-t-xl overflow-hidden">
+        {url && <video src={url} controls preload="metadata" className="w-full h-full"></video>}
+        {entry.duration ? (
+          <span className="absolute top-2 right-2 px-2 py-0.5 text-xs font-mono rounded bg-black bg-opacity-70">
+            {formatDuration(entry.duration)}
+          </span>
+        ) : null}
+      </div>
+      {state === 'uploading' && (
+        <div className="h-1 bg-gray-700">
+          <div className="h-full bg-blue-500 transition-all duration-300" style={{ width: `${entry.sync.progress}%` }}></div>
+        </div>
+      )}
+      <div className="p-4">
+        <div className="flex items-center mb-2">
+          <h3 className="font-medium truncate flex-1" title={entry.title}>{entry.title}</h3>
+          <span className="ml-2"><SyncBadge sync={entry.sync} /></span>
+        </div>
+        {entry.sync.error && (
+          <p className="text-xs text-red-300 mb-2 truncate" title={entry.sync.error}>{entry.sync.error}</p>
+        )}
+        <div className="flex justify-between text-sm text-gray-400 mb-3">
+          <span>{formatDate(entry.createdAt)}</span>
+          <span>
+            {entry.edit && <i className="fas fa-cut mr-2" title="Edits are applied after upload"></i>}
+            {formatFileSize(entry.size)}
+          </span>
+        </div>
+        <div className="flex justify-end space-x-2 border-t border-gray-800 pt-2">
+          {(state === 'local' || state === 'failed') && (
+            <button
+              onClick={() => queueLocalRecording(entry.id)}
+              className="p-2 text-blue-400 hover:text-blue-300 transition-colors"
+              title={state === 'failed' ? 'Retry upload' : 'Upload'}
+            >
+              <i className={`fas ${state === 'failed' ? 'fa-redo' : 'fa-cloud-upload-alt'}`}></i>
+            </button>
+          )}
+          {state === 'queued' && (
+            <button
+              onClick={() => unqueueLocalRecording(entry.id)}
+              className="p-2 text-yellow-400 hover:text-yellow-300 transition-colors"
+              title="Keep on this device only"
+            >
+              <i className="fas fa-pause"></i>
+            </button>
+          )}
+          <button
+            onClick={download}
+            disabled={!url}
+            className="p-2 text-green-400 hover:text-green-300 transition-colors"
+            title="Download"
+          >
+            <i className="fas fa-download"></i>
+          </button>
+          <button
+            onClick={remove}
+            disabled={state === 'uploading'}
+            className={`p-2 transition-colors ${state === 'uploading' ? 'text-gray-600 cursor-not-allowed' : 'text-red-400 hover:text-red-300'}`}
+            title="Delete from this device"
+          >
+            <i className="fas fa-trash"></i>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Recordings stored in this browser, whether or not they have reached the server yet
+const LocalLibrary = ({ entries, error, formatFileSize, formatDate, formatDuration }) => {
+  const [storageInfo, setStorageInfo] = useState(null);
+
+  useEffect(() => {
+    describeLocalStorage()
+      .then(setStorageInfo)
+      .catch(err => console.error('Error reading storage estimate:', err));
+  }, [entries]);
+
+  const pending = entries.filter(entry => entry.sync.state !== 'synced').length;
+
+  return (
+    <>
+      <h2 className="text-2xl font-semibold mb-2 flex items-center">
+        <i className="fas fa-hdd mr-3 text-blue-500"></i>
+        On This Device
+        <span className="ml-3 text-sm font-normal text-gray-400">{entries.length} total</span>
+      </h2>
+      <p className="text-sm text-gray-400 mb-6">
+        Recordings are kept in this browser until you delete them
+        {pending > 0 && `; ${pending} not uploaded yet`}.
+        {storageInfo && ` Using ${formatFileSize(storageInfo.usage)} of ${formatFileSize(storageInfo.quota)} available.`}
+        {storageInfo && !storageInfo.persisted && ' The browser may clear them if it runs low on space.'}
+      </p>
+
+      {error ? (
+        <div className="text-center py-12 text-red-400">
+          <i className="fas fa-exclamation-triangle text-3xl mb-3"></i>
+          <p>{error}</p>
+        </div>
+      ) : entries.length > 0 ? (
+        <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-6">
+          {entries.map(entry => (
+            <LocalRecordingCard
+              key={entry.id}
+              entry={entry}
+              formatFileSize={formatFileSize}
+              formatDate={formatDate}
+              formatDuration={formatDuration}
+            />
+          ))}
+        </div>
+      ) : (
+        <div className="text-center py-12">
+          <i className="fas fa-inbox text-5xl text-gray-600 mb-4"></i>
+          <h3 className="text-xl font-medium text-gray-400 mb-2">No recordings on this device</h3>
+          <p className="text-gray-500">Recordings you make here are kept locally, even before they are uploaded</p>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default LocalLibrary;
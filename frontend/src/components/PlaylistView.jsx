@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import RecordingPlayer from './RecordingPlayer';
+import RecordingPreview from './RecordingPreview';
+
+const ITEM_DRAG_TYPE = 'application/x-playlist-item';
+
+// A playlist's items in play order. Drag items to reorder them; "Play all" (or any item)
+// opens the player, which moves on to the next item when one ends.
+const PlaylistView = ({ apiUrl, playlistId, version, onChanged, formatDuration, onUnauthorized }) => {
+  const [playlist, setPlaylist] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [playingIndex, setPlayingIndex] = useState(null);
+  const [dragOverId, setDragOverId] = useState(null);
+
+  const playlistUrl = `${apiUrl}/api/playlists/${playlistId}`;
+
+  const fetchPlaylist = useCallback(async () => {
+    try {
+      const response = await fetch(playlistUrl, { credentials: 'include' });
+
+      if (response.status === 401) {
+        onUnauthorized();
+      } else if (response.ok) {
+        setPlaylist(await response.json());
+        setError('');
+      } else {
+        setError('Failed to fetch playlist');
+      }
+    } catch (error) {
+      console.error('Error fetching playlist:', error);
+      setError('Error connecting to server');
+    } finally {
+      setLoading(false);
+    }
+  }, [playlistUrl, onUnauthorized]);
+
+  useEffect(() => {
+    setLoading(true);
+    setPlayingIndex(null);
+  }, [playlistUrl]);
+
+  useEffect(() => {
+    fetchPlaylist();
+  }, [fetchPlaylist, version]);
+
+  // Applies a change and takes the playlist the server answers with
+  const update = async (path, options, failure) => {
+    try {
+      const response = await fetch(`${playlistUrl}${path}`, {
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        ...options
+      });
+
+      if (response.status === 401) {
+        onUnauthorized();
+        return;
+      }
+      const data = await response.json().catch(() => ({}));
+      if (response.ok) {
+        setPlaylist(data);
+        onChanged();
+      } else {
+        alert(data.error || failure);
+        fetchPlaylist();
+      }
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      alert(failure);
+    }
+  };
+
+  const removeItem = (item) => update(`/items/${item.id}`, { method: 'DELETE' }, 'Failed to remove from playlist');
+
+  const moveItem = (id, beforeId) => {
+    const ids = playlist.items.map(item => item.id).filter(itemId => itemId !== id);
+    ids.splice(ids.indexOf(beforeId), 0, id);
+    setPlaylist({ ...playlist, items: ids.map(itemId => playlist.items.find(item => item.id === itemId)) });
+    update('/items/order', { method: 'PUT', body: JSON.stringify({ ids }) }, 'Failed to reorder playlist');
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-purple-500"></div>
+      </div>
+    );
+  }
+
+  if (error || !playlist) {
+    return <div className="text-center py-12 text-red-400">{error}</div>;
+  }
+
+  const { items } = playlist;
+  const playingItem = playingIndex === null ? null : items[playingIndex];
+
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between items-start gap-4 mb-6">
+        <div className="min-w-0">
+          <h2 className="text-2xl font-semibold flex items-center">
+            <i className="fas fa-list-ol mr-3 text-blue-500"></i>
+            <span className="truncate">{playlist.name}</span>
+          </h2>
+          <p className="text-sm text-gray-400 mt-1">
+            {items.length} item{items.length === 1 ? '' : 's'} · {formatDuration(playlist.totalDuration)}
+            {playlist.description && ` · ${playlist.description}`}
+          </p>
+        </div>
+        <button
+          onClick={() => setPlayingIndex(0)}
+          disabled={items.length === 0}
+          className={`py-2 px-4 rounded-lg transition-all ${
+            items.length === 0
+              ? 'bg-gray-600 opacity-50 cursor-not-allowed'
+              : 'bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700'
+          }`}
+        >
+          <i className="fas fa-play mr-2"></i> Play all
+        </button>
+      </div>
+
+      {items.length === 0 ? (
+        <div className="text-center py-12">
+          <i className="fas fa-list-ol text-5xl text-gray-600 mb-4"></i>
+          <h3 className="text-xl font-medium text-gray-400 mb-2">This playlist is empty</h3>
+          <p className="text-gray-500">Drag recordings onto it in the sidebar to add them</p>
+        </div>
+      ) : (
+        <ol className="space-y-2">
+          {items.map((item, index) => (
+            <li
+              key={item.id}
+              draggable
+              onDragStart={(e) => {
+                e.dataTransfer.setData(ITEM_DRAG_TYPE, String(item.id));
+                e.dataTransfer.effectAllowed = 'move';
+              }}
+              onDragOver={(e) => {
+                if (!Array.from(e.dataTransfer.types).includes(ITEM_DRAG_TYPE)) return;
+                e.preventDefault();
+                setDragOverId(item.id);
+              }}
+              onDragLeave={() => setDragOverId(current => (current === item.id ? null : current))}
+              onDrop={(e) => {
+                e.preventDefault();
+                setDragOverId(null);
+                const id = Number(e.dataTransfer.getData(ITEM_DRAG_TYPE));
+                if (id && id !== item.id) moveItem(id, item.id);
+              }}
+              className={`flex items-center bg-gray-900 bg-opacity-60 rounded-xl border transition-colors ${
+                dragOverId === item.id ? 'border-purple-400' : 'border-gray-800 hover:border-purple-700'
+              }`}
+            >
+              <span className="px-3 text-gray-500 cursor-move" title="Drag to reorder">
+                <i className="fas fa-grip-vertical"></i>
+              </span>
+              <span className="w-6 text-right text-gray-400 font-mono text-sm">{index + 1}</span>
+              <div className="w-40 flex-shrink-0 m-2">
+                <RecordingPreview apiUrl={apiUrl} recording={item.recording} formatDuration={formatDuration} />
+              </div>
+              <div className="flex-1 min-w-0 px-2">
+                <div className="truncate font-medium">{item.recording.title || item.recording.filename}</div>
+                <div className="text-xs text-gray-400">{formatDuration(item.recording.duration)}</div>
+              </div>
+              <button
+                onClick={() => setPlayingIndex(index)}
+                className="p-2 text-blue-400 hover:text-blue-300 transition-colors"
+                title="Play from here"
+              >
+                <i className="fas fa-play"></i>
+              </button>
+              <button
+                onClick={() => removeItem(item)}
+                className="p-2 mr-2 text-red-400 hover:text-red-300 transition-colors"
+                title="Remove from playlist"
+              >
+                <i className="fas fa-times"></i>
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {playingItem && (
+        <RecordingPlayer
+          key={playingItem.id}
+          apiUrl={apiUrl}
+          recording={playingItem.recording}
+          onClose={() => setPlayingIndex(null)}
+          onUnauthorized={onUnauthorized}
+          queue={{
+            name: playlist.name,
+            index: playingIndex,
+            count: items.length,
+            onPrevious: playingIndex > 0 ? () => setPlayingIndex(playingIndex - 1) : null,
+            onNext: playingIndex < items.length - 1 ? () => setPlayingIndex(playingIndex + 1) : null
+          }}
+          onEnded={() => setPlayingIndex(playingIndex < items.length - 1 ? playingIndex + 1 : null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PlaylistView;
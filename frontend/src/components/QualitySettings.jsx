@@ -0,0 +1,39 @@
+import React from 'react';
+import { QUALITY_PRESETS } from '../utils/captureFormat';
+
+// Capture quality presets, and the format this browser records in (`format` is null when it cannot tell)
+const QualitySettings = ({ presetId, onChange, recording, format }) => {
+  const optionClass = (selected) => `py-1 px-3 rounded-lg text-sm transition-colors ${
+    selected ? 'bg-purple-600' : 'bg-gray-700 hover:bg-gray-600'
+  }`;
+
+  const selected = QUALITY_PRESETS.find(preset => preset.id === presetId);
+
+  return (
+    <div className="mb-6">
+      <div className="flex justify-between items-center mb-2">
+        <label className="text-lg font-medium">Quality</label>
+        <span className="text-sm text-gray-400">
+          <i className="fas fa-film mr-1"></i>
+          {format ? format.label : 'Browser default format'}
+        </span>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {QUALITY_PRESETS.map(preset => (
+          <button
+            key={preset.id}
+            onClick={() => onChange(preset.id)}
+            disabled={recording}
+            className={optionClass(preset.id === presetId)}
+            title={preset.description}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+      {selected && <p className="text-sm text-gray-400 mt-2">{selected.description}</p>}
+    </div>
+  );
+};
+
+export default QualitySettings;
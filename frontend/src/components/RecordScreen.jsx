@@ -1,85 +1,417 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
+import { createChunkedUpload } from '../utils/chunkedUpload';
+import { saveLocalRecording, getLocalRecording, updateLocalRecording, subscribeLocalLibrary } from '../utils/localLibrary';
+import { queueLocalRecording } from '../utils/uploadQueue';
+import {
+  createRecordingTimer,
+  runCountdown,
+  effectiveLimit,
+  hotkeyAction,
+  loadRecordingControls,
+  saveRecordingControls
+} from '../utils/recordingTimer';
+import { createLiveRecording } from '../utils/liveRecording';
+import {
+  pickRecordingFormat,
+  qualityPreset,
+  displayVideoConstraints,
+  extensionFor,
+  loadQualityPreset,
+  saveQualityPreset
+} from '../utils/captureFormat';
+import { emptyEdit, isEdited, applyRecordingEdit } from '../utils/recordingEdits';
+import { createCompositor, loadWebcamSettings, saveWebcamSettings } from '../utils/compositor';
+import { createAudioMixer, loadAudioSettings, saveAudioSettings, AUDIO_SOURCES } from '../utils/audioMixer';
+import { createAnnotationLayer, loadAnnotationSettings, saveAnnotationSettings } from '../utils/annotations';
+import AnnotationBoard from './AnnotationBoard';
+import AnnotationSettings from './AnnotationSettings';
+import AudioSettings from './AudioSettings';
+import RecordingControlsSettings from './RecordingControlsSettings';
+import QualitySettings from './QualitySettings';
+import TrimEditor from './TrimEditor';
+import WebcamSettings from './WebcamSettings';
 
-const RecordScreen = ({ apiUrl }) => {
+// How often MediaRecorder hands a segment to the server in live mode
+const SEGMENT_INTERVAL = 2000;
+// How often a paused live recording tells the server it is still there
+const KEEP_ALIVE_INTERVAL = 30000;
+
+const RecordScreen = ({ apiUrl, user, onUnauthorized }) => {
   const [recording, setRecording] = useState(false);
+  const [paused, setPaused] = useState(false);
+  // Seconds left before capture starts, or null when no countdown is running
+  const [countdown, setCountdown] = useState(null);
   const [recordedVideo, setRecordedVideo] = useState(null);
-  const [recordingTime, setRecordingTime] = useState(180);
-  const [includeAudio, setIncludeAudio] = useState(true);
+  const [controls, setControls] = useState(loadRecordingControls);
+  // The server's maximum duration in seconds; null when it has none
+  const [serverMax, setServerMax] = useState(null);
+  const [qualityPresetId, setQualityPresetId] = useState(loadQualityPreset);
+  // Negotiated once; the browser's supported formats do not change while the page is open
+  const [recordingFormat] = useState(pickRecordingFormat);
+  const [audioSettings, setAudioSettings] = useState(loadAudioSettings);
+  const [capturedSources, setCapturedSources] = useState([]);
+  const [mutedSources, setMutedSources] = useState({ system: false, microphone: false });
+  const [streamToServer, setStreamToServer] = useState(
+    () => localStorage.getItem('streamToServer') === 'true'
+  );
   const [timer, setTimer] = useState(0);
   const [progress, setProgress] = useState(0);
   const [uploadStatus, setUploadStatus] = useState('');
+  const [uploadState, setUploadState] = useState('idle');
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [edit, setEdit] = useState(null);
+  const [title, setTitle] = useState('');
+  const [currentTime, setCurrentTime] = useState(0);
+  const [applyingEdit, setApplyingEdit] = useState(false);
+  const [webcamSettings, setWebcamSettings] = useState(loadWebcamSettings);
+  const [cameraActive, setCameraActive] = useState(false);
+  const [annotationSettings, setAnnotationSettings] = useState(loadAnnotationSettings);
+  // { layer, stream } while recording with annotations
+  const [annotating, setAnnotating] = useState(null);
+  // Sync state of the local library copy, once the recording is stored on this device
+  const [localSync, setLocalSync] = useState(null);
   
   const mediaRecorderRef = useRef(null);
   const videoRef = useRef(null);
   const timerRef = useRef(null);
+  const countdownAbortRef = useRef(null);
+  const uploadRef = useRef(null);
+  const liveRef = useRef(null);
+  const keepAliveRef = useRef(null);
+  const compositorRef = useRef(null);
+  const mixerRef = useRef(null);
+  const audioSettingsRef = useRef(null);
+  audioSettingsRef.current = audioSettings;
+  const elapsedRef = useRef(0);
+  // Upload callbacks outlive the render that started them, so they read the latest edit from here
+  const editRef = useRef(null);
+  editRef.current = edit;
+
+  const localId = recordedVideo && recordedVideo.localId;
+
+  // Follow the local copy, so an upload finished by the background queue shows up here too
+  useEffect(() => {
+    if (!localId) {
+      setLocalSync(null);
+      return undefined;
+    }
+
+    const refresh = async () => {
+      const entry = await getLocalRecording(localId).catch(() => null);
+      if (!entry) {
+        setLocalSync(null);
+        return;
+      }
+      setLocalSync(entry.sync);
+      if (entry.sync.state === 'synced') {
+        setRecordedVideo(video => video && video.localId === localId && !video.serverId
+          ? { ...video, serverId: entry.sync.serverId, serverTitle: entry.title, editApplied: video.editApplied || (video.editQueued && !entry.sync.error) }
+          : video);
+      }
+    };
+    refresh();
+    return subscribeLocalLibrary(refresh);
+  }, [localId]);
+
+  const markSynced = (id, serverId) => {
+    if (!id) return;
+    updateLocalRecording(id, { sync: { state: 'synced', serverId, progress: 100, error: null } })
+      .catch(err => console.error('Error updating local recording:', err));
+  };
+
+  useEffect(() => {
+    const fetchLimits = async () => {
+      try {
+        const response = await fetch(`${apiUrl}/api/limits`, { credentials: 'include' });
+        if (response.status === 401) {
+          onUnauthorized();
+        } else if (response.ok) {
+          setServerMax((await response.json()).maxDurationSeconds || null);
+        }
+      } catch (error) {
+        // Offline: record without the server's limit, an upload over it is rejected later
+        console.error('Error fetching recording limits:', error);
+      }
+    };
+    fetchLimits();
+  }, [apiUrl, onUnauthorized]);
+
+  const recordingLimit = effectiveLimit(controls.limitSeconds, serverMax);
+  const countingDown = countdown !== null;
+
+  const updateControls = (next) => {
+    setControls(next);
+    saveRecordingControls(next);
+  };
+
+  const toggleStreamToServer = () => {
+    const next = !streamToServer;
+    setStreamToServer(next);
+    localStorage.setItem('streamToServer', String(next));
+  };
+
+  const updateQualityPreset = (id) => {
+    setQualityPresetId(id);
+    saveQualityPreset(id);
+  };
+
+  const updateWebcamSettings = (next) => {
+    setWebcamSettings(next);
+    saveWebcamSettings(next);
+    if (compositorRef.current) compositorRef.current.update(next);
+  };
+
+  const updateAnnotationSettings = (next) => {
+    setAnnotationSettings(next);
+    saveAnnotationSettings(next);
+    if (annotating) annotating.layer.setEffects({ clickHighlight: next.clickHighlight, spotlight: next.spotlight });
+  };
+
+  const updateAudioSettings = (next) => {
+    setAudioSettings(next);
+    saveAudioSettings(next);
+    if (mixerRef.current) {
+      AUDIO_SOURCES.forEach(source => mixerRef.current.setGain(source, next[source].gain));
+    }
+  };
+
+  const toggleMute = (source) => {
+    const muted = !mutedSources[source];
+    setMutedSources({ ...mutedSources, [source]: muted });
+    if (mixerRef.current) mixerRef.current.setMuted(source, muted);
+  };
+
+  // Stored with the recording so it is clear which sources ended up in it
+  const describeAudioSources = (captured) => {
+    const settings = audioSettingsRef.current;
+    const config = {};
+    AUDIO_SOURCES.forEach(source => {
+      config[source] = { ...settings[source], captured: captured.includes(source) };
+    });
+    return config;
+  };
 
   const startRecording = async () => {
+    if (recording || countingDown) return;
+    // The limit is fixed when capture starts
+    const limit = recordingLimit;
+    const preset = qualityPreset(qualityPresetId);
+
     try {
       // Get screen stream
       const screenStream = await navigator.mediaDevices.getDisplayMedia({
-        video: { cursor: "always" },
-        audio: includeAudio
+        video: displayVideoConstraints(preset),
+        audio: audioSettings.system.enabled
       });
       
       // Get microphone audio if enabled
       let audioStream = null;
-      if (includeAudio) {
-        audioStream = await navigator.mediaDevices.getUserMedia({
-          audio: true,
-          video: false
+      if (audioSettings.microphone.enabled) {
+        try {
+          audioStream = await navigator.mediaDevices.getUserMedia({
+            audio: true,
+            video: false
+          });
+        } catch (err) {
+          console.error('Error opening microphone:', err);
+          setUploadStatus('Could not open the microphone. Recording without it.');
+        }
+      }
+      
+      // Mix system audio and microphone into one track
+      mixerRef.current = createAudioMixer({
+        streams: {
+          system: audioSettings.system.enabled ? screenStream : null,
+          microphone: audioStream
+        },
+        settings: audioSettings
+      });
+      const mixer = mixerRef.current;
+      setCapturedSources(mixer.captured);
+      setMutedSources({ system: false, microphone: false });
+      
+      // Draw the webcam over the screen capture when the overlay is enabled
+      let cameraStream = null;
+      if (webcamSettings.enabled) {
+        try {
+          cameraStream = await navigator.mediaDevices.getUserMedia({ video: true, audio: false });
+        } catch (err) {
+          console.error('Error starting webcam overlay:', err);
+          setUploadStatus('Could not start the webcam. Recording the screen only.');
+        }
+      }
+      
+      // Webcam and annotations both need the canvas compositor; otherwise the screen is recorded as is
+      let videoTracks = screenStream.getVideoTracks();
+      compositorRef.current = null;
+      if (cameraStream || annotationSettings.enabled) {
+        const settings = { ...webcamSettings, visible: true };
+        const layer = annotationSettings.enabled ? createAnnotationLayer() : null;
+        if (layer) {
+          layer.setEffects({ clickHighlight: annotationSettings.clickHighlight, spotlight: annotationSettings.spotlight });
+        }
+        if (cameraStream) updateWebcamSettings(settings);
+        compositorRef.current = await createCompositor({
+          screenStream,
+          cameraStream,
+          settings,
+          annotations: layer,
+          frameRate: preset.frameRate
         });
+        videoTracks = compositorRef.current.stream.getVideoTracks();
+        setCameraActive(Boolean(cameraStream));
+        if (layer) setAnnotating({ layer, stream: compositorRef.current.stream });
       }
+      const compositor = compositorRef.current;
       
       // Combine streams
       const combinedStream = new MediaStream();
-      screenStream.getVideoTracks().forEach(track => combinedStream.addTrack(track));
+      videoTracks.forEach(track => combinedStream.addTrack(track));
       
-      if (audioStream) {
-        audioStream.getAudioTracks().forEach(track => combinedStream.addTrack(track));
+      if (mixer.track) {
+        combinedStream.addTrack(mixer.track);
       }
       
-      // Setup media recorder
+      // Count down once the screen is picked, so the countdown is not spent in the browser's picker
+      if (controls.countdown > 0) {
+        countdownAbortRef.current = new AbortController();
+        try {
+          await runCountdown(controls.countdown, { onTick: setCountdown, signal: countdownAbortRef.current.signal });
+        } catch (err) {
+          screenStream.getTracks().forEach(track => track.stop());
+          if (compositor) {
+            compositor.stop();
+            setCameraActive(false);
+            setAnnotating(null);
+          }
+          mixer.stop();
+          setCapturedSources([]);
+          return;
+        } finally {
+          countdownAbortRef.current = null;
+          setCountdown(null);
+        }
+      }
+      
+      // Setup media recorder; without a negotiated format the browser uses its default
       mediaRecorderRef.current = new MediaRecorder(combinedStream, {
-        mimeType: 'video/webm; codecs=vp9'
+        ...(recordingFormat ? { mimeType: recordingFormat.mimeType } : {}),
+        videoBitsPerSecond: preset.videoBitsPerSecond
       });
+      // What the browser actually records in, which may differ from what was asked for
+      const mimeType = mediaRecorderRef.current.mimeType || (recordingFormat && recordingFormat.mimeType) || 'video/webm';
+      
+      // Open a live session so segments reach the server while we record
+      liveRef.current = null;
+      if (streamToServer) {
+        try {
+          liveRef.current = await createLiveRecording({
+            apiUrl,
+            metadata: { audioSources: describeAudioSources(mixer.captured), mimeType },
+            onError: (err) => {
+              console.error('Error streaming recording segment:', err);
+              setUploadStatus('Live save interrupted. The recording is still kept locally.');
+            }
+          });
+          setUploadStatus('Saving to server while recording...');
+        } catch (err) {
+          console.error('Error starting live recording:', err);
+          setUploadStatus('Could not reach the server. Recording locally only.');
+        }
+      }
+      const live = liveRef.current;
       
       const chunks = [];
       mediaRecorderRef.current.ondataavailable = (e) => {
         if (e.data.size > 0) {
           chunks.push(e.data);
+          if (live) {
+            live.addSegment(e.data, elapsedRef.current);
+          }
         }
       };
       
-      mediaRecorderRef.current.onstop = () => {
-        const blob = new Blob(chunks, { type: 'video/webm' });
+      // Counts active time only, so paused stretches are not part of the duration
+      const timer = createRecordingTimer({
+        onTick: (seconds) => {
+          elapsedRef.current = seconds;
+          setTimer(seconds);
+          if (limit) {
+            setProgress(Math.min(100, (seconds / limit) * 100));
+            if (seconds >= limit) stopRecording();
+          }
+        }
+      });
+      timerRef.current = timer;
+      
+      mediaRecorderRef.current.onstop = async () => {
+        timer.stop();
+        const blob = new Blob(chunks, { type: mimeType });
         const videoUrl = URL.createObjectURL(blob);
-        setRecordedVideo({ blob, url: videoUrl, duration: timer });
+        const duration = Math.round(timer.elapsed());
+        const audioSources = describeAudioSources(mixer.captured);
+        const defaultTitle = `Screen recording ${new Date().toLocaleString()}`;
+        setRecordedVideo({
+          blob,
+          url: videoUrl,
+          duration,
+          audioSources,
+          defaultTitle,
+          localId: null,
+          serverId: null,
+          serverTitle: null,
+          editApplied: false,
+          editQueued: false
+        });
+        setEdit(emptyEdit(duration));
+        setTitle('');
+        setCurrentTime(0);
+        
+        if (compositor) {
+          compositor.stop();
+          setCameraActive(false);
+          setAnnotating(null);
+        }
+        mixer.stop();
+        setCapturedSources([]);
         
         // Reset timer and progress
-        clearInterval(timerRef.current);
         setTimer(0);
         setProgress(0);
-      };
-      
-      // Start recording
-      mediaRecorderRef.current.start();
-      setRecording(true);
-      
-      // Start timer
-      let timeElapsed = 0;
-      timerRef.current = setInterval(() => {
-        timeElapsed += 1;
-        setTimer(timeElapsed);
         
-        // Calculate progress percentage
-        const progressValue = (timeElapsed / recordingTime) * 100;
-        setProgress(progressValue);
+        // Keep a copy on this device first, so leaving the page does not lose the recording
+        let local = null;
+        try {
+          local = await saveLocalRecording({ ownerId: user.id, blob, title: defaultTitle, duration, audioSources });
+          setRecordedVideo(video => video && video.blob === blob ? { ...video, localId: local.id } : video);
+        } catch (err) {
+          console.error('Error saving recording locally:', err);
+          setUploadStatus(`Could not keep a copy on this device: ${err.message}. Download or upload it before leaving.`);
+        }
         
-        // Stop recording if time limit reached
-        if (timeElapsed >= recordingTime) {
-          stopRecording();
+        if (live) {
+          try {
+            setUploadStatus('Finishing server copy...');
+            const { recording: saved } = await live.finish(duration, { audioSources, title: defaultTitle });
+            setRecordedVideo(video => video && video.blob === blob
+              ? { ...video, serverId: saved.id, serverTitle: saved.title }
+              : video);
+            markSynced(local && local.id, saved.id);
+            setUploadStatus('Recording saved to server successfully!');
+            setTimeout(() => setUploadStatus(''), 3000);
+          } catch (err) {
+            console.error('Error finishing live recording:', err);
+            setUploadStatus(`Upload failed: ${err.message}`);
+          }
         }
-      }, 1000);
+      };
+      
+      // Start recording, in timeslices when streaming to the server
+      elapsedRef.current = 0;
+      mediaRecorderRef.current.start(live ? SEGMENT_INTERVAL : undefined);
+      timer.start();
+      setRecording(true);
+      setPaused(false);
       
       // Handle when user stops sharing screen
       screenStream.getVideoTracks()[0].onended = () => {
@@ -88,62 +420,288 @@ const RecordScreen = ({ apiUrl }) => {
       
     } catch (err) {
       console.error('Error starting recording:', err);
+      if (compositorRef.current) {
+        compositorRef.current.stop();
+        compositorRef.current = null;
+        setCameraActive(false);
+        setAnnotating(null);
+      }
+      if (mixerRef.current) {
+        mixerRef.current.stop();
+        mixerRef.current = null;
+        setCapturedSources([]);
+      }
       alert('Could not start recording. Please make sure to grant screen sharing permissions.');
     }
   };
 
   const stopRecording = () => {
-    if (mediaRecorderRef.current && mediaRecorderRef.current.state === 'recording') {
+    if (countdownAbortRef.current) {
+      countdownAbortRef.current.abort();
+      return;
+    }
+    if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
+      stopKeepAlive();
       mediaRecorderRef.current.stop();
       setRecording(false);
-      clearInterval(timerRef.current);
+      setPaused(false);
+    }
+  };
+
+  const stopKeepAlive = () => {
+    clearInterval(keepAliveRef.current);
+    keepAliveRef.current = null;
+  };
+
+  const togglePause = () => {
+    const recorder = mediaRecorderRef.current;
+    if (!recorder || recorder.state === 'inactive') return;
+    const live = liveRef.current;
+
+    if (recorder.state === 'recording') {
+      recorder.pause();
+      timerRef.current.pause();
+      setPaused(true);
+      // No segments arrive while paused, so keep the live session from being closed as abandoned
+      if (live) {
+        live.keepAlive();
+        keepAliveRef.current = setInterval(() => live.keepAlive(), KEEP_ALIVE_INTERVAL);
+      }
+    } else {
+      stopKeepAlive();
+      recorder.resume();
+      timerRef.current.resume();
+      setPaused(false);
+      // A long sleep or lost connection may have let the server close the session; if so the
+      // later segments are kept locally only and the recording can be uploaded once stopped
+      if (live) live.keepAlive();
     }
   };
 
+  // Shortcuts call whatever the latest render's handlers are
+  const hotkeyHandlersRef = useRef(null);
+  hotkeyHandlersRef.current = { start: startRecording, pause: togglePause, stop: stopRecording };
+
+  useEffect(() => {
+    if (!controls.hotkeys) return undefined;
+
+    const handleKeyDown = (e) => {
+      const action = hotkeyAction(e);
+      if (!action) return;
+      e.preventDefault();
+      hotkeyHandlersRef.current[action]();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [controls.hotkeys]);
+
+  // Escape cancels the countdown
+  useEffect(() => {
+    if (!countingDown) return undefined;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') hotkeyHandlersRef.current.stop();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [countingDown]);
+
+  useEffect(() => () => clearInterval(keepAliveRef.current), []);
+
   const downloadRecording = () => {
     if (recordedVideo) {
       const a = document.createElement('a');
       a.href = recordedVideo.url;
-      a.download = `screen-recording-${new Date().toISOString().slice(0, 19)}.webm`;
+      const extension = extensionFor(recordedVideo.blob.type);
+      a.download = title.trim()
+        ? `${title.trim().replace(/[\\/:*?"<>|]/g, '_')}.${extension}`
+        : `screen-recording-${new Date().toISOString().slice(0, 19)}.${extension}`;
       a.click();
     }
   };
 
-  const uploadRecording = async () => {
+  // Keep preview playback inside the in/out points and jump over cut sections
+  const handleTimeUpdate = () => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    if (edit && !recordedVideo.editApplied) {
+      const cut = edit.cuts.find(c => video.currentTime >= c.start && video.currentTime < c.end);
+      if (video.currentTime < edit.in) {
+        video.currentTime = edit.in;
+      } else if (cut) {
+        video.currentTime = cut.end;
+      } else if (video.currentTime >= edit.out && !video.paused) {
+        video.pause();
+        video.currentTime = edit.out;
+      }
+    }
+    setCurrentTime(video.currentTime);
+  };
+
+  const seekPreview = (time) => {
+    if (videoRef.current) videoRef.current.currentTime = time;
+    setCurrentTime(time);
+  };
+
+  // The server keeps the original until the edited version is ready, so a failure loses nothing
+  const saveEdits = async (recordingId) => {
+    const edit = editRef.current;
+    if (!isEdited(edit, recordedVideo.duration)) return;
+
+    try {
+      setApplyingEdit(true);
+      setUploadStatus('Applying edits...');
+      await applyRecordingEdit({ apiUrl, recordingId, edit, onStatus: setUploadStatus });
+      setRecordedVideo(video => video && { ...video, editApplied: true });
+      setUploadStatus('Edits saved successfully!');
+      setTimeout(() => setUploadStatus(''), 3000);
+    } catch (err) {
+      console.error('Error applying edits:', err);
+      setUploadStatus(`Edit failed: ${err.message}. The unedited recording is still saved.`);
+    } finally {
+      setApplyingEdit(false);
+    }
+  };
+
+  // Recordings saved while capturing are already on the server, so their title is sent on its own.
+  // The local copy takes it too, so a queued upload goes out with the latest title.
+  const saveTitle = async () => {
     if (!recordedVideo) return;
-    
+    const next = title.trim() || recordedVideo.defaultTitle;
+    if (recordedVideo.localId) {
+      updateLocalRecording(recordedVideo.localId, { title: next })
+        .catch(err => console.error('Error saving local title:', err));
+    }
+    if (!recordedVideo.serverId || next === recordedVideo.serverTitle) return;
+
     try {
-      setUploadStatus('Uploading...');
-      const formData = new FormData();
-      formData.append('video', recordedVideo.blob, `recording-${Date.now()}.webm`);
-      formData.append('duration', recordedVideo.duration.toString());
-      
-      const response = await fetch(`${apiUrl}/api/recordings`, {
-        method: 'POST',
-        body: formData
+      const response = await fetch(`${apiUrl}/api/recordings/${recordedVideo.serverId}`, {
+        method: 'PATCH',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: next })
       });
-      
-      if (response.ok) {
-        setUploadStatus('Upload successful!');
-        setTimeout(() => setUploadStatus(''), 3000);
+
+      if (response.status === 401) {
+        onUnauthorized();
+      } else if (response.ok) {
+        setRecordedVideo(video => video && { ...video, serverTitle: next });
       } else {
-        const errorData = await response.json();
-        setUploadStatus(`Upload failed: ${errorData.error || 'Please try again.'}`);
+        const data = await response.json();
+        setUploadStatus(`Saving the title failed: ${data.error || 'Please try again.'}`);
+      }
+    } catch (err) {
+      console.error('Error saving title:', err);
+      setUploadStatus('Saving the title failed: Error connecting to server');
+    }
+  };
+
+  const uploadRecording = () => {
+    if (!recordedVideo) return;
+    
+    setUploadProgress(0);
+    uploadRef.current = createChunkedUpload({
+      apiUrl,
+      blob: recordedVideo.blob,
+      duration: recordedVideo.duration,
+      metadata: { audioSources: recordedVideo.audioSources, title: title.trim() || recordedVideo.defaultTitle },
+      onProgress: setUploadProgress,
+      onStateChange: (state, detail) => {
+        setUploadState(state);
+        
+        if (state === 'uploading') {
+          setUploadStatus('Uploading...');
+        } else if (state === 'paused') {
+          setUploadStatus('Upload paused');
+        } else if (state === 'cancelled') {
+          setUploadStatus('Upload cancelled');
+          setUploadProgress(0);
+          setTimeout(() => setUploadStatus(''), 3000);
+        } else if (state === 'completed') {
+          setRecordedVideo(video => video && {
+            ...video,
+            serverId: detail.recording.id,
+            serverTitle: detail.recording.title
+          });
+          markSynced(recordedVideo.localId, detail.recording.id);
+          if (isEdited(editRef.current, recordedVideo.duration)) {
+            saveEdits(detail.recording.id);
+            return;
+          }
+          setUploadStatus('Upload successful!');
+          setTimeout(() => setUploadStatus(''), 3000);
+        } else if (state === 'failed') {
+          console.error('Error uploading recording:', detail);
+          if (detail.status === 401) {
+            onUnauthorized();
+            return;
+          }
+          // The server is unreachable or struggling: hand the local copy to the background queue
+          if (recordedVideo.localId && (!detail.status || detail.status >= 500)) {
+            queueUploadForLater(detail);
+            return;
+          }
+          setUploadStatus(`Upload failed: ${detail.message || 'Please try again.'}`);
+        }
       }
-    } catch (error) {
-      console.error('Error uploading recording:', error);
-      setUploadStatus('Error uploading recording. Please check your connection.');
+    });
+    uploadRef.current.start();
+  };
+
+  const queueUploadForLater = async (error) => {
+    const edit = isEdited(editRef.current, recordedVideo.duration) ? editRef.current : null;
+    try {
+      await queueLocalRecording(recordedVideo.localId, { edit });
+      setRecordedVideo(video => video && { ...video, editQueued: Boolean(edit) });
+      setUploadState('idle');
+      setUploadStatus(`${error.message}. Saved on this device; it will upload automatically once the server is reachable.`);
+    } catch (err) {
+      console.error('Error queueing upload:', err);
+      setUploadStatus(`Upload failed: ${error.message || 'Please try again.'}`);
     }
   };
 
+  const pauseUpload = () => {
+    if (uploadRef.current) uploadRef.current.pause();
+  };
+
+  const resumeUpload = () => {
+    if (uploadRef.current) uploadRef.current.resume();
+  };
+
+  const cancelUpload = () => {
+    if (uploadRef.current) uploadRef.current.cancel();
+  };
+
+  const uploadActive = ['uploading', 'paused', 'failed'].includes(uploadState);
+  const uploadQueued = Boolean(localSync) && ['queued', 'uploading'].includes(localSync.state);
+  const savedToServer = Boolean(recordedVideo && recordedVideo.serverId);
+  const editPending = Boolean(recordedVideo) && !recordedVideo.editApplied && isEdited(edit, recordedVideo.duration);
+  // Once the server copy exists, the upload button saves the edits instead
+  const uploadDisabled = !recordedVideo || uploadActive || uploadQueued || applyingEdit || (savedToServer && !editPending);
+
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
+    const secs = Math.floor(seconds % 60);
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
   };
 
   return (
     <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+      {countingDown && (
+        <div className="fixed inset-0 z-50 flex flex-col items-center justify-center bg-black bg-opacity-70">
+          <div className="text-9xl font-bold font-mono text-white mb-8">{countdown || 'Go'}</div>
+          <button 
+            onClick={stopRecording}
+            className="py-2 px-6 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors"
+          >
+            <i className="fas fa-times mr-2"></i> Cancel
+          </button>
+          <p className="mt-3 text-sm text-gray-400">or press Esc</p>
+        </div>
+      )}
+      
       {/* Recording Panel */}
       <div className="glass-effect p-6 rounded-2xl">
         <h2 className="text-2xl font-semibold mb-6 flex items-center">
@@ -151,55 +709,88 @@ const RecordScreen = ({ apiUrl }) => {
           Record Your Screen
         </h2>
         
-        <div className="mb-6">
-          <div className="flex justify-between items-center mb-2">
-            <label className="text-lg font-medium">Recording Length</label>
-            <span className="font-mono text-xl font-bold">
-              {formatTime(recordingTime)}
-            </span>
-          </div>
-          <input 
-            type="range" 
-            min="30" 
-            max="180" 
-            value={recordingTime} 
-            onChange={(e) => setRecordingTime(parseInt(e.target.value))}
-            className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-purple-500" 
-          />
-          <div className="flex justify-between text-sm mt-1 text-gray-400">
-            <span>30s</span>
-            <span>3min</span>
-          </div>
-        </div>
+        <RecordingControlsSettings
+          settings={controls}
+          onChange={updateControls}
+          recording={recording || countingDown}
+          serverMax={serverMax}
+          formatTime={formatTime}
+        />
+        
+        <QualitySettings
+          presetId={qualityPresetId}
+          onChange={updateQualityPreset}
+          recording={recording || countingDown}
+          format={recordingFormat}
+        />
+        
+        <AudioSettings
+          settings={audioSettings}
+          onChange={updateAudioSettings}
+          recording={recording}
+          capturedSources={capturedSources}
+          mutedSources={mutedSources}
+          onToggleMute={toggleMute}
+          mixerRef={mixerRef}
+        />
+        
+        <WebcamSettings
+          settings={webcamSettings}
+          onChange={updateWebcamSettings}
+          recording={recording}
+          cameraActive={cameraActive}
+        />
+        
+        <AnnotationSettings
+          settings={annotationSettings}
+          onChange={updateAnnotationSettings}
+          recording={recording}
+        />
         
         <div className="mb-6">
           <label className="flex items-center cursor-pointer">
             <div className="relative">
               <input 
                 type="checkbox" 
-                checked={includeAudio}
-                onChange={() => setIncludeAudio(!includeAudio)}
+                checked={streamToServer}
+                onChange={toggleStreamToServer}
+                disabled={recording}
                 className="sr-only" 
               />
-              <div className={`block w-14 h-8 rounded-full transition-colors ${includeAudio ? 'bg-blue-500' : 'bg-gray-600'}`}></div>
-              <div className={`dot absolute left-1 top-1 bg-white w-6 h-6 rounded-full transition-transform ${includeAudio ? 'translate-x-6' : ''}`}></div>
+              <div className={`block w-14 h-8 rounded-full transition-colors ${streamToServer ? 'bg-blue-500' : 'bg-gray-600'}`}></div>
+              <div className={`dot absolute left-1 top-1 bg-white w-6 h-6 rounded-full transition-transform ${streamToServer ? 'translate-x-6' : ''}`}></div>
+            </div>
+            <div className="ml-3">
+              <div className="text-lg">Save to Server While Recording</div>
+              <div className="text-sm text-gray-400">Keeps a partial copy if the tab closes or the browser crashes</div>
             </div>
-            <div className="ml-3 text-lg">Include Microphone Audio</div>
           </label>
         </div>
         
         <div className="flex space-x-4 mb-6">
           <button 
             onClick={startRecording} 
-            disabled={recording}
+            disabled={recording || countingDown}
             className={`flex-1 py-3 px-6 rounded-lg flex items-center justify-center transition-all ${
-              recording 
+              recording || countingDown
                 ? 'bg-gray-600 opacity-50 cursor-not-allowed' 
                 : 'bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 shadow-lg'
             }`}
           >
             <i className="fas fa-circle mr-2"></i> Start Recording
           </button>
+          <button 
+            onClick={togglePause} 
+            disabled={!recording}
+            className={`py-3 px-6 rounded-lg flex items-center justify-center transition-all ${
+              !recording 
+                ? 'bg-gray-600 opacity-50 cursor-not-allowed' 
+                : 'bg-yellow-600 hover:bg-yellow-700 shadow-lg'
+            }`}
+            title={paused ? 'Resume recording' : 'Pause recording'}
+          >
+            <i className={`fas ${paused ? 'fa-play' : 'fa-pause'} mr-2`}></i> {paused ? 'Resume' : 'Pause'}
+          </button>
           <button 
             onClick={stopRecording} 
             disabled={!recording}
@@ -217,29 +808,41 @@ const RecordScreen = ({ apiUrl }) => {
         <div className="mb-6">
           <div className="flex justify-between items-center mb-2">
             <span className="text-sm text-gray-400">Recording Progress</span>
-            <span className="text-sm font-mono">{formatTime(timer)} / {formatTime(recordingTime)}</span>
+            <span className="text-sm font-mono">
+              {formatTime(timer)} / {recordingLimit ? formatTime(recordingLimit) : 'No limit'}
+            </span>
           </div>
           <div className="relative h-3 bg-gray-700 rounded-full overflow-hidden">
-            <div 
-              className="h-full bg-gradient-to-r from-blue-500 to-purple-500 transition-all duration-300" 
-              style={{ width: `${progress}%` }}
-            ></div>
+            {recordingLimit ? (
+              <div 
+                className={`h-full transition-all duration-300 ${
+                  paused ? 'bg-yellow-500' : 'bg-gradient-to-r from-blue-500 to-purple-500'
+                }`}
+                style={{ width: `${progress}%` }}
+              ></div>
+            ) : recording && (
+              <div className={`h-full w-full ${paused ? 'bg-yellow-500' : 'bg-gradient-to-r from-blue-500 to-purple-500 animate-pulse'}`}></div>
+            )}
           </div>
         </div>
         
         {/* Status Indicator */}
         <div className="text-center">
           <div className={`inline-flex items-center px-4 py-2 rounded-full ${
-            recording 
-              ? 'bg-red-900 text-red-200 animate-pulse' 
-              : recordedVideo 
-                ? 'bg-green-900 text-green-200' 
-                : 'bg-gray-800 text-gray-300'
+            paused 
+              ? 'bg-yellow-900 text-yellow-200' 
+              : recording 
+                ? 'bg-red-900 text-red-200 animate-pulse' 
+                : recordedVideo 
+                  ? 'bg-green-900 text-green-200' 
+                  : 'bg-gray-800 text-gray-300'
           }`}>
             <i className={`fas ${
-              recording ? 'fa-circle' : recordedVideo ? 'fa-check-circle' : 'fa-circle-notch'
+              paused ? 'fa-pause-circle' : recording ? 'fa-circle' : recordedVideo ? 'fa-check-circle' : 'fa-circle-notch'
             } mr-2`}></i>
-            {recording ? `Recording... ${formatTime(timer)}` : recordedVideo ? 'Recording complete' : 'Ready to record'}
+            {paused 
+              ? `Paused at ${formatTime(timer)}` 
+              : recording ? `Recording... ${formatTime(timer)}` : recordedVideo ? 'Recording complete' : 'Ready to record'}
           </div>
         </div>
       </div>
@@ -251,22 +854,67 @@ const RecordScreen = ({ apiUrl }) => {
           Preview Recording
         </h2>
         
-        <div className="mb-6 aspect-video bg-black bg-opacity-50 rounded-xl flex items-center justify-center border border-gray-700 overflow-hidden">
-          {recordedVideo ? (
-            <video 
-              ref={videoRef}
-              src={recordedVideo.url} 
-              controls 
-              className="w-full h-full"
+        {annotating ? (
+          <AnnotationBoard
+            stream={annotating.stream}
+            layer={annotating.layer}
+            settings={annotationSettings}
+            onChange={updateAnnotationSettings}
+          />
+        ) : (
+          <div className="mb-6 aspect-video bg-black bg-opacity-50 rounded-xl flex items-center justify-center border border-gray-700 overflow-hidden">
+            {recordedVideo ? (
+              <video 
+                ref={videoRef}
+                src={recordedVideo.url} 
+                controls 
+                onTimeUpdate={handleTimeUpdate}
+                onSeeked={handleTimeUpdate}
+                className="w-full h-full"
+              />
+            ) : (
+              <div className="text-center p-6 text-gray-400">
+                <i className="fas fa-video text-5xl mb-4 opacity-50"></i>
+                <p className="text-lg">Recording preview will appear here</p>
+                <p className="text-sm mt-2">Start recording to see your screen capture</p>
+              </div>
+            )}
+          </div>
+        )}
+        
+        {recordedVideo && (
+          <div className="mb-6">
+            {localSync && (
+              <p className="text-sm text-gray-400 mb-3">
+                <i className="fas fa-hdd mr-2"></i>
+                {localSync.state === 'queued'
+                  ? 'Kept on this device and waiting to upload'
+                  : localSync.state === 'uploading'
+                    ? `Kept on this device, uploading in the background (${localSync.progress}%)`
+                    : 'Kept on this device; find it under My Recordings'}
+              </p>
+            )}
+            <label className="block text-sm text-gray-400 mb-1">Title</label>
+            <input
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              onBlur={saveTitle}
+              maxLength={200}
+              placeholder={recordedVideo.defaultTitle}
+              className="w-full px-3 py-2 rounded-lg bg-gray-800 border border-gray-700"
             />
-          ) : (
-            <div className="text-center p-6 text-gray-400">
-              <i className="fas fa-video text-5xl mb-4 opacity-50"></i>
-              <p className="text-lg">Recording preview will appear here</p>
-              <p className="text-sm mt-2">Start recording to see your screen capture</p>
-            </div>
-          )}
-        </div>
+          </div>
+        )}
+        
+        {recordedVideo && edit && !recordedVideo.editApplied && recordedVideo.duration > 0 && (
+          <TrimEditor
+            duration={recordedVideo.duration}
+            currentTime={currentTime}
+            edit={edit}
+            onChange={setEdit}
+            onSeek={seekPreview}
+          />
+        )}
         
         <div className="grid grid-cols-2 gap-4 mb-4">
           <button 
@@ -281,18 +929,64 @@ const RecordScreen = ({ apiUrl }) => {
             <i className="fas fa-download mr-2"></i> Download
           </button>
           <button 
-            onClick={uploadRecording}
-            disabled={!recordedVideo}
+            onClick={savedToServer ? () => saveEdits(recordedVideo.serverId) : uploadRecording}
+            disabled={uploadDisabled}
             className={`py-3 px-4 rounded-lg flex items-center justify-center transition-all ${
-              !recordedVideo 
+              uploadDisabled
                 ? 'bg-gray-700 opacity-50 cursor-not-allowed' 
                 : 'bg-gradient-to-r from-indigo-500 to-blue-600 hover:from-indigo-600 hover:to-blue-700 shadow-lg'
             }`}
           >
-            <i className="fas fa-cloud-upload-alt mr-2"></i> Upload
+            {savedToServer && editPending ? (
+              <><i className="fas fa-cut mr-2"></i> Save Edits</>
+            ) : (
+              <><i className="fas fa-cloud-upload-alt mr-2"></i> Upload</>
+            )}
           </button>
         </div>
 
+        {uploadActive && (
+          <div className="mb-4">
+            <div className="flex justify-between items-center mb-2">
+              <span className="text-sm text-gray-400">Upload Progress</span>
+              <span className="text-sm font-mono">{uploadProgress.toFixed(1)}%</span>
+            </div>
+            <div className="relative h-3 bg-gray-700 rounded-full overflow-hidden mb-3">
+              <div 
+                className={`h-full transition-all duration-300 ${
+                  uploadState === 'uploading' 
+                    ? 'bg-gradient-to-r from-indigo-500 to-blue-500' 
+                    : 'bg-gray-500'
+                }`}
+                style={{ width: `${uploadProgress}%` }}
+              ></div>
+            </div>
+            <div className="flex space-x-2">
+              {uploadState === 'uploading' ? (
+                <button 
+                  onClick={pauseUpload}
+                  className="flex-1 py-2 px-4 rounded-lg bg-yellow-600 hover:bg-yellow-700 transition-colors"
+                >
+                  <i className="fas fa-pause mr-2"></i> Pause
+                </button>
+              ) : (
+                <button 
+                  onClick={resumeUpload}
+                  className="flex-1 py-2 px-4 rounded-lg bg-blue-600 hover:bg-blue-700 transition-colors"
+                >
+                  <i className="fas fa-play mr-2"></i> Resume
+                </button>
+              )}
+              <button 
+                onClick={cancelUpload}
+                className="flex-1 py-2 px-4 rounded-lg bg-red-600 hover:bg-red-700 transition-colors"
+              >
+                <i className="fas fa-times mr-2"></i> Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
         {uploadStatus && (
           <div className={`text-center py-2 px-4 rounded-lg ${
             uploadStatus.includes('successful') 
@@ -315,7 +1009,7 @@ const RecordScreen = ({ apiUrl }) => {
           <div className="space-y-3">
             <div className="flex items-start">
               <div className="bg-blue-500 rounded-full w-6 h-6 flex items-center justify-center mr-3 mt-1 flex-shrink-0 text-xs">1</div>
-              <p>Adjust recording length and audio settings</p>
+              <p>Adjust recording length, countdown and audio settings</p>
             </div>
             
             <div className="flex items-start">
@@ -330,7 +1024,7 @@ const RecordScreen = ({ apiUrl }) => {
             
             <div className="flex items-start">
               <div className="bg-blue-500 rounded-full w-6 h-6 flex items-center justify-center mr-3 mt-1 flex-shrink-0 text-xs">4</div>
-              <p>Stop recording or wait for auto-completion</p>
+              <p>Pause whenever you need to, then stop or wait for the time limit</p>
             </div>
             
             <div className="flex items-start">
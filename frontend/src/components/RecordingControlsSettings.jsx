@@ -0,0 +1,103 @@
+import React from 'react';
+import {
+  COUNTDOWN_OPTIONS,
+  HOTKEYS,
+  MAX_SLIDER_SECONDS,
+  MIN_SLIDER_SECONDS,
+  effectiveLimit
+} from '../utils/recordingTimer';
+
+// Recording length (or no limit), the countdown before capture and keyboard shortcuts.
+// `serverMax` is the server's maximum duration in seconds, or null when it has none.
+const RecordingControlsSettings = ({ settings, onChange, recording, serverMax, formatTime }) => {
+  const set = (changes) => onChange({ ...settings, ...changes });
+
+  const sliderMax = serverMax || MAX_SLIDER_SECONDS;
+  const sliderMin = Math.min(MIN_SLIDER_SECONDS, sliderMax);
+  const limit = effectiveLimit(settings.limitSeconds, serverMax);
+  const unlimited = !settings.limitSeconds;
+
+  const optionClass = (selected) => `py-1 px-3 rounded-lg text-sm transition-colors ${
+    selected ? 'bg-purple-600' : 'bg-gray-700 hover:bg-gray-600'
+  }`;
+
+  return (
+    <div className="mb-6">
+      <div className="flex justify-between items-center mb-2">
+        <label className="text-lg font-medium">Recording Length</label>
+        <span className="font-mono text-xl font-bold">
+          {limit ? formatTime(limit) : 'No limit'}
+        </span>
+      </div>
+      <input
+        type="range"
+        min={sliderMin}
+        max={sliderMax}
+        step={sliderMax > 600 ? 15 : 1}
+        value={limit || sliderMax}
+        onChange={(e) => set({ limitSeconds: parseInt(e.target.value, 10) })}
+        disabled={recording || (unlimited && !serverMax)}
+        className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-purple-500 disabled:opacity-50"
+      />
+      <div className="flex justify-between text-sm mt-1 text-gray-400">
+        <span>{formatTime(sliderMin)}</span>
+        <span>{formatTime(sliderMax)}</span>
+      </div>
+      <label className={`flex items-center mt-2 text-sm ${serverMax ? 'text-gray-500' : 'text-gray-300 cursor-pointer'}`}>
+        <input
+          type="checkbox"
+          checked={unlimited && !serverMax}
+          onChange={() => set({ limitSeconds: unlimited ? Math.min(180, sliderMax) : null })}
+          disabled={recording || Boolean(serverMax)}
+          className="mr-2 accent-purple-500"
+        />
+        {serverMax
+          ? `Recordings are limited to ${formatTime(serverMax)} by the server`
+          : 'No limit: record until stopped'}
+      </label>
+
+      <div className="flex items-center mt-4">
+        <span className="w-28 text-sm text-gray-400">Countdown</span>
+        <div className="flex gap-2">
+          {COUNTDOWN_OPTIONS.map(seconds => (
+            <button
+              key={seconds}
+              onClick={() => set({ countdown: seconds })}
+              disabled={recording}
+              className={optionClass(settings.countdown === seconds)}
+            >
+              {seconds ? `${seconds}s` : 'Off'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex items-start mt-3">
+        <span className="w-28 text-sm text-gray-400 pt-0.5">Shortcuts</span>
+        <div className="text-sm">
+          <label className="flex items-center cursor-pointer text-gray-300">
+            <input
+              type="checkbox"
+              checked={settings.hotkeys}
+              onChange={() => set({ hotkeys: !settings.hotkeys })}
+              className="mr-2 accent-purple-500"
+            />
+            Keyboard shortcuts while this tab has focus
+          </label>
+          {settings.hotkeys && (
+            <ul className="mt-1 text-gray-400">
+              {HOTKEYS.map(hotkey => (
+                <li key={hotkey.action}>
+                  <kbd className="px-1.5 py-0.5 mr-2 text-xs font-mono rounded bg-gray-800 border border-gray-700">{hotkey.label}</kbd>
+                  {hotkey.description}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecordingControlsSettings;
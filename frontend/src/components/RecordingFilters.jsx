@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+
+export const SORT_OPTIONS = [
+  { value: 'date-desc', label: 'Newest first' },
+  { value: 'date-asc', label: 'Oldest first' },
+  { value: 'size-desc', label: 'Largest first' },
+  { value: 'size-asc', label: 'Smallest first' },
+  { value: 'duration-desc', label: 'Longest first' },
+  { value: 'duration-asc', label: 'Shortest first' }
+];
+
+export const EMPTY_FILTERS = {
+  q: '',
+  sort: 'date-desc',
+  from: '',
+  to: '',
+  minDuration: '',
+  maxDuration: '',
+  minSize: '',
+  maxSize: ''
+};
+
+const MB = 1024 * 1024;
+
+// True when anything other than the sort order narrows the list
+export const hasActiveFilters = (filters) => Object.keys(EMPTY_FILTERS)
+  .some(key => key !== 'sort' && String(filters[key]).trim() !== '');
+
+// Query string for GET /api/recordings; durations are entered in minutes and sizes in MB
+export const filtersToQuery = (filters) => {
+  const [sort, order] = filters.sort.split('-');
+  const params = new URLSearchParams({ sort, order });
+
+  if (filters.q.trim()) params.set('q', filters.q.trim());
+  if (filters.from) params.set('from', filters.from);
+  if (filters.to) params.set('to', filters.to);
+  if (filters.minDuration !== '') params.set('minDuration', Number(filters.minDuration) * 60);
+  if (filters.maxDuration !== '') params.set('maxDuration', Number(filters.maxDuration) * 60);
+  if (filters.minSize !== '') params.set('minSize', Math.round(Number(filters.minSize) * MB));
+  if (filters.maxSize !== '') params.set('maxSize', Math.round(Number(filters.maxSize) * MB));
+
+  return params;
+};
+
+const RANGE_FIELDS = [
+  { label: 'From', key: 'from', type: 'date' },
+  { label: 'To', key: 'to', type: 'date' },
+  { label: 'Min length (min)', key: 'minDuration', type: 'number' },
+  { label: 'Max length (min)', key: 'maxDuration', type: 'number' },
+  { label: 'Min size (MB)', key: 'minSize', type: 'number' },
+  { label: 'Max size (MB)', key: 'maxSize', type: 'number' }
+];
+
+const RecordingFilters = ({ filters, onChange }) => {
+  const [showFilters, setShowFilters] = useState(false);
+
+  const set = (key, value) => onChange({ ...filters, [key]: value });
+  const activeCount = RANGE_FIELDS.filter(field => filters[field.key] !== '').length;
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-col sm:flex-row gap-3">
+        <div className="relative flex-1">
+          <i className="fas fa-search absolute left-3 top-1/2 -translate-y-1/2 text-gray-500"></i>
+          <input
+            type="search"
+            value={filters.q}
+            onChange={(e) => set('q', e.target.value)}
+            placeholder="Search titles, descriptions and tags"
+            className="w-full pl-10 pr-3 py-2 rounded-lg bg-gray-800 border border-gray-700"
+          />
+        </div>
+        <select
+          value={filters.sort}
+          onChange={(e) => set('sort', e.target.value)}
+          className="px-3 py-2 rounded-lg bg-gray-800 border border-gray-700"
+        >
+          {SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => setShowFilters(!showFilters)}
+          className={`px-4 py-2 rounded-lg transition-colors ${
+            showFilters || activeCount > 0 ? 'bg-purple-600 hover:bg-purple-700' : 'bg-gray-700 hover:bg-gray-600'
+          }`}
+        >
+          <i className="fas fa-filter mr-2"></i>
+          Filters{activeCount > 0 ? ` (${activeCount})` : ''}
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-6 gap-3 mt-3">
+          {RANGE_FIELDS.map(field => (
+            <div key={field.key}>
+              <label className="block text-xs text-gray-400 mb-1">{field.label}</label>
+              <input
+                type={field.type}
+                min={field.type === 'number' ? '0' : undefined}
+                step={field.type === 'number' ? 'any' : undefined}
+                value={filters[field.key]}
+                onChange={(e) => set(field.key, e.target.value)}
+                className="w-full px-3 py-2 rounded-lg bg-gray-800 border border-gray-700 text-sm"
+              />
+            </div>
+          ))}
+          {activeCount > 0 && (
+            <button
+              onClick={() => onChange({ ...EMPTY_FILTERS, q: filters.q, sort: filters.sort })}
+              className="col-span-2 md:col-span-3 xl:col-span-6 py-2 text-sm text-gray-400 hover:text-gray-300"
+            >
+              <i className="fas fa-times mr-2"></i> Clear filters
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecordingFilters;
@@ -0,0 +1,420 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import CommentsPanel, { formatTimestamp } from './CommentsPanel';
+import CaptionsPanel from './CaptionsPanel';
+
+// How often caption and HLS state is refreshed while a transcription or packaging job is running
+const TRANSCRIPTION_POLL_INTERVAL = 3000;
+
+const isPending = (job) => Boolean(job) && ['queued', 'running'].includes(job.status);
+
+// In-app player with comment markers on the timeline, caption tracks, and the comment
+// threads or caption editor alongside. Plays the adaptive HLS package when the recording
+// has one and falls back to the original file otherwise. When it plays a playlist, `queue`
+// ({ name, index, count, onPrevious, onNext }) adds its position and skip buttons, and
+// `onEnded` is called when the recording finishes.
+const RecordingPlayer = ({ apiUrl, recording, onClose, onUnauthorized, queue, onEnded }) => {
+  const [comments, setComments] = useState([]);
+  const [error, setError] = useState('');
+  const [currentTime, setCurrentTime] = useState(0);
+  const [videoDuration, setVideoDuration] = useState(null);
+  const [activeId, setActiveId] = useState(null);
+  const [panel, setPanel] = useState('comments');
+  const [captions, setCaptions] = useState({ tracks: [], transcription: { available: false, jobs: [] } });
+  // Bumped after every caption change so the <track> elements reload
+  const [captionsVersion, setCaptionsVersion] = useState(0);
+  const [hls, setHls] = useState(null);
+  // 'hls' or 'progressive'; null until the HLS status is known, so playback starts only once
+  const [source, setSource] = useState(null);
+  const [levels, setLevels] = useState([]);
+  const [level, setLevel] = useState(-1);
+  const videoRef = useRef(null);
+  const timelineRef = useRef(null);
+  const hlsPlayerRef = useRef(null);
+  const resumeAtRef = useRef(0);
+
+  const commentsUrl = `${apiUrl}/api/recordings/${recording.id}/comments`;
+  const captionsUrl = `${apiUrl}/api/recordings/${recording.id}/captions`;
+  const hlsUrl = `${apiUrl}/api/recordings/${recording.id}/hls`;
+  const masterPlaylist = hls && hls.ready ? `${apiUrl}${hls.masterPlaylist}` : null;
+  const activePlaylist = source === 'hls' ? masterPlaylist : null;
+
+  const fetchComments = useCallback(async () => {
+    try {
+      const response = await fetch(commentsUrl, { credentials: 'include' });
+      if (response.status === 401) {
+        onUnauthorized();
+      } else if (response.ok) {
+        setComments(await response.json());
+        setError('');
+      } else {
+        setError('Failed to fetch comments');
+      }
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      setError('Error connecting to server');
+    }
+  }, [commentsUrl, onUnauthorized]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  const fetchCaptions = useCallback(async () => {
+    try {
+      const response = await fetch(captionsUrl, { credentials: 'include' });
+      if (response.status === 401) {
+        onUnauthorized();
+      } else if (response.ok) {
+        setCaptions(await response.json());
+        setCaptionsVersion(version => version + 1);
+      }
+    } catch (error) {
+      console.error('Error fetching captions:', error);
+    }
+  }, [captionsUrl, onUnauthorized]);
+
+  useEffect(() => {
+    fetchCaptions();
+  }, [fetchCaptions]);
+
+  const transcribing = captions.transcription.jobs.some(job => ['queued', 'running'].includes(job.status));
+
+  useEffect(() => {
+    if (!transcribing) return undefined;
+    const timer = setInterval(fetchCaptions, TRANSCRIPTION_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [transcribing, fetchCaptions]);
+
+  const fetchHls = useCallback(async () => {
+    try {
+      const response = await fetch(hlsUrl, { credentials: 'include' });
+      if (response.status === 401) {
+        onUnauthorized();
+      } else if (response.ok) {
+        const status = await response.json();
+        setHls(status);
+        return status;
+      }
+    } catch (error) {
+      console.error('Error fetching HLS status:', error);
+    }
+    return null;
+  }, [hlsUrl, onUnauthorized]);
+
+  useEffect(() => {
+    fetchHls().then(status => setSource(status && status.ready ? 'hls' : 'progressive'));
+  }, [fetchHls]);
+
+  const packaging = Boolean(hls) && isPending(hls.job);
+
+  useEffect(() => {
+    if (!packaging) return undefined;
+    const timer = setInterval(fetchHls, TRANSCRIPTION_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [packaging, fetchHls]);
+
+  // Change source and carry on from the same position
+  const switchSource = useCallback((next) => {
+    resumeAtRef.current = videoRef.current ? videoRef.current.currentTime : 0;
+    setSource(next);
+  }, []);
+
+  // The source is set here rather than through the src prop, so hls.js has detached before
+  // the original file takes over. For HLS: hls.js where Media Source Extensions are available
+  // (so renditions can be picked), otherwise native HLS (Safari), otherwise the original file.
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !source) return undefined;
+    if (!activePlaylist) {
+      video.src = `${apiUrl}/api/recordings/${recording.id}`;
+      return undefined;
+    }
+    let cancelled = false;
+
+    import('hls.js').then(({ default: Hls }) => {
+      if (cancelled) return;
+      if (!Hls.isSupported()) {
+        if (video.canPlayType('application/vnd.apple.mpegurl')) {
+          video.src = activePlaylist;
+        } else {
+          switchSource('progressive');
+        }
+        return;
+      }
+
+      const player = new Hls({
+        xhrSetup: (xhr) => {
+          xhr.withCredentials = true;
+        }
+      });
+      hlsPlayerRef.current = player;
+      player.on(Hls.Events.MANIFEST_PARSED, (event, data) => {
+        setLevels(data.levels.map((item, index) => ({ index, height: item.height })));
+      });
+      player.on(Hls.Events.ERROR, (event, data) => {
+        if (!data.fatal) return;
+        console.error('Error playing HLS stream:', data.details);
+        switchSource('progressive');
+      });
+      player.loadSource(activePlaylist);
+      player.attachMedia(video);
+    }).catch(error => {
+      console.error('Error loading HLS player:', error);
+      if (!cancelled) switchSource('progressive');
+    });
+
+    return () => {
+      cancelled = true;
+      if (hlsPlayerRef.current) {
+        hlsPlayerRef.current.destroy();
+        hlsPlayerRef.current = null;
+      }
+      setLevels([]);
+      setLevel(-1);
+    };
+  }, [source, activePlaylist, apiUrl, recording.id, switchSource]);
+
+  const selectLevel = (value) => {
+    setLevel(value);
+    if (hlsPlayerRef.current) hlsPlayerRef.current.currentLevel = value;
+  };
+
+  // Native HLS reports its failures on the element
+  const handleVideoError = () => {
+    if (source === 'hls' && !hlsPlayerRef.current) switchSource('progressive');
+  };
+
+  const preparePackage = async () => {
+    try {
+      const response = await fetch(hlsUrl, { method: 'POST', credentials: 'include' });
+      if (response.status === 401) {
+        onUnauthorized();
+        return;
+      }
+      fetchHls();
+    } catch (error) {
+      console.error('Error queueing HLS packaging:', error);
+    }
+  };
+
+  // MediaRecorder files often report an infinite duration, so fall back to the stored one
+  const duration = videoDuration || Number(recording.duration) || 0;
+
+  const handleLoadedMetadata = () => {
+    const video = videoRef.current;
+    const value = video.duration;
+    if (Number.isFinite(value) && value > 0) setVideoDuration(value);
+    if (resumeAtRef.current) {
+      video.currentTime = resumeAtRef.current;
+      resumeAtRef.current = 0;
+    }
+  };
+
+  const seek = (time) => {
+    if (!videoRef.current) return;
+    videoRef.current.currentTime = time;
+    setCurrentTime(time);
+  };
+
+  const jumpTo = (comment) => {
+    setActiveId(comment.id);
+    seek(comment.timestamp);
+  };
+
+  const seekToClick = (e) => {
+    if (!duration) return;
+    const rect = timelineRef.current.getBoundingClientRect();
+    seek(Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)) * duration);
+  };
+
+  const percent = (time) => `${duration ? Math.min(100, (time / duration) * 100) : 0}%`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="glass-effect bg-gray-900 p-6 rounded-2xl w-full max-w-6xl max-h-full overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-4">
+          <div className="min-w-0">
+            <h2 className="text-2xl font-semibold flex items-center truncate">
+              <i className="fas fa-play-circle mr-3 text-blue-400"></i>
+              <span className="truncate">{recording.title || recording.filename}</span>
+            </h2>
+            {queue && (
+              <p className="text-sm text-gray-400 mt-1 truncate">
+                <i className="fas fa-list-ol mr-2"></i>
+                {queue.name} · {queue.index + 1} of {queue.count}
+              </p>
+            )}
+          </div>
+          <div className="flex items-center flex-shrink-0">
+            {queue && (
+              <>
+                <button
+                  onClick={queue.onPrevious}
+                  disabled={!queue.onPrevious}
+                  className="p-2 text-gray-400 hover:text-gray-300 disabled:opacity-30"
+                  title="Previous"
+                >
+                  <i className="fas fa-step-backward"></i>
+                </button>
+                <button
+                  onClick={queue.onNext}
+                  disabled={!queue.onNext}
+                  className="p-2 text-gray-400 hover:text-gray-300 disabled:opacity-30"
+                  title="Next"
+                >
+                  <i className="fas fa-step-forward"></i>
+                </button>
+              </>
+            )}
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-300">
+              <i className="fas fa-times"></i>
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2">
+            {/* Caption tracks are fetched with the session cookie, which needs a CORS request */}
+            <video
+              ref={videoRef}
+              crossOrigin="use-credentials"
+              controls
+              autoPlay
+              className="w-full rounded-lg bg-black"
+              onLoadedMetadata={handleLoadedMetadata}
+              onDurationChange={handleLoadedMetadata}
+              onError={handleVideoError}
+              onTimeUpdate={(e) => setCurrentTime(e.target.currentTime)}
+              onEnded={onEnded}
+            >
+              {captions.tracks.map((track, index) => (
+                <track
+                  key={`${track.lang}-${captionsVersion}`}
+                  kind="subtitles"
+                  srcLang={track.lang}
+                  label={track.draft ? `${track.label} (draft)` : track.label}
+                  src={`${captionsUrl}/${track.lang}?v=${captionsVersion}`}
+                  default={index === 0}
+                />
+              ))}
+            </video>
+
+            {/* Comment markers; click the bar to seek or a marker to open its thread */}
+            <div
+              ref={timelineRef}
+              onClick={seekToClick}
+              className="relative h-6 mt-3 bg-gray-800 rounded-lg cursor-pointer select-none"
+            >
+              <div
+                className="absolute inset-y-0 left-0 bg-blue-600 bg-opacity-40 rounded-l-lg pointer-events-none"
+                style={{ width: percent(currentTime) }}
+              ></div>
+              {comments.map(comment => (
+                <button
+                  key={comment.id}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    jumpTo(comment);
+                  }}
+                  title={`${formatTimestamp(comment.timestamp)} ${comment.authorName}: ${comment.body}`}
+                  className={`absolute top-1/2 w-3 h-3 -ml-1.5 -mt-1.5 rounded-full border-2 border-gray-900 transition-transform hover:scale-150 ${
+                    comment.resolved ? 'bg-green-400' : 'bg-yellow-400'
+                  } ${comment.id === activeId ? 'scale-150 ring-2 ring-white' : ''}`}
+                  style={{ left: percent(comment.timestamp) }}
+                ></button>
+              ))}
+            </div>
+            <div className="flex justify-between text-xs text-gray-400 mt-1 font-mono">
+              <span>{formatTimestamp(currentTime)}</span>
+              <span>{formatTimestamp(duration)}</span>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-3 mt-3 text-sm">
+              <span className="text-gray-400">
+                <i className={`fas ${source === 'hls' ? 'fa-signal' : 'fa-file-video'} mr-2`}></i>
+                {source === 'hls' ? 'Adaptive stream' : 'Original file'}
+              </span>
+              {levels.length > 1 && (
+                <select
+                  value={level}
+                  onChange={(e) => selectLevel(Number(e.target.value))}
+                  className="px-2 py-1 bg-gray-800 border border-gray-700 rounded-lg"
+                >
+                  <option value={-1}>Auto</option>
+                  {levels.map(item => (
+                    <option key={item.index} value={item.index}>{item.height}p</option>
+                  ))}
+                </select>
+              )}
+              {hls && hls.ready && source === 'progressive' && (
+                <button
+                  onClick={() => switchSource('hls')}
+                  className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded-lg transition-colors"
+                >
+                  <i className="fas fa-signal mr-2"></i>Switch to adaptive stream
+                </button>
+              )}
+              {hls && !hls.ready && !packaging && (
+                <button
+                  onClick={preparePackage}
+                  className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded-lg transition-colors"
+                >
+                  <i className="fas fa-layer-group mr-2"></i>Prepare adaptive stream
+                </button>
+              )}
+              {packaging && (
+                <span className="text-gray-400">
+                  <i className="fas fa-spinner fa-spin mr-2"></i>
+                  Packaging{hls.job.status === 'running' ? ` (${Math.round(hls.job.progress)}%)` : '... waiting in the queue'}
+                </span>
+              )}
+              {hls && !hls.ready && hls.job && hls.job.status === 'failed' && (
+                <span className="text-red-400" title={hls.job.error}>Packaging failed</span>
+              )}
+            </div>
+          </div>
+
+          <div className="flex flex-col min-h-0">
+            <div className="flex gap-2 mb-4">
+              {[['comments', 'fa-comments', 'Comments'], ['captions', 'fa-closed-captioning', 'Captions']].map(([id, icon, text]) => (
+                <button
+                  key={id}
+                  onClick={() => setPanel(id)}
+                  className={`flex-1 py-2 rounded-lg text-sm transition-colors ${
+                    panel === id ? 'bg-purple-600' : 'bg-gray-700 hover:bg-gray-600'
+                  }`}
+                >
+                  <i className={`fas ${icon} mr-2`}></i>{text}
+                </button>
+              ))}
+            </div>
+
+            {panel === 'comments' ? (
+              <CommentsPanel
+                commentsUrl={commentsUrl}
+                comments={comments}
+                error={error}
+                currentTime={currentTime}
+                activeId={activeId}
+                onJump={jumpTo}
+                onChanged={fetchComments}
+                onUnauthorized={onUnauthorized}
+              />
+            ) : (
+              <CaptionsPanel
+                captionsUrl={captionsUrl}
+                captions={captions}
+                currentTime={currentTime}
+                onSeek={seek}
+                onChanged={fetchCaptions}
+                onUnauthorized={onUnauthorized}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecordingPlayer;
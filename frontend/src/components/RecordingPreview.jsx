@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+
+// Poster thumbnail that scrubs through the sprite sheet as the pointer moves across it
+const RecordingPreview = ({ apiUrl, recording, formatDuration }) => {
+  const [frame, setFrame] = useState(null);
+  const [thumbnailFailed, setThumbnailFailed] = useState(false);
+
+  const hasThumbnail = Boolean(recording.thumbnailPath) && !thumbnailFailed;
+  const hasSprite = Boolean(recording.spritePath) && recording.spriteFrames > 0;
+  const columns = recording.spriteColumns || 1;
+  const rows = Math.ceil((recording.spriteFrames || 1) / columns);
+
+  const handleMouseMove = (e) => {
+    if (!hasSprite) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 0.999);
+    setFrame(Math.floor(ratio * recording.spriteFrames));
+  };
+
+  const spriteStyle = () => {
+    const col = frame % columns;
+    const row = Math.floor(frame / columns);
+    return {
+      backgroundImage: `url(${apiUrl}/api/recordings/${recording.id}/sprite)`,
+      backgroundSize: `${columns * 100}% ${rows * 100}%`,
+      backgroundPosition: `${columns > 1 ? (col / (columns - 1)) * 100 : 0}% ${rows > 1 ? (row / (rows - 1)) * 100 : 0}%`
+    };
+  };
+
+  return (
+    <div 
+      className="relative aspect-video bg-black bg-opacity-50 rounded-t-xl overflow-hidden flex items-center justify-center"
+      onMouseMove={handleMouseMove}
+      onMouseLeave={() => setFrame(null)}
+    >
+      {hasThumbnail ? (
+        <img 
+          src={`${apiUrl}/api/recordings/${recording.id}/thumbnail`}
+          alt=""
+          loading="lazy"
+          onError={() => setThumbnailFailed(true)}
+          className="w-full h-full object-cover"
+        />
+      ) : (
+        <i className="fas fa-video text-4xl text-gray-600"></i>
+      )}
+
+      {hasSprite && frame !== null && (
+        <>
+          <div className="absolute inset-0" style={spriteStyle()}></div>
+          <div className="absolute bottom-0 left-0 h-1 bg-purple-500" style={{ width: `${((frame + 1) / recording.spriteFrames) * 100}%` }}></div>
+          <span className="absolute bottom-2 left-2 px-2 py-0.5 text-xs font-mono rounded bg-black bg-opacity-70">
+            {formatDuration(Math.round(frame * recording.spriteInterval))}
+          </span>
+        </>
+      )}
+
+      {recording.duration ? (
+        <span className="absolute bottom-2 right-2 px-2 py-0.5 text-xs font-mono rounded bg-black bg-opacity-70">
+          {formatDuration(recording.duration)}
+        </span>
+      ) : null}
+    </div>
+  );
+};
+
+export default RecordingPreview;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+
+// Recording name with click-to-rename; saves through PATCH /api/recordings/:id
+const RecordingTitle = ({ apiUrl, recording, onUpdated, onUnauthorized }) => {
+  const [editing, setEditing] = useState(false);
+  const [value, setValue] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const displayName = recording.title || recording.filename;
+
+  const startEditing = () => {
+    setValue(recording.title || '');
+    setEditing(true);
+  };
+
+  const save = async () => {
+    if (saving) return;
+    if (value.trim() === (recording.title || '')) {
+      setEditing(false);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await fetch(`${apiUrl}/api/recordings/${recording.id}`, {
+        method: 'PATCH',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: value })
+      });
+      const data = await response.json();
+
+      if (response.status === 401) {
+        onUnauthorized();
+      } else if (response.ok) {
+        onUpdated(data.recording);
+        setEditing(false);
+      } else {
+        alert(data.error || 'Failed to rename recording');
+      }
+    } catch (error) {
+      console.error('Error renaming recording:', error);
+      alert('Error renaming recording');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') save();
+    if (e.key === 'Escape') setEditing(false);
+  };
+
+  if (editing) {
+    return (
+      <input
+        autoFocus
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onBlur={save}
+        onKeyDown={handleKeyDown}
+        disabled={saving}
+        maxLength={200}
+        placeholder={recording.filename}
+        className="flex-1 min-w-0 px-2 py-1 rounded bg-gray-800 border border-gray-700 text-sm"
+      />
+    );
+  }
+
+  return (
+    <button
+      onClick={startEditing}
+      className="group flex items-center min-w-0 text-left"
+      title={recording.description || 'Click to rename'}
+    >
+      <span className={`truncate font-medium ${recording.title ? '' : 'text-gray-400'}`}>{displayName}</span>
+      <i className="fas fa-pen ml-2 text-xs text-gray-500 opacity-0 group-hover:opacity-100 transition-opacity"></i>
+    </button>
+  );
+};
+
+export default RecordingTitle;
@@ -1,44 +1,222 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import ShareDialog from './ShareDialog';
+import ExportDialog from './ExportDialog';
+import RecordingPreview from './RecordingPreview';
+import RecordingTitle from './RecordingTitle';
+import TagChips from './TagChips';
+import RecordingPlayer from './RecordingPlayer';
+import RecordingFilters, { EMPTY_FILTERS, filtersToQuery, hasActiveFilters } from './RecordingFilters';
+import LocalLibrary, { SyncBadge } from './LocalLibrary';
+import CollectionsSidebar, { RECORDING_DRAG_TYPE, ALL_RECORDINGS } from './CollectionsSidebar';
+import PlaylistView from './PlaylistView';
+import { listLocalRecordings, updateLocalRecording, subscribeLocalLibrary } from '../utils/localLibrary';
+import { queueLocalRecording } from '../utils/uploadQueue';
+import { subscribeRecordingEvents } from '../utils/recordingEvents';
 
-const RecordingsList = ({ apiUrl }) => {
+// Wait for typing to pause before searching
+const SEARCH_DELAY = 300;
+
+// Hidden frame that ZIP downloads are posted into
+const ARCHIVE_FRAME = 'recordings-archive';
+
+const COLLECTION_ICONS = { all: 'fa-history', unfiled: 'fa-inbox', folder: 'fa-folder', playlist: 'fa-list-ol' };
+
+// "My Recordings" is the library on this device; "Uploaded" is the server's list with the
+// sync state of each recording
+const RecordingsList = ({ apiUrl, user, onUnauthorized }) => {
   const [recordings, setRecordings] = useState([]);
   const [activeTab, setActiveTab] = useState('my-recordings');
+  const [localEntries, setLocalEntries] = useState([]);
+  const [localError, setLocalError] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [sharing, setSharing] = useState(null);
+  const [exporting, setExporting] = useState(null);
+  const [playing, setPlaying] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // The sidebar selection: all recordings, unfiled, a folder or a playlist
+  const [collection, setCollection] = useState(ALL_RECORDINGS);
+  // Bumped when folder or playlist contents may have changed, so the sidebar reloads its counts
+  const [collectionsVersion, setCollectionsVersion] = useState(0);
+  // Ids of the recordings ticked for bulk delete and download
+  const [selectedIds, setSelectedIds] = useState([]);
+  const requestRef = useRef(0);
+  const archivePendingRef = useRef(false);
+  const sentinelRef = useRef(null);
 
-  useEffect(() => {
-    fetchRecordings();
-  }, []);
+  // ?folder= for the selected folder, or for recordings in none
+  const folderFilter = collection.type === 'folder' ? String(collection.id) : collection.type === 'unfiled' ? 'none' : null;
+  const showingPlaylist = collection.type === 'playlist';
+  const selectedRecordings = recordings.filter(rec => selectedIds.includes(rec.id));
+  const allSelected = recordings.length > 0 && selectedRecordings.length === recordings.length;
+
+  // Loads the first page, or the page after `cursor`; responses for outdated filters are dropped
+  const fetchRecordings = useCallback(async (cursor = null) => {
+    const request = ++requestRef.current;
+    const params = filtersToQuery(filters);
+    if (folderFilter) params.set('folder', folderFilter);
+    if (cursor) params.set('cursor', cursor);
 
-  const fetchRecordings = async () => {
     try {
-      setLoading(true);
-      const response = await fetch(`${apiUrl}/api/recordings`);
+      if (cursor) setLoadingMore(true); else setLoading(true);
+      const response = await fetch(`${apiUrl}/api/recordings?${params}`, { credentials: 'include' });
+      if (request !== requestRef.current) return;
       
-      if (response.ok) {
+      if (response.status === 401) {
+        onUnauthorized();
+      } else if (response.ok) {
         const data = await response.json();
-        setRecordings(data);
+        setRecordings(current => cursor ? [...current, ...data.recordings] : data.recordings);
+        setTotal(data.total);
+        setNextCursor(data.nextCursor);
         setError('');
       } else {
-        setError('Failed to fetch recordings');
+        const data = await response.json().catch(() => ({}));
+        setError(data.error || 'Failed to fetch recordings');
       }
     } catch (error) {
       console.error('Error fetching recordings:', error);
-      setError('Error connecting to server');
+      if (request === requestRef.current) setError('Error connecting to server');
     } finally {
-      setLoading(false);
+      if (request === requestRef.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    }
+  }, [apiUrl, filters, folderFilter, onUnauthorized]);
+
+  const showingServer = activeTab === 'uploaded';
+
+  useEffect(() => {
+    if (!showingServer || showingPlaylist) return undefined;
+    const timer = setTimeout(() => fetchRecordings(), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [fetchRecordings, showingServer, showingPlaylist]);
+
+  useEffect(() => {
+    const refresh = async () => {
+      try {
+        setLocalEntries(await listLocalRecordings(user.id));
+        setLocalError('');
+      } catch (error) {
+        console.error('Error reading local recordings:', error);
+        setLocalError(error.message || 'Could not read recordings stored on this device');
+      }
+    };
+    refresh();
+    return subscribeLocalLibrary(refresh);
+  }, [user.id]);
+
+  // Local copies by server id, and local recordings still on their way to the server
+  const localByServerId = {};
+  localEntries.forEach(entry => {
+    if (entry.sync.serverId) localByServerId[entry.sync.serverId] = entry;
+  });
+  const pendingUploads = localEntries.filter(entry => ['queued', 'uploading', 'failed'].includes(entry.sync.state));
+  const syncedCount = localEntries.filter(entry => entry.sync.state === 'synced').length;
+  const uploadedSinceFetch = useRef(syncedCount);
+
+  // Refresh the server list when the queue finishes an upload
+  useEffect(() => {
+    if (syncedCount > uploadedSinceFetch.current && showingServer) fetchRecordings();
+    uploadedSinceFetch.current = syncedCount;
+  }, [syncedCount, showingServer, fetchRecordings]);
+
+  // Infinite scroll: fetch the next page when the end of the grid comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || loadingMore) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) fetchRecordings(nextCursor);
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore, fetchRecordings]);
+
+  // A copy on this device is no longer uploaded once the server's is deleted, so it can be sent again
+  const forgetServerCopy = (id) => {
+    const local = localByServerId[id];
+    if (local) {
+      updateLocalRecording(local.id, { sync: { state: 'local', serverId: null, progress: 0 } })
+        .catch(err => console.error('Error updating local recording:', err));
     }
   };
 
+  // Whether a recording belongs in the selected folder view
+  const inView = (recording) => folderFilter === null
+    || (folderFilter === 'none' ? !recording.folderId : recording.folderId === Number(folderFilter));
+
+  // The live event handler is subscribed once, so it reads the latest render through this ref
+  const liveRef = useRef({});
+  liveRef.current = { recordings, filters, fetchRecordings, forgetServerCopy, inView };
+
+  // Apply changes made in other tabs and on other devices as they happen
+  useEffect(() => {
+    if (!showingServer) return undefined;
+
+    const handleEvent = (event, data) => {
+      const live = liveRef.current;
+      const id = event === 'recording.deleted' ? data.id : data.recording.id;
+      const listed = live.recordings.some(rec => rec.id === id);
+      setCollectionsVersion(version => version + 1);
+
+      if (event === 'recording.deleted') {
+        if (listed) {
+          setRecordings(current => current.filter(rec => rec.id !== id));
+          setTotal(count => count - 1);
+        }
+        setPlaying(current => (current && current.id === id ? null : current));
+        live.forgetServerCopy(id);
+      } else if (event === 'recording.updated') {
+        if (listed && !live.inView(data.recording)) {
+          // Moved to another folder
+          setRecordings(current => current.filter(rec => rec.id !== id));
+          setTotal(count => count - 1);
+        } else {
+          setRecordings(current => current.map(rec => (rec.id === id ? { ...rec, ...data.recording } : rec)));
+        }
+      } else if (!listed && live.inView(data.recording)) {
+        // A new recording belongs at the top of the default view; elsewhere only the server knows its place
+        if (!hasActiveFilters(live.filters) && live.filters.sort === 'date-desc') {
+          setRecordings(current => [data.recording, ...current]);
+          setTotal(count => count + 1);
+        } else {
+          live.fetchRecordings();
+        }
+      }
+    };
+
+    return subscribeRecordingEvents({
+      apiUrl,
+      onEvent: handleEvent,
+      onReset: () => liveRef.current.fetchRecordings()
+    });
+  }, [apiUrl, showingServer]);
+
+  // Takes recordings off the list after a change made here. The live event for it can arrive
+  // before or after the response, so only those still listed count against the total.
+  const dropListed = (ids) => {
+    const removed = liveRef.current.recordings.filter(rec => ids.includes(rec.id)).length;
+    setRecordings(current => current.filter(rec => !ids.includes(rec.id)));
+    setTotal(count => count - removed);
+  };
+
   const deleteRecording = async (id) => {
     try {
       const response = await fetch(`${apiUrl}/api/recordings/${id}`, {
-        method: 'DELETE'
+        method: 'DELETE',
+        credentials: 'include'
       });
       
-      if (response.ok) {
-        // Remove from local state
-        setRecordings(recordings.filter(rec => rec.id !== id));
+      if (response.status === 401) {
+        onUnauthorized();
+      } else if (response.ok) {
+        dropListed([id]);
+        forgetServerCopy(id);
       } else {
         alert('Failed to delete recording');
       }
@@ -48,6 +226,104 @@ const RecordingsList = ({ apiUrl }) => {
     }
   };
 
+  // The selection only ever covers what is listed
+  useEffect(() => {
+    setSelectedIds([]);
+  }, [filters, collection]);
+
+  const toggleSelected = (id) => {
+    setSelectedIds(ids => (ids.includes(id) ? ids.filter(selected => selected !== id) : [...ids, id]));
+  };
+
+  const deleteSelected = async () => {
+    const chosen = selectedRecordings;
+    const totalSize = chosen.reduce((sum, rec) => sum + (rec.filesize || 0), 0);
+    const listed = chosen.slice(0, 10).map(rec => `- ${rec.title || rec.filename} (${formatFileSize(rec.filesize)})`);
+    if (chosen.length > 10) listed.push(`...and ${chosen.length - 10} more`);
+
+    const count = `${chosen.length} recording${chosen.length === 1 ? '' : 's'}`;
+    if (!window.confirm(`Delete ${count}, ${formatFileSize(totalSize)} in total?\n\n${listed.join('\n')}\n\nThis cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${apiUrl}/api/recordings/bulk-delete`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ recordingIds: chosen.map(rec => rec.id) })
+      });
+
+      if (response.status === 401) {
+        onUnauthorized();
+        return;
+      }
+      const data = await response.json().catch(() => ({}));
+      if (response.ok) {
+        dropListed(data.deleted);
+        data.deleted.forEach(forgetServerCopy);
+        setSelectedIds([]);
+        setCollectionsVersion(version => version + 1);
+      } else {
+        alert(data.error || 'Failed to delete recordings');
+        fetchRecordings();
+      }
+    } catch (error) {
+      console.error('Error deleting recordings:', error);
+      alert('Error deleting recordings');
+    }
+  };
+
+  // A plain form post, so the browser streams the ZIP straight to disk as a download. It goes to a
+  // hidden frame: a download leaves the frame as it is, while an error response loads into it
+  // instead of replacing the app.
+  const downloadSelected = () => {
+    archivePendingRef.current = true;
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = `${apiUrl}/api/recordings/archive`;
+    form.target = ARCHIVE_FRAME;
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = 'recordingIds';
+    input.value = selectedRecordings.map(rec => rec.id).join(',');
+    form.appendChild(input);
+    document.body.appendChild(form);
+    form.submit();
+    form.remove();
+  };
+
+  const handleArchiveFrameLoad = () => {
+    if (!archivePendingRef.current) return;
+    archivePendingRef.current = false;
+    alert('Could not download the selected recordings. Some may have been deleted, or you may need to sign in again.');
+    fetchRecordings();
+  };
+
+  // A recording was dragged to another folder in the sidebar; null when a whole folder changed
+  const handleMoved = (move) => {
+    if (!move) {
+      fetchRecordings();
+      return;
+    }
+    const moved = liveRef.current.recordings.find(rec => rec.id === move.recordingId);
+    if (!moved) return;
+    if (inView({ ...moved, folderId: move.folderId })) {
+      updateRecording({ id: moved.id, folderId: move.folderId });
+    } else {
+      dropListed([moved.id]);
+    }
+  };
+
+  const startDrag = (e, recording) => {
+    e.dataTransfer.setData(RECORDING_DRAG_TYPE, JSON.stringify({ id: recording.id, folderId: recording.folderId || null }));
+    e.dataTransfer.effectAllowed = 'copyMove';
+  };
+
+  const updateRecording = (updated) => {
+    setRecordings(recordings => recordings.map(rec => rec.id === updated.id ? { ...rec, ...updated } : rec));
+  };
+
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -68,6 +344,16 @@ const RecordingsList = ({ apiUrl }) => {
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
   };
 
+  // Frame size and codecs as probed by the server, e.g. "1920×1080 · 30 fps · VP9 / OPUS"
+  const formatMedia = (recording) => {
+    const parts = [];
+    if (recording.width && recording.height) parts.push(`${recording.width}×${recording.height}`);
+    if (recording.frameRate) parts.push(`${Math.round(recording.frameRate)} fps`);
+    const codecs = [recording.videoCodec, recording.audioCodec].filter(Boolean).map(codec => codec.toUpperCase());
+    if (codecs.length) parts.push(codecs.join(' / '));
+    return parts.join(' · ');
+  };
+
   return (
     <div className="glass-effect p-6 rounded-2xl">
       <div className="flex border-b border-gray-700 mb-6 overflow-x-auto">
@@ -77,6 +363,7 @@ const RecordingsList = ({ apiUrl }) => {
         >
           <i className="fas fa-film mr-2"></i>
           My Recordings
+          {localEntries.length > 0 && <span className="ml-2 text-xs text-gray-500">{localEntries.length}</span>}
         </button>
         <button 
           className={`px-6 py-3 font-medium transition-colors ${activeTab === 'uploaded' ? 'text-purple-400 border-b-2 border-purple-400' : 'text-gray-400 hover:text-gray-300'}`}
@@ -84,89 +371,309 @@ const RecordingsList = ({ apiUrl }) => {
         >
           <i className="fas fa-cloud mr-2"></i>
           Uploaded
+          {pendingUploads.length > 0 && (
+            <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-yellow-900 text-yellow-200">{pendingUploads.length} pending</span>
+          )}
         </button>
       </div>
       
-      <h2 className="text-2xl font-semibold mb-6 flex items-center">
-        <i className="fas fa-history mr-3 text-blue-500"></i>
-        Previous Recordings
-      </h2>
-      
-      {loading ? (
-        <div className="flex justify-center items-center py-12">
-          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-purple-500"></div>
-        </div>
-      ) : error ? (
-        <div className="text-center py-12 text-red-400">
-          <i className="fas fa-exclamation-triangle text-3xl mb-3"></i>
-          <p>{error}</p>
-          <button 
-            onClick={fetchRecordings}
-            className="mt-4 px-4 py-2 bg-blue-600 rounded-lg hover:bg-blue-700"
-          >
-            Try Again
-          </button>
-        </div>
-      ) : recordings.length > 0 ? (
-        <div className="overflow-x-auto rounded-lg">
-          <table className="w-full">
-            <thead>
-              <tr className="bg-gray-800 text-left">
-                <th className="py-4 px-4 font-medium">Name</th>
-                <th className="py-4 px-4 font-medium">Date</th>
-                <th className="py-4 px-4 font-medium">Size</th>
-                <th className="py-4 px-4 font-medium">Duration</th>
-                <th className="py-4 px-4 font-medium text-right">Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {recordings.map((recording, index) => (
-                <tr key={recording.id} className={`${index % 2 === 0 ? 'bg-gray-900 bg-opacity-50' : 'bg-gray-900'}`}>
-                  <td className="py-4 px-4">
-                    <div className="flex items-center">
-                      <i className="fas fa-video text-gray-400 mr-3"></i>
-                      <span className="truncate max-w-xs">{recording.filename}</span>
-                    </div>
-                  </td>
-                  <td className="py-4 px-4">{formatDate(recording.createdAt)}</td>
-                  <td className="py-4 px-4">{formatFileSize(recording.filesize)}</td>
-                  <td className="py-4 px-4">{formatDuration(recording.duration)}</td>
-                  <td className="py-4 px-4 text-right">
-                    <div className="flex justify-end space-x-2">
-                      <a
-                        href={`${apiUrl}/api/recordings/${recording.id}`}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="p-2 text-blue-400 hover:text-blue-300 transition-colors"
-                      >
-                        <i className="fas fa-play"></i>
-                      </a>
-                      <a
-                        href={`${apiUrl}/api/recordings/${recording.id}/download`}
-                        className="p-2 text-green-400 hover:text-green-300 transition-colors"
+      {!showingServer ? (
+        <LocalLibrary
+          entries={localEntries}
+          error={localError}
+          formatFileSize={formatFileSize}
+          formatDate={formatDate}
+          formatDuration={formatDuration}
+        />
+      ) : (
+        <>
+          {pendingUploads.length > 0 && (
+            <div className="mb-6 p-4 bg-gray-900 bg-opacity-60 rounded-xl border border-gray-800">
+              <h3 className="font-medium mb-3 flex items-center">
+                <i className="fas fa-sync-alt mr-2 text-yellow-400"></i>
+                Not uploaded yet
+              </h3>
+              <ul className="space-y-2">
+                {pendingUploads.map(entry => (
+                  <li key={entry.id} className="flex items-center text-sm">
+                    <span className="truncate flex-1" title={entry.title}>{entry.title}</span>
+                    <span className="mx-3 text-gray-400">{formatFileSize(entry.size)}</span>
+                    <SyncBadge sync={entry.sync} />
+                    {entry.sync.state === 'failed' && (
+                      <button
+                        onClick={() => queueLocalRecording(entry.id)}
+                        className="ml-2 p-1 text-blue-400 hover:text-blue-300 transition-colors"
+                        title="Retry upload"
                       >
-                        <i className="fas fa-download"></i>
-                      </a>
+                        <i className="fas fa-redo"></i>
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="flex flex-col lg:flex-row gap-6">
+            <CollectionsSidebar
+              apiUrl={apiUrl}
+              selected={collection}
+              onSelect={setCollection}
+              onMoved={handleMoved}
+              version={collectionsVersion}
+              onUnauthorized={onUnauthorized}
+            />
+            <div className="flex-1 min-w-0">
+              {showingPlaylist ? (
+                <PlaylistView
+                  apiUrl={apiUrl}
+                  playlistId={collection.id}
+                  version={collectionsVersion}
+                  onChanged={() => setCollectionsVersion(version => version + 1)}
+                  formatDuration={formatDuration}
+                  onUnauthorized={onUnauthorized}
+                />
+              ) : (
+                <>
+                  <h2 className="text-2xl font-semibold mb-6 flex items-center">
+                    <i className={`fas ${COLLECTION_ICONS[collection.type]} mr-3 text-blue-500`}></i>
+                    {collection.type === 'all' ? 'Previous Recordings' : collection.name}
+                    {!loading && !error && (
+                      <span className="ml-3 text-sm font-normal text-gray-400">{total} total</span>
+                    )}
+                  </h2>
+                  
+                  <RecordingFilters filters={filters} onChange={setFilters} />
+                  
+                  {loading ? (
+                    <div className="flex justify-center items-center py-12">
+                      <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-purple-500"></div>
+                    </div>
+                  ) : error ? (
+                    <div className="text-center py-12 text-red-400">
+                      <i className="fas fa-exclamation-triangle text-3xl mb-3"></i>
+                      <p>{error}</p>
                       <button 
-                        onClick={() => deleteRecording(recording.id)}
-                        className="p-2 text-red-400 hover:text-red-300 transition-colors"
+                        onClick={() => fetchRecordings()}
+                        className="mt-4 px-4 py-2 bg-blue-600 rounded-lg hover:bg-blue-700"
                       >
-                        <i className="fas fa-trash"></i>
+                        Try Again
                       </button>
                     </div>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
-      ) : (
-        <div className="text-center py-12">
-          <i className="fas fa-inbox text-5xl text-gray-600 mb-4"></i>
-          <h3 className="text-xl font-medium text-gray-400 mb-2">No recordings yet</h3>
-          <p className="text-gray-500">Start recording to see your screen captures here</p>
-        </div>
+                  ) : recordings.length > 0 ? (
+                    <>
+                      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+                        <label className="flex items-center text-gray-300 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={allSelected}
+                            onChange={() => setSelectedIds(allSelected ? [] : recordings.map(rec => rec.id))}
+                            className="mr-2 h-4 w-4 accent-purple-500"
+                          />
+                          Select all
+                        </label>
+                        {selectedRecordings.length > 0 && (
+                          <>
+                            <span className="text-gray-400">
+                              {selectedRecordings.length} selected · {formatFileSize(selectedRecordings.reduce((sum, rec) => sum + (rec.filesize || 0), 0))}
+                            </span>
+                            <button
+                              onClick={downloadSelected}
+                              className="py-1.5 px-3 rounded-lg bg-green-700 hover:bg-green-600 transition-colors"
+                            >
+                              <i className="fas fa-file-archive mr-2"></i>Download ZIP
+                            </button>
+                            <button
+                              onClick={deleteSelected}
+                              className="py-1.5 px-3 rounded-lg bg-red-700 hover:bg-red-600 transition-colors"
+                            >
+                              <i className="fas fa-trash mr-2"></i>Delete
+                            </button>
+                            <button
+                              onClick={() => setSelectedIds([])}
+                              className="py-1.5 px-3 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors"
+                            >
+                              Clear
+                            </button>
+                          </>
+                        )}
+                      </div>
+                      <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-6">
+                        {recordings.map(recording => (
+                          <div
+                            key={recording.id}
+                            draggable
+                            onDragStart={(e) => startDrag(e, recording)}
+                            className={`relative bg-gray-900 bg-opacity-60 rounded-xl border transition-colors ${
+                              selectedIds.includes(recording.id) ? 'border-purple-400' : 'border-gray-800 hover:border-purple-700'
+                            }`}
+                          >
+                            <input
+                              type="checkbox"
+                              checked={selectedIds.includes(recording.id)}
+                              onChange={() => toggleSelected(recording.id)}
+                              className="absolute top-3 left-3 z-10 h-5 w-5 cursor-pointer accent-purple-500"
+                              title="Select"
+                            />
+                            <RecordingPreview apiUrl={apiUrl} recording={recording} formatDuration={formatDuration} />
+                            <div className="p-4">
+                              <div className="flex items-center mb-2">
+                                <RecordingTitle
+                                  apiUrl={apiUrl}
+                                  recording={recording}
+                                  onUpdated={updateRecording}
+                                  onUnauthorized={onUnauthorized}
+                                />
+                                {recording.status === 'recording' && (
+                                  <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-900 text-red-200 flex-shrink-0">Recording</span>
+                                )}
+                                {recording.status === 'partial' && (
+                                  <span
+                                    className="ml-2 px-2 py-0.5 text-xs rounded-full bg-yellow-900 text-yellow-200 flex-shrink-0"
+                                    title="Recovered from a session that ended unexpectedly"
+                                  >
+                                    Partial
+                                  </span>
+                                )}
+                                {localByServerId[recording.id] ? (
+                                  <span
+                                    className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-900 text-green-200 flex-shrink-0"
+                                    title="Uploaded from this device, which still has a copy"
+                                  >
+                                    <i className="fas fa-check mr-1"></i>Synced
+                                  </span>
+                                ) : (
+                                  <span
+                                    className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-700 text-gray-300 flex-shrink-0"
+                                    title="Only stored on the server"
+                                  >
+                                    <i className="fas fa-cloud mr-1"></i>Server only
+                                  </span>
+                                )}
+                              </div>
+                              <TagChips
+                                apiUrl={apiUrl}
+                                recording={recording}
+                                onUpdated={updateRecording}
+                                onUnauthorized={onUnauthorized}
+                              />
+                              {formatMedia(recording) && (
+                                <div className="text-xs text-gray-500 mb-1 truncate" title="Probed from the file">
+                                  <i className="fas fa-film mr-1"></i>
+                                  {formatMedia(recording)}
+                                </div>
+                              )}
+                              <div className="flex justify-between text-sm text-gray-400 mb-3">
+                                <span>{formatDate(recording.createdAt)}</span>
+                                <span>
+                                  {recording.audioSources && recording.audioSources.system.captured && (
+                                    <i className="fas fa-volume-up mr-2" title="System audio"></i>
+                                  )}
+                                  {recording.audioSources && recording.audioSources.microphone.captured && (
+                                    <i className="fas fa-microphone mr-2" title="Microphone"></i>
+                                  )}
+                                  {formatFileSize(recording.filesize)}
+                                </span>
+                              </div>
+                              <div className="flex justify-end space-x-2 border-t border-gray-800 pt-2">
+                                <button
+                                  onClick={() => setPlaying(recording)}
+                                  className="p-2 text-blue-400 hover:text-blue-300 transition-colors"
+                                  title="Play"
+                                >
+                                  <i className="fas fa-play"></i>
+                                </button>
+                                <a
+                                  href={`${apiUrl}/api/recordings/${recording.id}/download`}
+                                  className="p-2 text-green-400 hover:text-green-300 transition-colors"
+                                >
+                                  <i className="fas fa-download"></i>
+                                </a>
+                                <button 
+                                  onClick={() => setSharing(recording)}
+                                  className="p-2 text-purple-400 hover:text-purple-300 transition-colors"
+                                  title="Share"
+                                >
+                                  <i className="fas fa-share-alt"></i>
+                                </button>
+                                <button 
+                                  onClick={() => setExporting(recording)}
+                                  className="p-2 text-yellow-400 hover:text-yellow-300 transition-colors"
+                                  title="Export"
+                                >
+                                  <i className="fas fa-file-export"></i>
+                                </button>
+                                <button 
+                                  onClick={() => deleteRecording(recording.id)}
+                                  className="p-2 text-red-400 hover:text-red-300 transition-colors"
+                                >
+                                  <i className="fas fa-trash"></i>
+                                </button>
+                              </div>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </>
+                  ) : hasActiveFilters(filters) ? (
+                    <div className="text-center py-12">
+                      <i className="fas fa-search text-5xl text-gray-600 mb-4"></i>
+                      <h3 className="text-xl font-medium text-gray-400 mb-2">No matching recordings</h3>
+                      <p className="text-gray-500">Try a different search or clear the filters</p>
+                    </div>
+                  ) : collection.type === 'folder' ? (
+                    <div className="text-center py-12">
+                      <i className="fas fa-folder-open text-5xl text-gray-600 mb-4"></i>
+                      <h3 className="text-xl font-medium text-gray-400 mb-2">This folder is empty</h3>
+                      <p className="text-gray-500">Drag recordings onto it in the sidebar to move them here</p>
+                    </div>
+                  ) : (
+                    <div className="text-center py-12">
+                      <i className="fas fa-inbox text-5xl text-gray-600 mb-4"></i>
+                      <h3 className="text-xl font-medium text-gray-400 mb-2">No recordings yet</h3>
+                      <p className="text-gray-500">Start recording to see your screen captures here</p>
+                    </div>
+                  )}
+
+                  {!loading && !error && nextCursor && (
+                    <div ref={sentinelRef} className="flex justify-center py-6">
+                      {loadingMore ? (
+                        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-purple-500"></div>
+                      ) : (
+                        <button
+                          onClick={() => fetchRecordings(nextCursor)}
+                          className="px-4 py-2 bg-gray-700 rounded-lg hover:bg-gray-600"
+                        >
+                          Load more
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      {sharing && (
+        <ShareDialog apiUrl={apiUrl} recording={sharing} onClose={() => setSharing(null)} />
       )}
+
+      {exporting && (
+        <ExportDialog apiUrl={apiUrl} recording={exporting} onClose={() => setExporting(null)} />
+      )}
+
+      {playing && (
+        <RecordingPlayer
+          apiUrl={apiUrl}
+          recording={playing}
+          onClose={() => setPlaying(null)}
+          onUnauthorized={onUnauthorized}
+        />
+      )}
+
+      <iframe name={ARCHIVE_FRAME} title="ZIP download" hidden onLoad={handleArchiveFrameLoad}></iframe>
     </div>
   );
 };
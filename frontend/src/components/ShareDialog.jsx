@@ -0,0 +1,213 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const EXPIRY_OPTIONS = [
+  { label: 'Never', hours: '' },
+  { label: '1 hour', hours: 1 },
+  { label: '24 hours', hours: 24 },
+  { label: '7 days', hours: 24 * 7 },
+  { label: '30 days', hours: 24 * 30 }
+];
+
+const ShareDialog = ({ apiUrl, recording, onClose }) => {
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [expiresInHours, setExpiresInHours] = useState(24);
+  const [password, setPassword] = useState('');
+  const [maxViews, setMaxViews] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+
+  const sharesUrl = `${apiUrl}/api/recordings/${recording.id}/shares`;
+
+  const fetchLinks = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(sharesUrl, { credentials: 'include' });
+
+      if (response.ok) {
+        setLinks(await response.json());
+        setError('');
+      } else {
+        setError('Failed to fetch share links');
+      }
+    } catch (error) {
+      console.error('Error fetching share links:', error);
+      setError('Error connecting to server');
+    } finally {
+      setLoading(false);
+    }
+  }, [sharesUrl]);
+
+  useEffect(() => {
+    fetchLinks();
+  }, [fetchLinks]);
+
+  const createLink = async (e) => {
+    e.preventDefault();
+
+    try {
+      setCreating(true);
+      const response = await fetch(sharesUrl, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ expiresInHours, password, maxViews })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setLinks([data, ...links]);
+        setPassword('');
+        setMaxViews('');
+        setError('');
+      } else {
+        setError(data.error || 'Failed to create share link');
+      }
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      setError('Error connecting to server');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const revokeLink = async (id) => {
+    try {
+      const response = await fetch(`${sharesUrl}/${id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+
+      if (response.ok) {
+        setLinks(links.filter(link => link.id !== id));
+      } else {
+        alert('Failed to revoke share link');
+      }
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      alert('Error revoking share link');
+    }
+  };
+
+  const copyLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(`${apiUrl}${link.path}`);
+      setCopiedId(link.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (error) {
+      console.error('Error copying link:', error);
+    }
+  };
+
+  const describeLimits = (link) => {
+    const parts = [];
+    parts.push(link.expiresAt ? `Expires ${new Date(link.expiresAt).toLocaleString()}` : 'Never expires');
+    parts.push(link.maxViews ? `${link.views}/${link.maxViews} views` : `${link.views} views`);
+    if (link.hasPassword) parts.push('Password protected');
+    return parts.join(' · ');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="glass-effect bg-gray-900 p-6 rounded-2xl w-full max-w-2xl max-h-full overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-semibold flex items-center">
+            <i className="fas fa-share-alt mr-3 text-purple-400"></i>
+            Share Recording
+          </h2>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-300">
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <form onSubmit={createLink} className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">Expires</label>
+            <select
+              value={expiresInHours}
+              onChange={(e) => setExpiresInHours(e.target.value)}
+              className="w-full px-3 py-2 rounded-lg bg-gray-800 border border-gray-700"
+            >
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.label} value={option.hours}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">Password (optional)</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="new-password"
+              className="w-full px-3 py-2 rounded-lg bg-gray-800 border border-gray-700"
+            />
+          </div>
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">Max views (optional)</label>
+            <input
+              type="number"
+              min="1"
+              value={maxViews}
+              onChange={(e) => setMaxViews(e.target.value)}
+              className="w-full px-3 py-2 rounded-lg bg-gray-800 border border-gray-700"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={creating}
+            className={`md:col-span-3 py-2 px-4 rounded-lg transition-all ${
+              creating
+                ? 'bg-gray-600 opacity-50 cursor-not-allowed'
+                : 'bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700'
+            }`}
+          >
+            <i className="fas fa-link mr-2"></i> Create Link
+          </button>
+        </form>
+
+        {error && (
+          <div className="mb-4 py-2 px-4 rounded-lg bg-red-900 text-red-200">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-purple-500"></div>
+          </div>
+        ) : links.length > 0 ? (
+          <ul className="space-y-3">
+            {links.map(link => (
+              <li key={link.id} className="flex items-center justify-between bg-gray-800 bg-opacity-60 rounded-lg p-3">
+                <div className="min-w-0 mr-3">
+                  <div className="font-mono text-sm truncate">{`${apiUrl}${link.path}`}</div>
+                  <div className="text-xs text-gray-400 mt-1">{describeLimits(link)}</div>
+                </div>
+                <div className="flex space-x-2 flex-shrink-0">
+                  <button
+                    onClick={() => copyLink(link)}
+                    className="p-2 text-blue-400 hover:text-blue-300 transition-colors"
+                    title="Copy link"
+                  >
+                    <i className={`fas ${copiedId === link.id ? 'fa-check' : 'fa-copy'}`}></i>
+                  </button>
+                  <button
+                    onClick={() => revokeLink(link.id)}
+                    className="p-2 text-red-400 hover:text-red-300 transition-colors"
+                    title="Revoke link"
+                  >
+                    <i className="fas fa-ban"></i>
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-center text-gray-500 py-6">No share links yet</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+
+// Tag chips for one recording, with add and remove through /api/recordings/:id/tags
+const TagChips = ({ apiUrl, recording, onUpdated, onUnauthorized }) => {
+  const [adding, setAdding] = useState(false);
+  const [name, setName] = useState('');
+
+  const tagsUrl = `${apiUrl}/api/recordings/${recording.id}/tags`;
+  const tags = recording.tags || [];
+
+  const request = async (url, options, failure) => {
+    try {
+      const response = await fetch(url, { credentials: 'include', ...options });
+      const data = await response.json();
+
+      if (response.status === 401) {
+        onUnauthorized();
+      } else if (response.ok) {
+        onUpdated({ ...recording, tags: data });
+        return true;
+      } else {
+        alert(data.error || failure);
+      }
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      alert(failure);
+    }
+    return false;
+  };
+
+  const addTag = async () => {
+    if (!name.trim()) {
+      setAdding(false);
+      return;
+    }
+
+    const added = await request(tagsUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    }, 'Failed to add tag');
+
+    if (added) {
+      setName('');
+      setAdding(false);
+    }
+  };
+
+  const removeTag = (tag) => request(`${tagsUrl}/${tag.id}`, { method: 'DELETE' }, 'Failed to remove tag');
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') addTag();
+    if (e.key === 'Escape') {
+      setName('');
+      setAdding(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-1 mb-3">
+      {tags.map(tag => (
+        <span key={tag.id} className="inline-flex items-center px-2 py-0.5 text-xs rounded-full bg-purple-900 text-purple-200">
+          {tag.name}
+          <button
+            onClick={() => removeTag(tag)}
+            className="ml-1 text-purple-300 hover:text-white"
+            title="Remove tag"
+          >
+            <i className="fas fa-times"></i>
+          </button>
+        </span>
+      ))}
+      {adding ? (
+        <input
+          autoFocus
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={addTag}
+          onKeyDown={handleKeyDown}
+          maxLength={40}
+          placeholder="Tag name"
+          className="w-24 px-2 py-0.5 text-xs rounded-full bg-gray-800 border border-gray-700"
+        />
+      ) : (
+        <button
+          onClick={() => setAdding(true)}
+          className="px-2 py-0.5 text-xs rounded-full border border-dashed border-gray-600 text-gray-400 hover:text-gray-300"
+        >
+          <i className="fas fa-plus mr-1"></i> Tag
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TagChips;
@@ -0,0 +1,169 @@
+import React, { useState, useRef } from 'react';
+import { emptyEdit, editedDuration } from '../utils/recordingEdits';
+
+// Shortest piece the editor lets you keep or cut, in seconds
+const MIN_LENGTH = 0.5;
+
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = (seconds % 60).toFixed(1);
+  return `${mins.toString().padStart(2, '0')}:${secs.padStart(4, '0')}`;
+};
+
+const TrimEditor = ({ duration, currentTime, edit, onChange, onSeek }) => {
+  const [cutStart, setCutStart] = useState(null);
+  const timelineRef = useRef(null);
+
+  const percent = (time) => `${(time / duration) * 100}%`;
+
+  const timeAt = (clientX) => {
+    const rect = timelineRef.current.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+    return ratio * duration;
+  };
+
+  const setIn = (time) => {
+    onChange({ ...edit, in: Math.max(0, Math.min(time, edit.out - MIN_LENGTH)) });
+  };
+
+  const setOut = (time) => {
+    onChange({ ...edit, out: Math.min(duration, Math.max(time, edit.in + MIN_LENGTH)) });
+  };
+
+  const startDrag = (handle) => (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.target.setPointerCapture(e.pointerId);
+
+    const move = (event) => {
+      const time = timeAt(event.clientX);
+      if (handle === 'in') setIn(time); else setOut(time);
+      onSeek(time);
+    };
+    const stop = () => {
+      e.target.removeEventListener('pointermove', move);
+      e.target.removeEventListener('pointerup', stop);
+    };
+    e.target.addEventListener('pointermove', move);
+    e.target.addEventListener('pointerup', stop);
+  };
+
+  const toggleCut = () => {
+    if (cutStart === null) {
+      setCutStart(currentTime);
+      return;
+    }
+
+    const start = Math.min(cutStart, currentTime);
+    const end = Math.max(cutStart, currentTime);
+    setCutStart(null);
+    if (end - start < MIN_LENGTH) return;
+
+    onChange({ ...edit, cuts: [...edit.cuts, { start, end }].sort((a, b) => a.start - b.start) });
+  };
+
+  const removeCut = (index) => {
+    onChange({ ...edit, cuts: edit.cuts.filter((cut, i) => i !== index) });
+  };
+
+  const reset = () => {
+    setCutStart(null);
+    onChange(emptyEdit(duration));
+  };
+
+  const buttonClass = 'py-2 px-3 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors text-sm';
+
+  return (
+    <div className="mb-6">
+      <div className="flex justify-between items-center mb-2">
+        <span className="text-sm text-gray-400">Trim &amp; Cut</span>
+        <span className="text-sm font-mono">
+          {formatTime(editedDuration(edit))} of {formatTime(duration)}
+        </span>
+      </div>
+
+      <div
+        ref={timelineRef}
+        onClick={(e) => onSeek(timeAt(e.clientX))}
+        className="relative h-10 bg-gray-800 rounded-lg cursor-pointer select-none"
+      >
+        {/* Kept range between the in and out points */}
+        <div
+          className="absolute inset-y-0 bg-purple-600 bg-opacity-40"
+          style={{ left: percent(edit.in), width: percent(edit.out - edit.in) }}
+        ></div>
+
+        {edit.cuts.map((cut, i) => (
+          <div
+            key={i}
+            className="absolute inset-y-0 bg-red-600 bg-opacity-60"
+            style={{ left: percent(cut.start), width: percent(cut.end - cut.start) }}
+          ></div>
+        ))}
+
+        {cutStart !== null && (
+          <div
+            className="absolute inset-y-0 bg-red-400 bg-opacity-30"
+            style={{
+              left: percent(Math.min(cutStart, currentTime)),
+              width: percent(Math.abs(currentTime - cutStart))
+            }}
+          ></div>
+        )}
+
+        <div
+          className="absolute inset-y-0 w-0.5 bg-white pointer-events-none"
+          style={{ left: percent(Math.min(currentTime, duration)) }}
+        ></div>
+
+        {['in', 'out'].map(handle => (
+          <div
+            key={handle}
+            onPointerDown={startDrag(handle)}
+            onClick={(e) => e.stopPropagation()}
+            title={handle === 'in' ? 'Drag to set the start' : 'Drag to set the end'}
+            className="absolute -inset-y-1 w-3 -ml-1.5 rounded bg-purple-400 hover:bg-purple-300 cursor-ew-resize"
+            style={{ left: percent(edit[handle]) }}
+          ></div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mt-3">
+        <button onClick={() => setIn(currentTime)} className={buttonClass}>
+          <i className="fas fa-step-backward mr-2"></i> Set In
+        </button>
+        <button onClick={() => setOut(currentTime)} className={buttonClass}>
+          <i className="fas fa-step-forward mr-2"></i> Set Out
+        </button>
+        <button
+          onClick={toggleCut}
+          className={cutStart === null ? buttonClass : 'py-2 px-3 rounded-lg bg-red-600 hover:bg-red-700 transition-colors text-sm'}
+        >
+          <i className="fas fa-cut mr-2"></i> {cutStart === null ? 'Start Cut' : 'End Cut'}
+        </button>
+        <button onClick={reset} className={buttonClass}>
+          <i className="fas fa-undo mr-2"></i> Reset
+        </button>
+      </div>
+
+      {edit.cuts.length > 0 && (
+        <ul className="mt-3 space-y-1">
+          {edit.cuts.map((cut, i) => (
+            <li key={i} className="flex items-center justify-between text-sm bg-gray-800 bg-opacity-60 rounded-lg px-3 py-1">
+              <span className="font-mono">Cut {formatTime(cut.start)} – {formatTime(cut.end)}</span>
+              <button
+                onClick={() => removeCut(i)}
+                className="p-1 text-red-400 hover:text-red-300 transition-colors"
+                title="Remove cut"
+              >
+                <i className="fas fa-times"></i>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TrimEditor;
@@ -0,0 +1,92 @@
+import React from 'react';
+import { WEBCAM_POSITIONS, WEBCAM_SIZES, WEBCAM_SHAPES } from '../utils/compositor';
+
+const POSITION_ICONS = {
+  'top-left': 'fa-arrow-up -rotate-45',
+  'top-right': 'fa-arrow-up rotate-45',
+  'bottom-left': 'fa-arrow-down rotate-45',
+  'bottom-right': 'fa-arrow-down -rotate-45'
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const WebcamSettings = ({ settings, onChange, recording, cameraActive }) => {
+  const set = (changes) => onChange({ ...settings, ...changes });
+
+  const optionClass = (selected) => `py-1 px-3 rounded-lg text-sm transition-colors ${
+    selected ? 'bg-purple-600' : 'bg-gray-700 hover:bg-gray-600'
+  }`;
+
+  return (
+    <div className="mb-6">
+      <label className="flex items-center cursor-pointer">
+        <div className="relative">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={() => set({ enabled: !settings.enabled })}
+            disabled={recording}
+            className="sr-only"
+          />
+          <div className={`block w-14 h-8 rounded-full transition-colors ${settings.enabled ? 'bg-blue-500' : 'bg-gray-600'}`}></div>
+          <div className={`dot absolute left-1 top-1 bg-white w-6 h-6 rounded-full transition-transform ${settings.enabled ? 'translate-x-6' : ''}`}></div>
+        </div>
+        <div className="ml-3">
+          <div className="text-lg">Webcam Overlay</div>
+          <div className="text-sm text-gray-400">Show your camera in a corner of the recording</div>
+        </div>
+      </label>
+
+      {settings.enabled && (
+        <div className="mt-4 ml-2 space-y-3">
+          <div className="flex items-center">
+            <span className="w-20 text-sm text-gray-400">Position</span>
+            <div className="flex gap-2">
+              {WEBCAM_POSITIONS.map(position => (
+                <button
+                  key={position}
+                  onClick={() => set({ position })}
+                  className={optionClass(settings.position === position)}
+                  title={position.split('-').map(capitalize).join(' ')}
+                >
+                  <i className={`fas ${POSITION_ICONS[position]}`}></i>
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="flex items-center">
+            <span className="w-20 text-sm text-gray-400">Size</span>
+            <div className="flex gap-2">
+              {Object.keys(WEBCAM_SIZES).map(size => (
+                <button key={size} onClick={() => set({ size })} className={optionClass(settings.size === size)}>
+                  {capitalize(size)}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="flex items-center">
+            <span className="w-20 text-sm text-gray-400">Shape</span>
+            <div className="flex gap-2">
+              {WEBCAM_SHAPES.map(shape => (
+                <button key={shape} onClick={() => set({ shape })} className={optionClass(settings.shape === shape)}>
+                  <i className={`fas ${shape === 'circle' ? 'fa-circle' : 'fa-square'} mr-1`}></i> {capitalize(shape)}
+                </button>
+              ))}
+            </div>
+          </div>
+          {recording && cameraActive && (
+            <button
+              onClick={() => set({ visible: !settings.visible })}
+              className={optionClass(!settings.visible)}
+            >
+              <i className={`fas ${settings.visible ? 'fa-eye-slash' : 'fa-eye'} mr-2`}></i>
+              {settings.visible ? 'Hide Webcam' : 'Show Webcam'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebcamSettings;
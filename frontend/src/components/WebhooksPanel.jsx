@@ -0,0 +1,440 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const DELIVERY_POLL_INTERVAL = 5000;
+
+const EVENT_LABELS = {
+  'recording.created': 'Recording created',
+  'recording.updated': 'Recording updated',
+  'recording.deleted': 'Recording deleted',
+  'export.completed': 'Export finished',
+  'export.failed': 'Export failed'
+};
+
+const STATUS_CLASSES = {
+  delivered: 'bg-green-900 text-green-200',
+  pending: 'bg-yellow-900 text-yellow-200',
+  failed: 'bg-red-900 text-red-200'
+};
+
+// SQLite timestamps are UTC without a zone
+const formatTime = (value) => (value ? new Date(`${value.replace(' ', 'T')}Z`).toLocaleString() : '');
+
+// Delivery log of one webhook, refreshed while it is open
+const WebhookDeliveries = ({ webhookUrl, onUnauthorized }) => {
+  const [deliveries, setDeliveries] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchDeliveries = useCallback(async () => {
+    try {
+      const response = await fetch(`${webhookUrl}/deliveries?limit=20`, { credentials: 'include' });
+
+      if (response.status === 401) {
+        onUnauthorized();
+        return;
+      }
+
+      if (response.ok) {
+        const data = await response.json();
+        setDeliveries(data.deliveries);
+        setError('');
+      } else {
+        setError('Failed to fetch deliveries');
+      }
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+      setError('Error connecting to server');
+    }
+  }, [webhookUrl, onUnauthorized]);
+
+  useEffect(() => {
+    fetchDeliveries();
+    const interval = setInterval(fetchDeliveries, DELIVERY_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [fetchDeliveries]);
+
+  const replay = async (delivery) => {
+    try {
+      const response = await fetch(`${webhookUrl}/deliveries/${delivery.id}/replay`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+
+      if (response.ok) {
+        const replayed = await response.json();
+        setDeliveries([replayed, ...deliveries]);
+      } else {
+        alert('Failed to replay delivery');
+      }
+    } catch (error) {
+      console.error('Error replaying webhook delivery:', error);
+      alert('Error replaying delivery');
+    }
+  };
+
+  if (error) {
+    return <div className="mt-3 py-2 px-4 rounded-lg bg-red-900 text-red-200 text-sm">{error}</div>;
+  }
+
+  if (!deliveries) {
+    return (
+      <div className="flex justify-center py-4">
+        <div className="animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-purple-500"></div>
+      </div>
+    );
+  }
+
+  if (deliveries.length === 0) {
+    return <p className="text-center text-gray-500 text-sm py-4">Nothing delivered yet</p>;
+  }
+
+  return (
+    <ul className="mt-3 space-y-2">
+      {deliveries.map(delivery => (
+        <li key={delivery.id} className="flex items-center justify-between bg-gray-900 bg-opacity-60 rounded-lg px-3 py-2 text-sm">
+          <div className="min-w-0 mr-3">
+            <div className="flex items-center">
+              <span className={`px-2 py-0.5 text-xs rounded-full mr-2 ${STATUS_CLASSES[delivery.status]}`}>
+                {delivery.status}
+              </span>
+              <span className="font-mono truncate">{delivery.event}</span>
+              {delivery.replayOf && <span className="ml-2 text-xs text-gray-500">replay of #{delivery.replayOf}</span>}
+            </div>
+            <div className="text-xs text-gray-400 mt-1">
+              #{delivery.id} · {formatTime(delivery.createdAt)} · {delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}
+              {delivery.responseStatus && ` · HTTP ${delivery.responseStatus}`}
+              {delivery.error && ` · ${delivery.error}`}
+              {delivery.nextAttemptAt && delivery.attempts > 0 && ` · retrying ${formatTime(delivery.nextAttemptAt)}`}
+            </div>
+          </div>
+          <button
+            onClick={() => replay(delivery)}
+            disabled={delivery.status === 'pending'}
+            className="p-2 text-blue-400 hover:text-blue-300 disabled:opacity-40 transition-colors flex-shrink-0"
+            title="Send again"
+          >
+            <i className="fas fa-redo"></i>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const WebhooksPanel = ({ apiUrl, onUnauthorized }) => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [url, setUrl] = useState('');
+  const [description, setDescription] = useState('');
+  const [selectedEvents, setSelectedEvents] = useState(['recording.created', 'recording.deleted']);
+  const [creating, setCreating] = useState(false);
+  // The secret is only shown right after it is created or rotated
+  const [revealed, setRevealed] = useState(null);
+  const [openId, setOpenId] = useState(null);
+
+  const webhooksUrl = `${apiUrl}/api/webhooks`;
+
+  const fetchWebhooks = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(webhooksUrl, { credentials: 'include' });
+
+      if (response.status === 401) {
+        onUnauthorized();
+        return;
+      }
+
+      if (response.ok) {
+        const data = await response.json();
+        setWebhooks(data.webhooks);
+        setEvents(data.events);
+        setError('');
+      } else {
+        setError('Failed to fetch webhooks');
+      }
+    } catch (error) {
+      console.error('Error fetching webhooks:', error);
+      setError('Error connecting to server');
+    } finally {
+      setLoading(false);
+    }
+  }, [webhooksUrl, onUnauthorized]);
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, [fetchWebhooks]);
+
+  const toggleEvent = (event) => {
+    setSelectedEvents(selectedEvents.includes(event)
+      ? selectedEvents.filter(selected => selected !== event)
+      : [...selectedEvents, event]);
+  };
+
+  const replaceWebhook = (updated) => {
+    setWebhooks(webhooks.map(webhook => (webhook.id === updated.id ? updated : webhook)));
+  };
+
+  const createWebhook = async (e) => {
+    e.preventDefault();
+
+    try {
+      setCreating(true);
+      const response = await fetch(webhooksUrl, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url, description, events: selectedEvents })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        const { secret, ...webhook } = data;
+        setWebhooks([...webhooks, webhook]);
+        setRevealed({ id: webhook.id, secret });
+        setUrl('');
+        setDescription('');
+        setError('');
+      } else {
+        setError(data.error || 'Failed to create webhook');
+      }
+    } catch (error) {
+      console.error('Error creating webhook:', error);
+      setError('Error connecting to server');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const toggleActive = async (webhook) => {
+    try {
+      const response = await fetch(`${webhooksUrl}/${webhook.id}`, {
+        method: 'PATCH',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ active: !webhook.active })
+      });
+
+      if (response.ok) {
+        replaceWebhook(await response.json());
+      } else {
+        alert('Failed to update webhook');
+      }
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      alert('Error updating webhook');
+    }
+  };
+
+  const rotateSecret = async (webhook) => {
+    if (!window.confirm('Replace the signing secret? Deliveries are signed with the new one straight away.')) return;
+
+    try {
+      const response = await fetch(`${webhooksUrl}/${webhook.id}/secret`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+
+      if (response.ok) {
+        const { secret, ...updated } = await response.json();
+        replaceWebhook(updated);
+        setRevealed({ id: updated.id, secret });
+      } else {
+        alert('Failed to rotate secret');
+      }
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      alert('Error rotating secret');
+    }
+  };
+
+  const sendTest = async (webhook) => {
+    try {
+      const response = await fetch(`${webhooksUrl}/${webhook.id}/ping`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+
+      if (response.ok) {
+        setOpenId(webhook.id);
+      } else {
+        alert('Failed to send test delivery');
+      }
+    } catch (error) {
+      console.error('Error sending test webhook:', error);
+      alert('Error sending test delivery');
+    }
+  };
+
+  const deleteWebhook = async (webhook) => {
+    if (!window.confirm(`Delete the webhook for ${webhook.url}?`)) return;
+
+    try {
+      const response = await fetch(`${webhooksUrl}/${webhook.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+
+      if (response.ok) {
+        setWebhooks(webhooks.filter(item => item.id !== webhook.id));
+      } else {
+        alert('Failed to delete webhook');
+      }
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      alert('Error deleting webhook');
+    }
+  };
+
+  return (
+    <div className="glass-effect p-6 rounded-2xl">
+      <h2 className="text-2xl font-semibold mb-2 flex items-center">
+        <i className="fas fa-plug mr-3 text-purple-400"></i>
+        Webhooks
+      </h2>
+      <p className="text-gray-400 mb-6">
+        Get a signed POST request when your recordings change or an export finishes.
+      </p>
+
+      <form onSubmit={createWebhook} className="mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">Payload URL</label>
+            <input
+              type="url"
+              required
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              placeholder="https://example.com/hooks/recordings"
+              className="w-full px-3 py-2 rounded-lg bg-gray-800 border border-gray-700"
+            />
+          </div>
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">Description (optional)</label>
+            <input
+              type="text"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              className="w-full px-3 py-2 rounded-lg bg-gray-800 border border-gray-700"
+            />
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-4 mb-4">
+          {events.map(event => (
+            <label key={event} className="flex items-center text-sm">
+              <input
+                type="checkbox"
+                checked={selectedEvents.includes(event)}
+                onChange={() => toggleEvent(event)}
+                className="mr-2"
+              />
+              {EVENT_LABELS[event] || event}
+            </label>
+          ))}
+        </div>
+        <button
+          type="submit"
+          disabled={creating || selectedEvents.length === 0}
+          className={`w-full py-2 px-4 rounded-lg transition-all ${
+            creating || selectedEvents.length === 0
+              ? 'bg-gray-600 opacity-50 cursor-not-allowed'
+              : 'bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700'
+          }`}
+        >
+          <i className="fas fa-plus mr-2"></i> Add Webhook
+        </button>
+      </form>
+
+      {error && (
+        <div className="mb-4 py-2 px-4 rounded-lg bg-red-900 text-red-200">{error}</div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-purple-500"></div>
+        </div>
+      ) : webhooks.length > 0 ? (
+        <ul className="space-y-3">
+          {webhooks.map(webhook => (
+            <li key={webhook.id} className="bg-gray-800 bg-opacity-60 rounded-lg p-3">
+              <div className="flex items-center justify-between">
+                <div className="min-w-0 mr-3">
+                  <div className="flex items-center">
+                    <span className={`px-2 py-0.5 text-xs rounded-full mr-2 ${
+                      webhook.active ? 'bg-green-900 text-green-200' : 'bg-gray-700 text-gray-300'
+                    }`}>
+                      {webhook.active ? 'Active' : 'Paused'}
+                    </span>
+                    <span className="font-mono text-sm truncate">{webhook.url}</span>
+                  </div>
+                  <div className="text-xs text-gray-400 mt-1">
+                    {webhook.description && `${webhook.description} · `}
+                    {webhook.events.map(event => EVENT_LABELS[event] || event).join(', ')}
+                    {` · Secret ${webhook.secretHint}`}
+                  </div>
+                </div>
+                <div className="flex space-x-1 flex-shrink-0">
+                  <button
+                    onClick={() => setOpenId(openId === webhook.id ? null : webhook.id)}
+                    className="p-2 text-gray-300 hover:text-white transition-colors"
+                    title="Recent deliveries"
+                  >
+                    <i className={`fas ${openId === webhook.id ? 'fa-chevron-up' : 'fa-list'}`}></i>
+                  </button>
+                  <button
+                    onClick={() => sendTest(webhook)}
+                    className="p-2 text-blue-400 hover:text-blue-300 transition-colors"
+                    title="Send a test delivery"
+                  >
+                    <i className="fas fa-paper-plane"></i>
+                  </button>
+                  <button
+                    onClick={() => toggleActive(webhook)}
+                    className="p-2 text-yellow-400 hover:text-yellow-300 transition-colors"
+                    title={webhook.active ? 'Pause' : 'Resume'}
+                  >
+                    <i className={`fas ${webhook.active ? 'fa-pause' : 'fa-play'}`}></i>
+                  </button>
+                  <button
+                    onClick={() => rotateSecret(webhook)}
+                    className="p-2 text-purple-400 hover:text-purple-300 transition-colors"
+                    title="Rotate secret"
+                  >
+                    <i className="fas fa-key"></i>
+                  </button>
+                  <button
+                    onClick={() => deleteWebhook(webhook)}
+                    className="p-2 text-red-400 hover:text-red-300 transition-colors"
+                    title="Delete webhook"
+                  >
+                    <i className="fas fa-trash"></i>
+                  </button>
+                </div>
+              </div>
+
+              {revealed && revealed.id === webhook.id && (
+                <div className="mt-3 py-2 px-3 rounded-lg bg-indigo-900 text-sm">
+                  <div className="flex justify-between items-center">
+                    <span>Signing secret, shown only this once:</span>
+                    <button onClick={() => setRevealed(null)} className="text-gray-400 hover:text-gray-300">
+                      <i className="fas fa-times"></i>
+                    </button>
+                  </div>
+                  <div className="font-mono break-all mt-1">{revealed.secret}</div>
+                </div>
+              )}
+
+              {openId === webhook.id && (
+                <WebhookDeliveries webhookUrl={`${webhooksUrl}/${webhook.id}`} onUnauthorized={onUnauthorized} />
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-center text-gray-500 py-6">No webhooks yet</p>
+      )}
+    </div>
+  );
+};
+
+export default WebhooksPanel;
@@ -0,0 +1,11 @@
+// Registers public/service-worker.js so the app shell loads without a network connection.
+// Only in production builds: in development it would serve stale bundles over the dev server.
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error('Error registering service worker:', error));
+  });
+};
@@ -0,0 +1,210 @@
+// Annotation layer drawn over the screen capture by the compositor, so pen strokes, arrows,
+// boxes, text and click highlights are burned into the recorded video.
+//
+// Shapes are stored in coordinates relative to the frame (0..1), so they stay in place when
+// the shared surface is resized and match the preview at any display size.
+
+export const ANNOTATION_TOOLS = [
+  { id: 'pointer', label: 'Pointer', icon: 'fa-mouse-pointer', key: 'v' },
+  { id: 'pen', label: 'Pen', icon: 'fa-pen', key: 'p' },
+  { id: 'arrow', label: 'Arrow', icon: 'fa-long-arrow-alt-right', key: 'a' },
+  { id: 'rectangle', label: 'Rectangle', icon: 'fa-vector-square', key: 'r' },
+  { id: 'text', label: 'Text', icon: 'fa-font', key: 't' }
+];
+
+export const ANNOTATION_COLORS = ['#ef4444', '#facc15', '#22c55e', '#3b82f6', '#ffffff'];
+export const ANNOTATION_WIDTHS = { thin: 3, medium: 6, thick: 10 };
+
+export const DEFAULT_ANNOTATION_SETTINGS = {
+  enabled: false,
+  tool: 'pen',
+  color: ANNOTATION_COLORS[0],
+  width: 'medium',
+  clickHighlight: true,
+  spotlight: false
+};
+
+const STORAGE_KEY = 'annotationLayer';
+
+// Stroke widths and text sizes are given for a 1280px wide frame and scaled from there
+const REFERENCE_WIDTH = 1280;
+const FONT_SIZE = 32;
+const CLICK_DURATION = 600;
+const CLICK_RADIUS = 36;
+const SPOTLIGHT_RADIUS = 0.12;
+
+export const loadAnnotationSettings = () => {
+  try {
+    return { ...DEFAULT_ANNOTATION_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+  } catch (e) {
+    return DEFAULT_ANNOTATION_SETTINGS;
+  }
+};
+
+export const saveAnnotationSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
+
+const drawArrowHead = (ctx, from, to, size) => {
+  const angle = Math.atan2(to.y - from.y, to.x - from.x);
+  ctx.beginPath();
+  ctx.moveTo(to.x, to.y);
+  ctx.lineTo(to.x - size * Math.cos(angle - Math.PI / 6), to.y - size * Math.sin(angle - Math.PI / 6));
+  ctx.lineTo(to.x - size * Math.cos(angle + Math.PI / 6), to.y - size * Math.sin(angle + Math.PI / 6));
+  ctx.closePath();
+  ctx.fill();
+};
+
+const drawShape = (ctx, shape, width, height, scale) => {
+  const point = (p) => ({ x: p.x * width, y: p.y * height });
+
+  ctx.save();
+  ctx.strokeStyle = shape.color;
+  ctx.fillStyle = shape.color;
+  ctx.lineWidth = shape.width * scale;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  if (shape.type === 'pen') {
+    const points = shape.points.map(point);
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    // A single tap still leaves a dot
+    if (points.length === 1) ctx.lineTo(points[0].x + 0.1, points[0].y);
+    points.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+    ctx.stroke();
+  } else if (shape.type === 'arrow') {
+    const from = point(shape.from);
+    const to = point(shape.to);
+    const head = Math.max(12, shape.width * 3) * scale;
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    // Stop the shaft short of the tip so the round cap does not poke through the head
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x - (head / 2) * Math.cos(angle), to.y - (head / 2) * Math.sin(angle));
+    ctx.stroke();
+    drawArrowHead(ctx, from, to, head);
+  } else if (shape.type === 'rectangle') {
+    const from = point(shape.from);
+    const to = point(shape.to);
+    ctx.strokeRect(Math.min(from.x, to.x), Math.min(from.y, to.y), Math.abs(to.x - from.x), Math.abs(to.y - from.y));
+  } else if (shape.type === 'text') {
+    const at = point(shape.at);
+    const size = FONT_SIZE * scale;
+    ctx.font = `bold ${size}px sans-serif`;
+    ctx.textBaseline = 'top';
+    ctx.lineWidth = Math.max(2, size / 8);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+    shape.text.split('\n').forEach((line, index) => {
+      ctx.strokeText(line, at.x, at.y + index * size * 1.2);
+      ctx.fillText(line, at.x, at.y + index * size * 1.2);
+    });
+  }
+
+  ctx.restore();
+};
+
+// Dims the frame except for a circle around the pointer
+const drawSpotlight = (ctx, pointer, width, height) => {
+  const radius = SPOTLIGHT_RADIUS * Math.min(width, height) * 2;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(0, 0, width, height);
+  ctx.arc(pointer.x * width, pointer.y * height, radius, 0, Math.PI * 2);
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+  ctx.fill('evenodd');
+  ctx.restore();
+};
+
+// Expanding, fading ring where the user clicked
+const drawClick = (ctx, click, width, height, scale, now) => {
+  const progress = (now - click.time) / CLICK_DURATION;
+  ctx.save();
+  ctx.globalAlpha = 1 - progress;
+  ctx.strokeStyle = click.color;
+  ctx.fillStyle = click.color;
+  ctx.lineWidth = 4 * scale;
+  ctx.beginPath();
+  ctx.arc(click.x * width, click.y * height, CLICK_RADIUS * scale * (0.4 + progress), 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.globalAlpha = (1 - progress) * 0.35;
+  ctx.fill();
+  ctx.restore();
+};
+
+/**
+ * Holds the shapes drawn during one recording plus the pointer effects.
+ * `add`, `clear` and `undo` go through an undo stack; clearing can be undone as well.
+ * `draft` is the shape being dragged out, shown live but not yet on the stack.
+ * `subscribe(listener)` is called after every change that affects the toolbar.
+ */
+export const createAnnotationLayer = () => {
+  let shapes = [];
+  let draft = null;
+  let pointer = null;
+  let clicks = [];
+  let effects = { clickHighlight: false, spotlight: false };
+  const history = [];
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  return {
+    get shapes() {
+      return shapes;
+    },
+    get canUndo() {
+      return history.length > 0;
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    setEffects(next) {
+      effects = { ...effects, ...next };
+    },
+    setDraft(shape) {
+      draft = shape;
+    },
+    setPointer(position) {
+      pointer = position;
+    },
+    click(position, color) {
+      if (effects.clickHighlight) clicks.push({ ...position, color, time: Date.now() });
+    },
+    add(shape) {
+      draft = null;
+      shapes = [...shapes, shape];
+      history.push({ type: 'add', shape });
+      notify();
+    },
+    clear() {
+      if (shapes.length === 0) return;
+      history.push({ type: 'clear', shapes });
+      shapes = [];
+      notify();
+    },
+    undo() {
+      const last = history.pop();
+      if (!last) return;
+      if (last.type === 'add') {
+        shapes = shapes.filter(shape => shape !== last.shape);
+      } else {
+        shapes = last.shapes;
+      }
+      notify();
+    },
+    // Called by the compositor on every frame
+    render(ctx, width, height) {
+      const scale = width / REFERENCE_WIDTH;
+      const now = Date.now();
+
+      if (effects.spotlight && pointer) drawSpotlight(ctx, pointer, width, height);
+      shapes.forEach(shape => drawShape(ctx, shape, width, height, scale));
+      if (draft) drawShape(ctx, draft, width, height, scale);
+
+      clicks = clicks.filter(click => now - click.time < CLICK_DURATION);
+      clicks.forEach(click => drawClick(ctx, click, width, height, scale, now));
+    }
+  };
+};
@@ -0,0 +1,105 @@
+// Web Audio stage that mixes system (tab/screen) audio and the microphone into a single
+// track, with a gain per source and analysers for level meters.
+
+export const AUDIO_SOURCES = ['system', 'microphone'];
+export const MAX_GAIN = 2;
+
+export const DEFAULT_AUDIO_SETTINGS = {
+  system: { enabled: true, gain: 1 },
+  microphone: { enabled: true, gain: 1 }
+};
+
+const STORAGE_KEY = 'audioSources';
+
+export const loadAudioSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return {
+      system: { ...DEFAULT_AUDIO_SETTINGS.system, ...saved.system },
+      microphone: { ...DEFAULT_AUDIO_SETTINGS.microphone, ...saved.microphone }
+    };
+  } catch (e) {
+    return DEFAULT_AUDIO_SETTINGS;
+  }
+};
+
+export const saveAudioSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
+
+/**
+ * Mixes the audio tracks of `streams` ({ system, microphone }, either may be null).
+ * Returns `{ track, captured, setGain(source, gain), setMuted(source, muted), getLevel(source), stop() }`.
+ * `track` is null when no source has audio. `getLevel` is the current peak level from 0 to 1.
+ */
+export const createAudioMixer = ({ streams, settings }) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  // Starting the recording awaits permission prompts, which can leave the context suspended
+  context.resume();
+  const destination = context.createMediaStreamDestination();
+  const channels = {};
+
+  AUDIO_SOURCES.forEach(source => {
+    const stream = streams[source];
+    if (!stream || stream.getAudioTracks().length === 0) return;
+
+    const input = context.createMediaStreamSource(stream);
+    const gain = context.createGain();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 512;
+
+    gain.gain.value = settings[source].gain;
+    input.connect(gain);
+    gain.connect(analyser);
+    gain.connect(destination);
+
+    channels[source] = {
+      stream,
+      gain,
+      analyser,
+      samples: new Float32Array(analyser.fftSize),
+      level: settings[source].gain,
+      muted: false
+    };
+  });
+
+  const applyGain = (channel) => {
+    channel.gain.gain.setTargetAtTime(channel.muted ? 0 : channel.level, context.currentTime, 0.02);
+  };
+
+  const captured = Object.keys(channels);
+
+  return {
+    track: captured.length > 0 ? destination.stream.getAudioTracks()[0] : null,
+    captured,
+    setGain(source, value) {
+      const channel = channels[source];
+      if (!channel) return;
+      channel.level = Math.min(MAX_GAIN, Math.max(0, value));
+      applyGain(channel);
+    },
+    setMuted(source, muted) {
+      const channel = channels[source];
+      if (!channel) return;
+      channel.muted = muted;
+      applyGain(channel);
+    },
+    getLevel(source) {
+      const channel = channels[source];
+      if (!channel) return 0;
+      channel.analyser.getFloatTimeDomainData(channel.samples);
+      let peak = 0;
+      for (let i = 0; i < channel.samples.length; i++) {
+        peak = Math.max(peak, Math.abs(channel.samples[i]));
+      }
+      return Math.min(1, peak);
+    },
+    stop() {
+      // The system audio track belongs to the screen capture, which is stopped with it
+      if (streams.microphone) streams.microphone.getTracks().forEach(track => track.stop());
+      destination.stream.getTracks().forEach(track => track.stop());
+      context.close();
+    }
+  };
+};
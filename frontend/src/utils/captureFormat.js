@@ -0,0 +1,79 @@
+// Container/codec negotiation for MediaRecorder and the capture quality presets.
+
+// Tried in order; the first one the browser can record is used
+const RECORDING_FORMATS = [
+  { mimeType: 'video/webm;codecs=vp9,opus', label: 'WebM (VP9)' },
+  { mimeType: 'video/webm;codecs=vp8,opus', label: 'WebM (VP8)' },
+  { mimeType: 'video/webm;codecs=h264,opus', label: 'WebM (H.264)' },
+  { mimeType: 'video/mp4;codecs=avc1,mp4a', label: 'MP4 (H.264)' },
+  { mimeType: 'video/webm', label: 'WebM' },
+  { mimeType: 'video/mp4', label: 'MP4' }
+];
+
+const EXTENSIONS = {
+  'video/webm': 'webm',
+  'video/mp4': 'mp4',
+  'video/x-matroska': 'mkv'
+};
+
+export const QUALITY_PRESETS = [
+  {
+    id: 'low',
+    label: 'Low bandwidth',
+    description: '720p at 15 fps, about 1 Mbps',
+    width: 1280,
+    height: 720,
+    frameRate: 15,
+    videoBitsPerSecond: 1000000
+  },
+  {
+    id: 'standard',
+    label: 'Standard 1080p30',
+    description: '1080p at 30 fps, about 5 Mbps',
+    width: 1920,
+    height: 1080,
+    frameRate: 30,
+    videoBitsPerSecond: 5000000
+  },
+  {
+    id: 'smooth',
+    label: 'Smooth 60fps',
+    description: '1080p at 60 fps, about 8 Mbps',
+    width: 1920,
+    height: 1080,
+    frameRate: 60,
+    videoBitsPerSecond: 8000000
+  }
+];
+
+const STORAGE_KEY = 'captureQuality';
+const DEFAULT_PRESET = 'standard';
+
+export const loadQualityPreset = () => {
+  const id = localStorage.getItem(STORAGE_KEY);
+  return QUALITY_PRESETS.some(preset => preset.id === id) ? id : DEFAULT_PRESET;
+};
+
+export const saveQualityPreset = (id) => {
+  localStorage.setItem(STORAGE_KEY, id);
+};
+
+export const qualityPreset = (id) => QUALITY_PRESETS.find(preset => preset.id === id)
+  || QUALITY_PRESETS.find(preset => preset.id === DEFAULT_PRESET);
+
+// The format to record in, or null when the browser cannot say (MediaRecorder then picks its default)
+export const pickRecordingFormat = () => {
+  if (typeof MediaRecorder === 'undefined' || typeof MediaRecorder.isTypeSupported !== 'function') return null;
+  return RECORDING_FORMATS.find(format => MediaRecorder.isTypeSupported(format.mimeType)) || null;
+};
+
+// File extension (without the dot) for a recorded blob's type; recordings without one are WebM
+export const extensionFor = (mimeType) => EXTENSIONS[String(mimeType || '').split(';')[0].trim().toLowerCase()] || 'webm';
+
+// getDisplayMedia constraints for a preset. The shared surface is scaled down to fit, never up.
+export const displayVideoConstraints = (preset) => ({
+  cursor: 'always',
+  width: { max: preset.width },
+  height: { max: preset.height },
+  frameRate: { ideal: preset.frameRate, max: preset.frameRate }
+});
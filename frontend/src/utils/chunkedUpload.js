@@ -0,0 +1,203 @@
+// Resumable upload client for the /api/uploads protocol.
+// Chunks are sent one at a time with XMLHttpRequest so we can report byte-level progress.
+
+const MAX_RETRIES = 5;
+
+const sendChunk = (url, body, onProgress, xhrRef) => new Promise((resolve, reject) => {
+  const xhr = new XMLHttpRequest();
+  xhrRef.current = xhr;
+  xhr.open('PUT', url);
+  xhr.withCredentials = true;
+  xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+
+  xhr.upload.onprogress = (e) => {
+    if (e.lengthComputable) onProgress(e.loaded);
+  };
+  xhr.onload = () => {
+    xhrRef.current = null;
+    if (xhr.status >= 200 && xhr.status < 300) {
+      resolve(JSON.parse(xhr.responseText));
+    } else {
+      let message = `Chunk upload failed (${xhr.status})`;
+      try {
+        message = JSON.parse(xhr.responseText).error || message;
+      } catch (e) {
+        // Non-JSON error body, keep the generic message
+      }
+      const error = new Error(message);
+      error.status = xhr.status;
+      reject(error);
+    }
+  };
+  xhr.onerror = () => {
+    xhrRef.current = null;
+    reject(new Error('Network error'));
+  };
+  xhr.onabort = () => {
+    xhrRef.current = null;
+    const error = new Error('Upload aborted');
+    error.aborted = true;
+    reject(error);
+  };
+
+  xhr.send(body);
+});
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const requestError = async (response, fallback) => {
+  let message = fallback;
+  try {
+    const data = await response.json();
+    message = data.error || fallback;
+  } catch (e) {
+    // Non-JSON error body, keep the fallback message
+  }
+  const error = new Error(message);
+  error.status = response.status;
+  return error;
+};
+
+/**
+ * Creates a pausable, resumable upload of `blob` to `${apiUrl}/api/uploads`.
+ * `metadata` is sent along when the session is created and ends up on the recording, with the
+ * blob's MIME type so the server stores the file in the format it was recorded in.
+ * `onProgress(percent)` is called as bytes go out. `onStateChange(state, detail)` receives
+ * 'uploading', 'paused', 'cancelled', 'completed' (detail is the server response)
+ * or 'failed' (detail is the error; the upload can be resumed).
+ * Pass `sessionId` to continue a session started earlier, e.g. before a page reload; it
+ * falls back to a new session when that one has expired. `onSession(id)` reports new sessions.
+ */
+export const createChunkedUpload = ({ apiUrl, blob, duration, metadata = {}, sessionId = null, onProgress, onStateChange, onSession }) => {
+  const xhrRef = { current: null };
+  let session = sessionId ? { id: sessionId } : null;
+  let state = 'idle';
+  let runPromise = Promise.resolve();
+
+  const setState = (next, detail) => {
+    state = next;
+    if (onStateChange) onStateChange(next, detail);
+  };
+
+  const reportProgress = (bytes) => {
+    if (onProgress) onProgress(Math.min(100, (bytes / blob.size) * 100));
+  };
+
+  const createSession = async () => {
+    const response = await fetch(`${apiUrl}/api/uploads`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...metadata, size: blob.size, duration, mimeType: blob.type || undefined })
+    });
+    if (!response.ok) {
+      throw await requestError(response, 'Could not start upload');
+    }
+    const created = await response.json();
+    if (onSession) onSession(created.id);
+    return created;
+  };
+
+  const fetchSession = async () => {
+    const response = await fetch(`${apiUrl}/api/uploads/${session.id}`, { credentials: 'include' });
+    if (!response.ok) {
+      throw await requestError(response, 'Could not resume upload');
+    }
+    return response.json();
+  };
+
+  const resumeOrCreate = async () => {
+    if (!session) return createSession();
+    try {
+      return await fetchSession();
+    } catch (err) {
+      if (err.status !== 404) throw err;
+      return createSession();
+    }
+  };
+
+  const run = async () => {
+    session = await resumeOrCreate();
+    const received = new Set(session.receivedChunks);
+    let confirmedBytes = session.offset;
+    reportProgress(confirmedBytes);
+
+    for (let index = 0; index < session.totalChunks; index++) {
+      if (received.has(index)) continue;
+      if (state !== 'uploading') return null;
+
+      const start = index * session.chunkSize;
+      const chunk = blob.slice(start, Math.min(start + session.chunkSize, blob.size));
+      const url = `${apiUrl}/api/uploads/${session.id}/chunks/${index}`;
+
+      for (let attempt = 0; ; attempt++) {
+        try {
+          await sendChunk(url, chunk, (loaded) => reportProgress(confirmedBytes + loaded), xhrRef);
+          break;
+        } catch (err) {
+          // Pausing or cancelling aborts the request; anything 4xx will not get better by retrying
+          if (err.aborted || (err.status >= 400 && err.status < 500) || attempt >= MAX_RETRIES) {
+            throw err;
+          }
+          await wait(Math.min(1000 * 2 ** attempt, 15000));
+          if (state !== 'uploading') return null;
+        }
+      }
+
+      received.add(index);
+      confirmedBytes += chunk.size;
+      reportProgress(confirmedBytes);
+    }
+
+    if (state !== 'uploading') return null;
+    const response = await fetch(`${apiUrl}/api/uploads/${session.id}/complete`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+    if (!response.ok) {
+      throw await requestError(response, 'Could not finish upload');
+    }
+    return response.json();
+  };
+
+  const go = () => {
+    setState('uploading');
+    runPromise = run()
+      .then((result) => {
+        if (result) setState('completed', result);
+      })
+      .catch((err) => {
+        if (err.aborted || state === 'cancelled') return;
+        setState('failed', err);
+      });
+  };
+
+  return {
+    start() {
+      if (state === 'idle') go();
+    },
+    pause() {
+      if (state !== 'uploading') return;
+      setState('paused');
+      if (xhrRef.current) xhrRef.current.abort();
+    },
+    async resume() {
+      if (state !== 'paused' && state !== 'failed') return;
+      // Let the interrupted run settle before starting a new one
+      await runPromise;
+      if (state === 'paused' || state === 'failed') go();
+    },
+    async cancel() {
+      if (state === 'completed' || state === 'cancelled') return;
+      setState('cancelled');
+      if (xhrRef.current) xhrRef.current.abort();
+      await runPromise;
+      if (session) {
+        await fetch(`${apiUrl}/api/uploads/${session.id}`, {
+          method: 'DELETE',
+          credentials: 'include'
+        }).catch(() => {});
+      }
+    }
+  };
+};
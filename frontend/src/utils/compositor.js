@@ -0,0 +1,149 @@
+// Canvas pipeline that draws the screen capture with an optional webcam bubble and
+// annotation layer on top and exposes the result as a MediaStream for MediaRecorder.
+
+const DEFAULT_FRAME_RATE = 30;
+const MARGIN = 24;
+const BORDER = 4;
+
+// Webcam width as a share of the canvas width
+export const WEBCAM_SIZES = { small: 0.15, medium: 0.22, large: 0.3 };
+export const WEBCAM_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+export const WEBCAM_SHAPES = ['circle', 'rectangle'];
+
+export const DEFAULT_WEBCAM_SETTINGS = {
+  enabled: false,
+  visible: true,
+  position: 'bottom-right',
+  size: 'medium',
+  shape: 'circle'
+};
+
+const STORAGE_KEY = 'webcamOverlay';
+
+export const loadWebcamSettings = () => {
+  try {
+    return { ...DEFAULT_WEBCAM_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+  } catch (e) {
+    return DEFAULT_WEBCAM_SETTINGS;
+  }
+};
+
+export const saveWebcamSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
+
+const playStream = async (stream) => {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = stream;
+  await video.play();
+  return video;
+};
+
+// requestAnimationFrame and timers are throttled in background tabs, which is exactly
+// where this tab sits while the user records another window. Worker timers are not.
+const startTicker = (onTick, frameRate) => {
+  const source = `setInterval(() => postMessage(0), ${Math.round(1000 / frameRate)});`;
+  try {
+    const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+    const worker = new Worker(url);
+    worker.onmessage = onTick;
+    return () => {
+      worker.terminate();
+      URL.revokeObjectURL(url);
+    };
+  } catch (e) {
+    const timer = setInterval(onTick, 1000 / frameRate);
+    return () => clearInterval(timer);
+  }
+};
+
+const webcamRect = (canvas, camera, settings) => {
+  const width = Math.round(canvas.width * (WEBCAM_SIZES[settings.size] || WEBCAM_SIZES.medium));
+  const height = settings.shape === 'circle'
+    ? width
+    : Math.round(width * (camera.videoHeight / camera.videoWidth || 0.75));
+  const left = settings.position.endsWith('left') ? MARGIN : canvas.width - width - MARGIN;
+  const top = settings.position.startsWith('top') ? MARGIN : canvas.height - height - MARGIN;
+  return { left, top, width, height };
+};
+
+const drawWebcam = (ctx, camera, rect, shape) => {
+  const { left, top, width, height } = rect;
+
+  // Crop the camera frame to the target aspect ratio instead of squashing it
+  const sourceRatio = camera.videoWidth / camera.videoHeight;
+  const targetRatio = width / height;
+  let sw = camera.videoWidth;
+  let sh = camera.videoHeight;
+  if (sourceRatio > targetRatio) sw = sh * targetRatio; else sh = sw / targetRatio;
+  const sx = (camera.videoWidth - sw) / 2;
+  const sy = (camera.videoHeight - sh) / 2;
+
+  ctx.save();
+  ctx.beginPath();
+  if (shape === 'circle') {
+    ctx.arc(left + width / 2, top + height / 2, width / 2, 0, Math.PI * 2);
+  } else {
+    ctx.rect(left, top, width, height);
+  }
+  ctx.lineWidth = BORDER * 2;
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.stroke();
+  ctx.clip();
+  ctx.drawImage(camera, sx, sy, sw, sh, left, top, width, height);
+  ctx.restore();
+};
+
+/**
+ * Composites `screenStream`, an optional `cameraStream` and an optional annotation layer
+ * (see utils/annotations) onto a canvas, drawn `frameRate` times a second.
+ * Returns `{ stream, update(settings), stop() }`; `update` takes effect on the next frame,
+ * so position, size, shape and visibility can change while recording.
+ */
+export const createCompositor = async ({ screenStream, cameraStream, settings, annotations, frameRate = DEFAULT_FRAME_RATE }) => {
+  const screen = await playStream(screenStream);
+  const camera = cameraStream ? await playStream(cameraStream) : null;
+
+  const canvas = document.createElement('canvas');
+  const { width, height } = screenStream.getVideoTracks()[0].getSettings();
+  canvas.width = width || screen.videoWidth;
+  canvas.height = height || screen.videoHeight;
+  const ctx = canvas.getContext('2d');
+
+  let current = settings;
+
+  const draw = () => {
+    // Follow the shared surface if it is resized mid-recording
+    if (screen.videoWidth && (screen.videoWidth !== canvas.width || screen.videoHeight !== canvas.height)) {
+      canvas.width = screen.videoWidth;
+      canvas.height = screen.videoHeight;
+    }
+
+    ctx.drawImage(screen, 0, 0, canvas.width, canvas.height);
+    if (camera && current.visible && camera.videoWidth) {
+      drawWebcam(ctx, camera, webcamRect(canvas, camera, current), current.shape);
+    }
+    if (annotations) {
+      annotations.render(ctx, canvas.width, canvas.height);
+    }
+  };
+
+  const stopTicker = startTicker(draw, frameRate);
+  const stream = canvas.captureStream(frameRate);
+
+  return {
+    stream,
+    update(settings) {
+      current = settings;
+    },
+    stop() {
+      stopTicker();
+      stream.getTracks().forEach(track => track.stop());
+      if (cameraStream) cameraStream.getTracks().forEach(track => track.stop());
+      screen.srcObject = null;
+      if (camera) camera.srcObject = null;
+    }
+  };
+};
@@ -0,0 +1,114 @@
+// Client for /api/recordings/live: sends MediaRecorder segments to the server while capturing
+// so a closed tab or crashed browser still leaves a (partial) recording behind.
+
+const RETRY_DELAYS = [1000, 2000, 4000, 8000, 15000];
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const readError = async (response, fallback) => {
+  try {
+    const data = await response.json();
+    return data.error || fallback;
+  } catch (e) {
+    return fallback;
+  }
+};
+
+/**
+ * Starts a live recording session on the server.
+ * Segments are appended strictly in order; a failed segment is retried before the next is sent.
+ * `onError(error)` is called when a segment could not be delivered after all retries.
+ * `metadata` describes the recording and can be updated again when finishing.
+ */
+export const createLiveRecording = async ({ apiUrl, metadata = {}, onError }) => {
+  const response = await fetch(`${apiUrl}/api/recordings/live`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(metadata)
+  });
+  if (!response.ok) {
+    throw new Error(await readError(response, 'Could not start live recording'));
+  }
+  const { recording } = await response.json();
+
+  let nextSeq = 0;
+  let queue = Promise.resolve();
+  let failed = false;
+
+  // Later segments would leave a gap in the file, so streaming stops at the first failure
+  const fail = (err) => {
+    if (failed) return;
+    failed = true;
+    if (onError) onError(err);
+  };
+
+  const sendSegment = async (seq, data, duration) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const res = await fetch(`${apiUrl}/api/recordings/live/${recording.id}/segments/${seq}`, {
+          method: 'PUT',
+          credentials: 'include',
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'X-Recording-Duration': String(duration)
+          },
+          body: data
+        });
+        if (res.ok) return;
+        const error = new Error(await readError(res, 'Segment rejected'));
+        // Only server errors are worth retrying
+        error.permanent = res.status < 500;
+        throw error;
+      } catch (err) {
+        if (err.permanent || attempt >= RETRY_DELAYS.length) throw err;
+      }
+      await wait(RETRY_DELAYS[attempt]);
+    }
+  };
+
+  return {
+    recording,
+    addSegment(data, duration) {
+      const seq = nextSeq++;
+      queue = queue.then(() => {
+        if (failed) return;
+        return sendSegment(seq, data, duration).catch(fail);
+      });
+    },
+    // Call regularly while paused: no segments arrive then, and a session that hears nothing for a
+    // while is closed as a partial recording. Resolves false once the server has closed it.
+    async keepAlive() {
+      if (failed) return false;
+      try {
+        const res = await fetch(`${apiUrl}/api/recordings/live/${recording.id}/keepalive`, {
+          method: 'POST',
+          credentials: 'include'
+        });
+        if (res.status === 409 || res.status === 404) {
+          fail(new Error('The server closed the recording while it was paused and kept it as a partial recording'));
+          return false;
+        }
+      } catch (err) {
+        // Offline for now; the next call tries again
+      }
+      return !failed;
+    },
+    async finish(duration, metadata = {}) {
+      await queue;
+      if (failed) {
+        throw new Error('Some segments could not be saved; the server copy is partial');
+      }
+      const res = await fetch(`${apiUrl}/api/recordings/live/${recording.id}/finish`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...metadata, duration })
+      });
+      if (!res.ok) {
+        throw new Error(await readError(res, 'Could not finish recording'));
+      }
+      return res.json();
+    }
+  };
+};
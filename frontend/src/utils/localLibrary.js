@@ -0,0 +1,134 @@
+// Recordings kept in this browser (IndexedDB), so nothing is lost before it reaches the server.
+//
+// Each entry is { id, ownerId, blob, title, duration, audioSources, size, createdAt, edit, sync }.
+// `edit` is a pending trim/cut list applied after upload. `sync` tracks the upload:
+//   { state: 'local' | 'queued' | 'uploading' | 'synced' | 'failed',
+//     serverId, uploadId, progress, error, attempts, nextAttemptAt }
+
+const DB_NAME = 'screenRecorder';
+const DB_VERSION = 1;
+const STORE = 'recordings';
+
+export const SYNC_STATES = ['local', 'queued', 'uploading', 'synced', 'failed'];
+
+let dbPromise = null;
+const listeners = new Set();
+// Other tabs hear about changes through this channel
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('localLibrary') : null;
+
+const notify = (broadcast = true) => {
+  listeners.forEach(listener => listener());
+  if (broadcast && channel) channel.postMessage('changed');
+};
+
+if (channel) channel.onmessage = () => notify(false);
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser cannot store recordings locally'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('ownerId', 'ownerId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again, e.g. after the user frees up space
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs `work(store)` in one transaction and resolves with the value of the request it returns
+const withStore = async (mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = work(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Local library transaction aborted'));
+  });
+};
+
+const newId = () => (window.crypto && window.crypto.randomUUID
+  ? window.crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`);
+
+export const subscribeLocalLibrary = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const saveLocalRecording = async ({ ownerId, blob, title, duration, audioSources }) => {
+  const entry = {
+    id: newId(),
+    ownerId,
+    blob,
+    title,
+    duration,
+    audioSources,
+    size: blob.size,
+    createdAt: new Date().toISOString(),
+    edit: null,
+    sync: { state: 'local', serverId: null, uploadId: null, progress: 0, error: null, attempts: 0, nextAttemptAt: null }
+  };
+  await withStore('readwrite', store => store.add(entry));
+  notify();
+  // Ask the browser not to evict the library under storage pressure; best effort
+  if (navigator.storage && navigator.storage.persist) {
+    navigator.storage.persist().catch(() => {});
+  }
+  return entry;
+};
+
+// Newest first
+export const listLocalRecordings = async (ownerId) => {
+  const entries = await withStore('readonly', store => store.index('ownerId').getAll(ownerId));
+  return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+export const getLocalRecording = (id) => withStore('readonly', store => store.get(id));
+
+// Shallow-merges `changes` into the entry (and `changes.sync` into its sync state).
+// Resolves with the updated entry, or null when it was deleted in the meantime.
+export const updateLocalRecording = async (id, changes) => {
+  let updated = null;
+  await withStore('readwrite', store => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      const entry = request.result;
+      if (!entry) return;
+      updated = {
+        ...entry,
+        ...changes,
+        sync: changes.sync ? { ...entry.sync, ...changes.sync } : entry.sync
+      };
+      store.put(updated);
+    };
+    return null;
+  });
+  if (updated) notify();
+  return updated;
+};
+
+export const deleteLocalRecording = async (id) => {
+  await withStore('readwrite', store => store.delete(id));
+  notify();
+};
+
+// Storage used and available to this site, and whether it is safe from eviction.
+// Null where the browser does not say.
+export const describeLocalStorage = async () => {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota, persisted };
+};
@@ -0,0 +1,76 @@
+// Helpers for the trim/cut edit list shared by the preview editor and /api/recordings/:id/edit.
+
+const POLL_INTERVAL = 1500;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const emptyEdit = (duration) => ({ in: 0, out: duration, cuts: [] });
+
+// An edit that keeps the whole recording does not need a server round trip
+export const isEdited = (edit, duration) => Boolean(edit) && (
+  edit.in > 0 || edit.out < duration || edit.cuts.length > 0
+);
+
+// Length of the recording once the edit is applied
+export const editedDuration = (edit) => {
+  const removed = edit.cuts.reduce((total, cut) => {
+    const start = Math.max(cut.start, edit.in);
+    const end = Math.min(cut.end, edit.out);
+    return total + Math.max(0, end - start);
+  }, 0);
+  return Math.max(0, edit.out - edit.in - removed);
+};
+
+const readError = async (response, fallback) => {
+  try {
+    const data = await response.json();
+    return data.error || fallback;
+  } catch (e) {
+    return fallback;
+  }
+};
+
+/**
+ * Applies an edit list to a stored recording: requests the edit, waits for the draft
+ * version and confirms it. The original is left untouched if any step fails.
+ * `onStatus(message)` reports progress for display.
+ */
+export const applyRecordingEdit = async ({ apiUrl, recordingId, edit, onStatus = () => {} }) => {
+  const response = await fetch(`${apiUrl}/api/recordings/${recordingId}/edit`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(edit)
+  });
+  if (!response.ok) {
+    throw new Error(await readError(response, 'Could not request edit'));
+  }
+  const { id: jobId } = await response.json();
+
+  let job = null;
+  while (!job || (job.status !== 'done' && job.status !== 'failed')) {
+    await wait(POLL_INTERVAL);
+    const res = await fetch(`${apiUrl}/api/recordings/${recordingId}/edits`, { credentials: 'include' });
+    if (!res.ok) {
+      throw new Error(await readError(res, 'Could not check edit progress'));
+    }
+    job = (await res.json()).find(item => item.id === jobId);
+    if (!job) {
+      throw new Error('Edit job disappeared');
+    }
+    onStatus(`Applying edits... ${Math.round(job.progress)}%`);
+  }
+
+  if (job.status === 'failed') {
+    throw new Error(job.error || 'Edit failed');
+  }
+
+  const confirm = await fetch(`${apiUrl}/api/recordings/${job.versionId}/confirm`, {
+    method: 'POST',
+    credentials: 'include'
+  });
+  if (!confirm.ok) {
+    throw new Error(await readError(confirm, 'Could not confirm edit'));
+  }
+  return (await confirm.json()).recording;
+};
@@ -0,0 +1,57 @@
+// Live recording list updates from the server's /api/events stream (Server-Sent Events).
+// EventSource reconnects by itself after a dropped connection and sends Last-Event-ID so the
+// server replays what was missed; when it gives up (the server answered with an error), a new
+// one is opened here after a delay, passing the last id in the query instead.
+
+const EVENTS = ['recording.created', 'recording.updated', 'recording.deleted'];
+const RECONNECT_DELAY = 5000;
+
+/**
+ * Calls `onEvent(event, data)` for each recording event of the signed-in user, and `onReset()`
+ * when events were missed that the server could not replay, so the list should be reloaded.
+ * Returns a function that closes the stream.
+ */
+export const subscribeRecordingEvents = ({ apiUrl, onEvent, onReset }) => {
+  if (typeof EventSource === 'undefined') return () => {};
+
+  let source = null;
+  let lastEventId = null;
+  let timer = null;
+  let closed = false;
+
+  const track = (message) => {
+    if (message.lastEventId) lastEventId = message.lastEventId;
+  };
+
+  const connect = () => {
+    const query = lastEventId ? `?lastEventId=${encodeURIComponent(lastEventId)}` : '';
+    source = new EventSource(`${apiUrl}/api/events${query}`, { withCredentials: true });
+
+    source.addEventListener('ready', track);
+    source.addEventListener('reset', (message) => {
+      track(message);
+      onReset();
+    });
+    EVENTS.forEach(event => source.addEventListener(event, (message) => {
+      track(message);
+      try {
+        onEvent(event, JSON.parse(message.data));
+      } catch (error) {
+        console.error(`Error handling ${event}:`, error);
+      }
+    }));
+
+    source.onerror = () => {
+      if (source.readyState !== EventSource.CLOSED || closed) return;
+      timer = setTimeout(connect, RECONNECT_DELAY);
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(timer);
+    if (source) source.close();
+  };
+};
@@ -0,0 +1,127 @@
+// Recording length, countdown and keyboard shortcut settings, and a timer that only counts
+// time spent actually recording.
+
+const STORAGE_KEY = 'recordingControls';
+
+export const COUNTDOWN_OPTIONS = [0, 3, 5, 10];
+// Upper end of the length slider when the server sets no limit
+export const MAX_SLIDER_SECONDS = 60 * 60;
+export const MIN_SLIDER_SECONDS = 30;
+
+// `limitSeconds` of null records until stopped
+export const DEFAULT_RECORDING_CONTROLS = {
+  limitSeconds: 180,
+  countdown: 3,
+  hotkeys: true
+};
+
+// Alt+Shift so they do not clash with typing, or with the single-key annotation shortcuts.
+// Matched on `code`, since Alt changes `key` on macOS.
+export const HOTKEYS = [
+  { action: 'start', code: 'KeyR', label: 'Alt+Shift+R', description: 'Start recording' },
+  { action: 'pause', code: 'KeyP', label: 'Alt+Shift+P', description: 'Pause or resume' },
+  { action: 'stop', code: 'KeyS', label: 'Alt+Shift+S', description: 'Stop recording' }
+];
+
+export const hotkeyAction = (e) => {
+  if (!e.altKey || !e.shiftKey || e.ctrlKey || e.metaKey || e.repeat) return null;
+  const hotkey = HOTKEYS.find(item => item.code === e.code);
+  return hotkey ? hotkey.action : null;
+};
+
+export const loadRecordingControls = () => {
+  try {
+    return { ...DEFAULT_RECORDING_CONTROLS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+  } catch (e) {
+    return DEFAULT_RECORDING_CONTROLS;
+  }
+};
+
+export const saveRecordingControls = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
+
+// The limit that applies: the user's choice, capped by the server's maximum (null when both are unlimited)
+export const effectiveLimit = (limitSeconds, serverMax) => {
+  if (!serverMax) return limitSeconds;
+  return limitSeconds ? Math.min(limitSeconds, serverMax) : serverMax;
+};
+
+/**
+ * Counts active recording time. `onTick(seconds)` fires whenever the whole number of active
+ * seconds changes. Returns { start(), pause(), resume(), stop(), elapsed() }; `elapsed()` is in
+ * seconds, with paused stretches left out.
+ */
+export const createRecordingTimer = ({ onTick }) => {
+  let activeMs = 0;
+  let resumedAt = null;
+  let interval = null;
+  let lastTick = -1;
+
+  const elapsedMs = () => activeMs + (resumedAt === null ? 0 : performance.now() - resumedAt);
+
+  const tick = () => {
+    const seconds = Math.floor(elapsedMs() / 1000);
+    if (seconds === lastTick) return;
+    lastTick = seconds;
+    onTick(seconds);
+  };
+
+  return {
+    start() {
+      activeMs = 0;
+      lastTick = -1;
+      resumedAt = performance.now();
+      clearInterval(interval);
+      interval = setInterval(tick, 200);
+      tick();
+    },
+    pause() {
+      if (resumedAt === null) return;
+      activeMs += performance.now() - resumedAt;
+      resumedAt = null;
+    },
+    resume() {
+      if (resumedAt !== null) return;
+      resumedAt = performance.now();
+    },
+    stop() {
+      this.pause();
+      clearInterval(interval);
+      interval = null;
+    },
+    elapsed() {
+      return elapsedMs() / 1000;
+    }
+  };
+};
+
+// Resolves after counting down from `seconds`, calling `onTick(remaining)` each second.
+// Rejects with an `aborted` error when `signal` is aborted first.
+export const runCountdown = (seconds, { onTick, signal }) => new Promise((resolve, reject) => {
+  let remaining = seconds;
+  let timer = null;
+
+  const abort = () => {
+    clearTimeout(timer);
+    reject(Object.assign(new Error('Countdown cancelled'), { aborted: true }));
+  };
+  if (signal.aborted) {
+    abort();
+    return;
+  }
+  signal.addEventListener('abort', abort, { once: true });
+
+  const step = () => {
+    if (remaining <= 0) {
+      signal.removeEventListener('abort', abort);
+      onTick(0);
+      resolve();
+      return;
+    }
+    onTick(remaining);
+    remaining -= 1;
+    timer = setTimeout(step, 1000);
+  };
+  step();
+});
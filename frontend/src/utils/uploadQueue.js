@@ -0,0 +1,194 @@
+// Background uploads for the local library. Queued recordings are sent one at a time with the
+// chunked upload client; when the server cannot be reached they wait, checking /health until it
+// comes back, and failed attempts are retried with a growing delay.
+import { createChunkedUpload } from './chunkedUpload';
+import { isEdited, applyRecordingEdit } from './recordingEdits';
+import { listLocalRecordings, getLocalRecording, updateLocalRecording, subscribeLocalLibrary } from './localLibrary';
+
+const RETRY_DELAYS = [5000, 15000, 30000, 60000, 300000];
+const HEALTH_INTERVAL = 30000;
+
+// Network errors, server errors, timeouts and rate limits may pass on a later attempt; other
+// 4xx responses (a file over the size limit, say) will not, so those wait for the user
+const isRetryable = (err) => !err.status || err.status >= 500 || err.status === 408 || err.status === 429;
+
+// Puts a local recording (back) in the queue, optionally with edits to apply once it is uploaded
+export const queueLocalRecording = (id, { edit } = {}) => updateLocalRecording(id, {
+  ...(edit !== undefined ? { edit } : {}),
+  sync: { state: 'queued', error: null, attempts: 0, nextAttemptAt: null }
+});
+
+// Takes a recording out of the queue; one that is already uploading carries on
+export const unqueueLocalRecording = (id) => updateLocalRecording(id, {
+  sync: { state: 'local', error: null, nextAttemptAt: null }
+});
+
+// Only one tab uploads at a time; browsers without Web Locks just go ahead
+const withQueueLock = (work) => (navigator.locks
+  ? navigator.locks.request('uploadQueue', { ifAvailable: true }, lock => (lock ? work() : false))
+  : work());
+
+/**
+ * Starts working through `ownerId`'s queued recordings and keeps watching the library for more.
+ * `onUnauthorized()` is called (and the queue stops) when the server rejects the session.
+ * Returns { stop }; stopping pauses an upload in flight, which resumes on the next start.
+ */
+export const startUploadQueue = ({ apiUrl, ownerId, onUnauthorized }) => {
+  let stopped = false;
+  let running = false;
+  let rerun = false;
+  let timer = null;
+  let current = null;
+
+  const schedule = (ms) => {
+    clearTimeout(timer);
+    if (!stopped) timer = setTimeout(() => kick(), Math.max(1000, ms));
+  };
+
+  const serverReachable = async () => {
+    try {
+      const response = await fetch(`${apiUrl}/health`, { cache: 'no-store' });
+      return response.ok;
+    } catch (err) {
+      return false;
+    }
+  };
+
+  const send = (entry) => new Promise((resolve, reject) => {
+    let reported = entry.sync.progress || 0;
+    current = createChunkedUpload({
+      apiUrl,
+      blob: entry.blob,
+      duration: entry.duration,
+      metadata: { audioSources: entry.audioSources, title: entry.title },
+      sessionId: entry.sync.uploadId,
+      onSession: (uploadId) => updateLocalRecording(entry.id, { sync: { uploadId } }),
+      // Whole percents only, so IndexedDB is not written on every progress event
+      onProgress: (percent) => {
+        if (Math.floor(percent) === reported) return;
+        reported = Math.floor(percent);
+        updateLocalRecording(entry.id, { sync: { progress: reported } });
+      },
+      onStateChange: (state, detail) => {
+        if (state === 'completed') resolve(detail.recording);
+        else if (state === 'failed') reject(detail);
+        else if (state === 'paused' || state === 'cancelled') reject(Object.assign(new Error('Upload stopped'), { aborted: true }));
+      }
+    });
+    current.start();
+  });
+
+  // Returns false when the queue should stop
+  const uploadEntry = async (entry) => {
+    await updateLocalRecording(entry.id, { sync: { state: 'uploading', error: null } });
+
+    try {
+      const recording = await send(entry);
+      let error = null;
+      if (entry.edit && isEdited(entry.edit, entry.duration)) {
+        try {
+          await applyRecordingEdit({ apiUrl, recordingId: recording.id, edit: entry.edit });
+        } catch (err) {
+          console.error('Error applying queued edits:', err);
+          error = `Uploaded without the edits: ${err.message}`;
+        }
+      }
+      await updateLocalRecording(entry.id, {
+        edit: null,
+        sync: { state: 'synced', serverId: recording.id, uploadId: null, progress: 100, error, nextAttemptAt: null }
+      });
+      return true;
+    } catch (err) {
+      if (err.aborted) return false;
+      if (err.status === 401) {
+        stopped = true;
+        await updateLocalRecording(entry.id, { sync: { state: 'queued' } });
+        onUnauthorized();
+        return false;
+      }
+
+      console.error('Error uploading queued recording:', err);
+      const attempts = entry.sync.attempts + 1;
+      await updateLocalRecording(entry.id, isRetryable(err)
+        ? {
+            sync: {
+              state: 'queued',
+              error: err.message,
+              attempts,
+              nextAttemptAt: Date.now() + RETRY_DELAYS[Math.min(attempts, RETRY_DELAYS.length) - 1]
+            }
+          }
+        : { sync: { state: 'failed', error: err.message, attempts, nextAttemptAt: null } });
+      return true;
+    } finally {
+      current = null;
+    }
+  };
+
+  // One pass over the queue; `now` skips the retry delays, e.g. when the browser comes back online
+  const kick = async (now = false) => {
+    if (stopped) return;
+    if (running) {
+      rerun = true;
+      return;
+    }
+    running = true;
+    clearTimeout(timer);
+
+    try {
+      const locked = await withQueueLock(async () => {
+        // Oldest first. 'uploading' entries were interrupted by a reload; only this tab uploads.
+        const due = (await listLocalRecordings(ownerId))
+          .filter(entry => entry.sync.state === 'queued' || entry.sync.state === 'uploading')
+          .reverse();
+        if (due.length === 0) return true;
+
+        const ready = due.filter(entry => now || !entry.sync.nextAttemptAt || entry.sync.nextAttemptAt <= Date.now());
+        if (ready.length === 0) {
+          schedule(Math.min(...due.map(entry => entry.sync.nextAttemptAt)) - Date.now());
+          return true;
+        }
+        if (!(await serverReachable())) {
+          schedule(HEALTH_INTERVAL);
+          return true;
+        }
+
+        for (const { id } of ready) {
+          // Re-read it: the entry may have been taken out of the queue or deleted since the listing
+          const entry = await getLocalRecording(id);
+          if (!entry || !['queued', 'uploading'].includes(entry.sync.state)) continue;
+          if (stopped || !(await uploadEntry(entry))) return true;
+        }
+        rerun = true;
+        return true;
+      });
+      // Another tab holds the queue; check again later in case it closes
+      if (!locked) schedule(HEALTH_INTERVAL);
+    } catch (err) {
+      console.error('Error processing upload queue:', err);
+      schedule(HEALTH_INTERVAL);
+    } finally {
+      running = false;
+    }
+
+    if (rerun) {
+      rerun = false;
+      kick();
+    }
+  };
+
+  const handleOnline = () => kick(true);
+  const unsubscribe = subscribeLocalLibrary(() => kick());
+  window.addEventListener('online', handleOnline);
+  kick();
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      unsubscribe();
+      window.removeEventListener('online', handleOnline);
+      if (current) current.pause();
+    }
+  };
+};